@@ -11,6 +11,8 @@ export const OPENAI_PROXY_CLIENT_JSON_TYPE = {
   InjectUserMessage: 'InjectUserMessage',
   FunctionCallResponse: 'FunctionCallResponse',
   KeepAlive: 'KeepAlive',
+  /** Push-to-talk: the user released the talk button; commit their audio and respond now */
+  EndUserTurn: 'EndUserTurn',
 } as const;
 
 export type OpenAIProxyClientJsonTypeKey = keyof typeof OPENAI_PROXY_CLIENT_JSON_TYPE;
@@ -26,6 +28,7 @@ export const OPENAI_PROXY_LEGAL_CLIENT_JSON_TYPES = [
   OPENAI_PROXY_CLIENT_JSON_TYPE.InjectUserMessage,
   OPENAI_PROXY_CLIENT_JSON_TYPE.FunctionCallResponse,
   OPENAI_PROXY_CLIENT_JSON_TYPE.KeepAlive,
+  OPENAI_PROXY_CLIENT_JSON_TYPE.EndUserTurn,
 ] as const;
 
 export type OpenAIProxyLegalClientJsonType = (typeof OPENAI_PROXY_LEGAL_CLIENT_JSON_TYPES)[number];
@@ -38,6 +41,7 @@ export const OPENAI_PROXY_CLIENT_JSON_TYPES_TRANSLATED_TO_REALTIME = [
   OPENAI_PROXY_CLIENT_JSON_TYPE.Settings,
   OPENAI_PROXY_CLIENT_JSON_TYPE.InjectUserMessage,
   OPENAI_PROXY_CLIENT_JSON_TYPE.FunctionCallResponse,
+  OPENAI_PROXY_CLIENT_JSON_TYPE.EndUserTurn,
 ] as const;
 
 export type OpenAIProxyClientJsonTypeTranslatedToRealtime =
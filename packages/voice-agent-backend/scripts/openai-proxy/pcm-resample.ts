@@ -0,0 +1,141 @@
+/**
+ * Linear PCM16 mono stream resampling for the OpenAI Realtime proxy (Issue #560).
+ * dg_react_agent AudioManager emits true PCM16 at Settings `audio.input.sample_rate` (16 kHz by default; the
+ * microphone worklet resamples from the AudioContext rate); mapSettingsToSessionUpdate declares input rate 24000.
+ * Without resampling, upstream misinterprets samples and transcription/VAD fail. Agent audio is resampled the other
+ * way when Settings `audio.output` asks for linear16 at a rate other than 24 kHz.
+ */
+
+/** Default client rate; must match `CLIENT_MIC_PCM_FOR_OPENAI_PROXY_HZ` in `src/utils/audio/mic-audio-contract.ts`. */
+export const DEFAULT_CLIENT_INPUT_RATE = 16000;
+/** Realtime `audio/pcm` rate, for input and output */
+export const REALTIME_PCM_RATE = 24000;
+
+/** Low-pass taps applied before linear interpolation when downsampling */
+const ANTI_ALIAS_TAPS = 33;
+
+function clampToInt16(v: number): number {
+  if (v <= -32768) return -32768;
+  if (v >= 32767) return 32767;
+  return Math.round(v);
+}
+
+function int16SamplesToBuffer(samples: number[]): Buffer {
+  const arr = new Int16Array(samples.length);
+  for (let i = 0; i < samples.length; i++) arr[i] = samples[i];
+  return Buffer.from(arr.buffer, arr.byteOffset, arr.byteLength);
+}
+
+/** Hann-windowed sinc low-pass at `cutoff` cycles per sample, unity gain at DC */
+function antiAliasTaps(cutoff: number): Float64Array {
+  const taps = new Float64Array(ANTI_ALIAS_TAPS);
+  const mid = (ANTI_ALIAS_TAPS - 1) / 2;
+  let sum = 0;
+  for (let i = 0; i < ANTI_ALIAS_TAPS; i++) {
+    const x = 2 * cutoff * (i - mid);
+    const sinc = x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x);
+    const hann = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (ANTI_ALIAS_TAPS - 1));
+    taps[i] = 2 * cutoff * sinc * hann;
+    sum += taps[i];
+  }
+  for (let i = 0; i < ANTI_ALIAS_TAPS; i++) taps[i] /= sum;
+  return taps;
+}
+
+/**
+ * Stateful stream resampler between any two rates for one WebSocket connection. Not thread-safe.
+ * Linear interpolation; when downsampling, input is low-passed first (filter state carries across chunks) so
+ * content above the output Nyquist frequency does not alias.
+ */
+export class Pcm16MonoStreamResampler {
+  private buf = new Int16Array(0);
+  private pos = 0;
+  /** Input-sample index advance per emitted output sample */
+  private readonly step: number;
+  private readonly taps: Float64Array | null;
+  private filterHistory: Float64Array;
+
+  constructor(readonly inputRate: number, readonly outputRate: number) {
+    if (!(inputRate > 0) || !(outputRate > 0)) {
+      throw new Error(`Pcm16MonoStreamResampler: invalid rates ${inputRate} → ${outputRate}`);
+    }
+    this.step = inputRate / outputRate;
+    // Cut a little below the output Nyquist frequency (cycles per input sample)
+    this.taps = outputRate < inputRate ? antiAliasTaps((0.45 * outputRate) / inputRate) : null;
+    this.filterHistory = new Float64Array(this.taps ? ANTI_ALIAS_TAPS - 1 : 0);
+  }
+
+  /**
+   * Append one chunk of little-endian PCM16 mono at `inputRate`.
+   * Returns PCM16 mono at `outputRate` for this chunk (may be empty if more input is needed).
+   */
+  push(pcm16le: Buffer): Buffer {
+    if (pcm16le.length === 0) {
+      return Buffer.alloc(0);
+    }
+    if (pcm16le.length % 2 !== 0) {
+      throw new Error(`${this.constructor.name}: odd byte length`);
+    }
+    // Copy so Int16Array is not built on a pooled Buffer with odd byteOffset (ws often uses subarrays;
+    // Int16Array requires byteOffset % 2 === 0 or it throws — Issue #560 integration regression).
+    const aligned = Buffer.from(pcm16le);
+    if (this.step === 1) {
+      return aligned;
+    }
+    let incoming = new Int16Array(aligned.buffer, aligned.byteOffset, aligned.byteLength / 2);
+    if (this.taps) {
+      incoming = this.lowPass(incoming);
+    }
+    const merged = new Int16Array(this.buf.length + incoming.length);
+    merged.set(this.buf, 0);
+    merged.set(incoming, this.buf.length);
+    this.buf = merged;
+
+    const out: number[] = [];
+    while (true) {
+      const i0 = Math.floor(this.pos);
+      const i1 = i0 + 1;
+      if (i1 >= this.buf.length) break;
+      const f = this.pos - i0;
+      const s0 = this.buf[i0];
+      const s1 = this.buf[i1];
+      const v = s0 * (1 - f) + s1 * f;
+      out.push(clampToInt16(v));
+      this.pos += this.step;
+    }
+
+    const discard = Math.floor(this.pos);
+    if (discard > 0 && discard <= this.buf.length) {
+      this.buf = this.buf.subarray(discard);
+      this.pos -= discard;
+    }
+
+    return int16SamplesToBuffer(out);
+  }
+
+  /** FIR over the previous chunk's tail + this chunk; output is delayed by half the filter length */
+  private lowPass(samples: Int16Array): Int16Array {
+    const taps = this.taps!;
+    const history = this.filterHistory.length;
+    const padded = new Float64Array(history + samples.length);
+    padded.set(this.filterHistory, 0);
+    padded.set(samples, history);
+    const filtered = new Int16Array(samples.length);
+    for (let n = 0; n < samples.length; n++) {
+      let acc = 0;
+      for (let k = 0; k < taps.length; k++) acc += padded[n + k] * taps[k];
+      filtered[n] = clampToInt16(acc);
+    }
+    this.filterHistory = padded.slice(padded.length - history);
+    return filtered;
+  }
+}
+
+/**
+ * The default client rate (16 kHz) → Realtime 24 kHz; kept for callers that predate configurable input rates.
+ */
+export class Pcm16Mono16kTo24kStreamResampler extends Pcm16MonoStreamResampler {
+  constructor() {
+    super(DEFAULT_CLIENT_INPUT_RATE, REALTIME_PCM_RATE);
+  }
+}
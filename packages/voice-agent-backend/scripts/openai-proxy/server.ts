@@ -26,6 +26,8 @@ const WebSocketServer = (WebSocket.Server && typeof WebSocket.Server === 'functi
 import {
   mapSettingsToSessionUpdate,
   sessionUpdateUsesOpenAIServerVad,
+  settingsUsePushToTalk,
+  resolveClientAudioFormats,
   mapInjectUserMessageToConversationItemCreate,
   mapSessionUpdatedToSettingsApplied,
   mapFunctionCallArgumentsDoneToFunctionCallRequest,
@@ -35,8 +37,12 @@ import {
   mergeAssistantTextFromOutputTextDoneAndDeltas,
   extractAssistantTextFromResponseDoneEvent,
   mapOutputAudioTranscriptDoneToConversationText,
+  mapOutputTextDeltaToConversationTextDelta,
+  extractOutputTextDeltaPiece,
   mapErrorToComponentError,
+  type OpenAIOutputTextDelta,
   type ComponentError,
+  type ComponentFunctionCallResponse,
   type OpenAIConversationItemEvent,
   binaryToInputAudioBufferAppend,
   mapInputAudioTranscriptionCompletedToTranscript,
@@ -66,12 +72,36 @@ import {
   assertMinAudioBeforeCommit,
   assertAppendChunkSize,
 } from './openai-audio-constants';
-import { Pcm16Mono16kTo24kStreamResampler } from './pcm-resample-16k-to-24k';
+import { DEFAULT_CLIENT_INPUT_RATE, Pcm16MonoStreamResampler, REALTIME_PCM_RATE } from './pcm-resample';
 import {
   OPENAI_PROXY_CLIENT_JSON_TYPE,
   getOpenAIProxyAllowedClientJsonTypesDescription,
 } from './client-protocol';
 
+/**
+ * Runs function calls inside the proxy instead of the client (voice-agent-backend `createFunctionRegistry`, or any
+ * object with `execute`). Only functions for which `has` returns true are run here; without `has`, all are.
+ */
+export interface ProxyFunctionExecutor {
+  has?: (name: string) => boolean;
+  execute: (name: string, args: Record<string, unknown>, context: Record<string, unknown>) => unknown;
+  timeoutMs?: number;
+  timeouts?: Record<string, number>;
+  /** Receives the client's WebSocket upgrade request (session / identity for the handler context) */
+  getRequestContext?: (req: http.IncomingMessage) => unknown;
+}
+
+// eslint-disable-next-line @typescript-eslint/no-require-imports
+const { executesFunction, runProxyFunctionCall } = require('../../src/proxy-function-calls.js') as {
+  executesFunction: (executor: ProxyFunctionExecutor | undefined, name: string) => boolean;
+  runProxyFunctionCall: (
+    call: { id: string; name: string; arguments?: string },
+    executor: ProxyFunctionExecutor,
+    req: http.IncomingMessage,
+    signal: AbortSignal
+  ) => Promise<string>;
+};
+
 /** Debounce delay (ms) after last binary chunk before sending commit + response.create. Must be long enough for upstream to process appends (real API returns "buffer too small ... 0.00ms" if commit is sent too soon). */
 const INPUT_AUDIO_COMMIT_DEBOUNCE_MS = 400;
 
@@ -121,6 +151,12 @@ export interface OpenAIProxyServerOptions {
    * Error (`disallowed_client_message_type`). Set via `OPENAI_PROXY_CLIENT_JSON_PASSTHROUGH=1` in run.ts for dev only.
    */
   allowClientJsonPassthrough?: boolean;
+  /**
+   * Function calls this executor handles are run by the proxy: function_call_output and the deferred response.create
+   * go upstream directly. The client gets FunctionCallRequest with `client_side: false, proxy_executed: true` and a
+   * FunctionCallResponse, as for a Deepgram server-side function.
+   */
+  functionExecutor?: ProxyFunctionExecutor;
 }
 
 /**
@@ -198,8 +234,25 @@ export function createOpenAIProxyServer(options: OpenAIProxyServerOptions): {
     const pendingAudioQueue: Buffer[] = [];
     /** Issue #560 Phase 2b: Server VAD — no proxy `input_audio_buffer.commit` for mic; set from first `session.update`. */
     let micInputUsesOpenAIServerVad = false;
-    /** Issue #560: dg_react_agent sends 16 kHz PCM; session.update declares 24 kHz — resample before upstream append. */
-    const inputAudioResampler = new Pcm16Mono16kTo24kStreamResampler();
+    /** Push-to-talk (Settings `agent.turnMode`): mic audio is committed only on client EndUserTurn, never by the debounce. */
+    let micInputUsesPushToTalk = false;
+    /** EndUserTurn arrived before session.updated; commit once the queued audio has been appended. */
+    let pendingEndUserTurn = false;
+    /** EndUserTurn was committed while a response was active (now cancelled); send response.create when it ends. */
+    let pendingResponseCreateAfterUserTurn = false;
+    /** Issue #560: dg_react_agent sends PCM at Settings audio.input.sample_rate (16 kHz default); session.update declares 24 kHz — resample before upstream append. */
+    let inputAudioResampler = new Pcm16MonoStreamResampler(DEFAULT_CLIENT_INPUT_RATE, REALTIME_PCM_RATE);
+    /** Settings audio.output linear16 at a rate other than 24 kHz: agent audio deltas are resampled to it (null: forwarded as-is). */
+    let outputAudioResampler: Pcm16MonoStreamResampler | null = null;
+    /** Odd trailing byte of the last output delta, held for the resampler (deltas are not sample-aligned). */
+    let outputAudioCarry: Buffer | null = null;
+    const resampleOutputAudio = (chunk: Buffer): Buffer => {
+      if (!outputAudioResampler) return chunk;
+      const joined = outputAudioCarry ? Buffer.concat([outputAudioCarry, chunk]) : chunk;
+      const even = joined.length - (joined.length % 2);
+      outputAudioCarry = even < joined.length ? joined.subarray(even) : null;
+      return outputAudioResampler.push(joined.subarray(0, even));
+    };
     /** Issue #542 #534: defer InjectUserMessage (full client JSON frame) until after session.updated (same readiness as audio). */
     const pendingInjectTextQueue: Buffer[] = [];
     /** TODO: Not expected to keep. Only forward the first Settings per connection; duplicate Settings (e.g. on reconnect/reload) must not send a second session.update or upstream can error. */
@@ -214,6 +267,8 @@ export function createOpenAIProxyServer(options: OpenAIProxyServerOptions): {
     let captureUpstreamAfterFcrStart: number | null = null;
     const captureUpstreamAfterFcrBuffer: Array<{ type: string; at_ms: number }> = [];
     let captureUpstreamAfterFcrTimeoutId: ReturnType<typeof setTimeout> | null = null;
+    /** Aborts server-side function calls (functionExecutor) when the client disconnects */
+    const serverFunctionCalls = new AbortController();
     /** Issue #482: Have we sent AgentStartedSpeaking for the current response? So component sees "agent active" before ConversationText (avoids client idle timeout). Reset when response ends. */
     let hasSentAgentStartedSpeakingForCurrentResponse = false;
     /** Issue #482 / #489: Have we sent AgentAudioDone for the current response? AgentAudioDone = receipt complete only (legacy); we also send AgentDone for semantic "agent done" so the wire has the correct signal. See docs/issues/ISSUE-489/AGENT-DONE-SEMANTICS-AND-NAMING.md. */
@@ -239,10 +294,20 @@ export function createOpenAIProxyServer(options: OpenAIProxyServerOptions): {
     let lastEmittedAssistantConversationTextForDedupe: string | null = null;
     /** Issue #555: Accumulate `response.output_text.delta` until `response.output_text.done` (Realtime streams text via deltas). */
     let outputTextDeltaAccumulator = '';
+    /** ConversationTextDelta turn_id when upstream deltas carry no response_id/item_id; advances per response. */
+    let responseSequence = 0;
+
+    /** Forward a streamed assistant text/transcript delta as ConversationTextDelta (captions while speaking). */
+    const sendConversationTextDelta = (event: OpenAIOutputTextDelta): void => {
+      const textDelta = mapOutputTextDeltaToConversationTextDelta(event, `response-${responseSequence}`);
+      if (!textDelta || clientWs.readyState !== WebSocket.OPEN) return;
+      clientWs.send(JSON.stringify(textDelta));
+    };
 
     /** Issue #482: Response lifecycle helpers so agent-activity and idle_timeout buffering stay DRY. */
     const onResponseStarted = (): void => {
       responseInProgress = true;
+      responseSequence++;
       hasSentAgentStartedSpeakingForCurrentResponse = false;
       hasSentAgentAudioDoneForCurrentResponse = false;
       hasReceivedOutputAudioDeltaForCurrentResponse = false;
@@ -286,12 +351,92 @@ export function createOpenAIProxyServer(options: OpenAIProxyServerOptions): {
       upstream.send(JSON.stringify({ type: 'response.create' }));
       onResponseStarted();
     };
+    /**
+     * A function result (from the client, or from functionExecutor) → function_call_output upstream. response.create
+     * is deferred until upstream completes the previous response.
+     */
+    const sendFunctionCallOutput = (response: ComponentFunctionCallResponse, source: 'client' | 'proxy'): void => {
+      const itemCreate = mapFunctionCallResponseToConversationItemCreate(response);
+      upstream.send(JSON.stringify(itemCreate));
+      const debugLogPath = process.env.E2E_FUNCTION_CALL_DEBUG_LOG;
+      if (debugLogPath && itemCreate.item?.type === 'function_call_output') {
+        try {
+          const dir = path.dirname(debugLogPath);
+          fs.mkdirSync(dir, { recursive: true });
+          const payload = {
+            call_id: itemCreate.item.call_id,
+            outputLength: itemCreate.item.output?.length ?? 0,
+            outputPreview: itemCreate.item.output?.slice(0, 120) ?? '',
+            sentAt: new Date().toISOString(),
+          };
+          fs.writeFileSync(debugLogPath, JSON.stringify(payload, null, 2), 'utf8');
+        } catch {
+          // ignore write errors
+        }
+      }
+      emitLog({
+        severityNumber: SeverityNumber.INFO,
+        severityText: 'INFO',
+        body: `FunctionCallResponse from ${source} → function_call_output sent to upstream`,
+        attributes: { ...connectionAttrs },
+      });
+      // Issue #522 / #462 / #470: Do NOT send response.create here. The API allows only one active response
+      // at a time. Sending response.create before the server has sent response.done (or response.output_text.done)
+      // causes conversation_already_has_active_response (voice-commerce #1066). Defer response.create until
+      // we receive response.output_text.done or response.done from upstream; those handlers send it when
+      // pendingResponseCreateAfterFunctionCallOutput is true.
+      pendingResponseCreateAfterFunctionCallOutput = true;
+      // Issue #522 diagnostic: capture upstream event types for 25s after function_call_output (DEFECT-ISOLATION-PROPOSAL.md step 1).
+      if (process.env.CAPTURE_UPSTREAM_AFTER_FCR === '1') {
+        captureUpstreamAfterFcrStart = Date.now();
+        captureUpstreamAfterFcrBuffer.length = 0;
+        if (captureUpstreamAfterFcrTimeoutId) clearTimeout(captureUpstreamAfterFcrTimeoutId);
+        captureUpstreamAfterFcrTimeoutId = setTimeout(() => {
+          const outDir = path.join(process.cwd(), 'test-results');
+          if (!fs.existsSync(outDir)) fs.mkdirSync(outDir, { recursive: true });
+          fs.writeFileSync(
+            path.join(outDir, 'upstream-after-function-call.json'),
+            JSON.stringify(
+              { captured_at: new Date().toISOString(), start_ms: captureUpstreamAfterFcrStart, events: [...captureUpstreamAfterFcrBuffer] },
+              null,
+              2
+            )
+          );
+          captureUpstreamAfterFcrStart = null;
+          captureUpstreamAfterFcrTimeoutId = null;
+        }, 25000);
+      }
+      // Enforce required upstream contract (REQUIRED-UPSTREAM-CONTRACT.md): if API never sends completion,
+      // unstick after timeout so the client can get a next turn instead of hanging until idle timeout.
+      clearDeferredResponseCreateTimer();
+      deferredResponseCreateTimeoutId = setTimeout(() => {
+        deferredResponseCreateTimeoutId = null;
+        if (!pendingResponseCreateAfterFunctionCallOutput || upstream.readyState !== WebSocket.OPEN) return;
+        emitLog({
+          severityNumber: SeverityNumber.ERROR,
+          severityText: 'ERROR',
+          body: `Required upstream contract violated: upstream did not send response.done, response.output_text.done, or conversation.item.done (function_call_output) after function_call_output within ${deferredResponseCreateTimeoutMs}ms. Sending response.create to unstick; see REQUIRED-UPSTREAM-CONTRACT.md.`,
+          attributes: {
+            ...connectionAttrs,
+            [ATTR_DIRECTION]: 'upstream→client',
+            [ATTR_MESSAGE_TYPE]: 'contract_violation',
+            'timeout_ms': String(deferredResponseCreateTimeoutMs),
+          },
+        });
+        sendDeferredResponseCreate();
+      }, deferredResponseCreateTimeoutMs);
+      // Issue #487 / voice-commerce: Signal "agent is working" so the component can clear "waiting for next
+      // agent message" and allow idle timeout to run once the turn completes.
+      if (clientWs.readyState === WebSocket.OPEN) {
+        clientWs.send(JSON.stringify({ type: 'AgentThinking', content: '' }));
+      }
+    };
     /**
      * Issue #560: After response ends, re-arm commit for any PCM still pending. If pending is below the API
      * minimum (100 ms @ 24 kHz), append silence so commit is legal — avoids dropping intentional tail audio.
      */
     const rearmPendingAudioCommitAfterResponse = (): void => {
-      if (micInputUsesOpenAIServerVad) {
+      if (micInputUsesOpenAIServerVad || micInputUsesPushToTalk) {
         return;
       }
       if (!hasPendingAudio || pendingAudioBytes <= 0 || upstream.readyState !== WebSocket.OPEN) {
@@ -329,6 +474,14 @@ export function createOpenAIProxyServer(options: OpenAIProxyServerOptions): {
       // re-arms the timer — queued mic PCM never flips to commit (manual host mic: append-only tail in proxy logs).
       // Also: pending below API min must not be orphaned (rearmPendingAudioCommitAfterResponse pads to 100 ms).
       rearmPendingAudioCommitAfterResponse();
+      if (pendingResponseCreateAfterUserTurn) {
+        pendingResponseCreateAfterUserTurn = false;
+        // A response.create deferred after function_call_output also answers the committed user turn.
+        if (!pendingResponseCreateAfterFunctionCallOutput && upstream.readyState === WebSocket.OPEN) {
+          upstream.send(JSON.stringify({ type: 'response.create' }));
+          onResponseStarted();
+        }
+      }
     };
     /**
      * Send agent-done signals to client once per response so the component can transition to idle and start idle timeout.
@@ -434,7 +587,8 @@ export function createOpenAIProxyServer(options: OpenAIProxyServerOptions): {
      * Flush commit (+ response.create) when safe so upstream does not lose the buffered user audio.
      */
     const flushPendingAudioCommitOnClientClose = (): void => {
-      if (micInputUsesOpenAIServerVad) {
+      // Push-to-talk: a turn the client never ended is not answered.
+      if (micInputUsesOpenAIServerVad || micInputUsesPushToTalk) {
         return;
       }
       if (!hasPendingAudio || pendingAudioBytes <= 0 || upstream.readyState !== WebSocket.OPEN) {
@@ -468,6 +622,57 @@ export function createOpenAIProxyServer(options: OpenAIProxyServerOptions): {
       performAudioCommitIfEligible();
     };
 
+    /**
+     * Push-to-talk: the client ended the user's turn. Commit the audio appended since the last commit (padded with
+     * silence to the API minimum) and respond now. An active response is cancelled so the new turn is answered at once.
+     */
+    const commitUserTurn = (): void => {
+      clearAllAudioCommitTimers();
+      if (!hasPendingAudio || pendingAudioBytes <= 0 || upstream.readyState !== WebSocket.OPEN) {
+        emitLog({
+          severityNumber: SeverityNumber.INFO,
+          severityText: 'INFO',
+          body: 'EndUserTurn with no audio since the last commit (nothing to commit)',
+          attributes: { ...connectionAttrs, [ATTR_DIRECTION]: 'client→upstream', [ATTR_MESSAGE_TYPE]: 'EndUserTurn' },
+        });
+        return;
+      }
+      if (pendingAudioBytes < OPENAI_MIN_AUDIO_BYTES_FOR_COMMIT) {
+        const padBytes = OPENAI_MIN_AUDIO_BYTES_FOR_COMMIT - pendingAudioBytes;
+        const silence = Buffer.alloc(padBytes, 0);
+        assertAppendChunkSize(silence.length);
+        upstream.send(JSON.stringify(binaryToInputAudioBufferAppend(silence)));
+        pendingAudioBytes += padBytes;
+      }
+      assertMinAudioBeforeCommit(pendingAudioBytes);
+      emitLog({
+        severityNumber: SeverityNumber.INFO,
+        severityText: 'INFO',
+        body: 'EndUserTurn → input_audio_buffer.commit + response.create',
+        attributes: {
+          ...connectionAttrs,
+          [ATTR_DIRECTION]: 'client→upstream',
+          [ATTR_MESSAGE_TYPE]: 'EndUserTurn',
+          'audio.pending_bytes': pendingAudioBytes,
+          'response.in_progress': String(responseInProgress),
+        },
+      });
+      upstream.send(JSON.stringify({ type: 'input_audio_buffer.commit' }));
+      hasCompletedFirstUserAudioCommit = true;
+      hasPendingAudio = false;
+      pendingAudioBytes = 0;
+      if (responseInProgress) {
+        upstream.send(JSON.stringify({ type: 'response.cancel' }));
+        pendingResponseCreateAfterUserTurn = true;
+        return;
+      }
+      if (pendingResponseCreateAfterFunctionCallOutput) {
+        return;
+      }
+      upstream.send(JSON.stringify({ type: 'response.create' }));
+      onResponseStarted();
+    };
+
     /** `ws` emits this when upstream socket is closed before `open` (often client leg closed first). */
     const WS_CLOSED_BEFORE_OPEN = 'WebSocket was closed before the connection was established';
 
@@ -541,6 +746,22 @@ export function createOpenAIProxyServer(options: OpenAIProxyServerOptions): {
           const settings = msg as Parameters<typeof mapSettingsToSessionUpdate>[0];
           const sessionUpdate = mapSettingsToSessionUpdate(settings);
           micInputUsesOpenAIServerVad = sessionUpdateUsesOpenAIServerVad(sessionUpdate);
+          micInputUsesPushToTalk = settingsUsePushToTalk(settings);
+          const audioFormats = resolveClientAudioFormats(settings);
+          inputAudioResampler = new Pcm16MonoStreamResampler(audioFormats.inputSampleRate, REALTIME_PCM_RATE);
+          outputAudioResampler =
+            audioFormats.output.encoding === 'linear16' && audioFormats.output.sampleRate !== REALTIME_PCM_RATE
+              ? new Pcm16MonoStreamResampler(REALTIME_PCM_RATE, audioFormats.output.sampleRate)
+              : null;
+          const requestedOutputRate = settings.audio?.output?.sample_rate;
+          if (audioFormats.output.encoding !== 'linear16' && requestedOutputRate !== undefined && requestedOutputRate !== audioFormats.output.sampleRate) {
+            emitLog({
+              severityNumber: SeverityNumber.WARN,
+              severityText: 'WARN',
+              body: `Settings audio.output ${audioFormats.output.encoding} at ${requestedOutputRate} Hz: Realtime G.711 is ${audioFormats.output.sampleRate} Hz only; the client will receive ${audioFormats.output.sampleRate} Hz audio`,
+              attributes: { ...connectionAttrs },
+            });
+          }
           upstream.send(JSON.stringify(sessionUpdate));
           const toolsCount = (sessionUpdate.session as { tools?: unknown[] })?.tools?.length ?? 0;
           emitLog({
@@ -559,82 +780,7 @@ export function createOpenAIProxyServer(options: OpenAIProxyServerOptions): {
           const g = settings.agent?.greeting;
           storedGreeting = typeof g === 'string' && g.trim().length > 0 ? g : undefined;
         } else if (msg.type === OPENAI_PROXY_CLIENT_JSON_TYPE.FunctionCallResponse) {
-          const itemCreate = mapFunctionCallResponseToConversationItemCreate(
-            msg as Parameters<typeof mapFunctionCallResponseToConversationItemCreate>[0]
-          );
-          upstream.send(JSON.stringify(itemCreate));
-          const debugLogPath = process.env.E2E_FUNCTION_CALL_DEBUG_LOG;
-          if (debugLogPath && itemCreate.item?.type === 'function_call_output') {
-            try {
-              const dir = path.dirname(debugLogPath);
-              fs.mkdirSync(dir, { recursive: true });
-              const payload = {
-                call_id: itemCreate.item.call_id,
-                outputLength: itemCreate.item.output?.length ?? 0,
-                outputPreview: itemCreate.item.output?.slice(0, 120) ?? '',
-                sentAt: new Date().toISOString(),
-              };
-              fs.writeFileSync(debugLogPath, JSON.stringify(payload, null, 2), 'utf8');
-            } catch {
-              // ignore write errors
-            }
-          }
-          emitLog({
-            severityNumber: SeverityNumber.INFO,
-            severityText: 'INFO',
-            body: 'FunctionCallResponse from client → function_call_output sent to upstream',
-            attributes: { ...connectionAttrs },
-          });
-          // Issue #522 / #462 / #470: Do NOT send response.create here. The API allows only one active response
-          // at a time. Sending response.create before the server has sent response.done (or response.output_text.done)
-          // causes conversation_already_has_active_response (voice-commerce #1066). Defer response.create until
-          // we receive response.output_text.done or response.done from upstream; those handlers send it when
-          // pendingResponseCreateAfterFunctionCallOutput is true.
-          pendingResponseCreateAfterFunctionCallOutput = true;
-          // Issue #522 diagnostic: capture upstream event types for 25s after function_call_output (DEFECT-ISOLATION-PROPOSAL.md step 1).
-          if (process.env.CAPTURE_UPSTREAM_AFTER_FCR === '1') {
-            captureUpstreamAfterFcrStart = Date.now();
-            captureUpstreamAfterFcrBuffer.length = 0;
-            if (captureUpstreamAfterFcrTimeoutId) clearTimeout(captureUpstreamAfterFcrTimeoutId);
-            captureUpstreamAfterFcrTimeoutId = setTimeout(() => {
-              const outDir = path.join(process.cwd(), 'test-results');
-              if (!fs.existsSync(outDir)) fs.mkdirSync(outDir, { recursive: true });
-              fs.writeFileSync(
-                path.join(outDir, 'upstream-after-function-call.json'),
-                JSON.stringify(
-                  { captured_at: new Date().toISOString(), start_ms: captureUpstreamAfterFcrStart, events: [...captureUpstreamAfterFcrBuffer] },
-                  null,
-                  2
-                )
-              );
-              captureUpstreamAfterFcrStart = null;
-              captureUpstreamAfterFcrTimeoutId = null;
-            }, 25000);
-          }
-          // Enforce required upstream contract (REQUIRED-UPSTREAM-CONTRACT.md): if API never sends completion,
-          // unstick after timeout so the client can get a next turn instead of hanging until idle timeout.
-          clearDeferredResponseCreateTimer();
-          deferredResponseCreateTimeoutId = setTimeout(() => {
-            deferredResponseCreateTimeoutId = null;
-            if (!pendingResponseCreateAfterFunctionCallOutput || upstream.readyState !== WebSocket.OPEN) return;
-            emitLog({
-              severityNumber: SeverityNumber.ERROR,
-              severityText: 'ERROR',
-              body: `Required upstream contract violated: upstream did not send response.done, response.output_text.done, or conversation.item.done (function_call_output) after function_call_output within ${deferredResponseCreateTimeoutMs}ms. Sending response.create to unstick; see REQUIRED-UPSTREAM-CONTRACT.md.`,
-              attributes: {
-                ...connectionAttrs,
-                [ATTR_DIRECTION]: 'upstream→client',
-                [ATTR_MESSAGE_TYPE]: 'contract_violation',
-                'timeout_ms': String(deferredResponseCreateTimeoutMs),
-              },
-            });
-            sendDeferredResponseCreate();
-          }, deferredResponseCreateTimeoutMs);
-          // Issue #487 / voice-commerce: Signal "agent is working" so the component can clear "waiting for next
-          // agent message" and allow idle timeout to run once the turn completes.
-          if (clientWs.readyState === WebSocket.OPEN) {
-            clientWs.send(JSON.stringify({ type: 'AgentThinking', content: '' }));
-          }
+          sendFunctionCallOutput(msg as ComponentFunctionCallResponse, 'client');
         } else if (msg.type === OPENAI_PROXY_CLIENT_JSON_TYPE.InjectUserMessage) {
           if (!hasSentSettingsApplied) {
             pendingInjectTextQueue.push(Buffer.from(raw));
@@ -674,6 +820,22 @@ export function createOpenAIProxyServer(options: OpenAIProxyServerOptions): {
             },
           });
           return;
+        } else if (msg.type === OPENAI_PROXY_CLIENT_JSON_TYPE.EndUserTurn) {
+          if (!micInputUsesPushToTalk) {
+            emitLog({
+              severityNumber: SeverityNumber.DEBUG,
+              severityText: 'DEBUG',
+              body: 'client EndUserTurn ignored (Settings did not select push-to-talk)',
+              attributes: { ...connectionAttrs, [ATTR_DIRECTION]: 'client→upstream', [ATTR_MESSAGE_TYPE]: 'EndUserTurn' },
+            });
+            return;
+          }
+          if (!hasSentSettingsApplied) {
+            // Audio for this turn is still queued (Issue #414); commit after it is flushed.
+            pendingEndUserTurn = true;
+            return;
+          }
+          commitUserTurn();
         } else if (allowClientJsonPassthrough) {
           // Send as UTF-8 text frame (same as session.update path), not binary — ws treats Buffer as binary opcode.
           upstream.send(text);
@@ -738,7 +900,7 @@ export function createOpenAIProxyServer(options: OpenAIProxyServerOptions): {
           if (!micInputUsesOpenAIServerVad) {
             pendingAudioBytes += resampled.length;
             hasPendingAudio = true;
-            scheduleAudioCommit();
+            if (!micInputUsesPushToTalk) scheduleAudioCommit();
           }
         }
       }
@@ -778,7 +940,12 @@ export function createOpenAIProxyServer(options: OpenAIProxyServerOptions): {
           hasPendingAudio = true;
         }
       }
-      if (hasPendingAudio && !micInputUsesOpenAIServerVad) scheduleAudioCommit();
+      if (pendingEndUserTurn) {
+        pendingEndUserTurn = false;
+        commitUserTurn();
+      } else if (hasPendingAudio && !micInputUsesOpenAIServerVad && !micInputUsesPushToTalk) {
+        scheduleAudioCommit();
+      }
     };
 
     (clientWs as unknown as WsLike).on('message', (data: Buffer | ArrayBuffer | Buffer[]) => {
@@ -941,11 +1108,12 @@ export function createOpenAIProxyServer(options: OpenAIProxyServerOptions): {
             attributes: { ...connectionAttrs, [ATTR_DIRECTION]: 'upstream→client', [ATTR_MESSAGE_TYPE]: msg.type },
           });
         } else if (msg.type === 'response.output_audio_transcript.delta') {
-          // Real API streams transcript deltas; we use conversation.item.* for finalized text (Epic #493).
+          // Streamed for live captions; finalized text still comes from conversation.item.* / transcript.done (Epic #493).
+          sendConversationTextDelta(msg as OpenAIOutputTextDelta);
           emitLog({
             severityNumber: SeverityNumber.DEBUG,
             severityText: 'DEBUG',
-            body: `upstream: ${msg.type} (no client message)`,
+            body: `upstream→client: ${msg.type} → ConversationTextDelta`,
             attributes: { ...connectionAttrs, [ATTR_DIRECTION]: 'upstream→client', [ATTR_MESSAGE_TYPE]: 'response.output_audio_transcript.delta' },
           });
         } else if (msg.type === 'response.function_call_arguments.done') {
@@ -959,7 +1127,32 @@ export function createOpenAIProxyServer(options: OpenAIProxyServerOptions): {
           const functionCallRequest = mapFunctionCallArgumentsDoneToFunctionCallRequest(
             msg as Parameters<typeof mapFunctionCallArgumentsDoneToFunctionCallRequest>[0]
           );
-          clientWs.send(JSON.stringify(functionCallRequest));
+          const [call] = functionCallRequest.functions;
+          if (options.functionExecutor && executesFunction(options.functionExecutor, call.name)) {
+            clientWs.send(JSON.stringify({ ...functionCallRequest, functions: [{ ...call, client_side: false, proxy_executed: true }] }));
+            void runProxyFunctionCall(call, options.functionExecutor, req, serverFunctionCalls.signal)
+              .then((content) => {
+                if (serverFunctionCalls.signal.aborted || upstream.readyState !== WebSocket.OPEN) return;
+                const response: ComponentFunctionCallResponse = { type: 'FunctionCallResponse', id: call.id, name: call.name, content };
+                if (clientWs.readyState === WebSocket.OPEN) clientWs.send(JSON.stringify(response));
+                sendFunctionCallOutput(response, 'proxy');
+              })
+              .catch((err) => {
+                emitLog({
+                  severityNumber: SeverityNumber.ERROR,
+                  severityText: 'ERROR',
+                  body: `Server-side function call failed: ${call.name}`,
+                  attributes: {
+                    ...connectionAttrs,
+                    [ATTR_MESSAGE_TYPE]: 'FunctionCallResponse',
+                    function_name: call.name,
+                    [ATTR_ERROR_MESSAGE]: err instanceof Error ? err.message : String(err),
+                  },
+                });
+              });
+          } else {
+            clientWs.send(JSON.stringify(functionCallRequest));
+          }
           // Upstream requirement: ConversationText only from conversation.item.*
         } else if (msg.type === 'error') {
           const componentError = mapErrorToComponentError(msg as Parameters<typeof mapErrorToComponentError>[0]);
@@ -1056,7 +1249,7 @@ export function createOpenAIProxyServer(options: OpenAIProxyServerOptions): {
           // Component expects raw PCM (binary frame) for playback; upstream sends JSON with base64 delta.
           const delta = msg.delta;
           if (delta && typeof delta === 'string') {
-            const pcm = Buffer.from(delta, 'base64');
+            const pcm = resampleOutputAudio(Buffer.from(delta, 'base64'));
             if (pcm.length > 0) {
               hasReceivedOutputAudioDeltaForCurrentResponse = true; // Voice-commerce #1118: defer AgentAudioDone from output_text.done until output_audio.done
               sendAgentStartedSpeakingIfNeeded();
@@ -1093,6 +1286,11 @@ export function createOpenAIProxyServer(options: OpenAIProxyServerOptions): {
           }
           ttsChunkLengths = [];
           lastTtsChunk = null;
+          // The next response starts a new stream: no interpolation across responses
+          if (outputAudioResampler) {
+            outputAudioResampler = new Pcm16MonoStreamResampler(REALTIME_PCM_RATE, outputAudioResampler.outputRate);
+            outputAudioCarry = null;
+          }
           // Issue #482: Notify component that agent audio for this response is done (so idle timeout sees activity).
           sendAgentAudioDoneIfNeeded();
           // Issue #462: do not clear responseInProgress here. Real API may send output_audio.done before
@@ -1185,22 +1383,12 @@ export function createOpenAIProxyServer(options: OpenAIProxyServerOptions): {
             attributes: { ...connectionAttrs, [ATTR_DIRECTION]: 'upstream→client', [ATTR_MESSAGE_TYPE]: 'response.output_text.added' },
           });
         } else if (msg.type === 'response.output_text.delta') {
-          const raw = (msg as { delta?: unknown }).delta;
-          let piece = '';
-          if (typeof raw === 'string' && raw.length > 0) {
-            piece = raw;
-          } else if (raw !== null && typeof raw === 'object') {
-            const o = raw as Record<string, unknown>;
-            if (typeof o.text === 'string' && o.text.length > 0) piece = o.text;
-            else if (typeof o.delta === 'string' && o.delta.length > 0) piece = o.delta;
-          }
-          if (piece.length > 0) {
-            outputTextDeltaAccumulator += piece;
-          }
+          outputTextDeltaAccumulator += extractOutputTextDeltaPiece((msg as { delta?: unknown }).delta);
+          sendConversationTextDelta(msg as OpenAIOutputTextDelta);
           emitLog({
             severityNumber: SeverityNumber.DEBUG,
             severityText: 'DEBUG',
-            body: `upstream: ${msg.type} (accumulate for ConversationText fallback; len=${outputTextDeltaAccumulator.length})`,
+            body: `upstream→client: ${msg.type} → ConversationTextDelta (accumulate for ConversationText fallback; len=${outputTextDeltaAccumulator.length})`,
             attributes: { ...connectionAttrs, [ATTR_DIRECTION]: 'upstream→client', [ATTR_MESSAGE_TYPE]: 'response.output_text.delta' },
           });
         } else if (msg.type === 'conversation.created') {
@@ -1425,6 +1613,7 @@ export function createOpenAIProxyServer(options: OpenAIProxyServerOptions): {
       });
       flushPendingAudioCommitOnClientClose();
       clearProxyConnectionTimers();
+      serverFunctionCalls.abort();
       upstream.close();
     });
     (clientWs as unknown as WsLike).on('error', () => upstream.close());
@@ -147,7 +147,7 @@ export interface ComponentSettings {
     };
     speak?: { provider?: { voice?: string } };
     /** Conversation context for session continuity (Deepgram: in Settings; OpenAI: via conversation.item.create) */
-    context?: { messages?: Array<{ type?: string; role: 'user' | 'assistant'; content: string }> };
+    context?: { messages?: ComponentContextMessage[] };
     /** Optional greeting; proxy injects as initial assistant message after session.updated (Issue #381) */
     greeting?: string;
     /** Issue #540: maps to Realtime `session.audio.output` when valid after normalization. */
@@ -158,9 +158,31 @@ export interface ComponentSettings {
      * **Omitted in production:** OpenAI **Server VAD** is the default (`server_vad` + append-only mic).
      */
     useOpenAIManualAudioCommit?: boolean;
+    /**
+     * `'push-to-talk'`: the client ends each user turn with `EndUserTurn`, so `turn_detection` is null and the proxy
+     * commits only then (no debounce commit). Omitted or `'vad'`: Server VAD.
+     */
+    turnMode?: 'vad' | 'push-to-talk';
   };
 }
 
+/** Function call replayed from the component's conversation history (with the response it got) */
+export interface ComponentContextFunctionCall {
+  id?: string;
+  name: string;
+  client_side?: boolean;
+  arguments?: string;
+  response?: string;
+}
+
+/** agent.context message: a text turn (`role`, `content`), or `function_calls` for completed function calls */
+export interface ComponentContextMessage {
+  type?: string;
+  role?: 'user' | 'assistant';
+  content?: string;
+  function_calls?: ComponentContextFunctionCall[];
+}
+
 /** OpenAI Realtime `session.audio.input.turn_detection` when `type` is `server_vad` (Issue #560 Phase 2b). */
 export interface OpenAIRealtimeServerVadTurnDetection {
   type: 'server_vad';
@@ -196,6 +218,37 @@ export function buildOpenAIServerVadTurnDetection(idleTimeoutMs: number | undefi
   };
 }
 
+/** True when Settings selects push-to-talk: user turns end only on client `EndUserTurn`. */
+export function settingsUsePushToTalk(settings: ComponentSettings): boolean {
+  return settings.agent?.turnMode === 'push-to-talk';
+}
+
+/** Client audio formats from Settings `audio`, as the proxy handles them */
+export interface ClientAudioFormats {
+  /** Rate of the client's linear16 mic audio (resampled to 24 kHz before append) */
+  inputSampleRate: number;
+  /** What the client decodes: linear16 at any rate (resampled from 24 kHz), or G.711 at 8 kHz (Realtime pcmu/pcma) */
+  output: { encoding: 'linear16' | 'mulaw' | 'alaw'; sampleRate: number };
+}
+
+/** G.711 from Realtime (`audio/pcmu`, `audio/pcma`) is always 8 kHz */
+export const REALTIME_G711_RATE = 8000;
+
+const positiveInteger = (value: unknown): number | undefined =>
+  typeof value === 'number' && Number.isInteger(value) && value > 0 ? value : undefined;
+
+/** Settings `audio.input` / `audio.output` with the component's defaults (linear16 16 kHz in, linear16 24 kHz out). */
+export function resolveClientAudioFormats(settings: ComponentSettings): ClientAudioFormats {
+  const encoding = settings.audio?.output?.encoding;
+  const g711 = encoding === 'mulaw' || encoding === 'alaw' ? encoding : undefined;
+  return {
+    inputSampleRate: positiveInteger(settings.audio?.input?.sample_rate) ?? 16000,
+    output: g711
+      ? { encoding: g711, sampleRate: REALTIME_G711_RATE }
+      : { encoding: 'linear16', sampleRate: positiveInteger(settings.audio?.output?.sample_rate) ?? 24000 },
+  };
+}
+
 /** True when `session.update` maps mic input to OpenAI Server VAD (proxy must not send manual `input_audio_buffer.commit`). */
 export function sessionUpdateUsesOpenAIServerVad(update: OpenAISessionUpdate): boolean {
   const td = update.session.audio?.input?.turn_detection;
@@ -331,6 +384,25 @@ export interface ComponentConversationText {
   content: string;
 }
 
+/**
+ * Component message: ConversationTextDelta (incoming). Partial assistant text while the response streams;
+ * `turn_id` is stable for all deltas of one response. The final ConversationText is still sent for history.
+ */
+export interface ComponentConversationTextDelta {
+  type: 'ConversationTextDelta';
+  role: 'assistant';
+  delta: string;
+  turn_id: string;
+}
+
+/** OpenAI server events: response.output_text.delta / response.output_audio_transcript.delta */
+export interface OpenAIOutputTextDelta {
+  type: 'response.output_text.delta' | 'response.output_audio_transcript.delta';
+  response_id?: string;
+  item_id?: string;
+  delta?: unknown;
+}
+
 /** OpenAI server event: conversation.item.added (item may be assistant message with content) */
 export interface OpenAIConversationItemAdded {
   type: 'conversation.item.added';
@@ -384,10 +456,16 @@ function buildInstructionsWithContext(settings: ComponentSettings): string {
   const base = settings.agent?.think?.prompt ?? '';
   const messages = settings.agent?.context?.messages;
   if (!messages?.length) return base;
-  const lines = messages.map((m) => {
+  const lines = messages.flatMap((m) => {
+    if (Array.isArray(m.function_calls)) {
+      return m.function_calls.map(
+        (call) =>
+          `assistant: ${functionCallToConversationTextContent(call.name, call.arguments ?? '')} → ${(call.response ?? '').trim()}`
+      );
+    }
     const role = m.role === 'user' || m.role === 'assistant' ? m.role : 'user';
     const content = (m.content ?? '').trim();
-    return `${role}: ${content}`;
+    return [`${role}: ${content}`];
   });
   const contextBlock = `\n\nPrevious conversation:\n${lines.join('\n')}`;
   return base ? base + contextBlock : contextBlock.trim();
@@ -404,7 +482,7 @@ export function mapSettingsToSessionUpdate(settings: ComponentSettings): OpenAIS
     instructions = instructions ? instructions + functionInstruction : functionInstruction.trim();
   }
   /** Production default: Server VAD. Set `useOpenAIManualAudioCommit: true` only in tests that assert proxy commits. */
-  const useServerVad = settings.agent?.useOpenAIManualAudioCommit !== true;
+  const useServerVad = settings.agent?.useOpenAIManualAudioCommit !== true && !settingsUsePushToTalk(settings);
   const session: OpenAISessionUpdate['session'] = {
     type: 'realtime',
     model: settings.agent?.think?.provider?.model ?? 'gpt-realtime',
@@ -461,6 +539,15 @@ export function mapSettingsToSessionUpdate(settings: ComponentSettings): OpenAIS
   if (sessionOut !== undefined) {
     session.audio = { ...session.audio, output: sessionOut };
   }
+  // Settings audio.output G.711: upstream sends pcmu/pcma, which the proxy forwards as-is. Linear16 stays
+  // audio/pcm 24 kHz (the proxy resamples deltas to the client's rate).
+  const clientOutput = resolveClientAudioFormats(settings).output;
+  if (clientOutput.encoding !== 'linear16') {
+    session.audio = {
+      ...session.audio,
+      output: { ...session.audio?.output, format: { type: clientOutput.encoding === 'mulaw' ? 'audio/pcmu' : 'audio/pcma' } },
+    };
+  }
   return { type: 'session.update', session };
 }
 
@@ -499,6 +586,37 @@ export function mapOutputAudioTranscriptDoneToConversationText(
   };
 }
 
+/**
+ * Text piece of a streamed delta. The API sends a string; some mocks/older shapes wrap it as `{ text }` or `{ delta }` (Issue #555).
+ */
+export function extractOutputTextDeltaPiece(raw: unknown): string {
+  if (typeof raw === 'string') return raw;
+  if (raw !== null && typeof raw === 'object') {
+    const o = raw as Record<string, unknown>;
+    if (typeof o.text === 'string') return o.text;
+    if (typeof o.delta === 'string') return o.delta;
+  }
+  return '';
+}
+
+/**
+ * Map OpenAI response.output_text.delta / response.output_audio_transcript.delta → component ConversationTextDelta.
+ * turn_id is the upstream response_id (else item_id, else `fallbackTurnId`). Returns null for empty deltas.
+ */
+export function mapOutputTextDeltaToConversationTextDelta(
+  event: OpenAIOutputTextDelta,
+  fallbackTurnId: string
+): ComponentConversationTextDelta | null {
+  const delta = extractOutputTextDeltaPiece(event.delta);
+  if (!delta) return null;
+  return {
+    type: 'ConversationTextDelta',
+    role: 'assistant',
+    delta,
+    turn_id: event.response_id || event.item_id || fallbackTurnId,
+  };
+}
+
 /**
  * Map OpenAI response.function_call_arguments.done → component FunctionCallRequest.
  * So the component invokes onFunctionCallRequest and can return a result within ~1s for the backend.
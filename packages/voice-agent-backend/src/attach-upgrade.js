@@ -6,6 +6,8 @@
 const url = require('url');
 const WebSocket = require('ws');
 const WebSocketServer = require('ws').WebSocketServer;
+const { createProxyFunctionCalls } = require('./proxy-function-calls.js');
+const { createMessagePipeline } = require('./proxy-middleware.js');
 
 const DEFAULT_AGENT_URL = 'wss://agent.deepgram.com/v1/agent/converse';
 const DEFAULT_TRANSCRIPTION_URL = 'wss://api.deepgram.com/v1/listen';
@@ -33,6 +35,61 @@ function getLogger(opts) {
   };
 }
 
+/** Server-side function calls: consumes the upstream FunctionCallRequests the executor answers */
+function functionCallMiddleware(functionExecutor) {
+  return (connection) => {
+    const functionCalls = createProxyFunctionCalls(functionExecutor, {
+      req: connection.req,
+      sendUpstream: connection.sendToUpstream,
+      sendClient: connection.sendToClient,
+      logger: connection.logger,
+    });
+    return {
+      onUpstreamMessage: (message) => (functionCalls.handleUpstreamMessage(message) ? null : undefined),
+      onClose: () => functionCalls.close(),
+    };
+  };
+}
+
+/**
+ * Issue #489: send AgentAudioDone after first assistant ConversationText so idle timeout can start. Only send after we have forwarded at least one binary (audio) so we do not signal "done" before greeting audio arrives; if Deepgram sends ConversationText before audio, the component uses its text-only path (ConversationText → defer → idle).
+ * Wraps the forwarder to the client, so it sees frames after the middleware and keeps them synchronous when no
+ * middleware is configured.
+ */
+function withAgentAudioDone(forwardToClient) {
+  let sentAgentAudioDoneAfterFirstAssistantText = false;
+  let hasForwardedBinaryInThisConnection = false;
+  return (data, isBinary) => {
+    forwardToClient(data, isBinary);
+    if (sentAgentAudioDoneAfterFirstAssistantText) return;
+    if (isBinary) {
+      hasForwardedBinaryInThisConnection = true;
+      return;
+    }
+    let message;
+    try {
+      message = JSON.parse(typeof data === 'string' ? data : data.toString());
+    } catch {
+      return;
+    }
+    if (message?.type !== 'ConversationText' || message.role !== 'assistant') return;
+    sentAgentAudioDoneAfterFirstAssistantText = true;
+    if (hasForwardedBinaryInThisConnection) forwardToClient(JSON.stringify({ type: 'AgentAudioDone' }), false);
+  };
+}
+
+/** The caller's middleware first, then the proxy's own handling */
+function connectionMiddleware(middleware, functionExecutor) {
+  return [...(middleware || []), ...(functionExecutor ? [functionCallMiddleware(functionExecutor)] : [])];
+}
+
+/** A middleware factory threw (logged by createMessagePipeline): drop the upstream leg and close the client */
+function closeOnMiddlewareFailure(clientWs, upstreamWs) {
+  upstreamWs.on('error', noop);
+  upstreamWs.terminate();
+  clientWs.close(1011, 'Proxy middleware error');
+}
+
 function getPathname(reqUrl) {
   const parsed = url.parse(reqUrl || '', false);
   return parsed.pathname || '/';
@@ -51,11 +108,13 @@ function mergeUpstreamOptions(useHttps, callerOptions) {
 
 /**
  * Create Deepgram WebSocket proxy (client <-> Deepgram).
- * @param {{ path: string, apiKey: string, agentUrl?: string, transcriptionUrl?: string, verifyClient?: (info: object) => boolean, setSecurityHeaders?: (res: object) => void, logger?: object }} options
+ * With `functionExecutor`, the proxy runs the client-side function calls it handles and answers Deepgram itself.
+ * `middleware` hooks see every frame in both directions (see proxy-middleware.js).
+ * @param {{ path: string, apiKey: string, agentUrl?: string, transcriptionUrl?: string, verifyClient?: (info: object) => boolean, setSecurityHeaders?: (res: object) => void, functionExecutor?: import('./proxy-function-calls.js').FunctionExecutor, middleware?: import('./proxy-middleware.js').ProxyMiddleware[], logger?: object }} options
  * @returns {{ wss: import('ws').WebSocketServer }}
  */
 function createDeepgramWss(options) {
-  const { path: proxyPath, apiKey, agentUrl = DEFAULT_AGENT_URL, transcriptionUrl = DEFAULT_TRANSCRIPTION_URL, verifyClient, setSecurityHeaders } = options;
+  const { path: proxyPath, apiKey, agentUrl = DEFAULT_AGENT_URL, transcriptionUrl = DEFAULT_TRANSCRIPTION_URL, verifyClient, setSecurityHeaders, functionExecutor, middleware } = options;
   const log = getLogger(options);
 
   const wss = new WebSocketServer({
@@ -91,9 +150,6 @@ function createDeepgramWss(options) {
     const deepgramWs = new WebSocket(deepgramUrl.toString(), ['token', apiKey.trim()]);
     const messageQueue = [];
     const deepgramMessageQueue = [];
-    /** Issue #489: send AgentAudioDone after first assistant ConversationText so idle timeout can start. Only send after we have forwarded at least one binary (audio) so we do not signal "done" before greeting audio arrives; if Deepgram sends ConversationText before audio, the component uses its text-only path (ConversationText → defer → idle). */
-    let sentAgentAudioDoneAfterFirstAssistantText = false;
-    let hasForwardedBinaryInThisConnection = false;
 
     const forwardQueuedDeepgramMessages = () => {
       if (clientWs.readyState === WebSocket.OPEN && deepgramMessageQueue.length > 0) {
@@ -104,41 +160,40 @@ function createDeepgramWss(options) {
       }
     };
 
-    clientWs.on('message', (data, isBinary) => {
-      if (deepgramWs.readyState === WebSocket.OPEN) {
-        deepgramWs.send(data, { binary: isBinary });
-      } else {
-        messageQueue.push({ data, isBinary });
-      }
-    });
-
-    deepgramWs.on('message', (data, isBinary) => {
-      if (clientWs.readyState === WebSocket.OPEN) {
-        try {
-          clientWs.send(data, { binary: isBinary });
-          if (isBinary) {
-            hasForwardedBinaryInThisConnection = true;
-          }
-          if (!isBinary && !sentAgentAudioDoneAfterFirstAssistantText) {
+    let pipeline;
+    try {
+      pipeline = createMessagePipeline(connectionMiddleware(middleware, functionExecutor), {
+        proxy: 'deepgram',
+        service: serviceType === 'transcription' ? 'transcription' : 'agent',
+        req,
+        forwardToClient: withAgentAudioDone((data, isBinary) => {
+          if (clientWs.readyState === WebSocket.OPEN) {
             try {
-              const msg = typeof data === 'string' ? JSON.parse(data) : JSON.parse(data.toString());
-              if (msg && msg.type === 'ConversationText' && msg.role === 'assistant') {
-                sentAgentAudioDoneAfterFirstAssistantText = true;
-                // Only send AgentAudioDone if we have already forwarded audio (so we do not signal "done" before audio arrives and cancel the idle timer when audio then starts)
-                if (hasForwardedBinaryInThisConnection) {
-                  clientWs.send(JSON.stringify({ type: 'AgentAudioDone' }), { binary: false });
-                }
-              }
-            } catch (_) { /* not JSON or parse error: ignore */ }
+              clientWs.send(data, { binary: isBinary });
+            } catch (e) {
+              deepgramMessageQueue.push({ data, isBinary });
+            }
+          } else {
+            deepgramMessageQueue.push({ data, isBinary });
+            setTimeout(forwardQueuedDeepgramMessages, 100);
           }
-        } catch (e) {
-          deepgramMessageQueue.push({ data, isBinary });
-        }
-      } else {
-        deepgramMessageQueue.push({ data, isBinary });
-        setTimeout(forwardQueuedDeepgramMessages, 100);
-      }
-    });
+        }),
+        forwardToUpstream: (data, isBinary) => {
+          if (deepgramWs.readyState === WebSocket.OPEN) {
+            deepgramWs.send(data, { binary: isBinary });
+          } else {
+            messageQueue.push({ data, isBinary });
+          }
+        },
+        logger: log,
+      });
+    } catch {
+      closeOnMiddlewareFailure(clientWs, deepgramWs);
+      return;
+    }
+
+    clientWs.on('message', pipeline.fromClient);
+    deepgramWs.on('message', pipeline.fromUpstream);
 
     deepgramWs.on('open', () => {
       while (messageQueue.length > 0) {
@@ -161,6 +216,7 @@ function createDeepgramWss(options) {
     });
 
     clientWs.on('close', (code, reason) => {
+      pipeline.close();
       if (deepgramWs.readyState === WebSocket.OPEN) {
         const closeCode = typeof code === 'number' && code >= 1000 && code < 5000 && code !== 1005 && code !== 1006 ? code : 1000;
         deepgramWs.close(closeCode, Buffer.isBuffer(reason) ? reason.toString() : (reason || 'Connection closed'));
@@ -176,30 +232,53 @@ function createDeepgramWss(options) {
 
 /**
  * Create OpenAI WebSocket forwarder (client <-> upstream proxy).
- * @param {{ path: string, proxyUrl: string, upstreamOptions?: object, logger?: object }} options
+ * The translation proxy speaks the component protocol, so `functionExecutor` and `middleware` work as for
+ * createDeepgramWss.
+ * @param {{ path: string, proxyUrl: string, upstreamOptions?: object, verifyClient?: (info: object) => boolean, functionExecutor?: import('./proxy-function-calls.js').FunctionExecutor, middleware?: import('./proxy-middleware.js').ProxyMiddleware[], logger?: object }} options
  * @returns {{ wss: import('ws').WebSocketServer }}
  */
 function createOpenAIWss(options) {
-  const { path: openaiPath, proxyUrl, upstreamOptions = {} } = options;
+  const { path: openaiPath, proxyUrl, upstreamOptions = {}, verifyClient, functionExecutor, middleware } = options;
   const log = getLogger(options);
 
-  const wss = new WebSocketServer({ noServer: true, path: openaiPath });
+  const wss = new WebSocketServer({
+    noServer: true,
+    path: openaiPath,
+    ...(typeof verifyClient === 'function' && { verifyClient }),
+  });
 
   wss.on('connection', (clientWs, req) => {
     const query = req?.url?.includes('?') ? req.url.slice(req.url.indexOf('?')) : '';
     const upstream = new WebSocket(proxyUrl + query, upstreamOptions);
     /** Issue #571: client may send Settings (or audio) before upstream is OPEN; queue like createDeepgramWss. */
     const messageQueue = [];
+    let pipeline;
+    try {
+      pipeline = createMessagePipeline(connectionMiddleware(middleware, functionExecutor), {
+        proxy: 'openai',
+        service: 'agent',
+        req,
+        forwardToClient: (data, isBinary) => {
+          if (clientWs.readyState === WebSocket.OPEN) clientWs.send(data, { binary: isBinary });
+        },
+        forwardToUpstream: (data, isBinary) => {
+          if (upstream.readyState === WebSocket.OPEN) {
+            upstream.send(data, { binary: isBinary });
+          } else {
+            messageQueue.push({ data, isBinary });
+          }
+        },
+        logger: log,
+      });
+    } catch {
+      closeOnMiddlewareFailure(clientWs, upstream);
+      return;
+    }
 
-    clientWs.on('message', (data, isBinary) => {
-      if (upstream.readyState === WebSocket.OPEN) {
-        upstream.send(data, { binary: isBinary });
-      } else {
-        messageQueue.push({ data, isBinary });
-      }
-    });
+    clientWs.on('message', pipeline.fromClient);
 
     clientWs.on('close', () => {
+      pipeline.close();
       if (upstream.readyState === WebSocket.CONNECTING || upstream.readyState === WebSocket.OPEN) {
         upstream.close();
       }
@@ -215,7 +294,7 @@ function createOpenAIWss(options) {
         const { data, isBinary } = messageQueue.shift();
         upstream.send(data, { binary: isBinary });
       }
-      upstream.on('message', (data, isBinary) => clientWs.send(data, { binary: isBinary }));
+      upstream.on('message', pipeline.fromUpstream);
       upstream.on('close', () => clientWs.close());
     });
     upstream.on('error', (err) => {
@@ -227,11 +306,27 @@ function createOpenAIWss(options) {
   return { wss };
 }
 
-function waitForPort(port, timeoutMs = 15000) {
+/** SIGTERM to a child spawned with `detached` (its whole process group); the child alone on Windows */
+function killProcessGroup(child) {
+  if (process.platform !== 'win32' && child.pid) {
+    try {
+      process.kill(-child.pid, 'SIGTERM');
+      return;
+    } catch {
+      // Group already gone; fall through to the child
+    }
+  }
+  child.kill('SIGTERM');
+}
+
+/** Resolves once `port` accepts connections; `failed` (a child that exited early) rejects and stops polling */
+function waitForPort(port, timeoutMs = 15000, failed = new Promise(noop)) {
   const net = require('net');
   const start = Date.now();
-  return new Promise((resolve, reject) => {
+  let stopped = false;
+  const ready = new Promise((resolve, reject) => {
     const tryConnect = () => {
+      if (stopped) return;
       const s = net.connect(port, '127.0.0.1', () => { s.destroy(); resolve(); });
       s.on('error', () => {
         if (Date.now() - start > timeoutMs) reject(new Error(`Port ${port} not ready in ${timeoutMs}ms`));
@@ -240,14 +335,19 @@ function waitForPort(port, timeoutMs = 15000) {
     };
     tryConnect();
   });
+  return Promise.race([ready, failed]).finally(() => {
+    stopped = true;
+  });
 }
 
 /**
  * Attach WebSocket upgrade handler to server. Resolves when ready (after OpenAI spawn port wait if applicable).
+ * Rejects, with the subprocess stopped, when the spawned proxy does not listen on its port within `readyTimeoutMs`.
+ * The subprocess is also stopped when this process exits or gets SIGINT/SIGTERM.
  * @param {import('http').Server|import('https').Server} server
  * @param {{
- *   deepgram?: { path: string, apiKey: string, agentUrl?: string, transcriptionUrl?: string, verifyClient?: (info: object) => boolean, setSecurityHeaders?: (res: object) => void },
- *   openai?: { path: string, proxyUrl?: string, spawn?: { cwd: string, command: string, args: string[], env?: object, port: number }, upstreamOptions?: object } - upstreamOptions merged with package defaults; use for Authorization header for OpenAI Realtime (Issue #441)
+ *   deepgram?: { path: string, apiKey: string, agentUrl?: string, transcriptionUrl?: string, verifyClient?: (info: object) => boolean, setSecurityHeaders?: (res: object) => void, functionExecutor?: object, middleware?: Function[] },
+ *   openai?: { path: string, proxyUrl?: string, spawn?: { cwd: string, command: string, args: string[], env?: object, port: number, readyTimeoutMs?: number }, upstreamOptions?: object, verifyClient?: (info: object) => boolean, functionExecutor?: object, middleware?: Function[] } - upstreamOptions merged with package defaults; use for Authorization header for OpenAI Realtime (Issue #441)
  *   logger?: object
  * }} options
  * @returns {Promise<{ shutdown: () => Promise<void> }>}
@@ -261,6 +361,24 @@ async function attachVoiceAgentUpgrade(server, options = {}) {
   let wssOpenAI = null;
   let openaiChild = null;
 
+  // The subprocess has its own process group, so it does not die with ours: stop it when this process ends
+  const stopOpenAIChild = () => {
+    if (openaiChild) {
+      killProcessGroup(openaiChild);
+      openaiChild = null;
+    }
+  };
+  const stopOnSignal = (signal) => {
+    stopOpenAIChild();
+    removeExitHandlers();
+    // Without other listeners the signal would have ended the process; keep that behavior
+    if (process.listenerCount(signal) === 0) process.kill(process.pid, signal);
+  };
+  const exitHandlers = { exit: stopOpenAIChild, SIGINT: stopOnSignal, SIGTERM: stopOnSignal };
+  function removeExitHandlers() {
+    for (const [event, handler] of Object.entries(exitHandlers)) process.removeListener(event, handler);
+  }
+
   const deepgramOpts = options.deepgram;
   const openaiOpts = options.openai;
   const useHttps = options.https === true || options.https === '1';
@@ -274,7 +392,7 @@ async function attachVoiceAgentUpgrade(server, options = {}) {
   let openaiProxyUrl = openaiOpts?.proxyUrl;
   if (openaiOpts?.spawn) {
     const { spawn } = require('child_process');
-    const { cwd, command, args, env = {}, port } = openaiOpts.spawn;
+    const { cwd, command, args, env = {}, port, readyTimeoutMs = 15000 } = openaiOpts.spawn;
     // EPIC-546: run.ts ignores generic HTTPS=1. Strip HTTPS from the subprocess so host .env cannot
     // accidentally imply proxy TLS. When this attachment serves wss (useHttps), opt in to dev TLS
     // unless the caller already set PEM paths (mkcert / operator certs).
@@ -288,10 +406,12 @@ async function attachVoiceAgentUpgrade(server, options = {}) {
         merged.OPENAI_PROXY_INSECURE_DEV_TLS = merged.OPENAI_PROXY_INSECURE_DEV_TLS || '1';
       }
     }
+    // Own process group: `npx tsx` runs the proxy in a grandchild that a signal to the direct child does not reach
     openaiChild = spawn(command, args, {
       cwd,
       stdio: ['ignore', 'pipe', 'pipe'],
       env: merged,
+      detached: process.platform !== 'win32',
     });
     openaiChild.stdout?.on('data', (d) => process.stdout.write(d));
     openaiChild.stderr?.on('data', (d) => process.stderr.write(d));
@@ -300,7 +420,20 @@ async function attachVoiceAgentUpgrade(server, options = {}) {
       if (code != null && code !== 0) log.error('[Proxy] OpenAI subprocess exited', { code });
       if (sig) log.error('[Proxy] OpenAI subprocess killed', { signal: sig });
     });
-    await waitForPort(port, 15000);
+    for (const [event, handler] of Object.entries(exitHandlers)) process.once(event, handler);
+    const child = openaiChild;
+    const childFailed = new Promise((_resolve, reject) => {
+      child.once('error', reject);
+      child.once('exit', (code, sig) => reject(new Error(`OpenAI subprocess exited before listening on port ${port} (${sig || `code ${code}`})`)));
+    });
+    try {
+      await waitForPort(port, readyTimeoutMs, childFailed);
+    } catch (err) {
+      stopOpenAIChild();
+      removeExitHandlers();
+      wssDeepgram?.close();
+      throw err;
+    }
     openaiProxyUrl = `${wsScheme}://127.0.0.1:${port}/openai`;
   }
 
@@ -310,6 +443,9 @@ async function attachVoiceAgentUpgrade(server, options = {}) {
       path: openaiOpts.path,
       proxyUrl: openaiProxyUrl,
       upstreamOptions,
+      verifyClient: openaiOpts.verifyClient,
+      functionExecutor: openaiOpts.functionExecutor,
+      middleware: openaiOpts.middleware,
       logger: options.logger,
     });
     wssOpenAI = wss;
@@ -327,10 +463,8 @@ async function attachVoiceAgentUpgrade(server, options = {}) {
   });
 
   async function shutdown() {
-    if (openaiChild) {
-      openaiChild.kill('SIGTERM');
-      openaiChild = null;
-    }
+    stopOpenAIChild();
+    removeExitHandlers();
     const close = (wss) => new Promise((r) => (wss ? wss.close(r) : r()));
     await close(wssDeepgram);
     await close(wssOpenAI);
@@ -7,7 +7,8 @@
 const { createServer } = require('./index.js');
 
 const port = parseInt(process.env.PORT || '3000', 10);
-const app = createServer({});
+// The proxies use DEEPGRAM_API_KEY and OPENAI_API_KEY from the environment
+const app = createServer({ openaiProxy: { enabled: true } });
 const server = app.listen(port, () => {
   if (process.send) process.send({ event: 'listening', port: server.address().port });
 });
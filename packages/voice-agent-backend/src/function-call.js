@@ -0,0 +1,131 @@
+/**
+ * POST /function-call execution shared by createFunctionCallHandler (raw Node HTTP) and the Express route.
+ * Contract: docs/BACKEND-PROXY/BACKEND-FUNCTION-CALL-CONTRACT.md
+ */
+
+const DEFAULT_FUNCTION_TIMEOUT_MS = 10000;
+
+const TIMED_OUT = Symbol('timed out');
+
+/**
+ * Timeout for one function: options.timeouts[name], else options.timeoutMs, else DEFAULT_FUNCTION_TIMEOUT_MS
+ * @param {{ timeoutMs?: number, timeouts?: Record<string, number> }} options
+ * @param {string} name
+ * @returns {number}
+ */
+function functionTimeoutMs(options, name) {
+  const perFunction = options.timeouts?.[name];
+  if (typeof perFunction === 'number' && perFunction > 0) return perFunction;
+  if (typeof options.timeoutMs === 'number' && options.timeoutMs > 0) return options.timeoutMs;
+  return DEFAULT_FUNCTION_TIMEOUT_MS;
+}
+
+/**
+ * Maps what execute returned to the response body. `{ error }` and `{ content }` (strings) pass through; a string
+ * is the content; anything else is JSON-serialized into content.
+ * @returns {{ status: number, body: { content: string } | { error: string } }}
+ */
+function toFunctionCallResponse(result) {
+  if (result === undefined) {
+    return { status: 500, body: { error: 'Handler did not return content or error' } };
+  }
+  if (result && typeof result === 'object' && !Array.isArray(result)) {
+    if (typeof result.error === 'string') return { status: 200, body: { error: result.error } };
+    if (typeof result.content === 'string') return { status: 200, body: { content: result.content } };
+  }
+  if (typeof result === 'string') return { status: 200, body: { content: result } };
+  try {
+    return { status: 200, body: { content: JSON.stringify(result) } };
+  } catch (err) {
+    return { status: 500, body: { error: `Result is not JSON-serializable: ${err instanceof Error ? err.message : String(err)}` } };
+  }
+}
+
+/**
+ * Validates a POST /function-call body and runs `execute(name, args, context)`, awaiting a returned Promise.
+ * The call is abandoned with 504 after its timeout; `context.signal` aborts on timeout and when `requestSignal`
+ * does (the client went away).
+ *
+ * @param {unknown} payload - Parsed request body `{ id, name, arguments }`
+ * @param {{
+ *   execute: (name: string, args: object, context: object) => unknown,
+ *   timeoutMs?: number,
+ *   timeouts?: Record<string, number>,
+ *   getRequestContext?: (req: object) => object | Promise<object>
+ * }} options - getRequestContext supplies per-request fields such as `sessionId` and `identity`; throwing rejects
+ *   the call with 401
+ * @param {object} req - Incoming request, passed to getRequestContext and as `context.req`
+ * @param {AbortSignal} requestSignal - Aborts when the client disconnects
+ * @returns {Promise<{ status: number, body: { content: string } | { error: string } }>}
+ */
+async function runFunctionCall(payload, options, req, requestSignal) {
+  const { id, name, arguments: argsStr } = payload || {};
+  if (typeof id !== 'string' || typeof name !== 'string' || typeof argsStr !== 'string') {
+    return { status: 400, body: { error: 'Missing or invalid id, name, or arguments' } };
+  }
+  let args = {};
+  try {
+    args = JSON.parse(argsStr || '{}');
+  } catch {
+    // leave args as {}
+  }
+
+  let requestContext = {};
+  if (typeof options.getRequestContext === 'function') {
+    try {
+      requestContext = (await options.getRequestContext(req)) || {};
+    } catch (err) {
+      return { status: 401, body: { error: err instanceof Error ? err.message : 'Unauthorized' } };
+    }
+  }
+
+  const timeoutMs = functionTimeoutMs(options, name);
+  const controller = new AbortController();
+  const abortWithRequest = () => controller.abort(requestSignal.reason);
+  if (requestSignal.aborted) abortWithRequest();
+  else requestSignal.addEventListener('abort', abortWithRequest, { once: true });
+  let timer;
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(() => resolve(TIMED_OUT), timeoutMs);
+  });
+
+  try {
+    const context = { ...requestContext, id, name, signal: controller.signal, req };
+    const result = await Promise.race([
+      Promise.resolve().then(() => options.execute(name, args, context)),
+      timeout,
+    ]);
+    if (result === TIMED_OUT) {
+      controller.abort(new Error(`Function ${name} timed out after ${timeoutMs} ms`));
+      return { status: 504, body: { error: `Function ${name} timed out after ${timeoutMs} ms` } };
+    }
+    return toFunctionCallResponse(result);
+  } catch (err) {
+    return { status: 500, body: { error: err instanceof Error ? err.message : 'Internal error' } };
+  } finally {
+    clearTimeout(timer);
+    requestSignal.removeEventListener('abort', abortWithRequest);
+  }
+}
+
+/**
+ * AbortSignal that aborts when `res` closes before the response was sent (client disconnected)
+ * @param {import('http').ServerResponse} res
+ * @returns {AbortSignal}
+ */
+function responseCloseSignal(res) {
+  const controller = new AbortController();
+  if (typeof res.once === 'function') {
+    res.once('close', () => {
+      if (!res.writableEnded) controller.abort(new Error('Client closed the request'));
+    });
+  }
+  return controller.signal;
+}
+
+module.exports = {
+  DEFAULT_FUNCTION_TIMEOUT_MS,
+  runFunctionCall,
+  responseCloseSignal,
+  toFunctionCallResponse,
+};
@@ -0,0 +1,168 @@
+/**
+ * Function registry: each function is declared once (name, description, JSON-schema parameters, handler) and serves
+ * both the agent definitions (GET /function-call) and execution (POST /function-call).
+ * Contract: docs/BACKEND-PROXY/BACKEND-FUNCTION-CALL-CONTRACT.md
+ */
+
+const EMPTY_PARAMETERS = { type: 'object', properties: {} };
+
+const hasOwn = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+const sameJson = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+function typeMatches(type, value) {
+  switch (type) {
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'null':
+      return value === null;
+    default:
+      return typeof value === type;
+  }
+}
+
+function validateValue(schema, value, at, errors) {
+  if (!schema || typeof schema !== 'object') return;
+
+  if (schema.type !== undefined) {
+    const types = (Array.isArray(schema.type) ? schema.type : [schema.type]).filter((type) => typeof type === 'string');
+    if (types.length > 0 && !types.some((type) => typeMatches(type, value))) {
+      errors.push(`${at} must be ${types.join(' or ')}`);
+      return;
+    }
+  }
+  if (Array.isArray(schema.enum) && !schema.enum.some((option) => sameJson(option, value))) {
+    errors.push(`${at} must be one of ${schema.enum.map((option) => JSON.stringify(option)).join(', ')}`);
+  }
+  if (hasOwn(schema, 'const') && !sameJson(schema.const, value)) {
+    errors.push(`${at} must be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === 'string') {
+    if (typeof schema.minLength === 'number' && value.length < schema.minLength) {
+      errors.push(`${at} must be at least ${schema.minLength} characters`);
+    }
+    if (typeof schema.maxLength === 'number' && value.length > schema.maxLength) {
+      errors.push(`${at} must be at most ${schema.maxLength} characters`);
+    }
+    if (typeof schema.pattern === 'string') {
+      let pattern;
+      try {
+        pattern = new RegExp(schema.pattern, 'u');
+      } catch {
+        // Invalid pattern in the declaration: not the agent's fault
+      }
+      if (pattern && !pattern.test(value)) errors.push(`${at} must match ${schema.pattern}`);
+    }
+  } else if (typeof value === 'number') {
+    if (typeof schema.minimum === 'number' && value < schema.minimum) errors.push(`${at} must be >= ${schema.minimum}`);
+    if (typeof schema.maximum === 'number' && value > schema.maximum) errors.push(`${at} must be <= ${schema.maximum}`);
+    if (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum) {
+      errors.push(`${at} must be > ${schema.exclusiveMinimum}`);
+    }
+    if (typeof schema.exclusiveMaximum === 'number' && value >= schema.exclusiveMaximum) {
+      errors.push(`${at} must be < ${schema.exclusiveMaximum}`);
+    }
+  } else if (Array.isArray(value)) {
+    if (typeof schema.minItems === 'number' && value.length < schema.minItems) {
+      errors.push(`${at} must have at least ${schema.minItems} items`);
+    }
+    if (typeof schema.maxItems === 'number' && value.length > schema.maxItems) {
+      errors.push(`${at} must have at most ${schema.maxItems} items`);
+    }
+    value.forEach((item, i) => validateValue(schema.items, item, `${at}[${i}]`, errors));
+  } else if (typeMatches('object', value)) {
+    const properties = typeMatches('object', schema.properties) ? schema.properties : {};
+    for (const key of Array.isArray(schema.required) ? schema.required : []) {
+      if (typeof key === 'string' && !hasOwn(value, key)) errors.push(`${at}.${key} is required`);
+    }
+    for (const [key, item] of Object.entries(value)) {
+      if (hasOwn(properties, key)) {
+        validateValue(properties[key], item, `${at}.${key}`, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${at}.${key} is not allowed`);
+      } else {
+        validateValue(schema.additionalProperties, item, `${at}.${key}`, errors);
+      }
+    }
+  }
+}
+
+/**
+ * Checks `args` against a function's JSON-schema `parameters`. Supports the keywords agents use for tool
+ * parameters: type, enum, const, properties, required, additionalProperties, items, min/max(Length|Items), pattern,
+ * minimum/maximum and exclusiveMinimum/exclusiveMaximum. Other keywords, and an invalid pattern, are ignored.
+ * Keeps the same keywords and semantics as the component's src/utils/json-schema-validator.ts (both are tested
+ * against tests/fixtures/json-schema-cases.ts).
+ * @param {object} schema
+ * @param {unknown} args
+ * @returns {string[]} Problems found, e.g. `arguments.timezone must be string`; empty when valid
+ */
+function validateArguments(schema, args) {
+  const errors = [];
+  validateValue(schema, args, 'arguments', errors);
+  return errors;
+}
+
+/**
+ * @typedef {object} FunctionDeclaration
+ * @property {string} name
+ * @property {string} description - Tells the agent when to call the function
+ * @property {object} [parameters] - JSON schema for the arguments object (default: no arguments)
+ * @property {(args: object, context: object) => unknown} handler - May be async; result as for createFunctionCallHandler's execute
+ */
+
+/**
+ * Builds a registry from function declarations. Throws a TypeError for a declaration without a name or handler,
+ * or a name declared twice.
+ * @param {FunctionDeclaration[]} functions
+ * @returns {{
+ *   definitions: () => Array<{ name: string, description: string, parameters: object }>,
+ *   has: (name: string) => boolean,
+ *   execute: (name: string, args: object, context?: object) => Promise<unknown>
+ * }} execute validates args and answers `{ error }` for an unknown function or invalid arguments, so the agent
+ *   can correct its call.
+ */
+function createFunctionRegistry(functions) {
+  const byName = new Map();
+  for (const declaration of functions || []) {
+    const { name, handler } = declaration || {};
+    if (typeof name !== 'string' || !name) {
+      throw new TypeError('Function declaration needs a name');
+    }
+    if (typeof handler !== 'function') {
+      throw new TypeError(`Function ${name} needs a handler`);
+    }
+    if (byName.has(name)) {
+      throw new TypeError(`Function ${name} is declared more than once`);
+    }
+    byName.set(name, declaration);
+  }
+
+  return {
+    definitions: () =>
+      Array.from(byName.values(), ({ name, description, parameters }) => ({
+        name,
+        description: description ?? '',
+        parameters: parameters ?? EMPTY_PARAMETERS,
+      })),
+    has: (name) => byName.has(name),
+    async execute(name, args, context = {}) {
+      const declaration = byName.get(name);
+      if (!declaration) return { error: `Unknown function: ${name}` };
+      const problems = validateArguments(declaration.parameters ?? EMPTY_PARAMETERS, args);
+      if (problems.length > 0) return { error: `Invalid arguments for ${name}: ${problems.join('; ')}` };
+      return declaration.handler(args, context);
+    },
+  };
+}
+
+module.exports = {
+  createFunctionRegistry,
+  validateArguments,
+};
@@ -9,11 +9,21 @@ if (process.env.LOG_LEVEL) {
   console.log('[voice-agent-backend] LOG_LEVEL:', process.env.LOG_LEVEL);
 }
 
+const path = require('path');
 const express = require('express');
+const { attachVoiceAgentUpgrade } = require('./attach-upgrade.js');
+const { runFunctionCall, responseCloseSignal } = require('./function-call.js');
+const { createFunctionRegistry, validateArguments } = require('./function-registry.js');
+
+const DEFAULT_DEEPGRAM_PROXY_PATH = '/api/deepgram/proxy';
+const DEFAULT_OPENAI_PROXY_PATH = '/api/openai/proxy';
+/** Port of the OpenAI translation proxy subprocess (scripts/openai-proxy/run.ts); same as test-app backend-server */
+const DEFAULT_OPENAI_PROXY_PORT = 8081;
 
 /**
- * Create an Express app with voice-agent backend routes mounted.
- * @param {object} options - { deepgramProxy?, openaiProxy?, functionCall? }
+ * Create an Express app with voice-agent backend routes mounted. `app.listen()` attaches the WebSocket proxies
+ * to the server it returns, so `createServer(options).listen(port)` is a complete backend.
+ * @param {object} options - { deepgramProxy?, openaiProxy?, functionCall?, verifyClient?, functionExecutor?, middleware?, https?, logger? } (see mountVoiceAgentBackend)
  * @returns {import('express').Application}
  */
 function createServer(options = {}) {
@@ -23,117 +33,209 @@ function createServer(options = {}) {
 }
 
 /**
- * Mount voice-agent backend routes on an existing Express app.
+ * Mount voice-agent backend routes on an existing Express app and wire the Deepgram and OpenAI WebSocket proxies
+ * onto its server: automatically for `app.listen()`, or with the returned `attach(server)` when the app is served
+ * by `http.createServer(app)` / `https.createServer(..., app)`. Plain HTTP requests to a proxy path get 426.
+ * A proxy without an API key is not attached; its path answers 501.
  * @param {import('express').Application} app - Express application
- * @param {object} options - { deepgramProxy?, openaiProxy?, functionCall? }
- * @param {object} [options.functionCall] - { path?, execute?(name, args) => { content? } | { error? } }
+ * @param {object} options
+ * @param {object} [options.deepgramProxy] - { enabled?, path?, apiKey? (default DEEPGRAM_API_KEY), agentUrl?, transcriptionUrl?, verifyClient?, setSecurityHeaders?, functionExecutor?, middleware? }
+ * @param {object} [options.openaiProxy] - { enabled?, path?, apiKey? (default OPENAI_API_KEY when `enabled: true`), upstreamUrl?, port?, env?, proxyUrl?, upstreamOptions?, verifyClient?, functionExecutor?, middleware? }.
+ *   With `apiKey` or `enabled: true`, spawns scripts/openai-proxy/run.ts (with the tsx dependency) on `port`
+ *   (upstreamUrl is its OPENAI_REALTIME_URL); `proxyUrl` points at a running translation proxy instead.
+ * @param {object} [options.functionCall] - { path?, functions?, execute?(name, args, context), timeoutMs?, timeouts?, getRequestContext? } (see createFunctionCallHandler)
+ * @param {(info: object) => boolean} [options.verifyClient] - Auth check for both proxies unless a proxy sets its own
+ * @param {object} [options.functionExecutor] - Runs function calls inside both proxies unless a proxy sets its own
+ *   `functionExecutor` (e.g. `createFunctionRegistry(functions)`); see proxy-function-calls.js
+ * @param {Function[]} [options.middleware] - Message middleware for both proxies unless a proxy sets its own
+ *   `middleware`; see proxy-middleware.js
+ * @param {boolean} [options.https] - The server terminates TLS (clients connect with wss)
+ * @param {object} [options.logger] - { info, warn, error, debug }
+ * @returns {{ attach: (server: import('http').Server|import('https').Server) => Promise<{ shutdown: () => Promise<void> }>, shutdown: () => Promise<void> }}
  */
 function mountVoiceAgentBackend(app, options = {}) {
   const opts = options || {};
+  const upgradeOptions = { logger: opts.logger, https: opts.https };
+  /** Set when the OpenAI proxy could not be started; its path then answers 503 */
+  let openaiFailure = null;
   if (opts.deepgramProxy?.enabled !== false) {
-    app.use('/api/deepgram/proxy', _placeholderRouter('deepgram'));
+    const deepgramPath = opts.deepgramProxy?.path ?? DEFAULT_DEEPGRAM_PROXY_PATH;
+    const deepgram = _deepgramUpgradeOptions(deepgramPath, opts);
+    upgradeOptions.deepgram = deepgram;
+    app.use(deepgramPath, deepgram ? _upgradeRequiredRouter('deepgram') : _notConfiguredRouter('deepgram', 'Set deepgramProxy.apiKey or DEEPGRAM_API_KEY'));
   }
   if (opts.openaiProxy?.enabled !== false) {
-    app.use('/api/openai/proxy', _placeholderRouter('openai'));
+    const openaiPath = opts.openaiProxy?.path ?? DEFAULT_OPENAI_PROXY_PATH;
+    const openai = _openaiUpgradeOptions(openaiPath, opts);
+    upgradeOptions.openai = openai;
+    app.use(openaiPath, openai ? _upgradeRequiredRouter('openai', () => openaiFailure) : _notConfiguredRouter('openai', 'Set openaiProxy.apiKey, or openaiProxy.enabled with OPENAI_API_KEY, or openaiProxy.proxyUrl'));
   }
+
+  let attachment = null;
+  const attach = (server) => {
+    if (!attachment) {
+      attachment = attachVoiceAgentUpgrade(server, upgradeOptions).catch((err) => {
+        if (!upgradeOptions.openai?.spawn) throw err;
+        // Keep the Deepgram proxy when only the OpenAI subprocess failed to start
+        openaiFailure = err instanceof Error ? err.message : String(err);
+        opts.logger?.error?.('[voice-agent-backend] OpenAI proxy failed to start; its path answers 503', { message: openaiFailure });
+        return attachVoiceAgentUpgrade(server, { ...upgradeOptions, openai: undefined });
+      });
+      server.on('close', () => {
+        attachment.then((a) => a.shutdown()).catch(() => {});
+      });
+    }
+    return attachment;
+  };
+  const shutdown = async () => {
+    if (attachment) await (await attachment).shutdown();
+  };
+
+  if (upgradeOptions.deepgram || upgradeOptions.openai) {
+    const listen = app.listen;
+    app.listen = function listenWithProxies(...args) {
+      const server = listen.apply(this, args);
+      attach(server).catch((err) => {
+        opts.logger?.error?.('[voice-agent-backend] Attaching the WebSocket proxies failed', {
+          message: err instanceof Error ? err.message : String(err),
+        });
+      });
+      return server;
+    };
+  }
+
   const fcPath = opts.functionCall?.path ?? '/api/function-call';
-  const execute = opts.functionCall?.execute;
-  if (typeof execute === 'function') {
+  const functionCall = _withFunctionRegistry(opts.functionCall || {});
+  if (typeof functionCall.execute === 'function') {
     app.use(express.json());
-    app.post(fcPath, _functionCallRoute(execute));
+    app.post(fcPath, _functionCallRoute(functionCall));
+    if (functionCall.definitions) {
+      app.get(fcPath, (_req, res) => res.json(functionCall.definitions));
+    }
     app.use(fcPath, _catchAllPlaceholder('function-call'));
   } else {
     app.use(fcPath, _placeholderRouter('function-call'));
   }
+
+  return { attach, shutdown };
+}
+
+function _deepgramUpgradeOptions(proxyPath, opts) {
+  const deepgram = opts.deepgramProxy || {};
+  const apiKey = (deepgram.apiKey ?? process.env.DEEPGRAM_API_KEY ?? '').trim();
+  if (!apiKey) return undefined;
+  return {
+    path: proxyPath,
+    apiKey,
+    ...(deepgram.agentUrl && { agentUrl: deepgram.agentUrl }),
+    ...(deepgram.transcriptionUrl && { transcriptionUrl: deepgram.transcriptionUrl }),
+    verifyClient: deepgram.verifyClient ?? opts.verifyClient,
+    setSecurityHeaders: deepgram.setSecurityHeaders,
+    functionExecutor: deepgram.functionExecutor ?? opts.functionExecutor,
+    middleware: deepgram.middleware ?? opts.middleware,
+  };
+}
+
+function _openaiUpgradeOptions(proxyPath, opts) {
+  const openai = opts.openaiProxy || {};
+  const common = {
+    path: proxyPath,
+    verifyClient: openai.verifyClient ?? opts.verifyClient,
+    upstreamOptions: openai.upstreamOptions,
+    functionExecutor: openai.functionExecutor ?? opts.functionExecutor,
+    middleware: openai.middleware ?? opts.middleware,
+  };
+  if (openai.proxyUrl) {
+    return { ...common, proxyUrl: openai.proxyUrl };
+  }
+  // Spawning is opt-in: an OPENAI_API_KEY in the environment alone does not start a subprocess
+  if (openai.apiKey === undefined && openai.enabled !== true) return undefined;
+  const apiKey = (openai.apiKey ?? process.env.OPENAI_API_KEY ?? '').trim();
+  if (!apiKey) return undefined;
+  return {
+    ...common,
+    spawn: {
+      cwd: path.resolve(__dirname, '..'),
+      command: process.execPath,
+      args: [require.resolve('tsx/cli'), 'scripts/openai-proxy/run.ts'],
+      env: {
+        ...openai.env,
+        OPENAI_API_KEY: apiKey,
+        ...(openai.upstreamUrl && { OPENAI_REALTIME_URL: openai.upstreamUrl }),
+      },
+      port: openai.port ?? DEFAULT_OPENAI_PROXY_PORT,
+    },
+  };
 }
 
 /**
- * Returns a handler for raw Node HTTP (req, res) for POST /function-call.
+ * Returns a handler for raw Node HTTP (req, res) for POST /function-call, and for GET /function-call (the agent
+ * function definitions) when `functions` is given.
  * Use when not using Express (e.g. test-app backend-server).
- * @param {{ execute: (name: string, args: object) => { content?: string } | { error?: string } }} options
+ * @param {{
+ *   functions?: import('./function-registry.js').FunctionDeclaration[],
+ *   execute?: (name: string, args: object, context: { id: string, name: string, signal: AbortSignal, req: object }) => unknown,
+ *   timeoutMs?: number,
+ *   timeouts?: Record<string, number>,
+ *   getRequestContext?: (req: import('http').IncomingMessage) => object | Promise<object>
+ * }} options - execute may be async. It returns `{ content }`, `{ error }`, a string, or any JSON-serializable
+ *   result (sent as content). `context.signal` aborts on timeout (default 10 s; `timeouts` per function name) or
+ *   client disconnect. getRequestContext adds fields such as `sessionId` / `identity` to the context; throwing
+ *   answers 401. With `functions`, calls go to the matching handler after its arguments are validated against its
+ *   parameters schema, and `execute` is not used.
  * @returns {(req: import('http').IncomingMessage, res: import('http').ServerResponse) => void}
  */
 function createFunctionCallHandler(options = {}) {
-  const execute = options.execute;
-  if (typeof execute !== 'function') {
+  const functionCall = _withFunctionRegistry(options);
+  if (typeof functionCall.execute !== 'function') {
     return (req, res) => {
       res.writeHead(501, { 'Content-Type': 'application/json' });
       res.end(JSON.stringify({ error: 'Not implemented', route: 'function-call' }));
     };
   }
   return function functionCallHandler(req, res) {
+    if (req.method === 'GET' && functionCall.definitions) {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(functionCall.definitions));
+      return;
+    }
     if (req.method !== 'POST') {
       res.writeHead(405, { 'Content-Type': 'application/json' });
       res.end(JSON.stringify({ error: 'Method Not Allowed' }));
       return;
     }
+    const signal = responseCloseSignal(res);
     let body = '';
     req.on('data', (chunk) => { body += chunk; });
-    req.on('end', () => {
+    req.on('end', async () => {
+      let result;
       try {
-        const payload = JSON.parse(body || '{}');
-        const id = payload.id;
-        const name = payload.name;
-        const argsStr = payload.arguments;
-        if (typeof id !== 'string' || typeof name !== 'string' || typeof argsStr !== 'string') {
-          res.writeHead(400, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ error: 'Missing or invalid id, name, or arguments' }));
-          return;
-        }
-        let args = {};
-        try {
-          args = JSON.parse(argsStr || '{}');
-        } catch {
-          // leave args as {}
-        }
-        const result = execute(name, args);
-        if (result && typeof result.error === 'string') {
-          res.writeHead(200, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ error: result.error }));
-          return;
-        }
-        if (result && typeof result.content === 'string') {
-          res.writeHead(200, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ content: result.content }));
-          return;
-        }
-        res.writeHead(500, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'Handler did not return content or error' }));
+        result = await runFunctionCall(JSON.parse(body || '{}'), functionCall, req, signal);
       } catch (err) {
-        res.writeHead(500, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: err instanceof Error ? err.message : 'Internal error' }));
+        result = { status: 500, body: { error: err instanceof Error ? err.message : 'Internal error' } };
       }
+      if (res.writableEnded || res.destroyed) return;
+      res.writeHead(result.status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(result.body));
     });
   };
 }
 
-function _functionCallRoute(execute) {
-  return (req, res, next) => {
+/**
+ * With `functions`, replaces execute with a registry over them and adds their `definitions`
+ */
+function _withFunctionRegistry(options) {
+  if (!Array.isArray(options.functions)) return options;
+  const registry = createFunctionRegistry(options.functions);
+  return { ...options, execute: registry.execute, definitions: registry.definitions() };
+}
+
+function _functionCallRoute(options) {
+  return async (req, res, next) => {
     if (req.method !== 'POST') return next();
-    const payload = req.body || {};
-    const id = payload.id;
-    const name = payload.name;
-    const argsStr = payload.arguments;
-    if (typeof id !== 'string' || typeof name !== 'string' || typeof argsStr !== 'string') {
-      res.status(400).json({ error: 'Missing or invalid id, name, or arguments' });
-      return;
-    }
-    let args = {};
-    try {
-      args = JSON.parse(argsStr || '{}');
-    } catch {
-      // leave args as {}
-    }
-    const result = execute(name, args);
-    if (result && typeof result.error === 'string') {
-      res.status(200).json({ error: result.error });
-      return;
-    }
-    if (result && typeof result.content === 'string') {
-      res.status(200).json({ content: result.content });
-      return;
-    }
-    res.status(500).json({ error: 'Handler did not return content or error' });
+    const result = await runFunctionCall(req.body || {}, options, req, responseCloseSignal(res));
+    if (res.headersSent || res.destroyed) return;
+    res.status(result.status).json(result.body);
   };
 }
 
@@ -145,6 +247,27 @@ function _catchAllPlaceholder(name) {
   return router;
 }
 
+function _upgradeRequiredRouter(name, getFailure = () => null) {
+  const router = express.Router();
+  router.all('*', (_req, res) => {
+    const failure = getFailure();
+    if (failure) {
+      res.status(503).json({ error: 'Service Unavailable', route: name, reason: failure });
+      return;
+    }
+    res.status(426).set('Upgrade', 'websocket').json({ error: 'Upgrade Required', route: name });
+  });
+  return router;
+}
+
+function _notConfiguredRouter(name, hint) {
+  const router = express.Router();
+  router.all('*', (_req, res) => {
+    res.status(501).json({ error: 'Not configured', route: name, hint });
+  });
+  return router;
+}
+
 function _placeholderRouter(name) {
   const router = express.Router();
   router.all('*', (_req, res) => {
@@ -153,11 +276,11 @@ function _placeholderRouter(name) {
   return router;
 }
 
-const { attachVoiceAgentUpgrade } = require('./attach-upgrade.js');
-
 module.exports = {
   createServer,
   mountVoiceAgentBackend,
   createFunctionCallHandler,
+  createFunctionRegistry,
+  validateArguments,
   attachVoiceAgentUpgrade,
 };
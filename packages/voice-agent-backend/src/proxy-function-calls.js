@@ -0,0 +1,102 @@
+/**
+ * Server-side function execution inside the WebSocket proxies: calls for functions the executor runs are answered
+ * upstream by the proxy instead of the browser. The client sees them as server-side calls (Deepgram protocol):
+ * FunctionCallRequest with `client_side: false` and `proxy_executed: true`, then a FunctionCallResponse from the
+ * server. `proxy_executed` tells the component a response will follow, unlike Deepgram endpoint functions.
+ */
+
+const { runFunctionCall } = require('./function-call.js');
+
+/**
+ * @typedef {object} FunctionExecutor
+ * @property {(name: string) => boolean} [has] - Functions the proxy runs (default: all); others go to the client
+ * @property {(name: string, args: object, context: object) => unknown} execute - As for createFunctionCallHandler;
+ *   a registry from createFunctionRegistry fits
+ * @property {number} [timeoutMs]
+ * @property {Record<string, number>} [timeouts]
+ * @property {(req: import('http').IncomingMessage) => object | Promise<object>} [getRequestContext] - Receives the
+ *   WebSocket upgrade request
+ */
+
+/**
+ * Whether the proxy runs `name` itself
+ * @param {FunctionExecutor | undefined} executor
+ * @param {string} name
+ */
+function executesFunction(executor, name) {
+  if (!executor || typeof executor.execute !== 'function') return false;
+  return typeof executor.has === 'function' ? executor.has(name) : true;
+}
+
+/**
+ * Runs one call with the executor's timeouts and request context
+ * @param {{ id: string, name: string, arguments?: string }} call
+ * @param {FunctionExecutor} executor
+ * @param {import('http').IncomingMessage} req - WebSocket upgrade request
+ * @param {AbortSignal} signal - Aborts when the client disconnects
+ * @returns {Promise<string>} FunctionCallResponse content: the result, or `{"error": ...}`
+ */
+async function runProxyFunctionCall(call, executor, req, signal) {
+  const { body } = await runFunctionCall(
+    { id: call.id, name: call.name, arguments: call.arguments || '{}' },
+    executor,
+    req,
+    signal
+  );
+  return typeof body.content === 'string' ? body.content : JSON.stringify({ error: body.error });
+}
+
+/**
+ * Per-connection interception for proxies that relay the component protocol (Deepgram agent, OpenAI forwarder).
+ * `handleUpstreamMessage` takes a parsed upstream JSON message and returns true when it consumed it: the client
+ * gets the request with the executed functions marked `client_side: false, proxy_executed: true`, and each result is sent upstream and
+ * to the client as FunctionCallResponse. Call `close` when the client disconnects to abort running handlers.
+ * @param {FunctionExecutor} executor
+ * @param {{
+ *   req: import('http').IncomingMessage,
+ *   sendUpstream: (message: object) => void,
+ *   sendClient: (message: object) => void,
+ *   logger?: { info: Function, error: Function }
+ * }} options
+ * @returns {{ handleUpstreamMessage: (message: unknown) => boolean, close: () => void }}
+ */
+function createProxyFunctionCalls(executor, { req, sendUpstream, sendClient, logger }) {
+  const controller = new AbortController();
+
+  return {
+    handleUpstreamMessage(message) {
+      if (!message || message.type !== 'FunctionCallRequest' || !Array.isArray(message.functions)) return false;
+      // client_side false: the upstream service runs it (e.g. a Deepgram function with an endpoint)
+      const serverCalls = message.functions.filter(
+        (call) => call && call.client_side !== false && executesFunction(executor, call.name)
+      );
+      if (serverCalls.length === 0) return false;
+
+      sendClient({
+        ...message,
+        functions: message.functions.map((call) => (serverCalls.includes(call) ? { ...call, client_side: false, proxy_executed: true } : call)),
+      });
+      for (const call of serverCalls) {
+        logger?.info('[Proxy] Executing function call server-side', { id: call.id, name: call.name });
+        runProxyFunctionCall(call, executor, req, controller.signal)
+          .then((content) => {
+            if (controller.signal.aborted) return;
+            const response = { type: 'FunctionCallResponse', id: call.id, name: call.name, content };
+            sendClient(response);
+            sendUpstream(response);
+          })
+          .catch((err) => logger?.error('[Proxy] Server-side function call failed', { name: call.name, message: String(err) }));
+      }
+      return true;
+    },
+    close() {
+      controller.abort(new Error('Client disconnected'));
+    },
+  };
+}
+
+module.exports = {
+  createProxyFunctionCalls,
+  executesFunction,
+  runProxyFunctionCall,
+};
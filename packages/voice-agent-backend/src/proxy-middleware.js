@@ -0,0 +1,165 @@
+/**
+ * Message middleware for the WebSocket proxies: per-connection hooks that inspect, rewrite, drop or inject the
+ * frames relayed between the client and upstream (createDeepgramWss, createOpenAIWss).
+ *
+ * Hooks see a JSON text frame as the parsed message, a binary frame as a Buffer and any other text frame as a
+ * string. A hook returns undefined to pass the frame on unchanged, null to drop it, or a message (or an array of
+ * messages) to forward in its place; a returned object is sent as JSON text, a Buffer as a binary frame. Hooks may
+ * be async: frames in each direction are still delivered in order.
+ */
+
+/**
+ * @typedef {object} ProxyConnection
+ * @property {'deepgram' | 'openai'} proxy
+ * @property {'agent' | 'transcription'} service
+ * @property {import('http').IncomingMessage} req - WebSocket upgrade request
+ * @property {(message: object | Buffer | string) => void} sendToClient - Sends a frame now, bypassing the hooks
+ * @property {(message: object | Buffer | string) => void} sendToUpstream - Sends a frame now, bypassing the hooks
+ *   (queued until upstream is open)
+ * @property {{ info: Function, warn: Function, error: Function, debug: Function }} logger
+ */
+
+/**
+ * @typedef {object} ProxyMiddlewareHooks
+ * @property {(message: object | Buffer | string, connection: ProxyConnection) => unknown} [onClientMessage]
+ * @property {(message: object | Buffer | string, connection: ProxyConnection) => unknown} [onUpstreamMessage]
+ * @property {(connection: ProxyConnection) => void} [onClose] - The client disconnected
+ */
+
+/**
+ * Called once per connection; per-connection state lives in the closure. Returning nothing skips the connection.
+ * @typedef {(connection: ProxyConnection) => ProxyMiddlewareHooks | void} ProxyMiddleware
+ */
+
+function decodeFrame(data, isBinary) {
+  if (isBinary) return data;
+  const text = typeof data === 'string' ? data : data.toString();
+  try {
+    const message = JSON.parse(text);
+    return message !== null && typeof message === 'object' ? message : text;
+  } catch {
+    return text;
+  }
+}
+
+/** @returns {{ data: Buffer | string, isBinary: boolean }} */
+function encodeFrame(message) {
+  if (Buffer.isBuffer(message) || ArrayBuffer.isView(message) || message instanceof ArrayBuffer) {
+    return { data: message, isBinary: true };
+  }
+  return { data: typeof message === 'string' ? message : JSON.stringify(message), isBinary: false };
+}
+
+function toMessages(result, message) {
+  if (result === undefined) return [message];
+  if (result === null) return [];
+  return (Array.isArray(result) ? result : [result]).filter((item) => item !== undefined && item !== null);
+}
+
+/**
+ * Runs the hooks of one direction over a frame
+ * @returns {Promise<{ messages: unknown[], changed: boolean }>}
+ */
+async function runHooks(hooks, message, connection) {
+  let messages = [message];
+  let changed = false;
+  for (const hook of hooks) {
+    const next = [];
+    for (const current of messages) {
+      const result = await hook(current, connection);
+      if (result !== undefined) changed = true;
+      next.push(...toMessages(result, current));
+    }
+    messages = next;
+    if (messages.length === 0) break;
+  }
+  return { messages, changed };
+}
+
+/**
+ * Per-connection pipeline. `fromClient` and `fromUpstream` take raw ws frames and pass the result to the
+ * connection's `forwardToUpstream` / `forwardToClient`; a direction without hooks forwards synchronously, as without
+ * middleware. A hook that throws drops its frame (logged). Call `close` when the client disconnects.
+ * @throws When a middleware factory throws (logged); the proxies then close that client with 1011
+ * @param {ProxyMiddleware[]} middleware
+ * @param {{
+ *   proxy: 'deepgram' | 'openai',
+ *   service: 'agent' | 'transcription',
+ *   req: import('http').IncomingMessage,
+ *   forwardToClient: (data: Buffer | string, isBinary: boolean) => void,
+ *   forwardToUpstream: (data: Buffer | string, isBinary: boolean) => void,
+ *   logger: { info: Function, warn: Function, error: Function, debug: Function }
+ * }} options
+ * @returns {{
+ *   fromClient: (data: Buffer | string, isBinary: boolean) => void,
+ *   fromUpstream: (data: Buffer | string, isBinary: boolean) => void,
+ *   close: () => void
+ * }}
+ */
+function createMessagePipeline(middleware, { proxy, service, req, forwardToClient, forwardToUpstream, logger }) {
+  const send = (forward) => (message) => {
+    const { data, isBinary } = encodeFrame(message);
+    forward(data, isBinary);
+  };
+  /** @type {ProxyConnection} */
+  const connection = {
+    proxy,
+    service,
+    req,
+    sendToClient: send(forwardToClient),
+    sendToUpstream: send(forwardToUpstream),
+    logger,
+  };
+  const hooks = (middleware || [])
+    .map((create) => {
+      try {
+        return create(connection);
+      } catch (err) {
+        logger.error('[Proxy] Middleware setup failed', { message: err instanceof Error ? err.message : String(err) });
+        throw err;
+      }
+    })
+    .filter(Boolean);
+
+  const direction = (name, forward) => {
+    const chain = hooks.filter((h) => typeof h[name] === 'function').map((h) => h[name].bind(h));
+    if (chain.length === 0) return forward;
+    let pending = Promise.resolve();
+    return (data, isBinary) => {
+      pending = pending
+        .then(async () => {
+          const message = decodeFrame(data, isBinary);
+          const { messages, changed } = await runHooks(chain, message, connection);
+          if (!changed) {
+            forward(data, isBinary);
+            return;
+          }
+          messages.forEach(send(forward));
+        })
+        .catch((err) => {
+          logger.error(`[Proxy] ${name} middleware failed; frame dropped`, {
+            message: err instanceof Error ? err.message : String(err),
+          });
+        });
+    };
+  };
+
+  return {
+    fromClient: direction('onClientMessage', forwardToUpstream),
+    fromUpstream: direction('onUpstreamMessage', forwardToClient),
+    close() {
+      for (const h of hooks) {
+        if (typeof h.onClose !== 'function') continue;
+        try {
+          h.onClose(connection);
+        } catch (err) {
+          logger.error('[Proxy] onClose middleware failed', { message: err instanceof Error ? err.message : String(err) });
+        }
+      }
+    },
+  };
+}
+
+module.exports = {
+  createMessagePipeline,
+};
@@ -0,0 +1,24 @@
+#!/usr/bin/env node
+/**
+ * Single source of truth for the agent playback AudioWorklet (jitter buffer): PlaybackWorkletProcessor.js
+ * This script embeds it into playback-worklet-inline.generated.ts for JitterBufferPlaybackSink (Blob URL).
+ * Run after editing the processor: npm run generate:playback-worklet
+ */
+import { readFileSync, writeFileSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const root = join(__dirname, '..');
+const processorPath = join(root, 'src/utils/audio/PlaybackWorkletProcessor.js');
+const outPath = join(root, 'src/utils/audio/playback-worklet-inline.generated.ts');
+const src = readFileSync(processorPath, 'utf8');
+const body =
+  '/* eslint-disable */\n' +
+  '/**\n' +
+  ' * AUTO-GENERATED from PlaybackWorkletProcessor.js — do not edit.\n' +
+  ' * Run: npm run generate:playback-worklet\n' +
+  ' */\n' +
+  `export const PLAYBACK_WORKLET_INLINE_SOURCE = ${JSON.stringify(src)};\n`;
+writeFileSync(outPath, body, 'utf8');
+console.log('Wrote', outPath);
@@ -12,13 +12,25 @@ import {
   FunctionCallRequest,
   FunctionCallResponse,
   ConnectionState,
+  ConversationHistoryOptions,
   ConversationMessage,
   ServiceType,
+  TabHandoverRequest,
+  TabLeaderUpdate,
+  TabRole,
+  SessionRecording,
+  SessionRecordingOptions,
+  AudioLevels,
+  AudioSource,
 } from '../../types';
 import { WebSocketManager, WebSocketEvent } from '../../utils/websocket/WebSocketManager';
 import { AudioManager, AudioEvent } from '../../utils/audio/AudioManager';
 import type { IAudioPlaybackSink } from '../../utils/audio/AudioPlaybackSink';
+import { resolveAgentAudioFormats } from '../../utils/audio/audio-formats';
+import { g711ToPcm16Le } from '../../utils/audio/AudioUtils';
 import { WebAudioPlaybackSink } from '../../utils/audio/WebAudioPlaybackSink';
+import { resolveLocalVadOptions } from '../../utils/audio/local-vad';
+import { resolveJitterBufferOptions } from '../../utils/audio/jitter-buffer';
 import {
   VoiceInteractionState,
   initialState,
@@ -29,11 +41,29 @@ import {
 //   transformConversationHistory
 // } from '../../utils/conversation-context';
 import { useIdleTimeoutManager } from '../../hooks/useIdleTimeoutManager';
+import { useAutoSleep } from '../../hooks/useAutoSleep';
 import { useCallbackRef, useBooleanDeclarativeProp } from '../../hooks/declarative-props';
 import { AgentStateService } from '../../services/AgentStateService';
-import { DEFAULT_IDLE_TIMEOUT_MS, SERVER_TIMEOUT_ERROR_CODE, SESSION_MAX_DURATION_ERROR_CODE } from '../../constants/voice-agent';
+import { TurnMetricsService } from '../../services/TurnMetricsService';
+import { FunctionCallTracker } from '../../services/FunctionCallTracker';
+import { TabCoordinator } from '../../services/TabCoordinator';
+import { SessionRecorder } from '../../services/SessionRecorder';
+import {
+  DEFAULT_AUTO_SLEEP_TIMEOUT_S,
+  PUSH_TO_TALK_TRAILING_SILENCE_MS,
+  SERVER_TIMEOUT_ERROR_CODE,
+  SESSION_MAX_DURATION_ERROR_CODE,
+} from '../../constants/voice-agent';
+import { findWakeWord } from '../../utils/wake-words';
 import { compareAgentOptionsIgnoringContext, hasDependencyChanged } from '../../utils/option-comparison';
 import { functionCallLogger } from '../../utils/function-call-logger';
+import {
+  abandonedFunctionCallContent,
+  executeToolCall,
+  findTool,
+  mergeToolFunctions,
+  resolveFunctionCallTimeoutMs,
+} from '../../utils/tools';
 import {
   hasSettingsBeenSent,
   waitForSettings,
@@ -41,8 +71,22 @@ import {
   WindowWithDeepgramGlobals
 } from '../../utils/component-helpers';
 import { getLogger } from '../../utils/logger';
-import { buildSettingsMessage } from '../../utils/buildSettingsMessage';
+import { deepgramProviderAdapter, resolveProviderAdapter } from '../../utils/provider-adapters';
 import { useSettingsContext } from '../../hooks/useSettingsContext';
+import {
+  conversationToContextMessages,
+  createConversationItem,
+  formatFunctionCallContent,
+  formatFunctionResultContent,
+  getConversationItemKind,
+  isTextConversationItem,
+} from '../../utils/conversation-items';
+import { ConversationSessionStore, DEFAULT_CONVERSATION_NAMESPACE } from '../../services/ConversationSessionStore';
+import {
+  decodeStoredConversation,
+  encodeStoredConversation,
+  isStoredConversationExpired,
+} from '../../utils/conversation-storage-format';
 
 // Default endpoints
 const DEFAULT_ENDPOINTS = {
@@ -51,7 +95,11 @@ const DEFAULT_ENDPOINTS = {
 };
 
 // Issue #489: storage key last used by this page (module-level for backward compat; component also sets it).
-const lastUsedStorageKeyRef: { current: string } = { current: 'dg_conversation' };
+const lastUsedStorageKeyRef: { current: string } = { current: DEFAULT_CONVERSATION_NAMESPACE };
+// Keys read for reconnect context when the app persists conversations itself (no conversationStorage)
+const LEGACY_CONVERSATION_STORAGE_KEYS = ['dg_voice_conversation', DEFAULT_CONVERSATION_NAMESPACE];
+/** Reports per second for onAudioLevels / subscribeAudioLevels when audioLevelsFrameRate is not set */
+const DEFAULT_AUDIO_LEVELS_FRAME_RATE = 30;
 
 /**
  * DeepgramVoiceInteraction component
@@ -128,11 +176,22 @@ function DeepgramVoiceInteraction(
     agentOptions, // = {}, - remove default
     endpointConfig,
     audioConstraints, // Phase 2: Issue #243
+    inputDeviceId,
+    audioSource,
+    outputDeviceId,
+    onAudioDeviceChange,
+    jitterBuffer,
+    localVad,
+    onLocalSpeechStart,
+    onLocalSpeechStop,
+    turnMode = 'vad',
+    pushToTalk,
     onReady,
     onConnectionStateChange,
     onTranscriptUpdate,
     onAgentStateChange,
     onAgentUtterance,
+    onAgentUtteranceDelta,
     onUserMessage,
     onUserStartedSpeaking,
     onUserStoppedSpeaking,
@@ -144,6 +203,18 @@ function DeepgramVoiceInteraction(
     onSettingsApplied,
     onContextWarning,
     onFunctionCallRequest,
+    tools,
+    functionCallOptions,
+    onFunctionCallAbandoned,
+    sleepOptions,
+    onWakeWord,
+    reconnectOptions,
+    onReconnecting,
+    onReconnectFailed,
+    provider,
+    onTurnMetrics,
+    onAudioLevels,
+    audioLevelsFrameRate,
     debug,
     // Declarative props (Issue #305)
     userMessage,
@@ -156,19 +227,45 @@ function DeepgramVoiceInteraction(
     startAudioCapture: startAudioCaptureProp,
     conversationStorage,
     conversationStorageKey,
+    conversationSessionId,
+    conversationTtlMs,
+    tabCoordination,
+    onTabRoleChange,
+    onTabHandoverRequest,
     getAgentOptions,
     restoredAgentContext,
     onAgentOptionsUsedForSettings,
   } = props;
 
-  const DEFAULT_CONVERSATION_STORAGE_KEY = 'dg_conversation';
-  const CONVERSATION_STORAGE_KEY = conversationStorageKey ?? DEFAULT_CONVERSATION_STORAGE_KEY;
+  const conversationNamespace = conversationStorageKey ?? DEFAULT_CONVERSATION_NAMESPACE;
+  // conversationSessionId: history is one session of the store (index + per-session key) under the namespace
+  const conversationSessionStore = React.useMemo(
+    () =>
+      conversationStorage && conversationSessionId !== undefined
+        ? new ConversationSessionStore(conversationStorage, { namespace: conversationNamespace, ttlMs: conversationTtlMs })
+        : null,
+    [conversationStorage, conversationSessionId, conversationNamespace, conversationTtlMs]
+  );
+  const CONVERSATION_STORAGE_KEY =
+    conversationSessionStore && conversationSessionId !== undefined
+      ? conversationSessionStore.sessionKey(conversationSessionId)
+      : conversationNamespace;
   const MAX_CONVERSATION_STORED = 50;
+  // Keys read synchronously (localStorage) for reconnect context. With conversationStorage only this conversation's
+  // key — another key may hold a different session; without it, the keys apps have persisted to (Issue #489).
+  // Nothing is read when the storage opts out of the localStorage mirror.
+  const allowLocalStorageMirror = conversationStorage?.allowLocalStorageMirror !== false;
+  const getSyncHistoryKeys = (): string[] => {
+    if (!conversationStorage) return Array.from(new Set([lastUsedStorageKeyRef.current, ...LEGACY_CONVERSATION_STORAGE_KEYS]));
+    return allowLocalStorageMirror ? [CONVERSATION_STORAGE_KEY] : [];
+  };
 
   // Issue #406: conversation history for persistence when conversationStorage is provided
   const [conversationHistory, setConversationHistory] = useState<ConversationMessage[]>([]);
   // Ref so callbacks receive up-to-date history (handleAgentMessage closure can be stale) — Issue #414
   const conversationHistoryRef = useRef<ConversationMessage[]>([]);
+  // Text-only view returned by getConversationHistory(); rebuilt only when conversationHistoryRef.current changes
+  const textHistoryViewRef = useRef<{ source: ConversationMessage[]; view: ConversationMessage[] }>({ source: [], view: [] });
   // Issue #489: Per-instance so reconnect/remount and tests get correct context; preloaded from storage on close/open.
   const lastPersistedHistoryForReconnectRef = useRef<ConversationMessage[]>([]);
   // Phase 3 refactor: single "latest history" ref — conversationHistoryRef is updated by effect (state) and ConversationText handler; hook uses it for getHistoryForSettings (no separate latestConversationHistoryRef).
@@ -185,12 +282,21 @@ function DeepgramVoiceInteraction(
 
   // Issue #490: Ref for restoredAgentContext so sendAgentSettings (called from connection handler) sees latest
   const restoredAgentContextRef = useRef(restoredAgentContext);
+
+  // tools prop: read when Settings are sent and when a FunctionCallRequest is dispatched
+  const toolsRef = useRef(tools);
   
   // Set on 'connected' so sendAgentSettings (possibly async) and Welcome handler know first connection vs reconnection (Issue #480).
   const isReconnectionRef = useRef<boolean>(false);
   // Issue #489: Track that agent connection closed in this component instance. Next 'connected' is a reconnection
   // even if the new WebSocketManager reports isReconnection false (new manager instance has hasEverConnected false).
   const hadAgentConnectionClosedRef = useRef<boolean>(false);
+  // reconnectOptions: set while WebSocketManager is retrying after an unexpected agent close, so the close handler
+  // keeps the inject queue and mic, and the reconnect Settings replay the in-memory conversation.
+  const agentAutoReconnectingRef = useRef<boolean>(false);
+  // User/assistant ConversationText for this session regardless of conversationStorage; only used as agent.context
+  // on automatic reconnection when no other context source has messages. Cleared by stop().
+  const sessionHistoryForReconnectRef = useRef<ConversationMessage[]>([]);
 
   // Track mount state to handle React StrictMode double-invocation
   // StrictMode will call cleanup then immediately re-run the effect
@@ -198,34 +304,84 @@ function DeepgramVoiceInteraction(
   const isMountedRef = useRef(true);
   const mountIdRef = useRef<string>('0');
 
-  // Issue #406: Restore conversation from storage on mount when conversationStorage is provided
+  // Key the in-memory history belongs to, and the key whose stored history has been loaded. Persistence waits for
+  // the load so switching sessions never writes the previous session's history under the new key.
+  const historyStorageKeyRef = useRef<string | null>(null);
+  const restoredStorageKeyRef = useRef<string | null>(null);
+  // History exactly as restored: not written back, so restoring does not count as activity for the TTL
+  const restoredHistoryRef = useRef<ConversationMessage[] | null>(null);
+
+  // tabCoordination: only the leader tab captures audio, holds connections and writes conversationStorage.
+  // A coordinating tab is a follower until it wins the election.
+  const tabCoordinationName = tabCoordination
+    ? (tabCoordination === true ? undefined : tabCoordination.name) ?? conversationNamespace
+    : null;
+  const tabHandoverTimeoutMs = tabCoordination && tabCoordination !== true ? tabCoordination.handoverTimeoutMs : undefined;
+  const [tabRole, setTabRole] = useState<TabRole>(tabCoordination ? 'follower' : 'leader');
+  const tabRoleRef = useRef<TabRole>(tabRole);
+  const tabCoordinatorRef = useRef<TabCoordinator<TabLeaderUpdate> | null>(null);
+  const isLeaderTab = tabRole === 'leader';
+
+  // Issue #406: Restore conversation from storage on mount (and on conversationSessionId change) when
+  // conversationStorage is provided. Items received while loading are kept after the restored ones.
   useEffect(() => {
-    if (!conversationStorage) return;
+    if (!conversationStorage || restoredStorageKeyRef.current === CONVERSATION_STORAGE_KEY) return;
     lastUsedStorageKeyRef.current = CONVERSATION_STORAGE_KEY;
-    conversationStorage.getItem(CONVERSATION_STORAGE_KEY).then((raw) => {
-      if (!raw) return;
-      try {
-        const parsed = JSON.parse(raw) as Array<{ role?: string; content?: string; timestamp?: number }>;
-        if (!Array.isArray(parsed)) return;
-        const valid: ConversationMessage[] = parsed.filter(
-          (m): m is ConversationMessage =>
-            (m.role === 'user' || m.role === 'assistant') && typeof m.content === 'string'
-        ).map((m) => ({ role: m.role as ConversationMessage['role'], content: m.content!, timestamp: m.timestamp }));
-        setConversationHistory(valid);
-      } catch {
-        // ignore invalid stored data
-      }
-    }).catch(() => { /* ignore */ });
-  }, [conversationStorage, CONVERSATION_STORAGE_KEY]);
+    if (historyStorageKeyRef.current !== null && historyStorageKeyRef.current !== CONVERSATION_STORAGE_KEY) {
+      conversationHistoryRef.current = [];
+      lastPersistedHistoryForReconnectRef.current = [];
+      setConversationHistory([]);
+    }
+    historyStorageKeyRef.current = CONVERSATION_STORAGE_KEY;
+    restoredStorageKeyRef.current = null;
+
+    let cancelled = false;
+    const key = CONVERSATION_STORAGE_KEY;
+    const load: Promise<ConversationMessage[] | null> =
+      conversationSessionStore && conversationSessionId !== undefined
+        ? conversationSessionStore.loadSession(conversationSessionId)
+        : conversationStorage.getItem(key).then(async (raw) => {
+            const stored = decodeStoredConversation(raw);
+            if (stored && isStoredConversationExpired(stored, conversationTtlMs)) {
+              await (conversationStorage.removeItem ? conversationStorage.removeItem(key) : conversationStorage.setItem(key, ''));
+              return null;
+            }
+            return stored?.items ?? null;
+          });
+    load
+      .then((items) => {
+        if (cancelled) return;
+        restoredStorageKeyRef.current = key;
+        if (!items?.length) return;
+        // Items mirrored from the leader tab may already include restored ones
+        const restoredIds = new Set(items.map((item) => item.id));
+        const pending = conversationHistoryRef.current.filter((item) => !item.id || !restoredIds.has(item.id));
+        const merged = pending.length > 0 ? [...items, ...pending] : items;
+        restoredHistoryRef.current = pending.length > 0 ? null : merged;
+        conversationHistoryRef.current = merged;
+        setConversationHistory(merged);
+      })
+      .catch(() => {
+        if (!cancelled) restoredStorageKeyRef.current = key; // ignore unreadable storage
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [conversationStorage, CONVERSATION_STORAGE_KEY, conversationSessionStore, conversationSessionId, conversationTtlMs]);
 
-  // Issue #406: Persist conversation when it changes (and storage is provided)
+  // Issue #406: Persist conversation when it changes (and storage is provided). Follower tabs only read.
   useEffect(() => {
-    if (!conversationStorage || conversationHistory.length === 0) return;
+    if (!conversationStorage || conversationHistory.length === 0 || !isLeaderTab) return;
+    if (restoredStorageKeyRef.current !== CONVERSATION_STORAGE_KEY || conversationHistory === restoredHistoryRef.current) return;
     lastUsedStorageKeyRef.current = CONVERSATION_STORAGE_KEY;
     const toStore = conversationHistory.slice(-MAX_CONVERSATION_STORED);
     lastPersistedHistoryForReconnectRef.current = toStore;
-    conversationStorage.setItem(CONVERSATION_STORAGE_KEY, JSON.stringify(toStore)).catch(() => { /* ignore */ });
-  }, [conversationStorage, CONVERSATION_STORAGE_KEY, conversationHistory]);
+    const saved =
+      conversationSessionStore && conversationSessionId !== undefined
+        ? conversationSessionStore.saveSession(conversationSessionId, toStore)
+        : conversationStorage.setItem(CONVERSATION_STORAGE_KEY, encodeStoredConversation(toStore));
+    saved.catch(() => { /* ignore */ });
+  }, [conversationStorage, CONVERSATION_STORAGE_KEY, conversationSessionStore, conversationSessionId, conversationHistory, isLeaderTab]);
 
   // Keep ref in sync with state so ConversationText handler can pass full history to callbacks (Issue #414)
   useEffect(() => {
@@ -244,6 +400,15 @@ function DeepgramVoiceInteraction(
     const msg = args.length && args[0] !== undefined ? String(args[0]) : '';
     logger.debug('[DeepgramVoiceInteraction] ' + msg, args.length > 1 ? { extra: args.slice(1) } : undefined);
   };
+  // Provider adapter: explicit `provider` prop, else inferred from proxyEndpoint (legacy '/openai' detection)
+  const providerAdapter = React.useMemo(() => {
+    try {
+      return resolveProviderAdapter(provider, proxyEndpoint);
+    } catch (error) {
+      logger.error(`${error instanceof Error ? error.message : String(error)} Falling back to 'deepgram'.`);
+      return deepgramProviderAdapter;
+    }
+  }, [provider, proxyEndpoint, logger]);
   const sleepLog = (...args: unknown[]) => {
     const msg = args.length && args[0] !== undefined ? String(args[0]) : '';
     logger.debug('[SLEEP_CYCLE][CORE] ' + msg, args.length > 1 ? { extra: args.slice(1) } : undefined);
@@ -342,6 +507,10 @@ function DeepgramVoiceInteraction(
   const lastManagerThatSentSettingsRef = useRef<WebSocketManager | null>(null);
   // Issue #433: Queue user messages when channel is not ready; drain when SettingsApplied/session.created is received
   const pendingInjectUserMessagesRef = useRef<string[]>([]);
+  // Text sent with injectUserMessage() awaiting its user ConversationText echo, so the item is recorded as user_text
+  const injectedUserTextsRef = useRef<string[]>([]);
+  // Assistant text streamed by ConversationTextDelta since the last final assistant ConversationText
+  const streamedAssistantTextRef = useRef('');
   
   // Track when settings were sent to add proper delay
   const settingsSentTimeRef = useRef<number | null>(null);
@@ -352,6 +521,12 @@ function DeepgramVoiceInteraction(
   const ALLOW_AUDIO = true;
   const BLOCK_AUDIO = false;
   const allowAgentRef = useRef<boolean>(ALLOW_AUDIO);
+  // localVad.bargeIn: agent audio is dropped until this time unless the server confirms with UserStartedSpeaking
+  const localBargeInUntilRef = useRef<number | null>(null);
+  // turnMode 'push-to-talk': microphone audio reaches the agent only while a user turn is open
+  const turnModeRef = useRef(turnMode);
+  turnModeRef.current = turnMode;
+  const userTurnOpenRef = useRef(false);
   
   // Note: Settings are sent immediately after connection - no delay needed
   // Removed SETTINGS_SEND_DELAY_MS as it was unused
@@ -483,7 +658,7 @@ function DeepgramVoiceInteraction(
   };
   
   // Initialize idle timeout manager
-  const effectiveIdleTimeoutMs = agentOptions?.idleTimeoutMs ?? DEFAULT_IDLE_TIMEOUT_MS;
+  const effectiveIdleTimeoutMs = agentOptions?.idleTimeoutMs ?? providerAdapter.defaultIdleTimeoutMs;
   const idleTimeoutStartLogDebounceMs = agentOptions?.idleTimeoutStartLogDebounceMs;
   const { handleMeaningfulActivity, handleUtteranceEnd, handleFunctionCallStarted, handleFunctionCallCompleted, notifyAgentMessageReceived, pushIdleStateToIdleTimeoutService } = useIdleTimeoutManager(
     state,
@@ -497,6 +672,16 @@ function DeepgramVoiceInteraction(
     handleUtteranceEnd();
   }, [handleUtteranceEnd]);
 
+  // sleepOptions.autoSleep: enter sleep after a quiet period; connection stays open (unlike idle timeout)
+  const autoSleepTimeoutMs = (sleepOptions?.timeout ?? DEFAULT_AUTO_SLEEP_TIMEOUT_S) * 1000;
+  const { resetAutoSleepTimer } = useAutoSleep(
+    state,
+    !!sleepOptions?.autoSleep,
+    autoSleepTimeoutMs,
+    () => sleep(),
+    props.debug
+  );
+
   // Initialize agent state service
   const agentStateServiceRef = useRef<AgentStateService | null>(null);
   if (!agentStateServiceRef.current) {
@@ -509,6 +694,80 @@ function DeepgramVoiceInteraction(
     });
   }
   
+  // Per-turn latency metrics (onTurnMetrics / getTurnMetricsSummary)
+  const onTurnMetricsRef = useRef(onTurnMetrics);
+  onTurnMetricsRef.current = onTurnMetrics;
+  const turnMetricsRef = useRef<TurnMetricsService | null>(null);
+  if (!turnMetricsRef.current) {
+    turnMetricsRef.current = new TurnMetricsService((metrics) => onTurnMetricsRef.current?.(metrics), undefined, props.debug);
+  }
+
+  // Pending client-side function calls: timeouts and cancellation (functionCallOptions / onFunctionCallAbandoned)
+  const onFunctionCallAbandonedRef = useRef(onFunctionCallAbandoned);
+  onFunctionCallAbandonedRef.current = onFunctionCallAbandoned;
+  const functionCallOptionsRef = useRef(functionCallOptions);
+  functionCallOptionsRef.current = functionCallOptions;
+  const functionCallTrackerRef = useRef<FunctionCallTracker | null>(null);
+  // Server-side calls (client_side false) awaiting their FunctionCallResponse: id → name
+  const serverFunctionCallsRef = useRef<Map<string, string>>(new Map());
+  if (!functionCallTrackerRef.current) {
+    functionCallTrackerRef.current = new FunctionCallTracker((info) => onFunctionCallAbandonedRef.current?.(info), props.debug);
+  }
+  
+  // startSessionRecording / stopSessionRecording: both sides of the session on one timeline (null when not recording)
+  const sessionRecorderRef = useRef<SessionRecorder | null>(null);
+
+  // Audio levels (onAudioLevels / subscribeAudioLevels): polled from the AudioManager only while someone listens
+  const onAudioLevelsRef = useRef(onAudioLevels);
+  onAudioLevelsRef.current = onAudioLevels;
+  const audioLevelListenersRef = useRef(new Set<(levels: AudioLevels) => void>());
+  const [audioLevelListenerCount, setAudioLevelListenerCount] = useState(0);
+  const isMeteringAudioLevels = !!onAudioLevels || audioLevelListenerCount > 0;
+  const audioLevelsIntervalMs =
+    1000 / Math.min(60, Math.max(1, audioLevelsFrameRate ?? DEFAULT_AUDIO_LEVELS_FRAME_RATE));
+
+  useEffect(() => {
+    if (!isMeteringAudioLevels) return;
+    const timer = setInterval(() => {
+      const audioManager = audioManagerRef.current;
+      if (!audioManager) return;
+      const levels = audioManager.getAudioLevels();
+      onAudioLevelsRef.current?.(levels);
+      audioLevelListenersRef.current.forEach((listener) => listener(levels));
+    }, audioLevelsIntervalMs);
+    return () => clearInterval(timer);
+  }, [isMeteringAudioLevels, audioLevelsIntervalMs]);
+
+  // inputDeviceId / outputDeviceId: read when the AudioManager is created, then switched in place (capture keeps
+  // its worklet and the agent socket stays open)
+  const onAudioDeviceChangeRef = useRef(onAudioDeviceChange);
+  onAudioDeviceChangeRef.current = onAudioDeviceChange;
+
+  useEffect(() => {
+    audioManagerRef.current?.setInputDevice(inputDeviceId).catch((error) => {
+      log('Failed to switch microphone:', error);
+    });
+  }, [inputDeviceId]);
+
+  useEffect(() => {
+    void audioManagerRef.current?.setOutputDevice(outputDeviceId);
+  }, [outputDeviceId]);
+
+  // audioSource: the prop and setAudioSource() both set the source; the latest one wins
+  const audioSourceRef = useRef<AudioSource | null>(audioSource ?? null);
+
+  const setAudioSource = async (source: AudioSource | null): Promise<void> => {
+    audioSourceRef.current = source;
+    await audioManagerRef.current?.setAudioSource(source);
+  };
+
+  useEffect(() => {
+    if ((audioSource ?? null) === audioSourceRef.current) return;
+    setAudioSource(audioSource ?? null).catch((error) => {
+      log('Failed to switch audio source:', error);
+    });
+  }, [audioSource]);
+
   // Update stateRef whenever state changes
   useEffect(() => {
     stateRef.current = state;
@@ -647,6 +906,7 @@ function DeepgramVoiceInteraction(
       agentUrl: (endpointConfig || {}).agentUrl || DEFAULT_ENDPOINTS.agentUrl,
     },
     debug: props.debug,
+    providerAdapter,
   });
 
   // Update config ref when dependencies change
@@ -664,8 +924,9 @@ function DeepgramVoiceInteraction(
         agentUrl: (endpointConfig || {}).agentUrl || DEFAULT_ENDPOINTS.agentUrl,
       },
       debug: props.debug,
+      providerAdapter,
     };
-  }, [apiKey, proxyEndpoint, proxyAuthToken, connectionMode, transcriptionOptions, agentOptions, endpointConfig, props.debug]);
+  }, [apiKey, proxyEndpoint, proxyAuthToken, connectionMode, transcriptionOptions, agentOptions, endpointConfig, props.debug, providerAdapter]);
 
   // Factory function to create transcription manager
   const createTranscriptionManager = (): WebSocketManager | null => {
@@ -674,10 +935,10 @@ function DeepgramVoiceInteraction(
       return null;
     }
 
-    // OpenAI proxy does not expose a separate transcription WebSocket; transcript/VAD come from the agent connection (Issue #414).
+    // Some providers (e.g. OpenAI proxy) carry transcript/VAD on the agent connection (Issue #414).
     // Do not create a transcription manager so we never open a second WS or see Deepgram timeout messages in logs.
-    if (config.connectionMode === 'proxy' && (config.proxyEndpoint ?? '').includes('/openai')) {
-      log('🔧 [TRANSCRIPTION] Skipping transcription manager when using OpenAI proxy (transcript/VAD via agent)');
+    if (config.providerAdapter.transcriptsOnAgentConnection) {
+      log(`🔧 [TRANSCRIPTION] Skipping transcription manager for provider '${config.providerAdapter.id}' (transcript/VAD via agent)`);
       return null;
     }
 
@@ -777,6 +1038,7 @@ function DeepgramVoiceInteraction(
         debug: config.debug,
         keepaliveInterval: 0, // Disable keepalives for transcription service
         onMeaningfulActivity: handleMeaningfulActivity,
+        reconnect: reconnectOptions,
       });
     
       // Set up event listeners for transcription WebSocket
@@ -800,6 +1062,10 @@ function DeepgramVoiceInteraction(
           handleTranscriptionMessage(event.data);
         } else if (event.type === 'error') {
           handleError(event.error);
+        } else if (event.type === 'reconnecting') {
+          onReconnecting?.(event.info);
+        } else if (event.type === 'reconnect_failed') {
+          onReconnectFailed?.(event.info);
         }
       });
 
@@ -846,8 +1112,8 @@ function DeepgramVoiceInteraction(
         logConsole('debug','🔧 [AGENT] Auth token present:', !!connectionOptions.authToken);
       }
       
-      // When upstream is our OpenAI proxy, it sends only JSON as text and PCM as binary; skip JSON-in-binary handling (Issue #353 path is for Deepgram).
-      const binaryFramesArePCMOnly = (config.proxyEndpoint ?? '').includes('/openai');
+      // Providers that send only JSON as text and PCM as binary skip JSON-in-binary handling (Issue #353 path is for Deepgram).
+      const binaryFramesArePCMOnly = config.providerAdapter.binaryFramesArePCMOnly;
 
       const manager = new WebSocketManager({
         url: finalAgentUrl,
@@ -856,10 +1122,11 @@ function DeepgramVoiceInteraction(
         service: 'agent',
         queryParams: agentQueryParams,
         debug: config.debug,
-        idleTimeout: config.agentOptions?.idleTimeoutMs ?? DEFAULT_IDLE_TIMEOUT_MS,
+        idleTimeout: config.agentOptions?.idleTimeoutMs ?? config.providerAdapter.defaultIdleTimeoutMs,
         onMeaningfulActivity: handleMeaningfulActivity,
         onAgentMessageReceived: notifyAgentMessageReceived,
         binaryFramesArePCMOnly,
+        reconnect: reconnectOptions,
       });
 
       // Set up event listeners for agent WebSocket
@@ -887,32 +1154,7 @@ function DeepgramVoiceInteraction(
               }
               if (wsState === 1) { // OPEN
                 if (typeof localStorage !== 'undefined') {
-                  const keys = [lastUsedStorageKeyRef.current, 'dg_voice_conversation', 'dg_conversation'];
-                  for (const key of keys) {
-                    if (!key) continue;
-                    try {
-                      const raw = localStorage.getItem(key);
-                      if (raw) {
-                        const parsed = JSON.parse(raw) as unknown;
-                        if (Array.isArray(parsed) && parsed.length > 0) {
-                          const valid = parsed.filter(
-                            (m): m is ConversationMessage =>
-                              m &&
-                              typeof m === 'object' &&
-                              (m as ConversationMessage).role !== undefined &&
-                              ((m as ConversationMessage).role === 'user' || (m as ConversationMessage).role === 'assistant') &&
-                              typeof (m as ConversationMessage).content === 'string'
-                          );
-                          if (valid.length > 0) {
-                            lastPersistedHistoryForReconnectRef.current = valid.slice(-MAX_CONVERSATION_STORED);
-                            break;
-                          }
-                        }
-                      }
-                    } catch {
-                      /* ignore */
-                    }
-                  }
+                  preloadPersistedHistory((key) => localStorage.getItem(key));
                 }
                 if (config.debug) {
                   logConsole('debug','🔧 [Connection State] WebSocket is OPEN, sending Settings');
@@ -949,32 +1191,7 @@ function DeepgramVoiceInteraction(
                 // Issue #489 / 9a: Preload from storage immediately on reconnect so when checkAndSend(50) runs,
                 // lastPersistedHistoryForReconnectRef is already populated and sendAgentSettings gets context.
                 if (typeof localStorage !== 'undefined') {
-                  const keys = [lastUsedStorageKeyRef.current, 'dg_voice_conversation', 'dg_conversation'];
-                  for (const key of keys) {
-                    if (!key) continue;
-                    try {
-                      const raw = localStorage.getItem(key);
-                      if (raw) {
-                        const parsed = JSON.parse(raw) as unknown;
-                        if (Array.isArray(parsed) && parsed.length > 0) {
-                          const valid = parsed.filter(
-                            (m): m is ConversationMessage =>
-                              m &&
-                              typeof m === 'object' &&
-                              (m as ConversationMessage).role !== undefined &&
-                              ((m as ConversationMessage).role === 'user' || (m as ConversationMessage).role === 'assistant') &&
-                              typeof (m as ConversationMessage).content === 'string'
-                          );
-                          if (valid.length > 0) {
-                            lastPersistedHistoryForReconnectRef.current = valid.slice(-MAX_CONVERSATION_STORED);
-                            break;
-                          }
-                        }
-                      }
-                    } catch {
-                      /* ignore */
-                    }
-                  }
+                  preloadPersistedHistory((key) => localStorage.getItem(key));
                 }
                 const preloadLen = lastPersistedHistoryForReconnectRef.current?.length ?? 0;
                 // Issue #489: When we have preloaded context and the new manager's WebSocket is already OPEN,
@@ -1009,53 +1226,38 @@ function DeepgramVoiceInteraction(
           // Reset settings flag when connection closes
           if (event.state === 'closed') {
             hadAgentConnectionClosedRef.current = true; // Issue #489: next 'connected' is reconnection (e.g. new manager)
+            const willReconnect = event.willReconnect === true;
+            agentAutoReconnectingRef.current = willReconnect;
             if (config.debug) {
               logConsole('debug','🔧 [Connection] Agent connection closed - checking for errors or reasons');
               logConsole('debug','🔧 [Connection] Connection close event details:', event);
             }
             
             dispatch({ type: 'SETTINGS_SENT', sent: false });
+            functionCallTrackerRef.current?.abandonAll('disconnected'); // Responses can no longer reach this session
+            completeServerFunctionCalls();
             hasSentSettingsRef.current = false; // Reset ref when connection closes
             windowWithGlobals.globalSettingsSent = false; // Reset global flag when connection closes
             lastManagerThatSentSettingsRef.current = null; // So next connection (new manager) is allowed to send
-            pendingInjectUserMessagesRef.current = []; // Issue #433: clear queue on close
+            if (!willReconnect) {
+              pendingInjectUserMessagesRef.current = []; // Issue #433: clear queue on close
+            }
             settingsSentTimeRef.current = null; // Reset settings time
             // Issue #489 Phase 2: Preload lastPersistedHistoryForReconnectRef from sync storage on close so
             // the next reconnect's sendAgentSettings sees context (getHistoryForSettings falls back to storage
             // when latestHistory and lastPersistedHistory are empty; async persist may not have flushed yet).
             if (typeof localStorage !== 'undefined') {
-              const key = lastUsedStorageKeyRef.current || CONVERSATION_STORAGE_KEY;
-              try {
-                const raw = localStorage.getItem(key);
-                if (raw) {
-                  const parsed = JSON.parse(raw) as unknown;
-                  if (Array.isArray(parsed) && parsed.length > 0) {
-                    const valid = parsed.filter(
-                      (m): m is ConversationMessage =>
-                        m &&
-                        typeof m === 'object' &&
-                        (m as ConversationMessage).role !== undefined &&
-                        ((m as ConversationMessage).role === 'user' || (m as ConversationMessage).role === 'assistant') &&
-                        typeof (m as ConversationMessage).content === 'string'
-                    );
-                    if (valid.length > 0) {
-                      lastPersistedHistoryForReconnectRef.current = valid.slice(-MAX_CONVERSATION_STORED);
-                    }
-                  }
-                }
-              } catch {
-                /* ignore */
-              }
+              preloadPersistedHistory((key) => localStorage.getItem(key));
             }
             if (config.debug) {
               logConsole('debug','🔧 [Connection] hasSentSettingsRef and globalSettingsSent reset to false due to connection close');
             }
             if (props.debug) logConsole('debug','Reset hasSentSettings flag due to connection close');
             
-            // Disable microphone when connection closes
+            // Disable microphone when connection closes (kept open across automatic reconnection; sendAudioData drops frames until reconnected)
             // CRITICAL: Stop audio synchronously to prevent race conditions with explicit stop() calls
             // Fix for issue #239: Audio tracks were hanging because setTimeout deferred cleanup
-            if (audioManagerRef.current && audioManagerRef.current.isRecordingActive()) {
+            if (!willReconnect && audioManagerRef.current && audioManagerRef.current.isRecordingActive()) {
               // Check guard: if audio is already being stopped by explicit stop(), skip to prevent double-stop
               if (isStoppingAudioRef.current) {
                 if (config.debug) {
@@ -1123,9 +1325,15 @@ function DeepgramVoiceInteraction(
         } else if (event.type === 'message') {
           handleAgentMessage(event.data);
         } else if (event.type === 'binary') {
+          turnMetricsRef.current?.markAudioChunk();
           handleAgentAudio(event.data);
         } else if (event.type === 'error') {
           handleError(event.error);
+        } else if (event.type === 'reconnecting') {
+          onReconnecting?.(event.info);
+        } else if (event.type === 'reconnect_failed') {
+          // The preceding 'closed' (willReconnect false) already cleared the queue and stopped the mic
+          onReconnectFailed?.(event.info);
         }
       });
 
@@ -1404,6 +1612,8 @@ function DeepgramVoiceInteraction(
         
         // Mark as unmounted only after confirming it's a true unmount
         isMountedRef.current = false;
+        functionCallTrackerRef.current?.abandonAll('disconnected');
+        completeServerFunctionCalls();
         
         // Close managers if they were created (they handle their own event listener cleanup)
         if (transcriptionManagerRef.current) {
@@ -1650,6 +1860,10 @@ function DeepgramVoiceInteraction(
     restoredAgentContextRef.current = restoredAgentContext;
   }, [restoredAgentContext]);
 
+  useEffect(() => {
+    toolsRef.current = tools;
+  }, [tools]);
+
   // Phase 4 refactor: context resolution for Settings (Issue #489 / REFACTORING-PLAN-release-v0.9.8).
   const getItemForSettings = useCallback(
     (k: string) => (typeof localStorage !== 'undefined' ? localStorage.getItem(k) : null),
@@ -1658,7 +1872,7 @@ function DeepgramVoiceInteraction(
   const { getContextForSend } = useSettingsContext({
     latestHistoryRef: conversationHistoryRef as React.MutableRefObject<ConversationMessage[] | undefined>,
     lastPersistedHistoryRef: lastPersistedHistoryForReconnectRef as React.MutableRefObject<ConversationMessage[] | undefined>,
-    storageKeys: [lastUsedStorageKeyRef.current, 'dg_voice_conversation', 'dg_conversation'],
+    storageKeys: getSyncHistoryKeys(),
     getItem: getItemForSettings,
     getAgentOptions: getAgentOptions ?? (() => undefined),
     agentOptionsRef,
@@ -1689,6 +1903,23 @@ function DeepgramVoiceInteraction(
     }
   }, [state.agentState, onAgentStateChange]);
 
+  // Session recording sidecar: agent state and connection transitions
+  useEffect(() => {
+    sessionRecorderRef.current?.addEvent({ type: 'agent_state', state: state.agentState });
+  }, [state.agentState]);
+
+  useEffect(() => {
+    sessionRecorderRef.current?.addEvent({ type: 'connection_state', service: 'agent', state: state.connections.agent });
+  }, [state.connections.agent]);
+
+  useEffect(() => {
+    sessionRecorderRef.current?.addEvent({
+      type: 'connection_state',
+      service: 'transcription',
+      state: state.connections.transcription,
+    });
+  }, [state.connections.transcription]);
+
   // Notify playback state changes ONLY when the value actually changes
   useEffect(() => {
     if (onPlaybackStateChange && state.isPlaying !== prevIsPlayingRef.current) {
@@ -1754,8 +1985,8 @@ function DeepgramVoiceInteraction(
 
   /**
    * Persist one user STT turn to conversation history when the stream marks utterance complete.
-   * - Deepgram: use speech_final (is_final alone can repeat per word).
-   * - OpenAI proxy: completed segments use is_final (and usually speech_final); allow is_final alone so we do not drop turns.
+   * The provider adapter decides completeness: Deepgram uses speech_final (is_final alone can repeat per word);
+   * the OpenAI proxy also accepts is_final so completed segments are not dropped.
    */
   function maybeAppendUserTranscriptFromNormalized(
     normalized: TranscriptResponse,
@@ -1765,32 +1996,140 @@ function DeepgramVoiceInteraction(
     const text = (normalized.transcript ?? '').trim();
     if (!text.length) return;
 
-    const cfg = configRef.current;
-    const isOpenAIProxy = cfg.connectionMode === 'proxy' && (cfg.proxyEndpoint ?? '').includes('/openai');
-    const utteranceComplete =
-      normalized.speech_final === true || (isOpenAIProxy && normalized.is_final === true);
-    if (!utteranceComplete) return;
+    if (!configRef.current.providerAdapter.isUtteranceComplete(normalized)) return;
 
     const latest = conversationHistoryRef.current;
     const last = latest[latest.length - 1];
     if (last?.role === 'user' && last.content === text) return;
 
-    const timestamp = Date.now();
-    const newEntry: ConversationMessage = { role: 'user', content: text, timestamp };
-    const updatedHistory = [...latest, newEntry];
+    const updatedHistory = appendConversationItem(createConversationItem({ role: 'user', kind: 'user_speech', content: text }));
+    onUserMessage?.({ type: 'user', text, metadata }, updatedHistory?.filter(isTextConversationItem));
+  }
+
+  /**
+   * Issue #489: load the persisted history synchronously into lastPersistedHistoryForReconnectRef so the next
+   * Settings carry context even when the async conversationStorage write has not flushed.
+   */
+  function preloadPersistedHistory(getItem: (key: string) => string | null): void {
+    for (const key of getSyncHistoryKeys()) {
+      try {
+        const items = decodeStoredConversation(getItem(key))?.items ?? [];
+        if (items.length > 0) {
+          lastPersistedHistoryForReconnectRef.current = items.slice(-MAX_CONVERSATION_STORED);
+          return;
+        }
+      } catch {
+        /* ignore */
+      }
+    }
+  }
+
+  /** tabCoordination: the microphone and connections belong to the leader tab */
+  function assertLeaderTab(operation: string): void {
+    if (tabRoleRef.current !== 'leader') {
+      throw new Error(`${operation}() is not available in a follower tab (tabCoordination); call requestTabHandover() first`);
+    }
+  }
+
+  /**
+   * Replace the history (ref + state) and mirror it for reconnect context.
+   * Issue #489 Phase 2: sync write to localStorage so preload on connection close sees the latest history
+   * (async conversationStorage.setItem may not have flushed before close).
+   */
+  function writeConversationHistory(
+    updatedHistory: ConversationMessage[],
+    applyToState: (prev: ConversationMessage[]) => ConversationMessage[]
+  ): void {
     conversationHistoryRef.current = updatedHistory;
-    setConversationHistory((prev) => [...prev, newEntry]);
+    setConversationHistory(applyToState);
     const toStore = updatedHistory.slice(-MAX_CONVERSATION_STORED);
     lastPersistedHistoryForReconnectRef.current = toStore;
-    if (typeof localStorage !== 'undefined') {
+    if (allowLocalStorageMirror && tabRoleRef.current === 'leader' && typeof localStorage !== 'undefined') {
       try {
-        localStorage.setItem(CONVERSATION_STORAGE_KEY, JSON.stringify(toStore));
+        localStorage.setItem(CONVERSATION_STORAGE_KEY, encodeStoredConversation(toStore));
         lastUsedStorageKeyRef.current = CONVERSATION_STORAGE_KEY;
       } catch {
         /* ignore quota / private mode */
       }
     }
-    onUserMessage?.({ type: 'user', text, metadata }, updatedHistory);
+  }
+
+  /**
+   * Issue #406: history is kept only when conversationStorage is provided (persisted by effect).
+   * Uses the ref for the latest history so a stale handleAgentMessage closure does not drop items (Issue #414).
+   * @returns Updated history, or undefined when history is not kept
+   */
+  function appendConversationItem(item: ConversationMessage): ConversationMessage[] | undefined {
+    if (!conversationStorage) return undefined;
+    const updatedHistory = [...conversationHistoryRef.current, item];
+    writeConversationHistory(updatedHistory, (prev) => [...prev, item]);
+    return updatedHistory;
+  }
+
+  function updateConversationItem(id: string, patch: Partial<ConversationMessage>): void {
+    if (!conversationStorage) return;
+    const apply = (items: ConversationMessage[]) => items.map((item) => (item.id === id ? { ...item, ...patch } : item));
+    writeConversationHistory(apply(conversationHistoryRef.current), apply);
+  }
+
+  /** Function calls and results also go to the reconnect-only session history so a reconnect can replay them */
+  function recordFunctionItem(item: ConversationMessage): void {
+    sessionHistoryForReconnectRef.current = [...sessionHistoryForReconnectRef.current, item].slice(-MAX_CONVERSATION_STORED);
+    appendConversationItem(item);
+  }
+
+  /**
+   * Record a FunctionCallRequest entry. When its "Function call: name(args)" ConversationText arrived first (the
+   * OpenAI proxy may send it before the request), that assistant item becomes the function_call item.
+   */
+  function recordFunctionCallItem(id: string, name: string, args: string, clientSide: boolean): void {
+    const functionCall = { id, name, arguments: args, clientSide };
+    const content = formatFunctionCallContent(name, args);
+    const isEcho = (item: ConversationMessage) =>
+      getConversationItemKind(item) === 'assistant_speech' && item.content === content;
+    const echo = conversationHistoryRef.current.slice(-5).filter(isEcho).pop();
+    const sessionEcho = sessionHistoryForReconnectRef.current.slice(-5).filter(isEcho).pop();
+    if (sessionEcho) {
+      sessionHistoryForReconnectRef.current = sessionHistoryForReconnectRef.current.map((item) =>
+        item === sessionEcho ? { ...item, kind: 'function_call', functionCall } : item
+      );
+    }
+    if (echo?.id) {
+      updateConversationItem(echo.id, { kind: 'function_call', functionCall });
+      return;
+    }
+    const item = createConversationItem({ role: 'assistant', kind: 'function_call', content, functionCall });
+    if (!sessionEcho) {
+      sessionHistoryForReconnectRef.current = [...sessionHistoryForReconnectRef.current, item].slice(-MAX_CONVERSATION_STORED);
+    }
+    appendConversationItem(item);
+  }
+
+  /**
+   * Barge-in / interruptAgent(): flag the agent reply that was cut off. Text streamed (ConversationTextDelta) without
+   * its final ConversationText becomes a truncated item; otherwise the last reply is flagged while it is still playing.
+   */
+  function markAgentReplyInterrupted(): void {
+    const streamed = streamedAssistantTextRef.current.trim();
+    streamedAssistantTextRef.current = '';
+    if (streamed) {
+      const item = createConversationItem({
+        role: 'assistant',
+        kind: 'assistant_speech',
+        content: streamed,
+        interrupted: true,
+        truncated: true,
+      });
+      sessionHistoryForReconnectRef.current = [...sessionHistoryForReconnectRef.current, item].slice(-MAX_CONVERSATION_STORED);
+      appendConversationItem(item);
+      return;
+    }
+    if (stateRef.current.agentState !== 'speaking') return;
+    const latest = conversationHistoryRef.current;
+    const last = latest[latest.length - 1];
+    if (last?.id && getConversationItemKind(last) === 'assistant_speech' && !last.interrupted) {
+      updateConversationItem(last.id, { interrupted: true });
+    }
   }
 
   // Handle transcription messages - only relevant if transcription is configured
@@ -1831,6 +2170,7 @@ function DeepgramVoiceInteraction(
           
           // Set flag to ignore subsequent UtteranceEnd (per Deepgram guidelines)
           speechFinalReceivedRef.current = true;
+          turnMetricsRef.current?.markUserStoppedSpeaking();
           
           // User stopped speaking - call callback if user was speaking
           if (stateRef.current.isUserSpeaking) {
@@ -1948,11 +2288,14 @@ function DeepgramVoiceInteraction(
     if (data.type === 'Results' || data.type === 'Transcript') {
       if (isSleepingOrEntering) {
         sleepLog('Ignoring transcript (state:', stateRef.current.agentState, ')');
+        wakeOnWakeWord(data);
         return;
       }
       const normalized = normalizeTranscriptMessageToResponse(data as Parameters<typeof normalizeTranscriptMessageToResponse>[0]);
       if (normalized) {
+        if (normalized.transcript) resetAutoSleepTimer();
         onTranscriptUpdate?.(normalized);
+        tabCoordinatorRef.current?.publish({ type: 'transcript', transcript: normalized });
         maybeAppendUserTranscriptFromNormalized(normalized, data);
       }
       return;
@@ -1984,6 +2327,9 @@ function DeepgramVoiceInteraction(
         return; // Skip internal state management, but callbacks were already called above
       }
       
+      // Turn metrics: only here, as after speech_final a second mark would close that turn as interrupted
+      turnMetricsRef.current?.markUserStoppedSpeaking();
+      
       if (props.debug) {
         logConsole('debug','🎯 [SPEECH] UtteranceEnd processing - no speech_final received, user finished speaking (word timing)');
       }
@@ -2029,69 +2375,13 @@ function DeepgramVoiceInteraction(
     const shouldLoadFromStorage =
       !hasInMemory || isReconnectionRef.current;
     if (shouldLoadFromStorage && typeof getItemForSettings === 'function') {
-      const keys = [
-        lastUsedStorageKeyRef.current,
-        'dg_voice_conversation',
-        'dg_conversation',
-      ].filter(Boolean) as string[];
-      for (const key of keys) {
-        try {
-          const raw = getItemForSettings(key);
-          if (raw) {
-            const parsed = JSON.parse(raw) as unknown;
-            if (Array.isArray(parsed) && parsed.length > 0) {
-              const valid = parsed.filter(
-                (m): m is ConversationMessage =>
-                  m &&
-                  typeof m === 'object' &&
-                  (m as ConversationMessage).role !== undefined &&
-                  ((m as ConversationMessage).role === 'user' ||
-                    (m as ConversationMessage).role === 'assistant') &&
-                  typeof (m as ConversationMessage).content === 'string'
-              );
-              if (valid.length > 0) {
-                lastPersistedHistoryForReconnectRef.current = valid.slice(
-                  -MAX_CONVERSATION_STORED
-                );
-                break;
-              }
-            }
-          }
-        } catch {
-          /* ignore */
-        }
-      }
+      preloadPersistedHistory(getItemForSettings);
     }
 
     // Issue #489: On reconnect, ensure ref is populated from localStorage in this tick right before getContextForSend,
     // so the hook or our fallback below sees context (E2E can have timing where the earlier sync load used different key or ref wasn't visible).
     if (isReconnectionRef.current && typeof localStorage !== 'undefined') {
-      const keys = [lastUsedStorageKeyRef.current, 'dg_voice_conversation', 'dg_conversation'];
-      for (const key of keys) {
-        if (!key) continue;
-        try {
-          const raw = localStorage.getItem(key);
-          if (raw) {
-            const parsed = JSON.parse(raw) as unknown;
-            if (Array.isArray(parsed) && parsed.length > 0) {
-              const valid = parsed.filter(
-                (m): m is ConversationMessage =>
-                  m &&
-                  typeof m === 'object' &&
-                  (m as ConversationMessage).role !== undefined &&
-                  ((m as ConversationMessage).role === 'user' || (m as ConversationMessage).role === 'assistant') &&
-                  typeof (m as ConversationMessage).content === 'string'
-              );
-              if (valid.length > 0) {
-                lastPersistedHistoryForReconnectRef.current = valid.slice(-MAX_CONVERSATION_STORED);
-                break;
-              }
-            }
-          }
-        } catch {
-          /* ignore */
-        }
-      }
+      preloadPersistedHistory((key) => localStorage.getItem(key));
     }
 
     // Phase 4 refactor: resolve context and base options via hook (Issue #489 / REFACTORING-PLAN-release-v0.9.8). Phase 3: no ref sync — conversationHistoryRef is the single latest-history ref (updated by effect + ConversationText handler).
@@ -2104,17 +2394,24 @@ function DeepgramVoiceInteraction(
       (!effectiveContext?.messages?.length) &&
       (lastPersistedHistoryForReconnectRef.current?.length ?? 0) > 0
     ) {
-      const fromRef = lastPersistedHistoryForReconnectRef.current;
+      effectiveContext = { messages: conversationToContextMessages(lastPersistedHistoryForReconnectRef.current) };
+    }
+    // reconnectOptions: automatic reconnection replays this session's conversation even without conversationStorage
+    if (
+      agentAutoReconnectingRef.current &&
+      !effectiveContext?.messages?.length &&
+      sessionHistoryForReconnectRef.current.length > 0
+    ) {
       effectiveContext = {
-        messages: fromRef.map((m) => ({
-          type: 'History' as const,
-          role: m.role,
-          content: m.content,
-        })),
+        messages: conversationToContextMessages(sessionHistoryForReconnectRef.current.slice(-MAX_CONVERSATION_STORED)),
       };
     }
     const currentAgentOptions = baseAgentOptions
-      ? { ...baseAgentOptions, context: effectiveContext }
+      ? {
+          ...baseAgentOptions,
+          context: effectiveContext,
+          functions: mergeToolFunctions(baseAgentOptions.functions, toolsRef.current),
+        }
       : undefined;
 
     if (debug) {
@@ -2169,8 +2466,7 @@ function DeepgramVoiceInteraction(
     }
 
     // Phase 2 refactor: build Settings payload via pure function (Issue #489 / REFACTORING-PLAN-release-v0.9.8).
-    const isOpenAIProxy = (configRef.current?.proxyEndpoint ?? '').includes('/openai');
-    const settingsMessage = buildSettingsMessage(
+    const settingsMessage = (configRef.current?.providerAdapter ?? deepgramProviderAdapter).buildSettings(
       {
         language: currentAgentOptions.language,
         instructions: currentAgentOptions.instructions,
@@ -2185,13 +2481,15 @@ function DeepgramVoiceInteraction(
         thinkMaxOutputTokens: currentAgentOptions.thinkMaxOutputTokens,
         thinkManagedPrompt: currentAgentOptions.thinkManagedPrompt,
         sessionAudioOutput: currentAgentOptions.sessionAudioOutput,
+        audioInput: currentAgentOptions.audioInput,
+        audioOutput: currentAgentOptions.audioOutput,
+        turnMode: turnModeRef.current,
         functions: currentAgentOptions.functions,
         listenModel: currentAgentOptions.listenModel,
         greeting: currentAgentOptions.greeting,
         idleTimeoutMs: currentAgentOptions.idleTimeoutMs,
         context: effectiveContext,
-      },
-      { isOpenAIProxy, defaultIdleTimeoutMs: DEFAULT_IDLE_TIMEOUT_MS }
+      }
     );
     
     if (debug) {
@@ -2311,8 +2609,45 @@ function DeepgramVoiceInteraction(
     logConsole('debug','🔧 [FUNCTION] Sending FunctionCallResponse to Deepgram:', responseMessage);
     log('Sending FunctionCallResponse to Deepgram');
     agentManagerRef.current.sendJSON(responseMessage);
+    recordFunctionResult(id, name, content);
   };
 
+  /** Record the function_result item for a FunctionCallResponse, sent by the app or received from the server */
+  function recordFunctionResult(id: string, name: string, content: string): void {
+    let isError = false;
+    try {
+      const parsed = JSON.parse(content) as unknown;
+      isError = !!parsed && typeof parsed === 'object' && 'error' in parsed;
+    } catch {
+      // Plain-text content is a result, not an error
+    }
+    const functionResult = { id, name, content, isError };
+    recordFunctionItem(
+      createConversationItem({
+        role: 'user',
+        kind: 'function_result',
+        content: formatFunctionResultContent(functionResult),
+        functionResult,
+      })
+    );
+  }
+
+  /**
+   * A server-side call is finished: its FunctionCallResponse arrived, or the session ended without one. With no
+   * `id` (optional on server responses), the oldest pending call with that name is completed.
+   */
+  function completeServerFunctionCall(id: string | undefined, name: string): string | undefined {
+    const pending = serverFunctionCallsRef.current;
+    const callId = id ?? Array.from(pending.keys()).find((key) => pending.get(key) === name);
+    if (callId === undefined || !pending.delete(callId)) return callId;
+    handleFunctionCallCompleted(callId);
+    return callId;
+  }
+
+  function completeServerFunctionCalls(): void {
+    Array.from(serverFunctionCallsRef.current).forEach(([id, name]) => completeServerFunctionCall(id, name));
+  }
+
   // Type guard for agent messages
   const isAgentMessage = (data: unknown): data is { type: string; [key: string]: unknown } => {
     return typeof data === 'object' && data !== null && 'type' in data;
@@ -2405,11 +2740,14 @@ function DeepgramVoiceInteraction(
     if (data.type === 'Transcript' || data.type === 'Results') {
       if (isSleepingOrEntering) {
         sleepLog('Ignoring transcript (state:', stateRef.current.agentState, ')');
+        wakeOnWakeWord(data);
         return;
       }
       const normalized = normalizeTranscriptMessageToResponse(data as Parameters<typeof normalizeTranscriptMessageToResponse>[0]);
       if (normalized) {
+        if (normalized.transcript) resetAutoSleepTimer();
         onTranscriptUpdate?.(normalized);
+        tabCoordinatorRef.current?.publish({ type: 'transcript', transcript: normalized });
         maybeAppendUserTranscriptFromNormalized(normalized, data);
       }
       return;
@@ -2427,6 +2765,7 @@ function DeepgramVoiceInteraction(
         log('User started speaking during agent speech - aborting playback');
         if (audioManagerRef.current) {
           audioManagerRef.current.abortPlayback();
+          sessionRecorderRef.current?.cutAgentAudio();
         }
         // Note: onAgentSilent callback was removed - playback state is managed via onPlaybackStateChange
         dispatch({ type: 'GREETING_PROGRESS_CHANGE', inProgress: false });
@@ -2434,8 +2773,11 @@ function DeepgramVoiceInteraction(
       }
       
       // Normal speech handling when not sleeping
+      localBargeInUntilRef.current = null; // confirms a local barge-in, if any
       log('Clearing audio queue (barge-in)');
+      markAgentReplyInterrupted();
       clearAudio();
+      functionCallTrackerRef.current?.abandonAll('interrupted');
       onUserStartedSpeaking?.();
       
       // Update VAD state - only if we don't already have speech evidence
@@ -2499,6 +2841,7 @@ function DeepgramVoiceInteraction(
       logConsole('debug', `🎯 [${source}] Settings confirmed by agent, audio data can now be processed`);
 
       onSettingsApplied?.();
+      agentAutoReconnectingRef.current = false;
 
       // Issue #433: Drain queued user messages (no send until ready - queue contract)
       while (pendingInjectUserMessagesRef.current.length > 0) {
@@ -2518,6 +2861,7 @@ function DeepgramVoiceInteraction(
     
     if (data.type === 'AgentThinking') {
       logConsole('debug','🧠 [AGENT EVENT] AgentThinking received');
+      turnMetricsRef.current?.markAgentThinking();
       transitionToThinkingState('AgentThinking message received');
       return;
     }
@@ -2545,6 +2889,7 @@ function DeepgramVoiceInteraction(
     // Wire receipt is NOT playback complete: do not force isPlaying false or agent idle while AudioManager still has active playback.
     if (data.type === 'AgentDone' || data.type === 'AgentAudioDone') {
       const eventType = data.type as 'AgentDone' | 'AgentAudioDone';
+      turnMetricsRef.current?.markAgentDone();
       logConsole('debug', `🔊 [AGENT EVENT] ${eventType} received`);
       logConsole('debug', `🎯 [AGENT] ${eventType} - agent turn output receipt complete (playback may continue)`);
       sleepLog(`${eventType} received - agent turn receipt complete`);
@@ -2605,6 +2950,15 @@ function DeepgramVoiceInteraction(
       return;
     }
     
+    // Streamed assistant text; history is written from the final ConversationText
+    if (data.type === 'ConversationTextDelta') {
+      if (data.role === 'assistant' && typeof data.delta === 'string' && data.delta.length > 0) {
+        streamedAssistantTextRef.current += data.delta;
+        onAgentUtteranceDelta?.(data.delta, typeof data.turn_id === 'string' ? data.turn_id : '');
+      }
+      return;
+    }
+
     // Handle conversation text
     if (data.type === 'ConversationText') {
       if (debug) {
@@ -2613,37 +2967,42 @@ function DeepgramVoiceInteraction(
       const content = typeof data.content === 'string' ? data.content : '';
       // Always log assistant message received (not gated by debug) for observability
       if (data.role === 'assistant') {
+        turnMetricsRef.current?.markAgentText();
         const preview = content.length > 80 ? `${content.slice(0, 80)}…` : content;
         // Never echo Deepgram-style secrets if the model or upstream ever reflects them (Issue #544 / E2E api-key).
         const safePreview = preview.replace(/dg_[a-zA-Z0-9_-]{35,}/g, '[REDACTED]');
         logger.info('💬 [AGENT] Assistant message received: ' + (safePreview || '(empty)'));
       }
-      const timestamp = Date.now();
       const role = data.role as ConversationMessage['role'];
-      const newEntry: ConversationMessage = { role, content, timestamp };
+      if (role === 'assistant') {
+        streamedAssistantTextRef.current = '';
+      }
+      if (role === 'user' || role === 'assistant') {
+        sessionRecorderRef.current?.addEvent({ type: 'conversation_text', role, content });
+      }
+      const injectedIndex = role === 'user' ? injectedUserTextsRef.current.indexOf(content.trim()) : -1;
+      if (injectedIndex !== -1) {
+        injectedUserTextsRef.current.splice(injectedIndex, 1);
+      }
+      // Issue #499: the "Function call: name(args)" text for a call already recorded as a function_call item
+      const isFunctionCallEcho =
+        role === 'assistant' &&
+        conversationHistoryRef.current
+          .slice(-5)
+          .some((item) => item.functionCall && item.content === content);
 
-      // Issue #406: Append to conversation history when storage is provided (persist via useEffect).
       // Pass updated history by value to callbacks so parent can sync display without stale ref (Issue #414).
-      // Use ref for latest history so we don't pass stale closure state (handleAgentMessage can be from an old render).
       let updatedHistory: ConversationMessage[] | undefined;
-      if (conversationStorage && (data.role === 'user' || data.role === 'assistant')) {
-        const latest = conversationHistoryRef.current;
-        updatedHistory = [...latest, newEntry];
-        conversationHistoryRef.current = updatedHistory;
-        setConversationHistory((prev) => [...prev, newEntry]);
-        // Issue #489/9a: Keep module-level ref in sync so reconnect has context even after remount
-        const toStore = updatedHistory.slice(-MAX_CONVERSATION_STORED);
-        lastPersistedHistoryForReconnectRef.current = toStore;
-        // Issue #489 Phase 2: Sync write to localStorage so preload on connection close sees latest
-        // (async conversationStorage.setItem may not have flushed before close).
-        if (typeof localStorage !== 'undefined') {
-          try {
-            localStorage.setItem(CONVERSATION_STORAGE_KEY, JSON.stringify(toStore));
-            lastUsedStorageKeyRef.current = CONVERSATION_STORAGE_KEY;
-          } catch {
-            /* ignore quota / private mode */
-          }
-        }
+      if ((role === 'user' || role === 'assistant') && !isFunctionCallEcho) {
+        const newEntry = createConversationItem({
+          role,
+          kind: role === 'assistant' ? 'assistant_speech' : injectedIndex !== -1 ? 'user_text' : 'user_speech',
+          content,
+        });
+        sessionHistoryForReconnectRef.current = [...sessionHistoryForReconnectRef.current, newEntry].slice(-MAX_CONVERSATION_STORED);
+        updatedHistory = appendConversationItem(newEntry);
+      } else if (isFunctionCallEcho && conversationStorage) {
+        updatedHistory = conversationHistoryRef.current;
       }
 
       if (data.role === 'assistant') {
@@ -2684,7 +3043,7 @@ function DeepgramVoiceInteraction(
           text: content,
           metadata: data,
         };
-        onAgentUtterance?.(response, updatedHistory);
+        onAgentUtterance?.(response, updatedHistory?.filter(isTextConversationItem));
         return;
       }
       if (data.role === 'user') {
@@ -2698,7 +3057,7 @@ function DeepgramVoiceInteraction(
         // 1. injectUserMessage() - triggers InjectUserMessage which resets timeout
         // 2. onUserMessage callback - application can call handleMeaningfulActivity if needed
         // We don't reset timeout here because ConversationText is a transcript, not an activity indicator.
-        onUserMessage?.(response, updatedHistory);
+        onUserMessage?.(response, updatedHistory?.filter(isTextConversationItem));
         return;
       }
     }
@@ -2721,6 +3080,7 @@ function DeepgramVoiceInteraction(
           name: string;
           arguments: string;
           client_side: boolean;
+          proxy_executed?: boolean;
         }>;
       }
       
@@ -2747,6 +3107,10 @@ function DeepgramVoiceInteraction(
           transitionToThinkingState('FunctionCallRequest received', true); // Maintain keepalive during function call processing
         }
         
+        functions.forEach((funcCall) => {
+          recordFunctionCallItem(funcCall.id, funcCall.name, funcCall.arguments, !!funcCall.client_side);
+        });
+
         // For each function call request, invoke the callback
         functions.forEach((funcCall) => {
           functionCallLogger.debug('Processing function call:', {
@@ -2774,6 +3138,32 @@ function DeepgramVoiceInteraction(
               client_side: funcCall.client_side
             };
             
+            // tools prop: validated dispatch to the tool's handler; unknown names fall back to onFunctionCallRequest
+            const tool = findTool(toolsRef.current, functionCall.name);
+            const timeoutMs = resolveFunctionCallTimeoutMs(functionCall.name, functionCallOptionsRef.current, tool);
+            if (tool) {
+              log(`Executing tool ${tool.name} for function call ${functionCall.id}`);
+              handleFunctionCallStarted(functionCall.id);
+              const toolSignal = functionCallTrackerRef.current!.begin({
+                id: functionCall.id,
+                name: functionCall.name,
+                timeoutMs,
+                onAbandon: (reason) => {
+                  if (reason !== 'disconnected') {
+                    sendFunctionCallResponse(functionCall.id, functionCall.name, abandonedFunctionCallContent(functionCall.name, reason, timeoutMs));
+                  }
+                  handleFunctionCallCompleted(functionCall.id);
+                },
+              });
+              void executeToolCall(tool, functionCall, toolSignal).then((content) => {
+                if (functionCallTrackerRef.current?.settle(functionCall.id)) {
+                  sendFunctionCallResponse(functionCall.id, functionCall.name, content);
+                  handleFunctionCallCompleted(functionCall.id);
+                }
+              });
+              return;
+            }
+
             functionCallLogger.callbackInvoked(functionCall, !!onFunctionCallRequest);
             
             // Enhanced logging for callback invocation
@@ -2811,6 +3201,26 @@ function DeepgramVoiceInteraction(
                 handleFunctionCallCompleted(functionCall.id);
               }
             };
+
+            // Timeout / barge-in / disconnect: answer the agent (when still connected) and ignore the handler's late response
+            const signal = functionCallTrackerRef.current!.begin({
+              id: functionCall.id,
+              name: functionCall.name,
+              timeoutMs,
+              onAbandon: (reason) => {
+                if (!responseSent && reason !== 'disconnected') {
+                  sendFunctionCallResponse(functionCall.id, functionCall.name, abandonedFunctionCallContent(functionCall.name, reason, timeoutMs));
+                }
+                responseSent = true;
+                markFunctionCallCompleted();
+              },
+            });
+            // Sends unless the call was already abandoned
+            const sendTrackedResponse = (content: string): void => {
+              if (functionCallTrackerRef.current?.settle(functionCall.id)) {
+                sendFunctionCallResponse(functionCall.id, functionCall.name, content);
+              }
+            };
             
             // Create sendResponse callback that wraps sendFunctionCallResponse
             // Wrap it to track when it's called (Issue #355)
@@ -2825,7 +3235,7 @@ function DeepgramVoiceInteraction(
               }
               
               // Call the internal sendFunctionCallResponse method
-              sendFunctionCallResponse(functionCall.id, functionCall.name, content);
+              sendTrackedResponse(content);
               // Issue #373: Mark function call as completed when response is sent
               markFunctionCallCompleted();
             };
@@ -2837,7 +3247,7 @@ function DeepgramVoiceInteraction(
               if (configRef.current.debug) {
                 logConsole('debug','🔧 [FUNCTION] Invoking onFunctionCallRequest callback now...');
               }
-              const result = onFunctionCallRequest(functionCall, trackedSendResponse);
+              const result = onFunctionCallRequest(functionCall, trackedSendResponse, { signal });
               functionCallLogger.callbackResult(result !== undefined && result !== null);
               
               if (configRef.current.debug) {
@@ -2866,7 +3276,7 @@ function DeepgramVoiceInteraction(
                       }
                       
                       // Call the internal sendFunctionCallResponse method
-                      sendFunctionCallResponse(functionCall.id, functionCall.name, content);
+                      sendTrackedResponse(content);
                       responseSent = true;
                       // Issue #373: Mark function call as completed when response is sent
                       markFunctionCallCompleted();
@@ -2880,7 +3290,7 @@ function DeepgramVoiceInteraction(
                       // Handler didn't send response via sendResponse, send default error
                       const defaultError = 'Handler completed without sending a response';
                       log(`Function call ${functionCall.id} Promise resolved without sending response, sending default error`);
-                      sendFunctionCallResponse(functionCall.id, functionCall.name, JSON.stringify({ error: defaultError }));
+                      sendTrackedResponse(JSON.stringify({ error: defaultError }));
                       responseSent = true;
                       // Issue #373: Mark function call as completed when response is sent
                       markFunctionCallCompleted();
@@ -2895,7 +3305,7 @@ function DeepgramVoiceInteraction(
                   log('Error handling function call response:', error);
                   // Issue #355: Send error response if handler didn't already send one
                   if (!responseSent) {
-                    sendFunctionCallResponse(functionCall.id, functionCall.name, JSON.stringify({ error: error.message || 'Unknown error' }));
+                    sendTrackedResponse(JSON.stringify({ error: error.message || 'Unknown error' }));
                     responseSent = true;
                   }
                   // Issue #373: Always mark function call as completed when promise rejects
@@ -2912,7 +3322,7 @@ function DeepgramVoiceInteraction(
                 if (!responseSent) {
                   const defaultError = 'Handler completed without sending a response';
                   log(`Function call ${functionCall.id} completed without sending response, sending default error`);
-                  sendFunctionCallResponse(functionCall.id, functionCall.name, JSON.stringify({ error: defaultError }));
+                  sendTrackedResponse(JSON.stringify({ error: defaultError }));
                   responseSent = true;
                   // Issue #373: Mark function call as completed when default error response is sent
                   markFunctionCallCompleted();
@@ -2932,7 +3342,7 @@ function DeepgramVoiceInteraction(
               // Issue #355: Send error response instead of re-throwing
               if (!responseSent) {
                 const errorMessage = error instanceof Error ? error.message : 'Unknown error occurred';
-                sendFunctionCallResponse(functionCall.id, functionCall.name, JSON.stringify({ error: errorMessage }));
+                sendTrackedResponse(JSON.stringify({ error: errorMessage }));
                 responseSent = true;
               }
               // Issue #373: Always mark function call as completed when we exit (even if response was already sent)
@@ -2946,12 +3356,32 @@ function DeepgramVoiceInteraction(
           } else {
             logConsole('debug','🔧 [FUNCTION DEBUG] Server-side function call received (not handled by component):', funcCall.name);
             log('Server-side function call received (not handled by component):', funcCall.name);
+            // A proxy with a function executor sends the result: no idle timeout until it arrives. Deepgram endpoint
+            // functions send none, so they do not hold the idle timeout.
+            if (funcCall.proxy_executed === true) {
+              serverFunctionCallsRef.current.set(funcCall.id, funcCall.name);
+              handleFunctionCallStarted(funcCall.id);
+            }
           }
         });
       }
       
       return;
     }
+
+    // Result of a server-side function call: informational, the server already answered the agent
+    if (data.type === 'FunctionCallResponse') {
+      const name = typeof data.name === 'string' ? data.name : '';
+      const content = typeof data.content === 'string' ? data.content : '';
+      const id = completeServerFunctionCall(typeof data.id === 'string' ? data.id : undefined, name);
+      if (id === undefined) {
+        log('Server-side function call result without an id matches no pending call; not recorded:', name);
+        return;
+      }
+      log('Server-side function call result received:', name);
+      recordFunctionResult(id, name, content);
+      return;
+    }
     
     // Handle errors
     if (data.type === 'Error') {
@@ -3030,6 +3460,8 @@ function DeepgramVoiceInteraction(
       const channel = Array.isArray(data.channel) ? data.channel : [0, 1];
       const lastWordEnd = typeof data.last_word_end === 'number' ? data.last_word_end : 0;
       onUtteranceEnd?.({ channel, lastWordEnd });
+      // After speech_final (transcription service) the turn is already open; see handleTranscriptionMessage
+      if (!speechFinalReceivedRef.current) turnMetricsRef.current?.markUserStoppedSpeaking();
       
       // Track VAD event for redundancy detection
       const timestamp = Date.now();
@@ -3120,6 +3552,18 @@ function DeepgramVoiceInteraction(
       log('🔇 Agent audio blocked - discarding audio buffer to prevent playback');
       return;
     }
+    if (localBargeInUntilRef.current !== null) {
+      if (Date.now() < localBargeInUntilRef.current) {
+        log('🔇 Local barge-in awaiting server confirmation - discarding audio buffer');
+        return;
+      }
+      log('Local barge-in not confirmed by the server - resuming agent audio');
+      localBargeInUntilRef.current = null;
+    }
+    if (userTurnOpenRef.current) {
+      log('🔇 Push-to-talk user turn open - discarding agent audio buffer');
+      return;
+    }
     
     // Create AudioManager lazily if it doesn't exist (for TTS-only playback)
     if (!audioManagerRef.current) {
@@ -3138,6 +3582,13 @@ function DeepgramVoiceInteraction(
       }
     }
     
+    // G.711 output (agentOptions.audioOutput) is decoded here, so recording and playback only handle linear16
+    const outputEncoding = resolveAgentAudioFormats(agentOptionsRef.current).output.encoding;
+    if (outputEncoding !== 'linear16') {
+      data = g711ToPcm16Le(data, outputEncoding);
+    }
+
+    sessionRecorderRef.current?.addAgentAudio(data);
     log('Passing buffer to playback sink (AudioManager.queueAudio)');
     if (props.debug) logConsole('debug','🎵 [AUDIO] Audio context state:', audioManagerRef.current?.getAudioContext?.()?.state);
     const sink = agentAudioSinkRef.current ?? (audioManagerRef.current ? new WebAudioPlaybackSink(audioManagerRef.current) : null);
@@ -3222,6 +3673,7 @@ function DeepgramVoiceInteraction(
 
   // Start the connection
   const start = async (options?: { agent?: boolean; transcription?: boolean; userInitiated?: boolean }): Promise<void> => {
+    assertLeaderTab('start');
     try {
       log('Start method called', options ? `with options: ${JSON.stringify(options)}` : 'without options');
       
@@ -3249,6 +3701,7 @@ function DeepgramVoiceInteraction(
       if (isFreshStart) {
         const previousBlockingState = allowAgentRef.current;
         allowAgentRef.current = ALLOW_AUDIO;
+        localBargeInUntilRef.current = null;
         if (props.debug) {
           logConsole('debug',`🔍 [AUDIO BLOCKING] start() - Fresh connection detected, resetting allowAgentRef from ${previousBlockingState} to ${ALLOW_AUDIO}`);
         }
@@ -3276,12 +3729,11 @@ function DeepgramVoiceInteraction(
         ? (options.agent === true)
         : isAgentConfigured;
 
-      // OpenAI proxy (Realtime): one WebSocket session — user audio + transcripts/VAD flow there (Issue #439).
+      // e.g. OpenAI proxy (Realtime): one WebSocket session — user audio + transcripts/VAD flow there (Issue #439).
       // Do not open the separate Deepgram Listen transcription manager/socket; that is not this protocol.
-      const isOpenAIProxy = config.connectionMode === 'proxy' && (config.proxyEndpoint ?? '').includes('/openai');
-      if (isOpenAIProxy) {
+      if (config.providerAdapter.transcriptsOnAgentConnection) {
         shouldStartTranscription = false;
-        log('🔧 [START] OpenAI proxy: skipping Deepgram transcription socket (STT/VAD on Realtime session)');
+        log(`🔧 [START] Provider '${config.providerAdapter.id}': skipping Deepgram transcription socket (STT/VAD on agent session)`);
       }
       
       log(`Service start flags: transcription=${shouldStartTranscription}, agent=${shouldStartAgent}`);
@@ -3397,6 +3849,10 @@ function DeepgramVoiceInteraction(
   // Stop the connection
   const stop = async (): Promise<void> => {
     log('Stopping voice interaction');
+    sessionHistoryForReconnectRef.current = [];
+    injectedUserTextsRef.current = [];
+    streamedAssistantTextRef.current = '';
+    turnMetricsRef.current?.reset();
     
     try {
       // Send CloseStream message to finalize any pending transcriptions (if configured)
@@ -3493,6 +3949,7 @@ function DeepgramVoiceInteraction(
     try {
       log('🔴 Calling audioManager.clearAudioQueue()');
       audioManagerRef.current.clearAudioQueue();
+      sessionRecorderRef.current?.cutAgentAudio();
       
       // Additional audio cleanup
       if (audioManagerRef.current['audioContext']) {
@@ -3524,7 +3981,9 @@ function DeepgramVoiceInteraction(
       return;
     }
     
+    markAgentReplyInterrupted();
     clearAudio();
+    functionCallTrackerRef.current?.abandonAll('interrupted');
     // Ensure playback state is false so UI and onPlaybackStateChange reflect interrupt immediately.
     // AudioManager.clearAudioQueue() also emits playing=false when wasPlaying, but dispatching here
     // guarantees the update (e.g. E2E audio-playing-status) without relying on emit timing/race.
@@ -3552,6 +4011,71 @@ function DeepgramVoiceInteraction(
     log('🔊 Agent audio allowed - audio will play normally');
   };
 
+  // localVad: local speech events are hints; agent state and turn-taking still follow the server
+  const handleLocalSpeechRef = useRef<(speaking: boolean) => void>(() => undefined);
+  handleLocalSpeechRef.current = (speaking) => {
+    log(`[LocalVAD] Speech ${speaking ? 'started' : 'stopped'}`);
+    if (!speaking) {
+      onLocalSpeechStop?.();
+      return;
+    }
+    onLocalSpeechStart?.();
+    const options = resolveLocalVadOptions(localVad);
+    const agentState = stateRef.current.agentState;
+    if (
+      options?.bargeIn &&
+      agentState !== 'sleeping' &&
+      agentState !== 'entering_sleep' &&
+      audioManagerRef.current?.isPlaybackActive()
+    ) {
+      log('[LocalVAD] Barge-in: stopping agent playback before the server reports UserStartedSpeaking');
+      clearAudio();
+      localBargeInUntilRef.current = Date.now() + options.bargeInConfirmMs;
+    }
+  };
+
+  // Push-to-talk: the application opens and closes user turns. The backend's VAD is off, so an open turn stands in
+  // for UserStartedSpeaking / UtteranceEnd; the agent is not heard while the user holds the turn.
+  const beginUserTurn = (): void => {
+    if (turnModeRef.current !== 'push-to-talk') {
+      log("beginUserTurn() ignored: turnMode is not 'push-to-talk'");
+      return;
+    }
+    if (userTurnOpenRef.current) return;
+    userTurnOpenRef.current = true;
+    log('[PushToTalk] User turn started');
+    if (audioManagerRef.current?.isPlaybackActive()) {
+      markAgentReplyInterrupted();
+      clearAudio();
+    }
+    dispatch({ type: 'USER_SPEAKING_STATE_CHANGE', isSpeaking: true });
+    onUserStartedSpeaking?.();
+    updateKeepaliveState(true);
+    agentStateServiceRef.current?.handleUserStartedSpeaking();
+  };
+
+  const endUserTurn = (): void => {
+    if (!userTurnOpenRef.current) return;
+    userTurnOpenRef.current = false;
+    log('[PushToTalk] User turn ended');
+    const agentManager = agentManagerRef.current;
+    if (agentManager?.getState() === 'connected') {
+      if (configRef.current.providerAdapter.supportsEndUserTurn) {
+        agentManager.sendJSON({ type: 'EndUserTurn' });
+      } else {
+        // No end-of-turn message (Deepgram): trailing silence lets the backend's endpointing finish the turn
+        const inputRate = resolveAgentAudioFormats(agentOptionsRef.current).input.sampleRate;
+        const silenceBytes = (inputRate * PUSH_TO_TALK_TRAILING_SILENCE_MS * 2) / 1000;
+        sendAudioData(new ArrayBuffer(silenceBytes));
+      }
+    }
+    dispatch({ type: 'USER_SPEAKING_STATE_CHANGE', isSpeaking: false });
+    onUserStoppedSpeaking?.();
+    turnMetricsRef.current?.markUserStoppedSpeaking();
+    updateKeepaliveState(false);
+    agentStateServiceRef.current?.handleUserStoppedSpeaking();
+  };
+
   // Put agent to sleep - only if agent is configured
   const sleep = (): void => {
     if (!agentManagerRef.current) {
@@ -3587,6 +4111,22 @@ function DeepgramVoiceInteraction(
     agentStateServiceRef.current?.handleSleepStateChange(false);
   };
   
+  /**
+   * While sleeping, check an (otherwise ignored) transcript for a sleepOptions.wakeWords phrase and wake if found.
+   * Interim results count so the agent wakes as soon as the phrase is heard, not at end of utterance.
+   */
+  const wakeOnWakeWord = (data: unknown): void => {
+    const wakeWords = sleepOptions?.wakeWords;
+    if (!wakeWords?.length || stateRef.current.agentState !== 'sleeping') return;
+    const normalized = normalizeTranscriptMessageToResponse(data as Parameters<typeof normalizeTranscriptMessageToResponse>[0]);
+    const transcript = normalized?.transcript ?? '';
+    const wakeWord = findWakeWord(transcript, wakeWords);
+    if (!wakeWord) return;
+    sleepLog(`Wake word "${wakeWord}" detected in transcript - waking`);
+    wake();
+    onWakeWord?.(wakeWord, transcript);
+  };
+
   // Toggle between sleep and wake states - only if agent is configured
   const toggleSleep = (): void => {
     if (!agentManagerRef.current) {
@@ -3622,11 +4162,13 @@ function DeepgramVoiceInteraction(
 
   // Inject a user message to the agent
   const injectUserMessage = async (message: string): Promise<void> => {
+    assertLeaderTab('injectUserMessage');
     const config = configRef.current;
     if (!config.agentOptions) {
       log('Cannot inject user message: agentOptions not configured');
       throw new Error('Agent service not configured');
     }
+    injectedUserTextsRef.current = [...injectedUserTextsRef.current, message.trim()].slice(-MAX_CONVERSATION_STORED);
     
     // Create agent manager if it doesn't exist
     if (!agentManagerRef.current) {
@@ -3639,6 +4181,13 @@ function DeepgramVoiceInteraction(
     } else {
       log('Agent manager already exists, reusing');
     }
+
+    // reconnectOptions: while the manager retries, queue rather than forcing a connect; drained on SettingsApplied
+    if (agentAutoReconnectingRef.current) {
+      log('Agent reconnecting - queuing user message until SettingsApplied/session.created');
+      pendingInjectUserMessagesRef.current.push(message);
+      return;
+    }
     
     // Store reference to manager to check if it gets cleared
     const managerBeforeConnect = agentManagerRef.current;
@@ -3799,9 +4348,17 @@ function DeepgramVoiceInteraction(
     if (audioManagerRef.current) {
       return; // Already exists
     }
+    const audioFormats = resolveAgentAudioFormats(agentOptionsRef.current);
     audioManagerRef.current = new AudioManager({
       debug: props.debug,
+      sampleRate: audioFormats.input.sampleRate,
+      outputSampleRate: audioFormats.output.sampleRate,
       audioConstraints: audioConstraints, // Phase 2: Issue #243 - Pass audio constraints from props
+      localVad: resolveLocalVadOptions(localVad),
+      inputDeviceId,
+      audioSource: audioSourceRef.current,
+      outputDeviceId,
+      jitterBuffer: resolveJitterBufferOptions(jitterBuffer),
     });
 
     // Set up event listeners for audio manager
@@ -3815,6 +4372,9 @@ function DeepgramVoiceInteraction(
         log('Playing state:', event.isPlaying);
         logConsole('debug',`🎯 [AUDIO] Playback state changed: ${event.isPlaying ? 'PLAYING' : 'NOT PLAYING'}, current agent state: ${stateRef.current.agentState}`);
         dispatch({ type: 'PLAYBACK_STATE_CHANGE', isPlaying: event.isPlaying });
+        if (event.isPlaying) {
+          turnMetricsRef.current?.markPlaybackStarted();
+        }
         
         // Transition agent to speaking when playback starts
         // This is the primary mechanism for detecting TTS playback and transitioning to speaking state
@@ -3869,7 +4429,15 @@ function DeepgramVoiceInteraction(
       } else if (event.type === 'error') {
         handleError(event.error);
       } else if (event.type === 'data') {
-        sendAudioData(event.data);
+        sessionRecorderRef.current?.addUserAudio(event.data);
+        if (turnModeRef.current !== 'push-to-talk' || userTurnOpenRef.current) {
+          sendAudioData(event.data);
+        }
+      } else if (event.type === 'vad') {
+        handleLocalSpeechRef.current(event.speaking);
+      } else if (event.type === 'deviceChange') {
+        log(`Audio ${event.change.kind} device: ${event.change.deviceId ?? 'default'} (${event.change.reason})`);
+        onAudioDeviceChangeRef.current?.(event.change);
       }
     });
 
@@ -3881,6 +4449,7 @@ function DeepgramVoiceInteraction(
 
   // Start audio capture with lazy initialization
   const startAudioCapture = async (): Promise<void> => {
+    assertLeaderTab('startAudioCapture');
     try {
       log('startAudioCapture called - initializing audio manager lazily');
       // Issue #222: reset idle timeout immediately — async work below can take >1s; if we only
@@ -3905,9 +4474,9 @@ function DeepgramVoiceInteraction(
       // Check if agent is already connected
       const agentAlreadyConnected = agentManagerRef.current?.getState() === 'connected';
       
-      // Create and connect transcription manager if needed (skip when OpenAI proxy – transcript/VAD via agent only, Issue #414)
-      const isOpenAIProxy = config.connectionMode === 'proxy' && (config.proxyEndpoint ?? '').includes('/openai');
-      if (isTranscriptionConfigured && !isOpenAIProxy) {
+      // Create and connect transcription manager if needed (skip when the provider carries transcript/VAD on the agent connection, Issue #414)
+      const transcriptsOnAgentConnection = config.providerAdapter.transcriptsOnAgentConnection;
+      if (isTranscriptionConfigured && !transcriptsOnAgentConnection) {
         if (!transcriptionManagerRef.current) {
           log('Creating transcription manager lazily for microphone...');
           transcriptionManagerRef.current = createTranscriptionManager();
@@ -3919,8 +4488,8 @@ function DeepgramVoiceInteraction(
           log('Connecting transcription service for microphone/VAD...');
           await transcriptionManagerRef.current.connect();
         }
-      } else if (isTranscriptionConfigured && isOpenAIProxy) {
-        log('Skipping transcription manager for OpenAI proxy (transcript/VAD via agent connection)');
+      } else if (isTranscriptionConfigured && transcriptsOnAgentConnection) {
+        log(`Skipping transcription manager for provider '${config.providerAdapter.id}' (transcript/VAD via agent connection)`);
       }
       
       // Create and connect agent manager if needed (only if not already connected)
@@ -4018,6 +4587,112 @@ function DeepgramVoiceInteraction(
 
   // Declarative Props Implementation (Issue #305)
   // Refs to track previous prop values to prevent duplicate actions
+  // tabCoordination: callbacks read through refs so the coordinator (created once per name) sees the latest props
+  const onTabRoleChangeRef = useRef(onTabRoleChange);
+  onTabRoleChangeRef.current = onTabRoleChange;
+  const onTabHandoverRequestRef = useRef(onTabHandoverRequest);
+  onTabHandoverRequestRef.current = onTabHandoverRequest;
+
+  const isHoldingTabResources = (): boolean =>
+    !!agentManagerRef.current || !!transcriptionManagerRef.current || !!audioManagerRef.current?.isRecordingActive();
+
+  const publishLeaderSnapshotRef = useRef<() => void>(() => undefined);
+  publishLeaderSnapshotRef.current = () => {
+    const coordinator = tabCoordinatorRef.current;
+    const current = stateRef.current;
+    coordinator?.publish({ type: 'state', agentState: current.agentState, connections: current.connections, isPlaying: current.isPlaying });
+    coordinator?.publish({ type: 'history', items: conversationHistoryRef.current });
+  };
+
+  // Follower: show the leader's state, transcripts and history through the usual callbacks (nothing is persisted)
+  const applyLeaderUpdateRef = useRef<(update: TabLeaderUpdate) => void>(() => undefined);
+  applyLeaderUpdateRef.current = (update) => {
+    if (update.type === 'state') {
+      (['transcription', 'agent'] as ServiceType[]).forEach((service) => {
+        if (stateRef.current.connections[service] === update.connections[service]) return;
+        dispatch({ type: 'CONNECTION_STATE_CHANGE', service, state: update.connections[service] });
+        onConnectionStateChange?.(service, update.connections[service]);
+      });
+      dispatch({ type: 'AGENT_STATE_CHANGE', state: update.agentState });
+      dispatch({ type: 'PLAYBACK_STATE_CHANGE', isPlaying: update.isPlaying });
+    } else if (update.type === 'transcript') {
+      onTranscriptUpdate?.(update.transcript);
+    } else {
+      const seen = new Set(conversationHistoryRef.current.map((item) => item.id));
+      conversationHistoryRef.current = update.items;
+      setConversationHistory(update.items);
+      const visible = update.items.filter(isTextConversationItem);
+      update.items.forEach((item) => {
+        if (seen.has(item.id) || !isTextConversationItem(item)) return;
+        if (item.role === 'user') {
+          onUserMessage?.({ type: 'user', text: item.content }, visible);
+        } else {
+          onAgentUtterance?.({ type: 'llm', text: item.content }, visible);
+        }
+      });
+    }
+  };
+
+  const handleTabRoleChangeRef = useRef<(role: TabRole) => void>(() => undefined);
+  handleTabRoleChangeRef.current = (role) => {
+    log(`[TabCoordination] This tab is now ${role}`);
+    tabRoleRef.current = role;
+    setTabRole(role);
+    if (role === 'follower' && isHoldingTabResources()) {
+      stop().catch((error) => log('[TabCoordination] Failed to stop after losing leadership:', error));
+    }
+    onTabRoleChangeRef.current?.(role);
+  };
+
+  const answerTabHandoverRef = useRef<(request: TabHandoverRequest) => Promise<boolean>>(() => Promise.resolve(false));
+  answerTabHandoverRef.current = async (request) => {
+    const allowed = (await onTabHandoverRequestRef.current?.(request)) ?? true;
+    if (!allowed) return false;
+    log(`[TabCoordination] Handing over to tab ${request.requestingTabId}`);
+    if (isHoldingTabResources()) await stop();
+    return true;
+  };
+
+  useEffect(() => {
+    if (tabCoordinationName === null) return;
+    const coordinator = new TabCoordinator<TabLeaderUpdate>({
+      name: tabCoordinationName,
+      handoverTimeoutMs: tabHandoverTimeoutMs,
+      onRoleChange: (role) => handleTabRoleChangeRef.current(role),
+      onUpdate: (update) => applyLeaderUpdateRef.current(update),
+      onFollowerJoined: () => publishLeaderSnapshotRef.current(),
+      onHandoverRequest: (request) => answerTabHandoverRef.current(request),
+      debug: props.debug,
+    });
+    tabCoordinatorRef.current = coordinator;
+    if (tabRoleRef.current === 'leader') handleTabRoleChangeRef.current('follower');
+    coordinator.start();
+    return () => {
+      coordinator.dispose();
+      if (tabCoordinatorRef.current === coordinator) tabCoordinatorRef.current = null;
+    };
+  }, [tabCoordinationName, tabHandoverTimeoutMs]);
+
+  // Coordination switched off: the tab leads on its own again
+  useEffect(() => {
+    if (tabCoordinationName === null && tabRoleRef.current === 'follower') handleTabRoleChangeRef.current('leader');
+  }, [tabCoordinationName]);
+
+  // Leader: publish state and history changes to follower tabs
+  useEffect(() => {
+    if (!isLeaderTab) return;
+    tabCoordinatorRef.current?.publish({
+      type: 'state',
+      agentState: state.agentState,
+      connections: state.connections,
+      isPlaying: state.isPlaying,
+    });
+  }, [isLeaderTab, state.agentState, state.connections, state.isPlaying]);
+
+  useEffect(() => {
+    if (isLeaderTab) tabCoordinatorRef.current?.publish({ type: 'history', items: conversationHistory });
+  }, [isLeaderTab, conversationHistory]);
+
   const prevUserMessageRef = useRef<string | null | undefined>(undefined);
   const prevConnectionStateRef = useRef<'connected' | 'disconnected' | 'auto' | undefined>(undefined);
   const prevAutoStartAgentRef = useRef<boolean | undefined>(undefined);
@@ -4046,8 +4721,9 @@ function DeepgramVoiceInteraction(
     prevUserMessageRef.current = userMessage;
   }, [userMessage, onUserMessageSent, injectUserMessage, handleError]);
 
-  // connectionState / autoStart props - declarative connection control
+  // connectionState / autoStart props - declarative connection control. A follower tab connects once it leads.
   useEffect(() => {
+    if (!isLeaderTab) return;
     const config = configRef.current;
     const isAgentConfigured = !!config.agentOptions;
     const isTranscriptionConfigured = !!config.transcriptionOptions;
@@ -4095,7 +4771,7 @@ function DeepgramVoiceInteraction(
     prevConnectionStateRef.current = connectionState;
     prevAutoStartAgentRef.current = autoStartAgent;
     prevAutoStartTranscriptionRef.current = autoStartTranscription;
-  }, [connectionState, autoStartAgent, autoStartTranscription, agentOptions, transcriptionOptions, start, stop, handleError]);
+  }, [connectionState, autoStartAgent, autoStartTranscription, agentOptions, transcriptionOptions, start, stop, handleError, isLeaderTab]);
 
   // Store callback in ref to avoid dependency issues
   const onAgentInterruptedRef = useCallbackRef(onAgentInterrupted);
@@ -4147,6 +4823,9 @@ function DeepgramVoiceInteraction(
     true // allowUndefinedToTrue - allows action when prop changes from undefined to true
   );
 
+  // pushToTalk prop - declarative push-to-talk button (turnMode 'push-to-talk')
+  useBooleanDeclarativeProp(pushToTalk, beginUserTurn, endUserTurn, undefined, true, true);
+
   // Expose methods via ref
   useImperativeHandle(ref, () => ({
     // Core connection methods
@@ -4166,6 +4845,9 @@ function DeepgramVoiceInteraction(
     // Microphone control
     startAudioCapture,
     stopAudioCapture,
+    setAudioSource,
+    beginUserTurn,
+    endUserTurn,
     
     // Function calling
     sendFunctionCallResponse,
@@ -4188,9 +4870,62 @@ function DeepgramVoiceInteraction(
     // Issue #406 / #560: Return ref, not React state — ConversationText updates the ref synchronously before
     // setState flushes; parents that sync from getConversationHistory() in the same tick (e.g. test-app mount
     // timeout) otherwise read [] and wipe UI after onAgentUtterance already ran.
-    getConversationHistory: () => conversationHistoryRef.current,
+    // The text-only view keeps its identity between calls until the history changes, and is the ref itself when
+    // every item is text.
+    getConversationHistory: (options?: ConversationHistoryOptions) => {
+      const source = conversationHistoryRef.current;
+      if (options?.includeAllKinds) return source;
+      if (textHistoryViewRef.current.source !== source) {
+        const view = source.filter(isTextConversationItem);
+        textHistoryViewRef.current = { source, view: view.length === source.length ? source : view };
+      }
+      return textHistoryViewRef.current.view;
+    },
+    addConversationNote: (content: string) => {
+      appendConversationItem(createConversationItem({ role: 'user', kind: 'system_note', content }));
+    },
     // Issue #429: Expose agent manager for idle-timeout control (disableIdleTimeoutResets / enableIdleTimeoutResets)
     getAgentManager: () => agentManagerRef.current,
+    getTurnMetricsSummary: () => turnMetricsRef.current!.getSummary(),
+    getTabRole: () => tabRoleRef.current,
+    startSessionRecording: (options?: SessionRecordingOptions) => {
+      if (sessionRecorderRef.current) {
+        throw new Error('A session recording is already in progress; call stopSessionRecording() first');
+      }
+      const audioFormats = resolveAgentAudioFormats(agentOptionsRef.current);
+      const recorder = new SessionRecorder({
+        ...options,
+        userSampleRate: audioFormats.input.sampleRate,
+        agentSampleRate: audioFormats.output.sampleRate,
+      });
+      // Start the sidecar with the current state so transitions have a baseline
+      const current = stateRef.current;
+      recorder.addEvent({ type: 'agent_state', state: current.agentState });
+      (['transcription', 'agent'] as ServiceType[]).forEach((service) => {
+        recorder.addEvent({ type: 'connection_state', service, state: current.connections[service] });
+      });
+      sessionRecorderRef.current = recorder;
+      log('[SessionRecording] Started', recorder.layout);
+    },
+    stopSessionRecording: (): SessionRecording | null => {
+      const recorder = sessionRecorderRef.current;
+      if (!recorder) return null;
+      sessionRecorderRef.current = null;
+      const recording = recorder.finish();
+      log(`[SessionRecording] Stopped after ${recording.sidecar.durationMs} ms`);
+      return recording;
+    },
+    requestTabHandover: () =>
+      tabCoordinatorRef.current ? tabCoordinatorRef.current.requestHandover() : Promise.resolve(tabRoleRef.current === 'leader'),
+    subscribeAudioLevels: (listener: (levels: AudioLevels) => void) => {
+      const listeners = audioLevelListenersRef.current;
+      listeners.add(listener);
+      setAudioLevelListenerCount(listeners.size);
+      return () => {
+        listeners.delete(listener);
+        setAudioLevelListenerCount(listeners.size);
+      };
+    },
   }));
 
   // Render nothing (headless component)
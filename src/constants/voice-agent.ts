@@ -36,3 +36,27 @@ export const DEFAULT_CONNECTION_TIMEOUT_MS = 10000;
 export const DEFAULT_KEEPALIVE_INTERVAL_MS = 5000;
 
 export const DEFAULT_IDLE_TIMEOUT_MS = 10000; // client idle timeout (default 10s)
+
+/**
+ * Push-to-talk with a backend that has no explicit end-of-turn message (Deepgram): milliseconds of silence sent when
+ * the turn ends so the backend's endpointing finalizes it.
+ */
+export const PUSH_TO_TALK_TRAILING_SILENCE_MS = 1000;
+
+/** Seconds of inactivity before auto-sleep when `sleepOptions.autoSleep` is set without `timeout`. */
+export const DEFAULT_AUTO_SLEEP_TIMEOUT_S = 30;
+
+/**
+ * Automatic reconnection defaults (see `ReconnectOptions`). Retryable close codes are the ones that signal a
+ * transient server or network condition: 1001 going away, 1006 abnormal (no close frame), 1011 internal error,
+ * 1012 service restart, 1013 try again later, 1014 bad gateway.
+ */
+export const DEFAULT_RECONNECT_MAX_ATTEMPTS = 5;
+export const DEFAULT_RECONNECT_INITIAL_DELAY_MS = 1000;
+export const DEFAULT_RECONNECT_MAX_DELAY_MS = 30000;
+export const DEFAULT_RECONNECT_BACKOFF_MULTIPLIER = 2;
+export const DEFAULT_RECONNECT_JITTER_RATIO = 0.2;
+export const DEFAULT_RETRYABLE_CLOSE_CODES: readonly number[] = [1001, 1006, 1011, 1012, 1013, 1014];
+
+/** Number of most recent turns aggregated by `getTurnMetricsSummary()`. */
+export const DEFAULT_TURN_METRICS_WINDOW = 20;
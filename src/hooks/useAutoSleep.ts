@@ -0,0 +1,71 @@
+import { useCallback, useEffect, useRef } from 'react';
+import { VoiceInteractionState } from '../utils/state/VoiceInteractionState';
+import { getLogger } from '../utils/logger';
+
+/**
+ * Auto-sleep timer for `sleepOptions.autoSleep`.
+ *
+ * Counts down only while the conversation is quiet: agent `idle` or `listening`, nothing playing and
+ * the user not speaking. Any other committed state cancels the countdown; returning to quiet starts it
+ * again from the full timeout. Activity that does not change React state (e.g. interim transcripts,
+ * injected text) calls `resetAutoSleepTimer` to restart the countdown.
+ *
+ * This is independent of `IdleTimeoutService`, which closes the connection; auto-sleep keeps the
+ * connection open and only stops forwarding mic audio to the agent until a wake phrase or `wake()`.
+ */
+export function useAutoSleep(
+  state: VoiceInteractionState,
+  enabled: boolean,
+  timeoutMs: number,
+  onAutoSleep: () => void,
+  debug: boolean = false
+) {
+  const logger = getLogger({ debug });
+  const timerRef = useRef<ReturnType<typeof setTimeout> | null>(null);
+  const onAutoSleepRef = useRef(onAutoSleep);
+  const isQuietRef = useRef(false);
+
+  // Latest callback without re-arming the timer on every render
+  onAutoSleepRef.current = onAutoSleep;
+
+  const clearTimer = useCallback(() => {
+    if (timerRef.current !== null) {
+      clearTimeout(timerRef.current);
+      timerRef.current = null;
+    }
+  }, []);
+
+  const armTimer = useCallback(() => {
+    clearTimer();
+    timerRef.current = setTimeout(() => {
+      timerRef.current = null;
+      logger.debug('[SLEEP_CYCLE][AUTO] Inactivity timeout reached - entering sleep', { timeoutMs });
+      onAutoSleepRef.current();
+    }, timeoutMs);
+  }, [clearTimer, timeoutMs, debug]);
+
+  const isQuiet =
+    (state.agentState === 'idle' || state.agentState === 'listening') &&
+    !state.isPlaying &&
+    !state.isUserSpeaking;
+
+  useEffect(() => {
+    isQuietRef.current = enabled && isQuiet;
+    if (isQuietRef.current) {
+      armTimer();
+    } else {
+      clearTimer();
+    }
+  }, [enabled, isQuiet, armTimer, clearTimer]);
+
+  useEffect(() => clearTimer, [clearTimer]);
+
+  /** Restart the countdown after activity that did not change agent/playback/speaking state. */
+  const resetAutoSleepTimer = useCallback(() => {
+    if (isQuietRef.current) {
+      armTimer();
+    }
+  }, [armTimer]);
+
+  return { resetAutoSleepTimer };
+}
@@ -8,12 +8,20 @@
 import { useCallback, type MutableRefObject } from 'react';
 import { getHistoryForSettings } from '../utils/getHistoryForSettings';
 import { getLogger } from '../utils/logger';
+import { conversationToContextMessages, isTextConversationItem } from '../utils/conversation-items';
 import type { ConversationMessage, AgentOptions } from '../types';
+import type { AgentContextMessage } from '../types/agent';
 
-export type AgentContextMessage = { type: 'History'; role: 'user' | 'assistant'; content: string };
+export type { AgentContextMessage };
 /** Effective context for Settings; compatible with AgentOptions.context */
 export type AgentContext = AgentOptions['context'];
 
+/** History items replayed as agent.context; undefined when nothing is replayable (e.g. only system notes) */
+function contextFromHistory(history: ConversationMessage[] | undefined): AgentContext | undefined {
+  const messages = history?.length ? conversationToContextMessages(history) : [];
+  return messages.length > 0 ? { messages } : undefined;
+}
+
 export interface UseSettingsContextParams {
   latestHistoryRef: MutableRefObject<ConversationMessage[] | undefined>;
   lastPersistedHistoryRef: MutableRefObject<ConversationMessage[] | undefined>;
@@ -60,17 +68,9 @@ export function useSettingsContext(params: UseSettingsContextParams): UseSetting
     });
     const sourceForHistory = sourceForHistoryArray.length > 0 ? sourceForHistoryArray : undefined;
 
-    const fromHistory: AgentContext | undefined = sourceForHistory?.length
-      ? {
-          messages: sourceForHistory.map((m) => ({
-            type: 'History' as const,
-            role: m.role,
-            content: m.content,
-          })),
-        }
-      : undefined;
+    const fromHistory = contextFromHistory(sourceForHistory);
 
-    const baseFromGetter = getAgentOptions(() => sourceForHistoryArray);
+    const baseFromGetter = getAgentOptions(() => sourceForHistoryArray.filter(isTextConversationItem));
     const baseAgentOptions = baseFromGetter ?? agentOptionsRef.current;
     const fromApp =
       baseAgentOptions?.context?.messages?.length
@@ -102,17 +102,9 @@ export function useSettingsContext(params: UseSettingsContextParams): UseSetting
     });
     const sourceForHistory = sourceForHistoryArray.length > 0 ? sourceForHistoryArray : undefined;
 
-    const fromHistory: AgentContext | undefined = sourceForHistory?.length
-      ? {
-          messages: sourceForHistory.map((m) => ({
-            type: 'History' as const,
-            role: m.role,
-            content: m.content,
-          })),
-        }
-      : undefined;
+    const fromHistory = contextFromHistory(sourceForHistory);
 
-    const baseFromGetter = getAgentOptions(() => sourceForHistoryArray);
+    const baseFromGetter = getAgentOptions(() => sourceForHistoryArray.filter(isTextConversationItem));
     const baseAgentOptions = baseFromGetter ?? agentOptionsRef.current;
     const fromApp =
       baseAgentOptions?.context?.messages?.length
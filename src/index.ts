@@ -20,9 +20,42 @@ export {
   type LoggerOptions,
 } from './utils/logger';
 
+// Provider adapters (`provider` prop): built-ins, registration of custom adapters, and the default Settings builder
+export {
+  deepgramProviderAdapter,
+  openAIProxyProviderAdapter,
+  registerProviderAdapter,
+  getProviderAdapter,
+} from './utils/provider-adapters';
+export { buildSettingsMessage } from './utils/buildSettingsMessage';
+
+// Conversation persistence: multi-session store over conversationStorage and the versioned payload format
+export { ConversationSessionStore, deriveConversationSessionTitle } from './services/ConversationSessionStore';
+export {
+  CONVERSATION_SCHEMA_VERSION,
+  decodeStoredConversation,
+  encodeStoredConversation,
+  migrateStoredConversation,
+} from './utils/conversation-storage-format';
+export {
+  IndexedDBConversationStorage,
+  type IndexedDBConversationStorageOptions,
+} from './utils/storage/IndexedDBConversationStorage';
+export {
+  EncryptedConversationStorage,
+  importConversationEncryptionKey,
+  type EncryptedConversationStorageOptions,
+} from './utils/storage/EncryptedConversationStorage';
+
 // Export test utilities (for testing the component, not for public API)
 export * from './test-utils';
 
+// Microphone / speaker selection for inputDeviceId and outputDeviceId
+export { listAudioDevices, supportsOutputDeviceSelection } from './utils/audio/audio-devices';
+
+// Settings audio formats from agentOptions.audioInput / audioOutput
+export { resolveAgentAudioFormats, DEFAULT_AGENT_AUDIO_FORMATS } from './utils/audio/audio-formats';
+
 /** OpenAI Realtime–aligned PCM rates (mic uplink + agent playback). */
 export {
   CLIENT_MIC_PCM_FOR_OPENAI_PROXY_HZ,
@@ -0,0 +1,213 @@
+/**
+ * Conversation Session Store
+ *
+ * Multiple persisted conversations on top of the two-method ConversationStorage. Each session is a
+ * StoredConversation under `<namespace>:session:<id>`; an index under `<namespace>:sessions` holds the metadata
+ * used for listing. The component writes through this store when `conversationSessionId` is set; apps use the
+ * same store (same storage and namespace) to list, resume, rename and delete sessions.
+ *
+ * Operations on one store instance run one at a time so concurrent saves cannot drop index entries.
+ */
+
+import type { ConversationMessage } from '../types/agent';
+import type { ConversationStorage } from '../types';
+import type { ConversationSessionInfo, ConversationSessionStoreOptions } from '../types/conversation-sessions';
+import {
+  decodeStoredConversation,
+  encodeStoredConversation,
+  isStoredConversationExpired,
+} from '../utils/conversation-storage-format';
+import { isTextConversationItem } from '../utils/conversation-items';
+
+export const DEFAULT_CONVERSATION_NAMESPACE = 'dg_conversation';
+const SESSION_TITLE_MAX_LENGTH = 60;
+const INDEX_VERSION = 1;
+
+interface SessionIndex {
+  indexVersion: number;
+  sessions: ConversationSessionInfo[];
+}
+
+function isSessionInfo(value: unknown): value is ConversationSessionInfo {
+  if (!value || typeof value !== 'object') return false;
+  const info = value as Record<string, unknown>;
+  return (
+    typeof info.id === 'string' &&
+    typeof info.title === 'string' &&
+    typeof info.createdAt === 'number' &&
+    typeof info.lastActivityAt === 'number' &&
+    typeof info.messageCount === 'number'
+  );
+}
+
+/** Start of the first user message, on one line */
+export function deriveConversationSessionTitle(items: ConversationMessage[]): string {
+  const first = items.find((item) => item.role === 'user' && isTextConversationItem(item) && item.content.trim());
+  const text = first ? first.content.trim().replace(/\s+/g, ' ') : '';
+  return text.length > SESSION_TITLE_MAX_LENGTH ? `${text.slice(0, SESSION_TITLE_MAX_LENGTH - 1)}…` : text;
+}
+
+export class ConversationSessionStore {
+  private storage: ConversationStorage;
+  private namespace: string;
+  private ttlMs: number | undefined;
+  private queue: Promise<unknown> = Promise.resolve();
+
+  constructor(storage: ConversationStorage, options: ConversationSessionStoreOptions = {}) {
+    this.storage = storage;
+    this.namespace = options.namespace ?? DEFAULT_CONVERSATION_NAMESPACE;
+    this.ttlMs = options.ttlMs;
+  }
+
+  /** Storage key of a session's conversation */
+  public sessionKey(id: string): string {
+    return `${this.namespace}:session:${id}`;
+  }
+
+  /**
+   * Sessions newest first. Expired sessions are deleted and not returned.
+   */
+  public listSessions(now: number = Date.now()): Promise<ConversationSessionInfo[]> {
+    return this.enqueue(async () => {
+      const index = await this.readIndex();
+      const live = await this.dropExpired(index, now);
+      return [...live.sessions].sort((a, b) => b.lastActivityAt - a.lastActivityAt);
+    });
+  }
+
+  public getSession(id: string, now: number = Date.now()): Promise<ConversationSessionInfo | null> {
+    return this.listSessions(now).then((sessions) => sessions.find((session) => session.id === id) ?? null);
+  }
+
+  /**
+   * A session's items
+   * @returns null when the session does not exist or has expired (an expired session is deleted)
+   */
+  public loadSession(id: string, now: number = Date.now()): Promise<ConversationMessage[] | null> {
+    return this.enqueue(async () => {
+      const stored = decodeStoredConversation(await this.storage.getItem(this.sessionKey(id)));
+      if (!stored) return null;
+      if (isStoredConversationExpired(stored, this.ttlMs, now)) {
+        await this.removeSession(id);
+        return null;
+      }
+      return stored.items;
+    });
+  }
+
+  /**
+   * Write a session's items and update its index entry (created on first save)
+   */
+  public saveSession(id: string, items: ConversationMessage[], now: number = Date.now()): Promise<ConversationSessionInfo> {
+    return this.enqueue(async () => {
+      await this.storage.setItem(this.sessionKey(id), encodeStoredConversation(items, now));
+      const index = await this.readIndex();
+      const existing = index.sessions.find((session) => session.id === id);
+      const info: ConversationSessionInfo = {
+        id,
+        title: existing?.title || deriveConversationSessionTitle(items),
+        createdAt: existing?.createdAt ?? now,
+        lastActivityAt: now,
+        messageCount: items.length,
+      };
+      await this.writeIndex({
+        indexVersion: INDEX_VERSION,
+        sessions: [...index.sessions.filter((session) => session.id !== id), info],
+      });
+      return info;
+    });
+  }
+
+  /**
+   * Set a session's title (kept on later saves)
+   * @returns false when the session is not in the index
+   */
+  public renameSession(id: string, title: string): Promise<boolean> {
+    return this.enqueue(async () => {
+      const index = await this.readIndex();
+      if (!index.sessions.some((session) => session.id === id)) return false;
+      await this.writeIndex({
+        indexVersion: INDEX_VERSION,
+        sessions: index.sessions.map((session) => (session.id === id ? { ...session, title } : session)),
+      });
+      return true;
+    });
+  }
+
+  public deleteSession(id: string): Promise<void> {
+    return this.enqueue(() => this.removeSession(id));
+  }
+
+  /**
+   * Delete every session past the TTL
+   * @returns Ids of the deleted sessions
+   */
+  public purgeExpired(now: number = Date.now()): Promise<string[]> {
+    return this.enqueue(async () => {
+      const index = await this.readIndex();
+      const live = await this.dropExpired(index, now);
+      const liveIds = new Set(live.sessions.map((session) => session.id));
+      return index.sessions.filter((session) => !liveIds.has(session.id)).map((session) => session.id);
+    });
+  }
+
+  private enqueue<T>(operation: () => Promise<T>): Promise<T> {
+    const result = this.queue.then(operation, operation);
+    this.queue = result.catch(() => undefined);
+    return result;
+  }
+
+  private async dropExpired(index: SessionIndex, now: number): Promise<SessionIndex> {
+    const expired = index.sessions.filter((session) =>
+      isStoredConversationExpired({ savedAt: session.lastActivityAt }, this.ttlMs, now)
+    );
+    if (expired.length === 0) return index;
+    for (const session of expired) {
+      await this.removeItem(this.sessionKey(session.id));
+    }
+    const live: SessionIndex = {
+      indexVersion: INDEX_VERSION,
+      sessions: index.sessions.filter((session) => expired.indexOf(session) === -1),
+    };
+    await this.writeIndex(live);
+    return live;
+  }
+
+  private async removeSession(id: string): Promise<void> {
+    await this.removeItem(this.sessionKey(id));
+    const index = await this.readIndex();
+    if (index.sessions.some((session) => session.id === id)) {
+      await this.writeIndex({
+        indexVersion: INDEX_VERSION,
+        sessions: index.sessions.filter((session) => session.id !== id),
+      });
+    }
+  }
+
+  /** Storage without removeItem gets an empty value, which reads as no conversation */
+  private removeItem(key: string): Promise<void> {
+    return this.storage.removeItem ? this.storage.removeItem(key) : this.storage.setItem(key, '');
+  }
+
+  private indexKey(): string {
+    return `${this.namespace}:sessions`;
+  }
+
+  private async readIndex(): Promise<SessionIndex> {
+    const raw = await this.storage.getItem(this.indexKey());
+    if (!raw) return { indexVersion: INDEX_VERSION, sessions: [] };
+    try {
+      const parsed = JSON.parse(raw) as Partial<SessionIndex>;
+      return {
+        indexVersion: INDEX_VERSION,
+        sessions: Array.isArray(parsed.sessions) ? parsed.sessions.filter(isSessionInfo) : [],
+      };
+    } catch {
+      return { indexVersion: INDEX_VERSION, sessions: [] };
+    }
+  }
+
+  private writeIndex(index: SessionIndex): Promise<void> {
+    return this.storage.setItem(this.indexKey(), JSON.stringify(index));
+  }
+}
@@ -0,0 +1,104 @@
+/**
+ * Function Call Tracker
+ *
+ * Tracks pending client-side function calls so none can hold the turn (and the idle timeout) forever.
+ * Each call gets an AbortSignal and an optional timeout; a call ends either by settling (its response is sent)
+ * or by being abandoned (timeout, interrupt, disconnect). Whichever happens first wins — a response arriving
+ * after abandonment is dropped, and abandoning a settled call is a no-op.
+ */
+
+import type { FunctionCallAbandonedInfo, FunctionCallAbandonReason } from '../types';
+import { getLogger } from '../utils/logger';
+
+export interface TrackedFunctionCall {
+  id: string;
+  name: string;
+  /** No timeout when undefined or <= 0 */
+  timeoutMs?: number;
+  /** Runs before onAbandoned: the component answers the agent and releases the idle timeout here */
+  onAbandon: (reason: FunctionCallAbandonReason) => void;
+}
+
+interface PendingCall extends TrackedFunctionCall {
+  startedAt: number;
+  controller: AbortController;
+  timer: ReturnType<typeof setTimeout> | null;
+}
+
+export class FunctionCallTracker {
+  private pending = new Map<string, PendingCall>();
+  private onAbandoned: (info: FunctionCallAbandonedInfo) => void;
+  private logger = getLogger({ debug: false });
+
+  constructor(onAbandoned: (info: FunctionCallAbandonedInfo) => void, debug: boolean = false) {
+    this.onAbandoned = onAbandoned;
+    this.logger = getLogger({ debug });
+  }
+
+  /**
+   * Start tracking a call
+   * @returns Signal to hand to the handler
+   */
+  public begin(call: TrackedFunctionCall): AbortSignal {
+    this.abandon(call.id, 'interrupted'); // duplicate id: the earlier call can no longer be answered
+    const controller = new AbortController();
+    const entry: PendingCall = { ...call, startedAt: Date.now(), controller, timer: null };
+    if (call.timeoutMs !== undefined && call.timeoutMs > 0) {
+      entry.timer = setTimeout(() => this.abandon(call.id, 'timeout'), call.timeoutMs);
+    }
+    this.pending.set(call.id, entry);
+    return controller.signal;
+  }
+
+  /**
+   * Mark a call answered
+   * @returns false when the call was already abandoned (or never tracked) and its response must not be sent
+   */
+  public settle(id: string): boolean {
+    const entry = this.pending.get(id);
+    if (!entry) return false;
+    this.release(entry);
+    return true;
+  }
+
+  public abandon(id: string, reason: FunctionCallAbandonReason): void {
+    const entry = this.pending.get(id);
+    if (!entry) return;
+    this.release(entry);
+    entry.controller.abort();
+
+    const info: FunctionCallAbandonedInfo = {
+      id: entry.id,
+      name: entry.name,
+      reason,
+      elapsedMs: Date.now() - entry.startedAt,
+    };
+    this.logger.warn('[FunctionCall] Abandoned function call', { ...info });
+    this.runSafely(() => entry.onAbandon(reason));
+    this.runSafely(() => this.onAbandoned(info));
+  }
+
+  /** Abandon every pending call (barge-in, interruptAgent(), socket closed) */
+  public abandonAll(reason: FunctionCallAbandonReason): void {
+    Array.from(this.pending.keys()).forEach((id) => this.abandon(id, reason));
+  }
+
+  public get pendingCount(): number {
+    return this.pending.size;
+  }
+
+  private runSafely(fn: () => void): void {
+    try {
+      fn();
+    } catch (error) {
+      this.logger.warn('[FunctionCall] Abandon handler threw', {
+        error: error instanceof Error ? error.message : String(error),
+      });
+    }
+  }
+
+  private release(entry: PendingCall): void {
+    if (entry.timer) clearTimeout(entry.timer);
+    this.pending.delete(entry.id);
+  }
+}
@@ -0,0 +1,177 @@
+/**
+ * Session Recorder
+ *
+ * Captures both sides of a session for later review: microphone PCM as it is captured and agent PCM as it is
+ * scheduled for playback, plus conversation and state events, all on one timeline that starts at recording start.
+ *
+ * Microphone chunks are placed where they were captured (they arrive right after); a gap in capture becomes
+ * silence. Agent chunks arrive faster than real time and play back to back, so each starts when the previous one
+ * ends or on arrival, whichever is later — the same scheduling as AudioManager. When playback is cleared
+ * (barge-in, interruptAgent()) the agent audio that had not played yet is dropped.
+ */
+
+import type {
+  SessionRecording,
+  SessionRecordingEvent,
+  SessionRecordingLayout,
+  SessionRecordingOptions,
+  SessionRecordingSidecar,
+} from '../types/session-recording';
+import { encodePcm16Wav } from '../utils/audio/AudioUtils';
+
+export interface SessionRecorderOptions extends SessionRecordingOptions {
+  /** Rate of the PCM16 chunks passed to addUserAudio */
+  userSampleRate: number;
+  /** Rate of the PCM16 chunks passed to addAgentAudio */
+  agentSampleRate: number;
+  /** Clock in ms (tests) */
+  now?: () => number;
+}
+
+type WithoutOffset<T> = T extends unknown ? Omit<T, 'offsetMs'> : never;
+
+/** An event without its offset; the recorder stamps it */
+export type SessionRecordingEventInput = WithoutOffset<SessionRecordingEvent>;
+
+interface Segment {
+  startMs: number;
+  samples: Int16Array;
+  sampleRate: number;
+}
+
+function durationMs(samples: number, sampleRate: number): number {
+  return (samples / sampleRate) * 1000;
+}
+
+function toPcm16(chunk: ArrayBuffer): Int16Array {
+  const length = Math.floor(chunk.byteLength / 2);
+  return new Int16Array(chunk.slice(0, length * 2)); // copy: senders may reuse the buffer
+}
+
+/** Linear interpolation; good enough for review audio */
+function resample(samples: Int16Array, fromRate: number, toRate: number): Int16Array {
+  if (fromRate === toRate || samples.length === 0) return samples;
+  const length = Math.max(1, Math.round((samples.length * toRate) / fromRate));
+  const out = new Int16Array(length);
+  const step = fromRate / toRate;
+  for (let i = 0; i < length; i++) {
+    const position = i * step;
+    const index = Math.floor(position);
+    const next = Math.min(index + 1, samples.length - 1);
+    const fraction = position - index;
+    out[i] = Math.round(samples[Math.min(index, samples.length - 1)] * (1 - fraction) + samples[next] * fraction);
+  }
+  return out;
+}
+
+export class SessionRecorder {
+  public readonly layout: SessionRecordingLayout;
+  private readonly startedAt: number;
+  private readonly now: () => number;
+  private readonly userSampleRate: number;
+  private readonly agentSampleRate: number;
+  private userSegments: Segment[] = [];
+  private agentSegments: Segment[] = [];
+  private userEndMs = 0;
+  private agentEndMs = 0;
+  private events: SessionRecordingEvent[] = [];
+
+  constructor(options: SessionRecorderOptions) {
+    this.layout = options.layout ?? 'separate';
+    this.now = options.now ?? Date.now;
+    this.startedAt = this.now();
+    this.userSampleRate = options.userSampleRate;
+    this.agentSampleRate = options.agentSampleRate;
+  }
+
+  /** Current position on the recording timeline */
+  public offsetMs(): number {
+    return Math.max(0, this.now() - this.startedAt);
+  }
+
+  public addUserAudio(chunk: ArrayBuffer): void {
+    const samples = toPcm16(chunk);
+    if (samples.length === 0) return;
+    const length = durationMs(samples.length, this.userSampleRate);
+    const startMs = Math.max(this.userEndMs, this.offsetMs() - length);
+    this.userSegments.push({ startMs, samples, sampleRate: this.userSampleRate });
+    this.userEndMs = startMs + length;
+  }
+
+  public addAgentAudio(chunk: ArrayBuffer): void {
+    const samples = toPcm16(chunk);
+    if (samples.length === 0) return;
+    const startMs = Math.max(this.agentEndMs, this.offsetMs());
+    this.agentSegments.push({ startMs, samples, sampleRate: this.agentSampleRate });
+    this.agentEndMs = startMs + durationMs(samples.length, this.agentSampleRate);
+  }
+
+  /** Drop agent audio scheduled after now (playback was cleared) */
+  public cutAgentAudio(): void {
+    const cutMs = this.offsetMs();
+    if (this.agentEndMs <= cutMs) return;
+    this.agentSegments = this.truncate(this.agentSegments, cutMs);
+    this.agentEndMs = cutMs;
+    this.events.push({ type: 'agent_audio_cut', offsetMs: cutMs });
+  }
+
+  public addEvent(event: SessionRecordingEventInput): void {
+    this.events.push({ ...event, offsetMs: this.offsetMs() } as SessionRecordingEvent);
+  }
+
+  /**
+   * Build the WAV and sidecar. The recording ends now: agent audio still queued for playback is not included.
+   */
+  public finish(): SessionRecording {
+    const durationMsTotal = this.offsetMs();
+    const sampleRate = Math.max(this.userSampleRate, this.agentSampleRate);
+    const frames = Math.round((durationMsTotal * sampleRate) / 1000);
+    const user = this.render(this.userSegments, frames, sampleRate);
+    const agent = this.render(this.agentSegments, frames, sampleRate);
+
+    let channels: Int16Array[];
+    if (this.layout === 'mix') {
+      const mix = new Int16Array(frames);
+      for (let i = 0; i < frames; i++) {
+        mix[i] = Math.max(-32768, Math.min(32767, user[i] + agent[i]));
+      }
+      channels = [mix];
+    } else {
+      channels = [user, agent];
+    }
+
+    const sidecar: SessionRecordingSidecar = {
+      version: 1,
+      startedAt: this.startedAt,
+      durationMs: durationMsTotal,
+      sampleRate,
+      layout: this.layout,
+      channels: this.layout === 'mix' ? ['mix'] : ['user', 'agent'],
+      events: [...this.events],
+    };
+    return { wav: new Blob([encodePcm16Wav(channels, sampleRate)], { type: 'audio/wav' }), sidecar };
+  }
+
+  private truncate(segments: Segment[], cutMs: number): Segment[] {
+    const kept: Segment[] = [];
+    for (const segment of segments) {
+      if (segment.startMs >= cutMs) continue;
+      const keepSamples = Math.round(((cutMs - segment.startMs) * segment.sampleRate) / 1000);
+      kept.push(
+        keepSamples >= segment.samples.length ? segment : { ...segment, samples: segment.samples.slice(0, keepSamples) }
+      );
+    }
+    return kept;
+  }
+
+  private render(segments: Segment[], frames: number, sampleRate: number): Int16Array {
+    const track = new Int16Array(frames);
+    for (const segment of segments) {
+      const samples = resample(segment.samples, segment.sampleRate, sampleRate);
+      const start = Math.round((segment.startMs * sampleRate) / 1000);
+      if (start >= frames) continue;
+      track.set(start + samples.length > frames ? samples.subarray(0, frames - start) : samples, start);
+    }
+    return track;
+  }
+}
@@ -0,0 +1,273 @@
+/**
+ * Tab Coordinator
+ *
+ * Elects one leader among the tabs that share a name. Leadership is an exclusive Web Lock: followers queue for it
+ * and the next one takes over when the leader's tab closes. Tabs talk over a BroadcastChannel — the leader
+ * publishes updates, a follower asks for a snapshot when it joins and may request a handover. When the leader
+ * grants a handover, the requesting tab steals the lock, so leadership moves to that tab rather than to whichever
+ * tab is next in the queue.
+ *
+ * Without Web Locks or BroadcastChannel (older browsers, SSR) every tab is its own leader.
+ */
+
+import type { TabHandoverRequest, TabRole } from '../types/tab-coordination';
+import { getLogger } from '../utils/logger';
+
+/** The subset of navigator.locks used here */
+export interface TabLockManager {
+  request(name: string, options: { signal?: AbortSignal; steal?: boolean }, callback: () => Promise<void>): Promise<void>;
+}
+
+/** The subset of BroadcastChannel used here */
+export interface TabChannel {
+  onmessage: ((event: MessageEvent) => void) | null;
+  postMessage(message: unknown): void;
+  close(): void;
+}
+
+export interface TabCoordinatorOptions<TUpdate> {
+  name: string;
+  /** @default 5000 */
+  handoverTimeoutMs?: number;
+  onRoleChange: (role: TabRole) => void;
+  /** Follower: an update published by the leader */
+  onUpdate: (update: TUpdate) => void;
+  /** Leader: a follower joined and needs the current state (publish it) */
+  onFollowerJoined: () => void;
+  /**
+   * Leader: another tab asks to take over. Resolve true once this tab has released the microphone and
+   * connections; the requester then takes the lock.
+   */
+  onHandoverRequest: (request: TabHandoverRequest) => Promise<boolean>;
+  /** Defaults to navigator.locks; null disables coordination */
+  locks?: TabLockManager | null;
+  /** Defaults to `new BroadcastChannel(name)`; null disables coordination */
+  createChannel?: ((name: string) => TabChannel) | null;
+  tabId?: string;
+  debug?: boolean;
+}
+
+type TabMessage<TUpdate> =
+  | { type: 'update'; from: string; update: TUpdate }
+  | { type: 'sync-request'; from: string }
+  | { type: 'handover-request'; from: string }
+  | { type: 'handover-response'; from: string; to: string; granted: boolean };
+
+const DEFAULT_HANDOVER_TIMEOUT_MS = 5000;
+
+let tabCounter = 0;
+
+function createTabId(): string {
+  tabCounter += 1;
+  return `tab_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}_${tabCounter}`;
+}
+
+function defaultLocks(): TabLockManager | null {
+  const locks = typeof navigator !== 'undefined' ? (navigator as { locks?: TabLockManager }).locks : undefined;
+  return locks ?? null;
+}
+
+function defaultCreateChannel(): ((name: string) => TabChannel) | null {
+  return typeof BroadcastChannel !== 'undefined' ? (name) => new BroadcastChannel(name) : null;
+}
+
+export class TabCoordinator<TUpdate = unknown> {
+  public readonly tabId: string;
+  private options: TabCoordinatorOptions<TUpdate>;
+  private locks: TabLockManager | null;
+  private createChannel: ((name: string) => TabChannel) | null;
+  private channel: TabChannel | null = null;
+  private role: TabRole = 'follower';
+  private releaseLock: (() => void) | null = null;
+  private waitController: AbortController | null = null;
+  private handingOver = false;
+  private handoverTimer: ReturnType<typeof setTimeout> | null = null;
+  private pendingHandover: { promise: Promise<boolean>; settle: (granted: boolean) => void } | null = null;
+  private started = false;
+  private disposed = false;
+  private logger = getLogger({ debug: false });
+
+  constructor(options: TabCoordinatorOptions<TUpdate>) {
+    this.options = options;
+    this.tabId = options.tabId ?? createTabId();
+    this.locks = options.locks === undefined ? defaultLocks() : options.locks;
+    this.createChannel = options.createChannel === undefined ? defaultCreateChannel() : options.createChannel;
+    this.logger = getLogger({ debug: !!options.debug });
+  }
+
+  /** False when this environment cannot coordinate and the tab always leads */
+  public get isSupported(): boolean {
+    return !!this.locks && !!this.createChannel;
+  }
+
+  public getRole(): TabRole {
+    return this.role;
+  }
+
+  /** Join the election; onRoleChange fires once this tab's role is known */
+  public start(): void {
+    if (this.started || this.disposed) return;
+    this.started = true;
+    if (!this.locks || !this.createChannel) {
+      this.logger.warn('[TabCoordination] Web Locks or BroadcastChannel unavailable; this tab acts as leader');
+      this.setRole('leader');
+      return;
+    }
+    this.channel = this.createChannel(`${this.options.name}:tabs`);
+    this.channel.onmessage = (event) => this.handleMessage(event.data as TabMessage<TUpdate>);
+    this.requestLock(false);
+    this.post({ type: 'sync-request', from: this.tabId });
+  }
+
+  /** Leader: send an update to every follower (no-op in a follower) */
+  public publish(update: TUpdate): void {
+    if (this.role !== 'leader') return;
+    this.post({ type: 'update', from: this.tabId, update });
+  }
+
+  /**
+   * Follower: ask the leader to hand over
+   * @returns true once this tab is leader; false when refused, unanswered within handoverTimeoutMs, or disposed
+   */
+  public requestHandover(): Promise<boolean> {
+    if (this.role === 'leader') return Promise.resolve(true);
+    if (!this.channel || this.disposed) return Promise.resolve(false);
+    if (this.pendingHandover) return this.pendingHandover.promise;
+
+    let settle: (granted: boolean) => void = () => undefined;
+    const promise = new Promise<boolean>((resolve) => {
+      const timer = setTimeout(() => settle(false), this.handoverTimeoutMs());
+      settle = (granted) => {
+        clearTimeout(timer);
+        this.pendingHandover = null;
+        resolve(granted);
+      };
+    });
+    this.pendingHandover = { promise, settle };
+    this.post({ type: 'handover-request', from: this.tabId });
+    return promise;
+  }
+
+  /** Leave the election: releases the lock (the next tab takes over) and closes the channel */
+  public dispose(): void {
+    if (this.disposed) return;
+    this.disposed = true;
+    this.clearHandover();
+    this.pendingHandover?.settle(false);
+    this.waitController?.abort();
+    this.waitController = null;
+    this.releaseLock?.();
+    this.releaseLock = null;
+    if (this.channel) {
+      this.channel.onmessage = null;
+      this.channel.close();
+      this.channel = null;
+    }
+  }
+
+  private requestLock(steal: boolean): void {
+    const locks = this.locks;
+    if (!locks || this.disposed) return;
+    // A stealing request must not leave a queued one behind, which would re-acquire the lock later
+    this.waitController?.abort();
+    const controller = steal ? null : new AbortController();
+    this.waitController = controller;
+    let held = false;
+
+    locks
+      .request(`${this.options.name}:leader`, controller ? { signal: controller.signal } : { steal: true }, () => {
+        if (this.disposed) return Promise.resolve();
+        held = true;
+        if (this.waitController === controller) this.waitController = null;
+        return new Promise<void>((release) => {
+          this.releaseLock = release;
+          this.setRole('leader');
+        });
+      })
+      .catch((error: unknown) => {
+        if (this.disposed || !held) return; // queued request aborted (dispose or steal)
+        // Another tab stole the lock after a granted handover
+        this.logger.info('[TabCoordination] Leadership taken over by another tab', { error: String(error) });
+        this.releaseLock = null;
+        this.clearHandover();
+        this.setRole('follower');
+        this.requestLock(false);
+      });
+  }
+
+  private handleMessage(message: TabMessage<TUpdate>): void {
+    if (!message || typeof message !== 'object' || this.disposed) return;
+    switch (message.type) {
+      case 'update':
+        if (this.role === 'follower') this.options.onUpdate(message.update);
+        break;
+      case 'sync-request':
+        if (this.role === 'leader') this.options.onFollowerJoined();
+        break;
+      case 'handover-request':
+        if (this.role === 'leader') void this.answerHandover(message.from);
+        break;
+      case 'handover-response':
+        if (message.to !== this.tabId || !this.pendingHandover) break;
+        if (message.granted) {
+          this.requestLock(true);
+        } else {
+          this.pendingHandover.settle(false);
+        }
+        break;
+    }
+  }
+
+  private async answerHandover(requestingTabId: string): Promise<void> {
+    // One handover at a time; the lock moves only when the granted tab steals it
+    if (this.handingOver) {
+      this.post({ type: 'handover-response', from: this.tabId, to: requestingTabId, granted: false });
+      return;
+    }
+    this.handingOver = true;
+    let granted = false;
+    try {
+      granted = await this.options.onHandoverRequest({ requestingTabId });
+    } catch (error) {
+      this.logger.warn('[TabCoordination] Handover request handler failed; refusing', { error: String(error) });
+    }
+    if (this.disposed) return;
+    const grant = granted && this.role === 'leader';
+    this.post({ type: 'handover-response', from: this.tabId, to: requestingTabId, granted: grant });
+    if (!grant) {
+      this.handingOver = false;
+      return;
+    }
+    // The granted tab may have closed before taking the lock; accept new requests after the timeout
+    this.handoverTimer = setTimeout(() => this.clearHandover(), this.handoverTimeoutMs());
+  }
+
+  private clearHandover(): void {
+    if (this.handoverTimer) clearTimeout(this.handoverTimer);
+    this.handoverTimer = null;
+    this.handingOver = false;
+  }
+
+  private handoverTimeoutMs(): number {
+    return this.options.handoverTimeoutMs ?? DEFAULT_HANDOVER_TIMEOUT_MS;
+  }
+
+  private setRole(role: TabRole): void {
+    if (this.role === role) return;
+    this.role = role;
+    if (role === 'leader') this.pendingHandover?.settle(true);
+    try {
+      this.options.onRoleChange(role);
+    } catch (error) {
+      this.logger.warn('[TabCoordination] onRoleChange threw', { error: String(error) });
+    }
+  }
+
+  private post(message: TabMessage<TUpdate>): void {
+    try {
+      this.channel?.postMessage(message);
+    } catch (error) {
+      this.logger.warn('[TabCoordination] Failed to post message', { error: String(error) });
+    }
+  }
+}
@@ -0,0 +1,197 @@
+/**
+ * Turn Metrics Service
+ *
+ * Time-stamps the milestones of each agent turn (end of user speech → thinking → first text → first audio →
+ * playback → done), emits one TurnMetrics record per completed turn and keeps a rolling window for summaries.
+ *
+ * A turn opens on the first milestone seen while no turn is open and completes on AgentDone/AgentAudioDone —
+ * or, when audio was received, once playback has also started, so playback latency is captured even when the
+ * done message arrives first. End of user speech after agent activity closes the open turn as interrupted.
+ * Repeated milestones within a turn keep the first timestamp.
+ */
+
+import { DEFAULT_TURN_METRICS_WINDOW } from '../constants/voice-agent';
+import type {
+  TurnLatencyMetric,
+  TurnLatencyStats,
+  TurnMetrics,
+  TurnMetricsSummary,
+} from '../types/metrics';
+import { getLogger } from '../utils/logger';
+
+type Milestone =
+  | 'userStoppedSpeakingAt'
+  | 'agentThinkingAt'
+  | 'firstAgentTextAt'
+  | 'firstAudioChunkAt'
+  | 'playbackStartedAt'
+  | 'agentDoneAt';
+
+type OpenTurn = Record<Milestone, number | null>;
+
+const LATENCY_METRICS: TurnLatencyMetric[] = [
+  'thinkingLatencyMs',
+  'textLatencyMs',
+  'ttsLatencyMs',
+  'firstAudioLatencyMs',
+  'playbackLatencyMs',
+  'turnDurationMs',
+];
+
+function span(from: number | null, to: number | null): number | null {
+  return from !== null && to !== null ? Math.max(0, to - from) : null;
+}
+
+function percentile(sorted: number[], p: number): number {
+  const index = Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1);
+  return sorted[Math.max(0, index)];
+}
+
+export class TurnMetricsService {
+  private current: OpenTurn | null = null;
+  private completed: TurnMetrics[] = [];
+  private totalTurns = 0;
+  private onTurn: (metrics: TurnMetrics) => void;
+  private windowSize: number;
+  private logger = getLogger({ debug: false });
+
+  constructor(
+    onTurn: (metrics: TurnMetrics) => void,
+    windowSize: number = DEFAULT_TURN_METRICS_WINDOW,
+    debug: boolean = false
+  ) {
+    this.onTurn = onTurn;
+    this.windowSize = windowSize;
+    this.logger = getLogger({ debug });
+  }
+
+  /** speech_final or UtteranceEnd */
+  public markUserStoppedSpeaking(at: number = Date.now()): void {
+    if (this.current && this.hasAgentActivity(this.current)) {
+      this.complete(true);
+    }
+    this.mark('userStoppedSpeakingAt', at, true);
+  }
+
+  public markAgentThinking(at: number = Date.now()): void {
+    this.mark('agentThinkingAt', at, true);
+  }
+
+  /** Assistant ConversationText */
+  public markAgentText(at: number = Date.now()): void {
+    this.mark('firstAgentTextAt', at, true);
+  }
+
+  public markAudioChunk(at: number = Date.now()): void {
+    this.mark('firstAudioChunkAt', at, true);
+  }
+
+  public markPlaybackStarted(at: number = Date.now()): void {
+    this.mark('playbackStartedAt', at, false);
+    if (this.current?.agentDoneAt != null) {
+      this.complete(false);
+    }
+  }
+
+  /** AgentDone or AgentAudioDone */
+  public markAgentDone(at: number = Date.now()): void {
+    this.mark('agentDoneAt', at, false);
+    const turn = this.current;
+    if (turn && (turn.firstAudioChunkAt === null || turn.playbackStartedAt !== null)) {
+      this.complete(false);
+    }
+  }
+
+  /** Drop the open turn and the history (new session) */
+  public reset(): void {
+    this.current = null;
+    this.completed = [];
+    this.totalTurns = 0;
+  }
+
+  public getSummary(): TurnMetricsSummary {
+    const stats = {} as Record<TurnLatencyMetric, TurnLatencyStats>;
+    for (const metric of LATENCY_METRICS) {
+      const values = this.completed
+        .map((turn) => turn[metric])
+        .filter((value): value is number => value !== null)
+        .sort((a, b) => a - b);
+      stats[metric] = values.length
+        ? {
+            count: values.length,
+            mean: Math.round(values.reduce((sum, value) => sum + value, 0) / values.length),
+            p50: percentile(values, 50),
+            p95: percentile(values, 95),
+          }
+        : { count: 0, mean: null, p50: null, p95: null };
+    }
+    return {
+      totalTurns: this.totalTurns,
+      windowSize: this.completed.length,
+      last: this.completed.length ? this.completed[this.completed.length - 1] : null,
+      stats,
+    };
+  }
+
+  private mark(milestone: Milestone, at: number, opensTurn: boolean): void {
+    if (!this.current) {
+      if (!opensTurn) return;
+      this.current = {
+        userStoppedSpeakingAt: null,
+        agentThinkingAt: null,
+        firstAgentTextAt: null,
+        firstAudioChunkAt: null,
+        playbackStartedAt: null,
+        agentDoneAt: null,
+      };
+    }
+    if (this.current[milestone] === null) {
+      this.current[milestone] = at;
+    }
+  }
+
+  private hasAgentActivity(turn: OpenTurn): boolean {
+    return turn.agentThinkingAt !== null || turn.firstAgentTextAt !== null || turn.firstAudioChunkAt !== null;
+  }
+
+  private complete(interrupted: boolean): void {
+    const turn = this.current;
+    if (!turn) return;
+    this.current = null;
+    this.totalTurns++;
+
+    const start = turn.userStoppedSpeakingAt;
+    const metrics: TurnMetrics = {
+      turn: this.totalTurns,
+      ...turn,
+      thinkingLatencyMs: span(start, turn.agentThinkingAt),
+      textLatencyMs: span(start, turn.firstAgentTextAt),
+      ttsLatencyMs: span(turn.firstAgentTextAt, turn.firstAudioChunkAt),
+      firstAudioLatencyMs: span(start, turn.firstAudioChunkAt),
+      playbackLatencyMs: span(start, turn.playbackStartedAt),
+      turnDurationMs: span(start, turn.agentDoneAt),
+      interrupted,
+    };
+    if (metrics.textLatencyMs !== null && metrics.ttsLatencyMs !== null) {
+      metrics.latency = {
+        total_latency: metrics.playbackLatencyMs,
+        tts_latency: metrics.ttsLatencyMs,
+        ttt_latency: metrics.textLatencyMs,
+      };
+    }
+
+    this.completed.push(metrics);
+    if (this.completed.length > this.windowSize) {
+      this.completed.splice(0, this.completed.length - this.windowSize);
+    }
+    this.logger.debug('[TurnMetrics] Turn completed', { ...metrics });
+
+    try {
+      this.onTurn(metrics);
+    } catch (error) {
+      this.logger.warn('[TurnMetrics] onTurnMetrics callback threw', {
+        error: error instanceof Error ? error.message : String(error),
+      });
+    }
+  }
+}
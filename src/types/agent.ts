@@ -30,7 +30,8 @@ export enum AgentMessageType {
   UPDATE_SPEAK = 'UpdateSpeak',
   INJECT_AGENT_MESSAGE = 'InjectAgentMessage',
   FUNCTION_CALL_RESPONSE = 'FunctionCallResponse',
-  KEEP_ALIVE = 'KeepAlive'
+  KEEP_ALIVE = 'KeepAlive',
+  END_USER_TURN = 'EndUserTurn'
 }
 
 /**
@@ -42,6 +43,11 @@ export enum AgentResponseType {
   PROMPT_UPDATED = 'PromptUpdated',
   SPEAK_UPDATED = 'SpeakUpdated',
   CONVERSATION_TEXT = 'ConversationText',
+  /**
+   * Partial assistant text while a response streams (OpenAI proxy). The final ConversationText still follows
+   * and is the one recorded in history.
+   */
+  CONVERSATION_TEXT_DELTA = 'ConversationTextDelta',
   USER_STARTED_SPEAKING = 'UserStartedSpeaking',
   USER_STOPPED_SPEAKING = 'UserStoppedSpeaking',
   UTTERANCE_END = 'UtteranceEnd',
@@ -103,15 +109,122 @@ export interface SessionAudioOutputSettings {
   voice?: string | { id: string };
 }
 
+/** Agent audio encodings: 16-bit little-endian PCM, or 8-bit G.711 µ-law / A-law (telephony) */
+export type AgentAudioEncoding = 'linear16' | 'mulaw' | 'alaw';
+
+/** Microphone rates the component can send to the agent */
+export type AgentInputSampleRate = 8000 | 16000 | 24000 | 48000;
+
+/**
+ * Microphone audio sent to the agent (Settings `audio.input`). Capture is resampled to `sampleRate` in the
+ * microphone worklet and sent as linear16. Default: 16000.
+ */
+export interface AgentAudioInputFormat {
+  sampleRate?: AgentInputSampleRate;
+}
+
+/**
+ * Agent audio the component receives and plays (Settings `audio.output`). Defaults: linear16 at 24000 Hz;
+ * mulaw / alaw are always 8000 Hz (another `sampleRate` is ignored with a warning). G.711 audio is decoded to
+ * linear16 before playback and recording.
+ */
+export interface AgentAudioOutputFormat {
+  encoding?: AgentAudioEncoding;
+  sampleRate?: number;
+}
+
+/** Effective audio formats for a session, after defaults */
+export interface AgentAudioFormats {
+  input: { encoding: 'linear16'; sampleRate: number };
+  output: { encoding: AgentAudioEncoding; sampleRate: number };
+}
+
+/**
+ * How user turns end: `'vad'` leaves it to the backend's voice activity detection; in `'push-to-talk'` the
+ * microphone is only sent while the application holds a turn open (beginUserTurn / endUserTurn or `pushToTalk`).
+ */
+export type TurnMode = 'vad' | 'push-to-talk';
+
+/**
+ * What a conversation history item records. Items stored before kinds existed have no `kind` and are treated as
+ * `user_speech` / `assistant_speech` by role.
+ * - `user_text`: typed message sent with injectUserMessage()
+ * - `user_speech`: final transcript of the user's speech
+ * - `assistant_speech`: agent reply (text, spoken when audio is enabled)
+ * - `function_call`: the agent requested a function (`functionCall`)
+ * - `function_result`: the response sent for a client-side function (`functionResult`)
+ * - `system_note`: application note added with addConversationNote(); not sent to the agent
+ */
+export type ConversationItemKind =
+  | 'user_text'
+  | 'user_speech'
+  | 'assistant_speech'
+  | 'function_call'
+  | 'function_result'
+  | 'system_note';
+
+export interface ConversationFunctionCall {
+  /** FunctionCallRequest id; links the call to its function_result item */
+  id: string;
+  name: string;
+  /** JSON string as requested by the agent */
+  arguments: string;
+  clientSide: boolean;
+}
+
+export interface ConversationFunctionResult {
+  /** FunctionCallRequest id of the call this answers */
+  id: string;
+  name: string;
+  /** FunctionCallResponse content as sent */
+  content: string;
+  /** Content was an error (`{ error: ... }`) */
+  isError: boolean;
+}
+
 /**
- * Conversation message for context preservation
+ * Conversation history item. `role` and `content` are always present so consumers of the original
+ * `{ role, content, timestamp }` shape keep working; `content` of function items is a readable summary.
+ * Function calls are role `assistant`; function results and system notes are role `user` (client side).
  */
 export interface ConversationMessage {
   role: ConversationRole;
   content: string;
   timestamp?: number;
+  /** Stable item id, unique within the history */
+  id?: string;
+  kind?: ConversationItemKind;
+  /** Agent reply cut off by barge-in or interruptAgent() */
+  interrupted?: boolean;
+  /** `content` is partial: only the text streamed before the interruption */
+  truncated?: boolean;
+  /** Set on `function_call` items */
+  functionCall?: ConversationFunctionCall;
+  /** Set on `function_result` items */
+  functionResult?: ConversationFunctionResult;
+}
+
+export interface ConversationHistoryOptions {
+  /** Include function_call, function_result and system_note items (default: text items only) */
+  includeAllKinds?: boolean;
+}
+
+/** Function call replayed in agent.context (Voice Agent `History` function_calls entry) */
+export interface AgentContextFunctionCall {
+  id: string;
+  name: string;
+  client_side: boolean;
+  arguments: string;
+  response: string;
 }
 
+/**
+ * One agent.context message: a text turn, or a completed function call with its response
+ */
+export type AgentContextMessage =
+  | { type: string; role: ConversationRole; content: string }
+  | { type: string; function_calls: AgentContextFunctionCall[] };
+
 /**
  * Conversation context for lazy reconnection
  */
@@ -247,6 +360,14 @@ export interface KeepAliveMessage {
   type: AgentMessageType.KEEP_ALIVE;
 }
 
+/**
+ * EndUserTurn (push-to-talk): the user's turn is over; commit its audio and respond now.
+ * Accepted by the OpenAI proxy; not part of the Deepgram Voice Agent protocol.
+ */
+export interface EndUserTurnMessage {
+  type: AgentMessageType.END_USER_TURN;
+}
+
 /**
  * Function definition for agent
  */
@@ -299,6 +420,16 @@ export interface ConversationTextResponse {
   content: string;
 }
 
+/**
+ * Streamed piece of assistant text; all deltas of one response share `turn_id`
+ */
+export interface ConversationTextDeltaResponse {
+  type: AgentResponseType.CONVERSATION_TEXT_DELTA;
+  role: 'assistant';
+  delta: string;
+  turn_id: string;
+}
+
 /**
  * User started speaking notification
  */
@@ -352,6 +483,8 @@ export interface FunctionCallRequestResponse {
     name: string;
     arguments: string;
     client_side: boolean;
+    /** Set by voice-agent-backend proxies on calls they run themselves; a FunctionCallResponse follows */
+    proxy_executed?: boolean;
   }>;
 }
 
@@ -418,7 +551,8 @@ export type AgentOutgoingMessage =
   | UpdateSpeakMessage
   | InjectAgentMessage
   | FunctionCallResponseMessage
-  | KeepAliveMessage;
+  | KeepAliveMessage
+  | EndUserTurnMessage;
 
 /**
  * Union type for all incoming messages
@@ -429,6 +563,7 @@ export type AgentIncomingMessage =
   | PromptUpdatedResponse
   | SpeakUpdatedResponse
   | ConversationTextResponse
+  | ConversationTextDeltaResponse
   | UserStartedSpeakingResponse
   | UserStoppedSpeakingResponse
   | UtteranceEndResponse
@@ -469,6 +604,12 @@ export interface AgentOptions {
   /** OpenAI proxy: Realtime `session.audio.output` (Issue #540). */
   sessionAudioOutput?: SessionAudioOutputSettings;
   instructions?: string; // Base instructions for the agent
+
+  // Audio formats (Settings `audio`); read when the session's audio starts, so set them before connecting
+  /** Microphone audio sent to the agent; default linear16 at 16 kHz */
+  audioInput?: AgentAudioInputFormat;
+  /** Agent audio received for playback; default linear16 at 24 kHz */
+  audioOutput?: AgentAudioOutputFormat;
   
   // Speak settings
   speakProvider?: string; // e.g., "deepgram", "eleven_labs"
@@ -481,13 +622,9 @@ export interface AgentOptions {
   functions?: AgentFunction[];
   
   // Conversation context for session continuity
-  // Format: { messages: Array<{ type: "History", role: "user" | "assistant", content: string }> }
+  // Format: { messages: Array<{ type: "History", role, content } | { type: "History", function_calls: [...] }> }
   context?: {
-    messages: Array<{
-      type: string;
-      role: ConversationRole;
-      content: string;
-    }>;
+    messages: AgentContextMessage[];
   };
 
   /**
@@ -0,0 +1,35 @@
+/**
+ * Types for microphone and playback device selection (`inputDeviceId`, `outputDeviceId`, `listAudioDevices()`)
+ */
+
+/**
+ * An audio input or output device as reported by `navigator.mediaDevices.enumerateDevices()`.
+ * Labels are empty until the page has been granted microphone access.
+ */
+export interface AudioDeviceInfo {
+  deviceId: string;
+  groupId: string;
+  label: string;
+  kind: 'input' | 'output';
+}
+
+export interface AudioDeviceList {
+  inputs: AudioDeviceInfo[];
+  outputs: AudioDeviceInfo[];
+}
+
+/**
+ * Why the device in use changed:
+ * - `'selected'`: the application chose another device (prop change)
+ * - `'unavailable'`: the selected device is missing or was unplugged; the default device is used instead
+ *   (not reported for outputs where setSinkId is unsupported: `outputDeviceId` is then ignored)
+ * - `'reconnected'`: the selected device is back and is used again
+ */
+export type AudioDeviceChangeReason = 'selected' | 'unavailable' | 'reconnected';
+
+export interface AudioDeviceChange {
+  kind: 'input' | 'output';
+  /** Device now in use; null for the default device */
+  deviceId: string | null;
+  reason: AudioDeviceChangeReason;
+}
@@ -0,0 +1,20 @@
+/**
+ * Types for audio level metering (`onAudioLevels`, `subscribeAudioLevels`)
+ */
+
+/**
+ * Level of one stream over the most recent analysis window, as linear full-scale amplitude (0 = silence, 1 = clipping)
+ */
+export interface AudioLevel {
+  rms: number;
+  peak: number;
+}
+
+export interface AudioLevels {
+  /** Microphone; zero while not capturing */
+  input: AudioLevel;
+  /** Agent playback; zero while nothing plays */
+  output: AudioLevel;
+  /** Epoch milliseconds (`Date.now()`) of the measurement */
+  timestamp: number;
+}
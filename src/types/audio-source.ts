@@ -0,0 +1,23 @@
+/**
+ * Types for capturing from an application-supplied source instead of the microphone (`audioSource`)
+ */
+
+/**
+ * One chunk of mono PCM for an {@link AudioSource} iterable. Float samples are in [-1, 1]; Int16 samples are
+ * scaled by 1/32768. Any sample rate: frames are resampled to the agent input rate like microphone audio.
+ */
+export interface PcmAudioFrame {
+  samples: Float32Array | Int16Array;
+  sampleRate: number;
+}
+
+/**
+ * Where captured audio comes from when it is not the microphone:
+ * - a `MediaStream` with an audio track (WebRTC remote stream, `HTMLMediaElement.captureStream()`, ...)
+ * - a single audio `MediaStreamTrack`
+ * - an async iterable of {@link PcmAudioFrame} (decoded file, synthetic audio), played in real time
+ *
+ * The application owns the source: stopping capture disconnects it without stopping its tracks. An iterable is closed
+ * (`return()`) when capture stops before it ends; when it ends first, capture carries on with silence.
+ */
+export type AudioSource = MediaStream | MediaStreamTrack | AsyncIterable<PcmAudioFrame>;
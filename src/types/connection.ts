@@ -35,6 +35,65 @@ export interface EndpointConfig {
   agentUrl?: string;
 }
 
+/**
+ * Automatic reconnection policy applied when a WebSocket closes unexpectedly.
+ * Disabled unless `enabled` is true; without it the component keeps lazy reconnection
+ * (the next start() / injectUserMessage() opens a new connection).
+ */
+export interface ReconnectOptions {
+  /** Turn automatic reconnection on (default: false) */
+  enabled?: boolean;
+
+  /** Attempts after a single unexpected close before giving up (default: 5) */
+  maxAttempts?: number;
+
+  /** Delay before the first attempt in ms (default: 1000) */
+  initialDelayMs?: number;
+
+  /** Upper bound on any single delay in ms, applied after jitter (default: 30000) */
+  maxDelayMs?: number;
+
+  /** Factor applied to the delay after each failed attempt (default: 2) */
+  backoffMultiplier?: number;
+
+  /**
+   * Random spread applied to each delay as a fraction of it, e.g. 0.2 = ±20% (default: 0.2).
+   * Keeps many clients from reconnecting in lockstep after a server restart.
+   */
+  jitterRatio?: number;
+
+  /**
+   * Close codes that trigger a reconnect (default: 1001, 1006, 1011, 1012, 1013, 1014).
+   * A close initiated by the client (stop(), idle timeout) never reconnects.
+   */
+  retryableCloseCodes?: number[];
+}
+
+/**
+ * Reported before each automatic reconnect attempt so the UI can show "reconnecting…".
+ */
+export interface ReconnectAttemptInfo {
+  service: ServiceType;
+  /** 1-based attempt number about to be made */
+  attempt: number;
+  maxAttempts: number;
+  /** Delay in ms before this attempt starts */
+  nextDelayMs: number;
+  /** Close code that started the reconnect cycle (or ended the previous failed attempt) */
+  closeCode: number;
+  closeReason?: string;
+}
+
+/**
+ * Reported when automatic reconnection gives up after `maxAttempts`.
+ */
+export interface ReconnectFailedInfo {
+  service: ServiceType;
+  attempts: number;
+  closeCode: number;
+  closeReason?: string;
+}
+
 /**
  * Error object for the voice agent path (Deepgram Voice Agent or OpenAI proxy).
  * Used by the component for all agent-side errors (WebSocket, API, timeout, etc.).
@@ -0,0 +1,42 @@
+/**
+ * Types for persisted conversations: the versioned storage payload and multi-session metadata
+ */
+
+import type { ConversationMessage } from './agent';
+
+/**
+ * Payload written to conversationStorage (schema version 2).
+ * Version 1 was a bare `ConversationMessage[]`; it is migrated when read.
+ */
+export interface StoredConversation {
+  schemaVersion: number;
+  /** When the payload was written (ms since epoch); used for TTL expiry. Undefined for migrated data without timestamps. */
+  savedAt?: number;
+  items: ConversationMessage[];
+}
+
+/**
+ * One entry of the session index (listConversationSessions / ConversationSessionStore.listSessions)
+ */
+export interface ConversationSessionInfo {
+  id: string;
+  /** Set with renameSession(); otherwise the start of the first user message */
+  title: string;
+  createdAt: number;
+  /** Time of the last save (ms since epoch) */
+  lastActivityAt: number;
+  messageCount: number;
+}
+
+export interface ConversationSessionStoreOptions {
+  /**
+   * Prefix for the index and session keys; use the component's conversationStorageKey.
+   * @default 'dg_conversation'
+   */
+  namespace?: string;
+  /**
+   * Sessions without activity for this long are treated as missing and deleted when listed, loaded or purged.
+   * No expiry when undefined or <= 0.
+   */
+  ttlMs?: number;
+}
@@ -5,16 +5,44 @@
 // Import types only needed INTERNALLY by types defined within THIS file
 // We don't need to explicitly import types just for re-exporting if using export *
 // import type { AgentOptions, AgentState, AgentFunction, AgentSettingsMessage, UpdateInstructionsPayload } from './agent'; // REMOVED - Handled by export *
-import type { ConnectionState, ServiceType, EndpointConfig, DeepgramError } from './connection';
+import type { ConnectionState, ServiceType, EndpointConfig, DeepgramError, ReconnectOptions, ReconnectAttemptInfo, ReconnectFailedInfo } from './connection';
 import type { TranscriptionOptions, TranscriptResponse } from './transcription';
 // Import AgentState specifically because DeepgramVoiceInteractionProps uses it directly
-import type { AgentState, AgentOptions, UpdateInstructionsPayload, ConversationMessage } from './agent';
+import type {
+  AgentState,
+  AgentOptions,
+  UpdateInstructionsPayload,
+  ConversationHistoryOptions,
+  ConversationMessage,
+  TurnMode,
+} from './agent';
+import type { ProviderOption } from './provider';
+import type { TurnMetrics, TurnMetricsSummary } from './metrics';
+import type { ToolDefinition } from './tools';
+import type { TabCoordinationOptions, TabHandoverRequest, TabRole } from './tab-coordination';
+import type { SessionRecording, SessionRecordingOptions } from './session-recording';
+import type { AudioLevels } from './audio-levels';
+import type { LocalVadOptions } from './local-vad';
+import type { AudioDeviceChange } from './audio-devices';
+import type { AudioSource } from './audio-source';
+import type { JitterBufferOptions } from './jitter-buffer';
 
 // Re-export all types from specific files
 export * from './agent';
 export * from './connection';
 export * from './transcription';
 export * from './voiceBot';
+export * from './provider';
+export * from './metrics';
+export * from './tools';
+export * from './conversation-sessions';
+export * from './tab-coordination';
+export * from './session-recording';
+export * from './audio-levels';
+export * from './local-vad';
+export * from './audio-devices';
+export * from './audio-source';
+export * from './jitter-buffer';
 
 /**
  * Audio constraints for getUserMedia
@@ -80,6 +108,8 @@ export interface FunctionCallRequest {
   name: string;
   arguments: string; // JSON string of function arguments
   client_side?: boolean;
+  /** Set by voice-agent-backend proxies on calls they run themselves; a FunctionCallResponse follows */
+  proxy_executed?: boolean;
 }
 
 /**
@@ -91,6 +121,41 @@ export interface FunctionCallResponse {
   error?: string; // Error message if function failed
 }
 
+/**
+ * Third argument of onFunctionCallRequest
+ */
+export interface FunctionCallHandlerContext {
+  /** Aborted when the call is abandoned (timeout, barge-in / interruptAgent(), agent socket closed) */
+  signal: AbortSignal;
+}
+
+/**
+ * Why a pending client-side function call was given up:
+ * - `timeout`: no response within the configured timeout (an error FunctionCallResponse is sent)
+ * - `interrupted`: the user barged in or interruptAgent() was called (an error FunctionCallResponse is sent)
+ * - `disconnected`: the agent socket closed (nothing can be sent)
+ */
+export type FunctionCallAbandonReason = 'timeout' | 'interrupted' | 'disconnected';
+
+export interface FunctionCallAbandonedInfo {
+  id: string;
+  name: string;
+  reason: FunctionCallAbandonReason;
+  /** Time since the FunctionCallRequest was dispatched */
+  elapsedMs: number;
+}
+
+/**
+ * Timeouts for client-side function calls (onFunctionCallRequest and tools). No timeout unless configured.
+ * Precedence: a tool's own `timeoutMs`, then `timeouts[name]`, then `timeoutMs`.
+ */
+export interface FunctionCallOptions {
+  /** Default timeout for every client-side function call, in ms */
+  timeoutMs?: number;
+  /** Per-function timeouts by function name, in ms */
+  timeouts?: Record<string, number>;
+}
+
 /**
  * Optional storage for conversation persistence (Issue #406).
  * Application provides the implementation (e.g. localStorage wrapper); component owns when/what to persist.
@@ -99,6 +164,16 @@ export interface FunctionCallResponse {
 export interface ConversationStorage {
   getItem(key: string): Promise<string | null>;
   setItem(key: string, value: string): Promise<void>;
+  /** Used to delete sessions and expired conversations; without it they are overwritten with an empty value */
+  removeItem?(key: string): Promise<void>;
+  /**
+   * The component also writes the conversation synchronously to localStorage (plaintext) so reconnect context
+   * survives a remount before the async write lands (Issue #489). Set false to keep conversations out of
+   * localStorage; reconnect context then comes from memory and this storage only. The built-in IndexedDB and
+   * encrypted adapters set false.
+   * @default true
+   */
+  allowLocalStorageMirror?: boolean;
 }
 
 /**
@@ -127,6 +202,14 @@ export interface DeepgramVoiceInteractionProps {
    * Only used when proxyEndpoint is provided
    */
   proxyAuthToken?: string;
+
+  /**
+   * Agent backend the connection talks to: 'deepgram', 'openai-proxy', the id of an adapter registered with
+   * `registerProviderAdapter`, or an adapter object. Controls binary framing, Settings shape, transcript finality
+   * and the idle-timeout default.
+   * When omitted, a proxyEndpoint containing '/openai' selects 'openai-proxy'; otherwise 'deepgram'.
+   */
+  provider?: ProviderOption;
   
   /**
    * Options for the transcription service. Default is null (no transcription).
@@ -192,6 +275,13 @@ export interface DeepgramVoiceInteractionProps {
    * @see docs/issues/ISSUE-414/MULTI-TURN-E2E-CONVERSATION-HISTORY.md
    */
   onAgentUtterance?: (utterance: LLMResponse, conversationHistory?: ConversationMessage[]) => void;
+
+  /**
+   * Called for each streamed piece of assistant text (ConversationTextDelta) before the final ConversationText,
+   * e.g. for live captions. `turnId` is the same for every delta of one response. Deltas are not added to
+   * conversation history; onAgentUtterance still fires with the complete text.
+   */
+  onAgentUtteranceDelta?: (delta: string, turnId: string) => void;
   
   /**
    * Called when a user message is received from the server (role:user in ConversationText).
@@ -205,6 +295,19 @@ export interface DeepgramVoiceInteractionProps {
    * Called when audio playback state changes
    */
   onPlaybackStateChange?: (isPlaying: boolean) => void;
+
+  /**
+   * Called with microphone and agent playback levels (RMS and peak, 0–1) at `audioLevelsFrameRate` while the
+   * audio manager exists. For meters, speaking indicators or silent-microphone warnings.
+   * See also `subscribeAudioLevels()` on the ref.
+   */
+  onAudioLevels?: (levels: AudioLevels) => void;
+
+  /**
+   * How often audio levels are reported to `onAudioLevels` and `subscribeAudioLevels()` listeners, per second (1–60)
+   * @default 30
+   */
+  audioLevelsFrameRate?: number;
   
   /**
    * Called when the user starts speaking (based on VAD/endpointing)
@@ -238,14 +341,41 @@ export interface DeepgramVoiceInteractionProps {
    * 
    * @param functionCall - The function call request from Deepgram
    * @param sendResponse - Callback to send the function call response back to Deepgram (for backward compatibility)
+   * @param context - `signal` aborts when the call is abandoned (see functionCallOptions / onFunctionCallAbandoned)
    * @returns void, FunctionCallResponse, or Promise<FunctionCallResponse>
    * 
    * @see Issue #305 for declarative prop support
    */
   onFunctionCallRequest?: (
     functionCall: FunctionCallRequest,
-    sendResponse: (response: FunctionCallResponse) => void
+    sendResponse: (response: FunctionCallResponse) => void,
+    context: FunctionCallHandlerContext
   ) => void | FunctionCallResponse | Promise<FunctionCallResponse> | Promise<void>;
+
+  /**
+   * Timeouts for client-side function calls. When a call times out the component sends an error
+   * FunctionCallResponse (`{ error, code: 'timeout' }`), aborts the handler's signal and ignores any later response.
+   */
+  functionCallOptions?: FunctionCallOptions;
+
+  /**
+   * Called when a pending client-side function call is abandoned: timed out, cancelled by barge-in or
+   * interruptAgent(), or cut off by the agent socket closing. The handler's AbortSignal has already fired.
+   */
+  onFunctionCallAbandoned?: (info: FunctionCallAbandonedInfo) => void;
+
+  /**
+   * Client-side functions with their handlers. Definitions (without `execute`) are added to the Settings
+   * `functions`, replacing any `agentOptions.functions` entry with the same name.
+   *
+   * For a FunctionCallRequest naming a tool, the component parses the arguments, validates them against the tool's
+   * `parameters` JSON schema, calls `execute(args, ctx)` and sends the JSON-serialized result. Invalid arguments or
+   * a throwing handler produce an error FunctionCallResponse (`{ error, code, issues? }`, see ToolErrorContent).
+   * Calls for names not in `tools` still go to `onFunctionCallRequest`.
+   *
+   * Definitions are read when Settings are sent, i.e. changes apply from the next connection.
+   */
+  tools?: ToolDefinition[];
   
   /**
    * Called when an error occurs
@@ -258,25 +388,62 @@ export interface DeepgramVoiceInteractionProps {
   debug?: boolean;
 
   /**
-   * Options for auto-sleep functionality
+   * Options for auto-sleep functionality.
+   * While `entering_sleep` / `sleeping`, mic audio is not forwarded to the agent and transcripts are not
+   * surfaced; the connection stays open. Wake with `wake()` or a configured wake phrase.
    */
   sleepOptions?: {
     /**
-     * Enable auto-sleep after inactivity
+     * Enable auto-sleep after inactivity (agent idle/listening, no playback, user not speaking)
      */
     autoSleep?: boolean;
-    
+
     /**
      * Seconds of inactivity before auto-sleep (default: 30)
      */
     timeout?: number;
-    
+
     /**
-     * Phrases that can wake the agent from sleep
+     * Phrases that can wake the agent from sleep. Matched case- and punctuation-insensitively on
+     * whole words against transcripts received while sleeping. Because mic audio is not sent to the
+     * agent while asleep, wake phrases need the transcription service (`transcriptionOptions`).
      */
     wakeWords?: string[];
   };
 
+  /**
+   * Called when a transcript containing one of `sleepOptions.wakeWords` wakes the agent from sleep.
+   * @param wakeWord - The matching phrase as configured in `wakeWords`
+   * @param transcript - The transcript text that contained it
+   */
+  onWakeWord?: (wakeWord: string, transcript: string) => void;
+
+  /**
+   * Automatic reconnection after an unexpected close (exponential backoff with jitter, retryable close codes).
+   * Off unless `enabled: true`. On an agent reconnect the component re-sends Settings with the in-memory
+   * conversation as `agent.context`, keeps the microphone open across the gap, and sends any
+   * `injectUserMessage` calls made while reconnecting once SettingsApplied arrives.
+   * Should be a stable reference (memoize), like agentOptions.
+   */
+  reconnectOptions?: ReconnectOptions;
+
+  /**
+   * Called before each automatic reconnect attempt, with attempt number and delay (e.g. to show "reconnecting…")
+   */
+  onReconnecting?: (info: ReconnectAttemptInfo) => void;
+
+  /**
+   * Called when automatic reconnection gives up after `reconnectOptions.maxAttempts`
+   */
+  onReconnectFailed?: (info: ReconnectFailedInfo) => void;
+
+  /**
+   * Called once per completed agent turn with milestone timestamps (end of user speech, AgentThinking, first
+   * assistant text, first audio chunk, playback start, AgentDone) and the latencies between them.
+   * See also `getTurnMetricsSummary()` on the ref.
+   */
+  onTurnMetrics?: (metrics: TurnMetrics) => void;
+
   /**
    * Called when agent starts speaking (TTS begins)
    */
@@ -343,6 +510,70 @@ export interface DeepgramVoiceInteractionProps {
    */
   audioConstraints?: AudioConstraints;
 
+  /**
+   * Microphone to capture from, as a `deviceId` from listAudioDevices(). Changing it while capturing switches the
+   * microphone without closing the agent connection. If the device is missing or unplugged, capture moves to the
+   * default microphone and returns when it is plugged back in (reported through `onAudioDeviceChange`).
+   */
+  inputDeviceId?: string;
+
+  /**
+   * Capture from this source instead of the microphone: a `MediaStream`, a `MediaStreamTrack` or an async iterable
+   * of PCM frames. It goes through the same worklet, resampling and local VAD as the microphone, so the agent and
+   * callbacks see no difference. Changing it while capturing swaps the source in place; unset goes back to the
+   * microphone. Takes precedence over `inputDeviceId`. See also the setAudioSource() handle method.
+   */
+  audioSource?: AudioSource | null;
+
+  /**
+   * Speaker for agent audio, as a `deviceId` from listAudioDevices(). Uses AudioContext.setSinkId, so it only takes
+   * effect where supportsOutputDeviceSelection() is true; elsewhere audio plays on the default output.
+   */
+  outputDeviceId?: string;
+
+  /**
+   * Called when the microphone or speaker in use changes: a new `inputDeviceId` / `outputDeviceId`, the selected
+   * device going away (the default is used instead), or it coming back
+   */
+  onAudioDeviceChange?: (change: AudioDeviceChange) => void;
+
+  /**
+   * Play agent audio from a ring buffer in an AudioWorklet instead of scheduling one buffer source per chunk:
+   * `true` for defaults or options for target latency, underrun concealment and fades. Avoids gaps and clicks
+   * when the main thread is busy and stops interrupted audio within a few ms. Read when the audio manager is
+   * created; falls back to the scheduler where the worklet cannot be loaded.
+   */
+  jitterBuffer?: boolean | JitterBufferOptions;
+
+  /**
+   * Client-side voice activity detection in the microphone worklet: `true` for defaults or options for
+   * thresholds, hangover, silence gating and early barge-in. Read when the audio manager is created.
+   * The server's UserStartedSpeaking / UtteranceEnd stay authoritative for turn-taking and agent state.
+   */
+  localVad?: boolean | LocalVadOptions;
+
+  /**
+   * Called when local VAD (`localVad`) detects the start of speech, before the server reports it
+   */
+  onLocalSpeechStart?: () => void;
+
+  /**
+   * Called when local VAD (`localVad`) detects the end of speech, after `hangoverMs` of silence
+   */
+  onLocalSpeechStop?: () => void;
+
+  /**
+   * `'push-to-talk'`: microphone audio is sent only while a user turn is open (beginUserTurn() / endUserTurn() or
+   * `pushToTalk`), and ending the turn asks the backend to respond at once. Default `'vad'`: audio streams
+   * continuously and the backend detects turns. Sent with Settings, so changes apply on the next connection.
+   */
+  turnMode?: TurnMode;
+
+  /**
+   * Push-to-talk button state for `turnMode: 'push-to-talk'`: true opens a user turn, false ends it
+   */
+  pushToTalk?: boolean;
+
   /**
    * Declarative Props (Issue #305)
    * These props reduce the need for imperative ref methods
@@ -427,9 +658,44 @@ export interface DeepgramVoiceInteractionProps {
 
   /**
    * Storage key for conversation persistence. Used only when conversationStorage is provided.
+   * With conversationSessionId it is the namespace of the session keys (see ConversationSessionStore).
    * @default 'dg_conversation'
    */
   conversationStorageKey?: string;
+
+  /**
+   * Persist this conversation as a named session (listed, resumed and deleted with ConversationSessionStore).
+   * Changing the id loads that session's history (empty for a new id); it is sent as agent.context from the
+   * next Settings. Without an id the single conversation under conversationStorageKey is used.
+   */
+  conversationSessionId?: string;
+
+  /**
+   * Stored conversations without activity for this long are not restored and are deleted. No expiry when unset.
+   */
+  conversationTtlMs?: number;
+
+  /**
+   * Coordinate with other tabs of the app (same `name`) so only one of them — the leader — captures audio, holds
+   * the agent and transcription connections and writes conversationStorage. Other tabs are read-only followers:
+   * they receive the leader's agent/connection/playback state, transcripts and conversation history through the
+   * usual callbacks, and start(), startAudioCapture() and injectUserMessage() reject until they lead. A follower
+   * takes over when the leader's tab closes or after requestTabHandover(). Uses Web Locks and BroadcastChannel;
+   * where either is missing every tab leads. Off by default.
+   */
+  tabCoordination?: boolean | TabCoordinationOptions;
+
+  /**
+   * Called when this tab becomes leader or follower (tabCoordination). A coordinating tab starts as follower.
+   * After becoming leader, autoStartAgent / autoStartTranscription / connectionState apply; otherwise call start().
+   */
+  onTabRoleChange?: (role: TabRole) => void;
+
+  /**
+   * Called in the leader tab when another tab calls requestTabHandover(). Return (or resolve) false to refuse;
+   * otherwise this tab stops its connections and microphone and the requesting tab becomes leader.
+   */
+  onTabHandoverRequest?: (request: TabHandoverRequest) => boolean | Promise<boolean>;
 }
 
 /**
@@ -515,6 +781,23 @@ export interface DeepgramVoiceInteractionHandle {
    * Pairs with {@link startAudioCapture}; no-op if recording is not active.
    */
   stopAudioCapture: () => void;
+
+  /**
+   * Capture from `source` instead of the microphone (null: back to the microphone), like the `audioSource` prop.
+   * Swaps the source in place while capturing; otherwise it is used by the next startAudioCapture().
+   */
+  setAudioSource: (source: AudioSource | null) => Promise<void>;
+
+  /**
+   * Open a user turn (`turnMode: 'push-to-talk'`): microphone audio is sent until endUserTurn(). Stops agent
+   * playback, and agent audio is discarded while the turn is open.
+   */
+  beginUserTurn: () => void;
+
+  /**
+   * Close the user turn and ask the backend to respond now. No-op when no turn is open.
+   */
+  endUserTurn: () => void;
   
   /**
    * Get the AudioContext for debugging and testing
@@ -535,8 +818,16 @@ export interface DeepgramVoiceInteractionHandle {
   /**
    * Get the current conversation history (Issue #406). When conversationStorage is provided,
    * this includes restored messages plus any new messages from ConversationText.
+   * By default only user and assistant text items are returned (the original history shape, with `id` and `kind`
+   * added); pass `{ includeAllKinds: true }` for function calls, function results and system notes as well.
+   */
+  getConversationHistory: (options?: ConversationHistoryOptions) => ConversationMessage[];
+
+  /**
+   * Add a `system_note` item to the conversation history (kept and persisted like other items when
+   * conversationStorage is provided). Notes are for the application only and are never sent to the agent.
    */
-  getConversationHistory: () => ConversationMessage[];
+  addConversationNote: (content: string) => void;
 
   /**
    * Get the current agent (WebSocket) manager, if any (Issue #429).
@@ -546,4 +837,41 @@ export interface DeepgramVoiceInteractionHandle {
    * for both Deepgram and OpenAI proxy paths.
    */
   getAgentManager: () => { disableIdleTimeoutResets: () => void; enableIdleTimeoutResets: () => void } | null;
+
+  /**
+   * Rolling latency summary (count, mean, p50, p95 per metric) over the most recent turns, plus the last turn.
+   * Reset by stop().
+   */
+  getTurnMetricsSummary: () => TurnMetricsSummary;
+
+  /**
+   * This tab's role under tabCoordination; always 'leader' when tabCoordination is off
+   */
+  getTabRole: () => TabRole;
+
+  /**
+   * Ask the leader tab to hand over the microphone and agent session (tabCoordination).
+   * Resolves true once this tab is leader; false when the leader refuses or does not answer within
+   * `handoverTimeoutMs`. Call start() / startAudioCapture() afterwards unless auto-start props apply.
+   */
+  requestTabHandover: () => Promise<boolean>;
+
+  /**
+   * Start recording the session: microphone audio, agent playback, ConversationText and agent/connection state
+   * transitions, time-aligned from now. Recording is in memory until stopSessionRecording().
+   * @throws When a recording is already in progress
+   */
+  startSessionRecording: (options?: SessionRecordingOptions) => void;
+
+  /**
+   * Stop recording and return the WAV (separate user/agent channels or a mix, per the start options) with its
+   * JSON-serializable sidecar of events and their offsets into the audio. Returns null when not recording.
+   */
+  stopSessionRecording: () => SessionRecording | null;
+
+  /**
+   * Receive microphone and agent playback levels at `audioLevelsFrameRate`, like the `onAudioLevels` prop.
+   * Returns a function that removes the listener.
+   */
+  subscribeAudioLevels: (listener: (levels: AudioLevels) => void) => () => void;
 }
\ No newline at end of file
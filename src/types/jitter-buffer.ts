@@ -0,0 +1,48 @@
+/**
+ * Types for jitter-buffered agent audio playback in an AudioWorklet (`jitterBuffer`)
+ */
+
+/**
+ * Agent audio is written to a ring buffer in the playback worklet instead of being scheduled chunk by chunk
+ * from the main thread, so main-thread stalls no longer cause gaps and interruptions stop within one render
+ * quantum (~5 ms).
+ */
+export interface JitterBufferOptions {
+  /**
+   * Audio buffered before playback starts (and restarts after an underrun). Higher values ride out longer
+   * network or main-thread stalls at the cost of response latency.
+   * @default 120
+   */
+  targetLatencyMs?: number;
+
+  /**
+   * On underrun, this much of the last output is replayed with a falling gain instead of cutting to silence
+   * @default 20
+   */
+  concealMs?: number;
+
+  /**
+   * Fade applied when playback resumes after an underrun and when it is interrupted, to avoid clicks
+   * @default 5
+   */
+  fadeMs?: number;
+
+  /**
+   * How often the worklet reports played and buffered sample counts while playing
+   * @default 50
+   */
+  reportIntervalMs?: number;
+}
+
+/**
+ * Progress of jitter-buffered playback, as last reported by the worklet
+ */
+export interface PlaybackProgress {
+  /** Samples sent to the speaker since the sink was created, at `sampleRate` */
+  playedSamples: number;
+  /** Samples waiting in the ring buffer */
+  bufferedSamples: number;
+  /** Times the buffer ran dry mid-stream */
+  underruns: number;
+  sampleRate: number;
+}
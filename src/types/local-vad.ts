@@ -0,0 +1,65 @@
+/**
+ * Types for client-side voice activity detection in the microphone worklet (`localVad`)
+ */
+
+/**
+ * Energy / zero-crossing VAD run on microphone frames before upload. Local events are hints for UI and
+ * barge-in; the server's UserStartedSpeaking / UtteranceEnd still drive turn-taking and agent state.
+ */
+export interface LocalVadOptions {
+  /**
+   * RMS (linear, 0–1) a frame must reach to count as speech
+   * @default 0.015
+   */
+  energyThreshold?: number;
+
+  /**
+   * Highest zero-crossing rate (crossings per sample) of a speech frame; noisier frames, such as hiss, are not speech
+   * @default 0.3
+   */
+  maxZeroCrossingRate?: number;
+
+  /**
+   * Analysis frame length in ms
+   * @default 20
+   */
+  frameMs?: number;
+
+  /**
+   * Continuous speech required before speech start is reported
+   * @default 60
+   */
+  minSpeechMs?: number;
+
+  /**
+   * Hangover: non-speech required after speech before speech stop is reported
+   * @default 500
+   */
+  hangoverMs?: number;
+
+  /**
+   * Do not upload microphone audio outside speech (plus `preRollMs` before it and the hangover after it).
+   * Keep `hangoverMs` longer than the server's end-of-speech silence so server endpointing still sees the pause.
+   * @default false
+   */
+  gateSilence?: boolean;
+
+  /**
+   * With `gateSilence`, audio kept from before speech start and uploaded with it so the first syllable is not cut
+   * @default 300
+   */
+  preRollMs?: number;
+
+  /**
+   * Stop agent playback as soon as local speech starts instead of waiting for the server's UserStartedSpeaking
+   * @default false
+   */
+  bargeIn?: boolean;
+
+  /**
+   * After a local barge-in, agent audio is dropped until the server confirms with UserStartedSpeaking or this
+   * many ms pass (the local detection was a false positive)
+   * @default 1000
+   */
+  bargeInConfirmMs?: number;
+}
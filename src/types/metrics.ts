@@ -0,0 +1,76 @@
+/**
+ * Types for per-turn latency metrics (`onTurnMetrics`, `getTurnMetricsSummary`)
+ */
+import type { LatencyMessage } from './voiceBot';
+
+/**
+ * Timing of one agent turn. Timestamps are epoch milliseconds (`Date.now()`); null when the event did not occur
+ * in the turn (e.g. no user speech before a greeting, or a text-only reply with no audio).
+ */
+export interface TurnMetrics {
+  /** 1-based turn number since the session started (reset by stop()) */
+  turn: number;
+
+  /** End of user speech: speech_final or UtteranceEnd */
+  userStoppedSpeakingAt: number | null;
+  /** First AgentThinking */
+  agentThinkingAt: number | null;
+  /** First assistant ConversationText */
+  firstAgentTextAt: number | null;
+  /** First binary agent audio chunk */
+  firstAudioChunkAt: number | null;
+  /** Playback of agent audio started */
+  playbackStartedAt: number | null;
+  /** AgentAudioDone or AgentDone, whichever came first */
+  agentDoneAt: number | null;
+
+  /** userStoppedSpeakingAt → agentThinkingAt */
+  thinkingLatencyMs: number | null;
+  /** userStoppedSpeakingAt → firstAgentTextAt (think model latency) */
+  textLatencyMs: number | null;
+  /** firstAgentTextAt → firstAudioChunkAt (voice / TTS latency) */
+  ttsLatencyMs: number | null;
+  /** userStoppedSpeakingAt → firstAudioChunkAt */
+  firstAudioLatencyMs: number | null;
+  /** userStoppedSpeakingAt → playbackStartedAt: what the user hears as response time */
+  playbackLatencyMs: number | null;
+  /** userStoppedSpeakingAt → agentDoneAt */
+  turnDurationMs: number | null;
+
+  /** Legacy latency record, present when text and TTS latency were both measured */
+  latency?: LatencyMessage;
+
+  /** The user spoke again before the agent finished this turn */
+  interrupted: boolean;
+}
+
+/** Latency fields of TurnMetrics that are aggregated in TurnMetricsSummary */
+export type TurnLatencyMetric =
+  | 'thinkingLatencyMs'
+  | 'textLatencyMs'
+  | 'ttsLatencyMs'
+  | 'firstAudioLatencyMs'
+  | 'playbackLatencyMs'
+  | 'turnDurationMs';
+
+/** Aggregate of one latency over the summary window; null statistics when no turn measured it */
+export interface TurnLatencyStats {
+  /** Turns in the window that measured this latency */
+  count: number;
+  mean: number | null;
+  p50: number | null;
+  p95: number | null;
+}
+
+/**
+ * Rolling summary over the most recent turns
+ */
+export interface TurnMetricsSummary {
+  /** Turns completed since the session started */
+  totalTurns: number;
+  /** Turns included in `stats` (at most the window size) */
+  windowSize: number;
+  /** Most recent completed turn */
+  last: TurnMetrics | null;
+  stats: Record<TurnLatencyMetric, TurnLatencyStats>;
+}
@@ -0,0 +1,56 @@
+/**
+ * Types for agent provider adapters
+ *
+ * A provider adapter owns the choices that differ between agent backends speaking the
+ * Voice Agent protocol: binary framing, Settings shape, transcript finality and the idle-timeout default.
+ */
+
+import type { BuildSettingsMessageOptions, SettingsMessagePayload } from '../utils/buildSettingsMessage';
+import type { TranscriptResponse } from './transcription';
+
+export type { BuildSettingsMessageOptions, SettingsMessagePayload };
+
+/**
+ * Built-in provider ids. Custom adapters registered with `registerProviderAdapter` are selected by their own id.
+ */
+export type BuiltInProviderId = 'deepgram' | 'openai-proxy';
+
+/**
+ * Provider-specific behaviour of the agent connection
+ */
+export interface ProviderAdapter {
+  /** Identifier used for the `provider` prop and in logs */
+  readonly id: string;
+
+  /**
+   * Binary frames on the agent socket are always raw PCM (JSON only ever arrives as text).
+   * When false, binary frames that decode to agent JSON are routed as messages (Deepgram, Issue #353).
+   */
+  readonly binaryFramesArePCMOnly: boolean;
+
+  /**
+   * Transcripts and VAD arrive on the agent connection, so no separate transcription WebSocket is opened
+   * even when `transcriptionOptions` is set.
+   */
+  readonly transcriptsOnAgentConnection: boolean;
+
+  /** Idle timeout (ms) used when `agentOptions.idleTimeoutMs` is not set */
+  readonly defaultIdleTimeoutMs: number;
+
+  /** Whether a normalized transcript completes a user utterance (persisted as a user turn) */
+  isUtteranceComplete(transcript: TranscriptResponse): boolean;
+
+  /**
+   * Push-to-talk: the backend accepts `EndUserTurn` to finish the user's turn at once. Otherwise the component
+   * ends a turn with trailing silence for the backend's own endpointing.
+   */
+  readonly supportsEndUserTurn?: boolean;
+
+  /** Build the Settings message sent after connecting */
+  buildSettings(options: BuildSettingsMessageOptions): SettingsMessagePayload;
+}
+
+/**
+ * `provider` prop value: a built-in or registered adapter id, or an adapter object
+ */
+export type ProviderOption = BuiltInProviderId | (string & Record<never, never>) | ProviderAdapter;
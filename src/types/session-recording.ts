@@ -0,0 +1,48 @@
+/**
+ * Types for session recording (startSessionRecording / stopSessionRecording)
+ */
+
+import type { AgentState } from './agent';
+import type { ConnectionState, ServiceType } from './connection';
+
+/**
+ * - `separate`: stereo WAV, user (microphone) on the left channel and agent playback on the right
+ * - `mix`: mono WAV with both sides summed
+ */
+export type SessionRecordingLayout = 'separate' | 'mix';
+
+export interface SessionRecordingOptions {
+  /** @default 'separate' */
+  layout?: SessionRecordingLayout;
+}
+
+/**
+ * Entry of the recording sidecar. `offsetMs` is the position in the WAV.
+ * `agent_audio_cut` marks where queued agent audio was dropped (barge-in, interruptAgent()).
+ */
+export type SessionRecordingEvent =
+  | { type: 'conversation_text'; offsetMs: number; role: 'user' | 'assistant'; content: string }
+  | { type: 'agent_state'; offsetMs: number; state: AgentState }
+  | { type: 'connection_state'; offsetMs: number; service: ServiceType; state: ConnectionState }
+  | { type: 'agent_audio_cut'; offsetMs: number };
+
+/**
+ * JSON sidecar describing a recording
+ */
+export interface SessionRecordingSidecar {
+  version: 1;
+  /** Wall-clock start (ms since epoch); offset 0 of the WAV */
+  startedAt: number;
+  durationMs: number;
+  sampleRate: number;
+  layout: SessionRecordingLayout;
+  /** Source of each WAV channel, in channel order */
+  channels: Array<'user' | 'agent' | 'mix'>;
+  events: SessionRecordingEvent[];
+}
+
+export interface SessionRecording {
+  /** 16-bit PCM WAV (`audio/wav`) */
+  wav: Blob;
+  sidecar: SessionRecordingSidecar;
+}
@@ -0,0 +1,45 @@
+/**
+ * Types for cross-tab coordination (one tab owns the microphone and agent session)
+ */
+
+import type { ConnectionState, ServiceType } from './connection';
+import type { AgentState, ConversationMessage } from './agent';
+import type { TranscriptResponse } from './transcription';
+
+/**
+ * - `leader`: may capture audio and hold the agent connection; publishes updates to the other tabs
+ * - `follower`: read-only; mirrors the leader's state, transcripts and conversation history
+ */
+export type TabRole = 'leader' | 'follower';
+
+export interface TabCoordinationOptions {
+  /**
+   * Tabs with the same name coordinate with each other (Web Lock and BroadcastChannel names are derived from it).
+   * @default conversationStorageKey ('dg_conversation')
+   */
+  name?: string;
+  /**
+   * How long requestTabHandover() waits for the leader to answer before resolving false.
+   * @default 5000
+   */
+  handoverTimeoutMs?: number;
+}
+
+/** Passed to onTabHandoverRequest in the leader tab */
+export interface TabHandoverRequest {
+  /** Id of the tab asking to become leader */
+  requestingTabId: string;
+}
+
+/**
+ * What the leader tab publishes to followers
+ */
+export type TabLeaderUpdate =
+  | {
+      type: 'state';
+      agentState: AgentState;
+      connections: Record<ServiceType, ConnectionState>;
+      isPlaying: boolean;
+    }
+  | { type: 'transcript'; transcript: TranscriptResponse }
+  | { type: 'history'; items: ConversationMessage[] };
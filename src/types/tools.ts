@@ -0,0 +1,59 @@
+/**
+ * Types for declarative client-side tools (`tools` prop)
+ *
+ * A tool is an AgentFunction definition plus the handler that runs it. The component advertises the definitions in
+ * Settings, validates each FunctionCallRequest's arguments against `parameters` and answers with the handler's result.
+ */
+
+import type { AgentFunction } from './agent';
+
+/**
+ * Passed to a tool handler alongside its parsed arguments
+ */
+export interface ToolExecutionContext {
+  /** FunctionCallRequest id */
+  id: string;
+  /** Function name */
+  name: string;
+  /** Arguments exactly as received (JSON string) */
+  rawArguments: string;
+  /** Aborted when the call is abandoned (timeout, barge-in / interruptAgent(), agent socket closed) */
+  signal: AbortSignal;
+}
+
+/**
+ * Client-side function definition with its handler. The definition must not have an `endpoint` (server-side
+ * functions are executed by the agent, not the component).
+ *
+ * The handler's return value (or resolved Promise value) is JSON-serialized as the FunctionCallResponse content.
+ * `execute` is declared as a method so tools typed with their own argument interface fit in `ToolDefinition[]`.
+ */
+export interface ToolDefinition<TArgs = Record<string, unknown>, TResult = unknown> extends AgentFunction {
+  /** Overrides functionCallOptions timeouts for this tool, in ms. Not sent in Settings. */
+  timeoutMs?: number;
+  execute(args: TArgs, ctx: ToolExecutionContext): TResult | Promise<TResult>;
+}
+
+/** One argument that does not match the tool's JSON schema */
+export interface ToolValidationIssue {
+  /** JSON path of the offending value, e.g. `$.location.city` */
+  path: string;
+  message: string;
+}
+
+/**
+ * `code` of the error FunctionCallResponse sent for a tool call:
+ * - `invalid_arguments`: arguments are not a JSON object or do not match `parameters`
+ * - `execution_failed`: the handler threw or its Promise rejected
+ */
+export type ToolErrorCode = 'invalid_arguments' | 'execution_failed';
+
+/**
+ * Content of the error FunctionCallResponse for a tool call. `error` keeps the shape used for other function call
+ * failures; `code` and `issues` let the model (and logs) tell bad arguments from handler failures.
+ */
+export interface ToolErrorContent {
+  error: string;
+  code: ToolErrorCode;
+  issues?: ToolValidationIssue[];
+}
@@ -1,9 +1,22 @@
-import { DeepgramError, AudioConstraints } from '../../types';
+import {
+  DeepgramError,
+  AudioConstraints,
+  AudioDeviceChange,
+  AudioLevel,
+  AudioLevels,
+  AudioSource,
+  JitterBufferOptions,
+  LocalVadOptions,
+  PcmAudioFrame,
+  PlaybackProgress,
+} from '../../types';
 import { getLogger } from '../logger';
 import { EchoCancellationDetector, EchoCancellationSupport } from './EchoCancellationDetector';
 import { AudioConstraintValidator } from './AudioConstraintValidator';
 import { MICROPHONE_WORKLET_INLINE_SOURCE } from './microphone-worklet-inline.generated';
-import { createAudioBuffer, playAudioBuffer, prepareMicPcmForAgent } from './AudioUtils';
+import { createAudioBuffer, measureAudioLevel, playAudioBuffer, prepareMicPcmForAgent } from './AudioUtils';
+import type { SinkSelectableAudioContext } from './audio-devices';
+import { JitterBufferPlaybackSink } from './JitterBufferPlaybackSink';
 import {
   CLIENT_MIC_PCM_FOR_OPENAI_PROXY_HZ,
   OPENAI_REALTIME_OUTPUT_PCM_SAMPLE_RATE_HZ,
@@ -12,6 +25,18 @@ import {
 /** Inlined from AudioWorkletProcessor.js via `npm run generate:mic-worklet` (see microphone-worklet-inline.generated.ts). */
 const audioWorkletCode = MICROPHONE_WORKLET_INLINE_SOURCE;
 
+/** Analysis window for level metering: 1024 samples is ~64 ms at 16 kHz and ~43 ms at 24 kHz */
+const LEVEL_ANALYSER_FFT_SIZE = 1024;
+
+const SILENT_LEVEL: AudioLevel = { rms: 0, peak: 0 };
+
+/** How far ahead of the capture clock PCM frames from an audioSource iterable are scheduled */
+const FRAME_SOURCE_LEAD_S = 0.2;
+
+function isPcmFrameIterable(source: AudioSource): source is AsyncIterable<PcmAudioFrame> {
+  return typeof (source as AsyncIterable<PcmAudioFrame>)[Symbol.asyncIterator] === 'function';
+}
+
 /**
  * Event types emitted by the AudioManager
  */
@@ -21,6 +46,8 @@ export type AudioEvent =
   | { type: 'playing'; isPlaying: boolean }
   | { type: 'error'; error: DeepgramError }
   | { type: 'data'; data: ArrayBuffer }
+  | { type: 'vad'; speaking: boolean }
+  | { type: 'deviceChange'; change: AudioDeviceChange }
   | { type: 'echoCancellationSupport'; support: EchoCancellationSupport };
 
 /**
@@ -59,6 +86,35 @@ export interface AudioManagerOptions {
    * Issue: #243 - Enhanced Echo Cancellation Support
    */
   audioConstraints?: AudioConstraints;
+
+  /**
+   * Local voice activity detection in the microphone worklet, with every option set (see resolveLocalVadOptions).
+   * Speech start/stop is emitted as `vad` events; with `gateSilence`, `data` is only emitted around speech.
+   */
+  localVad?: Required<LocalVadOptions> | null;
+
+  /**
+   * Microphone to capture from (`deviceId` from enumerateDevices). When it is missing or unplugged, capture moves
+   * to the default microphone and back once it returns.
+   */
+  inputDeviceId?: string;
+
+  /**
+   * Capture from this source instead of the microphone. It feeds the same worklet (resampling, local VAD); the
+   * application keeps ownership of its tracks. Device selection and fallback only apply to the microphone.
+   */
+  audioSource?: AudioSource | null;
+
+  /**
+   * Speaker for agent playback, applied with AudioContext.setSinkId where the browser supports it
+   */
+  outputDeviceId?: string;
+
+  /**
+   * Play agent audio through the jitter-buffer worklet (JitterBufferPlaybackSink) with every option set
+   * (see resolveJitterBufferOptions). null or unset: one AudioBufferSourceNode per chunk.
+   */
+  jitterBuffer?: Required<JitterBufferOptions> | null;
 }
 
 /**
@@ -82,9 +138,19 @@ export class AudioManager {
   private playbackContext: AudioContext | null = null;
   private workletNode: AudioWorkletNode | null = null;
   private microphoneStream: MediaStream | null = null;
-  private sourceNode: MediaStreamAudioSourceNode | null = null;
+  /** Capture input under the worklet: the microphone, an audioSource stream, or the gain node PCM frames play into */
+  private sourceNode: AudioNode | null = null;
+  /** Schedules the frames of an audioSource iterable while capturing from one */
+  private framePump: {
+    iterator: AsyncIterator<PcmAudioFrame>;
+    stopped: boolean;
+    silence: ConstantSourceNode;
+    nodes: AudioBufferSourceNode[];
+  } | null = null;
   private isRecording = false;
   private isPlaying = false;
+  private playbackMismatchLogged = false;
+  private isLocalSpeechActive = false;
   private isInitialized = false;
   private eventListeners: Array<(event: AudioEvent) => void> = [];
   
@@ -96,6 +162,22 @@ export class AudioManager {
   // private analyzerData: Uint8Array | null = null; // Unused for now
   private currentSource: AudioBufferSourceNode | null = null;
   private activeSourceNodes: AudioBufferSourceNode[] = []; // Track all active/scheduled sources
+  /** Worklet playback (jitterBuffer option); created with the first agent audio */
+  private jitterBufferSink: Promise<JitterBufferPlaybackSink> | null = null;
+  private jitterBufferSinkReady: JitterBufferPlaybackSink | null = null;
+  /** Incremented by clearAudioQueue() */
+  private playbackGeneration = 0;
+  /** Level metering: analysers are attached once getAudioLevels() is first called */
+  private levelMeteringEnabled = false;
+  private inputAnalyser: AnalyserNode | null = null;
+  private outputAnalyser: AnalyserNode | null = null;
+  private levelSamples: Float32Array | null = null;
+  /** Device selection: true while the default device stands in for a missing inputDeviceId / outputDeviceId */
+  private inputDeviceFallback = false;
+  private outputDeviceFallback = false;
+  private watchingDevices = false;
+  /** devicechange and track-ended checks run one at a time */
+  private deviceCheck: Promise<void> = Promise.resolve();
   private logger = getLogger({ debug: false }); // set in constructor
 
   /**
@@ -230,64 +312,23 @@ export class AudioManager {
       throw new Error('AudioContext not available - initialization may have failed');
     }
     
+    const audioSource = this.options.audioSource;
     try {
-      this.log('Requesting microphone access');
-      
-      // Request microphone access with configurable constraints (Phase 2: Issue #243)
-      // Provide default constraints if none specified
-      const audioConstraints = this.options.audioConstraints || {
-        echoCancellation: true,
-        noiseSuppression: true,
-        autoGainControl: true,
-        channelCount: 1,
-      };
-      
-      // Validate constraints before applying
-      const validation = AudioConstraintValidator.validate(audioConstraints);
-      if (!validation.valid) {
-        this.log('⚠️ Audio constraint validation errors:', validation.errors);
-        // Log errors but continue with defaults if validation fails
-      }
-      if (validation.warnings.length > 0) {
-        this.log('⚠️ Audio constraint warnings:', validation.warnings);
+      if (audioSource) {
+        this.log('Capturing from the application audio source');
+        this.sourceNode = this.createExternalSourceNode(audioSource);
+      } else {
+        this.sourceNode = await this.openMicrophoneSource();
       }
-      
-      // Build constraints object, using validated values or defaults
-      const constraints = {
-        audio: {
-          echoCancellation: audioConstraints.echoCancellation ?? true,
-          noiseSuppression: audioConstraints.noiseSuppression ?? true,
-          autoGainControl: audioConstraints.autoGainControl ?? true,
-          ...(audioConstraints.sampleRate && { sampleRate: audioConstraints.sampleRate }),
-          channelCount: audioConstraints.channelCount ?? 1,
+      // The worklet resamples to the agent rate itself (StreamingResampler), with filter state kept across buffers
+      this.workletNode = new AudioWorkletNode(this.audioContext, 'microphone-processor', {
+        processorOptions: {
+          targetSampleRate: this.options.sampleRate ?? CLIENT_MIC_PCM_FOR_OPENAI_PROXY_HZ,
+          ...(this.options.localVad ? { vad: this.options.localVad } : {}),
         },
-        video: false,
-      };
-      
-      this.microphoneStream = await navigator.mediaDevices.getUserMedia(constraints);
-      
-      // Detect and verify echo cancellation support (Phase 1: Issue #243)
-      try {
-        const support = await EchoCancellationDetector.detectSupport(this.microphoneStream);
-        this.log('Echo cancellation support:', support);
-        
-        if (!support.active && support.supported) {
-          this.log('⚠️ Echo cancellation requested but not active');
-        }
-        
-        // Emit echo cancellation support information
-        this.emit({ 
-          type: 'echoCancellationSupport', 
-          support 
-        });
-      } catch (error) {
-        // Non-fatal: log but don't fail recording
-        this.log('Failed to detect echo cancellation support:', error);
-      }
-      
-      // Connect microphone to AudioWorklet
-      this.sourceNode = this.audioContext.createMediaStreamSource(this.microphoneStream);
-      this.workletNode = new AudioWorkletNode(this.audioContext, 'microphone-processor');
+      });
+      this.inputAnalyser = null;
+      this.attachLevelAnalysers();
       
       // Listen for audio data from the worklet
       this.workletNode.port.onmessage = (event: MessageEvent) => {
@@ -301,7 +342,8 @@ export class AudioManager {
           }
           const floatMono = new Float32Array(message.data);
           const targetRate = this.options.sampleRate ?? CLIENT_MIC_PCM_FOR_OPENAI_PROXY_HZ;
-          const pcm = prepareMicPcmForAgent(floatMono, this.audioContext.sampleRate, targetRate);
+          // Samples are already at targetRate unless the worklet did not resample (no sampleRate on the message)
+          const pcm = prepareMicPcmForAgent(floatMono, message.sampleRate ?? this.audioContext.sampleRate, targetRate);
           this.emit({ type: 'data', data: pcm });
         } else if (message.type === 'started') {
           this.log('Recording started');
@@ -311,6 +353,8 @@ export class AudioManager {
           this.log('Recording stopped');
           this.isRecording = false;
           this.emit({ type: 'recording', isRecording: false });
+        } else if (message.type === 'vad') {
+          this.setLocalSpeechActive(message.speaking === true);
         } else if (message.type === 'log') {
           this.log(`[AudioWorklet] ${message.message}`);
         }
@@ -346,6 +390,9 @@ export class AudioManager {
       
       // Start recording
       this.workletNode.port.postMessage({ type: 'start' });
+      if (audioSource && isPcmFrameIterable(audioSource)) {
+        this.startFramePump(audioSource, this.sourceNode);
+      }
       this.log('Recording started');
     } catch (error) {
       this.log('Failed to start recording:', error);
@@ -354,7 +401,9 @@ export class AudioManager {
         error: {
           service: 'transcription',
           code: 'microphone_error',
-          message: error instanceof DOMException && error.name === 'NotAllowedError'
+          message: audioSource
+            ? 'Failed to capture from the audio source'
+            : error instanceof DOMException && error.name === 'NotAllowedError'
             ? 'Microphone permission denied'
             : 'Failed to access microphone',
           details: error,
@@ -388,6 +437,7 @@ export class AudioManager {
       });
       this.microphoneStream = null;
     }
+    this.stopFramePump();
     
     // Early return if not recording (but tracks are already stopped above)
     if (!this.isRecording) {
@@ -395,6 +445,7 @@ export class AudioManager {
     }
     
     this.log('Stopping recording');
+    this.setLocalSpeechActive(false);
     
     // Stop the worklet
     if (this.workletNode) {
@@ -408,6 +459,7 @@ export class AudioManager {
       this.sourceNode.disconnect();
       this.sourceNode = null;
     }
+    this.inputAnalyser = null;
     
     // Note: MediaStream tracks are already stopped above, before the early return check
     
@@ -415,6 +467,371 @@ export class AudioManager {
     this.emit({ type: 'recording', isRecording: false });
   }
   
+  private setLocalSpeechActive(speaking: boolean): void {
+    if (this.isLocalSpeechActive === speaking) return;
+    this.isLocalSpeechActive = speaking;
+    this.log(`Local VAD: speech ${speaking ? 'started' : 'stopped'}`);
+    this.emit({ type: 'vad', speaking });
+  }
+
+  /**
+   * Opens the selected microphone (watching it for device changes) and reports echo cancellation support
+   */
+  private async openMicrophoneSource(): Promise<AudioNode> {
+    this.log('Requesting microphone access');
+    const stream = await this.openMicrophone(this.options.inputDeviceId);
+    this.microphoneStream = stream;
+    this.watchInputTrack(stream);
+    this.watchDevices();
+
+    // Detect and verify echo cancellation support (Phase 1: Issue #243)
+    try {
+      const support = await EchoCancellationDetector.detectSupport(stream);
+      this.log('Echo cancellation support:', support);
+
+      if (!support.active && support.supported) {
+        this.log('⚠️ Echo cancellation requested but not active');
+      }
+
+      // Emit echo cancellation support information
+      this.emit({
+        type: 'echoCancellationSupport',
+        support
+      });
+    } catch (error) {
+      // Non-fatal: log but don't fail recording
+      this.log('Failed to detect echo cancellation support:', error);
+    }
+
+    return this.audioContext!.createMediaStreamSource(stream);
+  }
+
+  /**
+   * Input node for an audioSource. A PCM frame iterable gets a gain node that startFramePump() plays frames into.
+   */
+  private createExternalSourceNode(source: AudioSource): AudioNode {
+    const context = this.audioContext!;
+    if (isPcmFrameIterable(source)) {
+      return context.createGain();
+    }
+    const stream = 'getTracks' in source ? source : new MediaStream([source]);
+    return context.createMediaStreamSource(stream);
+  }
+
+  /**
+   * Plays the frames of an audioSource iterable into `input` in real time, staying FRAME_SOURCE_LEAD_S ahead of the
+   * capture clock so a file is not read faster than it would be spoken. A silent constant source keeps the worklet
+   * fed between frames and after the iterable ends, as a quiet microphone would.
+   */
+  private startFramePump(frames: AsyncIterable<PcmAudioFrame>, input: AudioNode): void {
+    const context = this.audioContext;
+    if (!context) return;
+    const silence = context.createConstantSource();
+    silence.offset.value = 0;
+    silence.connect(input);
+    silence.start();
+    const pump = { iterator: frames[Symbol.asyncIterator](), stopped: false, silence, nodes: [] as AudioBufferSourceNode[] };
+    this.framePump = pump;
+
+    const run = async () => {
+      let nextStart = context.currentTime;
+      while (!pump.stopped) {
+        const result = await pump.iterator.next();
+        if (pump.stopped || result.done) break;
+        const { samples, sampleRate } = result.value;
+        if (samples.length === 0) continue;
+        const buffer = context.createBuffer(1, samples.length, sampleRate);
+        const channel = buffer.getChannelData(0);
+        const scale = samples instanceof Int16Array ? 1 / 32768 : 1;
+        for (let i = 0; i < samples.length; i++) {
+          channel[i] = samples[i] * scale;
+        }
+        const node = context.createBufferSource();
+        node.buffer = buffer;
+        node.connect(input);
+        node.onended = () => {
+          pump.nodes = pump.nodes.filter((n) => n !== node);
+          node.disconnect();
+        };
+        nextStart = Math.max(nextStart, context.currentTime);
+        node.start(nextStart);
+        pump.nodes.push(node);
+        nextStart += buffer.duration;
+        const ahead = nextStart - context.currentTime - FRAME_SOURCE_LEAD_S;
+        if (ahead > 0) {
+          await new Promise((resolve) => setTimeout(resolve, ahead * 1000));
+        }
+      }
+      if (!pump.stopped) this.log('Audio source ended; capturing silence until recording stops');
+    };
+    run().catch((error) => {
+      if (pump.stopped) return;
+      this.log('Audio source failed:', error);
+      this.emit({
+        type: 'error',
+        error: {
+          service: 'transcription',
+          code: 'audio_source_error',
+          message: 'Audio source failed',
+          details: error,
+        },
+      });
+    });
+  }
+
+  private stopFramePump(): void {
+    const pump = this.framePump;
+    if (!pump) return;
+    this.framePump = null;
+    pump.stopped = true;
+    [pump.silence, ...pump.nodes].forEach((node) => {
+      try {
+        node.stop();
+      } catch {
+        // Not started yet
+      }
+      node.disconnect();
+    });
+    pump.nodes = [];
+    pump.iterator.return?.()?.catch((error) => this.log('Closing the audio source failed:', error));
+  }
+
+  /**
+   * Opens the microphone with the configured constraints (Phase 2: Issue #243), on `deviceId` when given.
+   * A selected device that is no longer present falls back to the default microphone.
+   */
+  private async openMicrophone(deviceId: string | undefined): Promise<MediaStream> {
+    // Provide default constraints if none specified
+    const audioConstraints = this.options.audioConstraints || {
+      echoCancellation: true,
+      noiseSuppression: true,
+      autoGainControl: true,
+      channelCount: 1,
+    };
+    
+    // Validate constraints before applying
+    const validation = AudioConstraintValidator.validate(audioConstraints);
+    if (!validation.valid) {
+      this.log('⚠️ Audio constraint validation errors:', validation.errors);
+      // Log errors but continue with defaults if validation fails
+    }
+    if (validation.warnings.length > 0) {
+      this.log('⚠️ Audio constraint warnings:', validation.warnings);
+    }
+    
+    // Build constraints object, using validated values or defaults
+    const constraints = (device: string | undefined) => ({
+      audio: {
+        echoCancellation: audioConstraints.echoCancellation ?? true,
+        noiseSuppression: audioConstraints.noiseSuppression ?? true,
+        autoGainControl: audioConstraints.autoGainControl ?? true,
+        ...(audioConstraints.sampleRate && { sampleRate: audioConstraints.sampleRate }),
+        channelCount: audioConstraints.channelCount ?? 1,
+        ...(device && { deviceId: { exact: device } }),
+      },
+      video: false,
+    });
+    
+    if (!deviceId) {
+      this.inputDeviceFallback = false;
+      return navigator.mediaDevices.getUserMedia(constraints(undefined));
+    }
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia(constraints(deviceId));
+      this.inputDeviceFallback = false;
+      return stream;
+    } catch (error) {
+      const name = (error as { name?: string } | null)?.name;
+      if (name !== 'OverconstrainedError' && name !== 'NotFoundError') throw error;
+      this.log(`Microphone ${deviceId} unavailable (${name}); using the default microphone`);
+      const stream = await navigator.mediaDevices.getUserMedia(constraints(undefined));
+      this.inputDeviceFallback = true;
+      this.emit({ type: 'deviceChange', change: { kind: 'input', deviceId: null, reason: 'unavailable' } });
+      return stream;
+    }
+  }
+
+  /** Unplugging a headset usually ends its track before (or instead of) a devicechange event */
+  private watchInputTrack(stream: MediaStream): void {
+    stream.getAudioTracks().forEach((track) => {
+      track.addEventListener?.('ended', this.handleDeviceChange);
+    });
+  }
+
+  private watchDevices(): void {
+    if (this.watchingDevices || typeof navigator.mediaDevices?.addEventListener !== 'function') return;
+    navigator.mediaDevices.addEventListener('devicechange', this.handleDeviceChange);
+    this.watchingDevices = true;
+  }
+
+  private handleDeviceChange = (): void => {
+    this.deviceCheck = this.deviceCheck
+      .then(() => this.checkDevices())
+      .catch((error) => this.log('Device change handling failed:', error));
+  };
+
+  /**
+   * Moves capture and playback off devices that went away, and back onto the selected ones when they return
+   */
+  private async checkDevices(): Promise<void> {
+    if (!navigator.mediaDevices?.enumerateDevices) return;
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    const present = (kind: string, deviceId: string) =>
+      devices.some((device) => device.kind === kind && device.deviceId === deviceId);
+
+    const track = this.microphoneStream?.getAudioTracks()[0];
+    if (track && this.workletNode) {
+      const selected = this.options.inputDeviceId;
+      const capturing = track.getSettings?.().deviceId;
+      if (selected && this.inputDeviceFallback && present('audioinput', selected)) {
+        await this.switchMicrophone(selected, 'reconnected');
+      } else if (track.readyState === 'ended' || (capturing && !present('audioinput', capturing))) {
+        this.log(`Microphone ${capturing ?? ''} went away; switching capture to the default microphone`);
+        await this.switchMicrophone(undefined, 'unavailable');
+        this.inputDeviceFallback = !!selected;
+      }
+    }
+
+    const selectedOutput = this.options.outputDeviceId;
+    if (selectedOutput && this.canRoutePlayback()) {
+      const available = present('audiooutput', selectedOutput);
+      if (!available && !this.outputDeviceFallback) {
+        if (await this.routePlayback(undefined)) {
+          this.outputDeviceFallback = true;
+          this.emit({ type: 'deviceChange', change: { kind: 'output', deviceId: null, reason: 'unavailable' } });
+        }
+      } else if (available && this.outputDeviceFallback) {
+        if (await this.routePlayback(selectedOutput)) {
+          this.outputDeviceFallback = false;
+          this.emit({ type: 'deviceChange', change: { kind: 'output', deviceId: selectedOutput, reason: 'reconnected' } });
+        }
+      }
+    }
+  }
+
+  /**
+   * Replaces the microphone stream under the running worklet. The worklet, its `data` events and whatever the
+   * host sends them to (the agent socket) carry on; only the source node changes.
+   */
+  private async switchMicrophone(deviceId: string | undefined, reason: AudioDeviceChange['reason']): Promise<void> {
+    if (!this.audioContext || !this.workletNode) return;
+    let stream: MediaStream;
+    try {
+      stream = await this.openMicrophone(deviceId);
+    } catch (error) {
+      this.emit({
+        type: 'error',
+        error: {
+          service: 'transcription',
+          code: 'microphone_error',
+          message: 'Failed to switch microphone',
+          details: error,
+        },
+      });
+      throw error;
+    }
+    if (!this.audioContext || !this.workletNode) {
+      // Recording stopped while the new device was opening
+      stream.getTracks().forEach((track) => track.stop());
+      return;
+    }
+    this.replaceSourceNode(this.audioContext.createMediaStreamSource(stream), stream);
+    this.watchInputTrack(stream);
+    this.watchDevices();
+    // A selected device that could not be opened was already reported as unavailable by openMicrophone
+    if (deviceId && this.inputDeviceFallback) return;
+    this.log(`Microphone switched to ${deviceId ?? 'default'} (${reason})`);
+    this.emit({ type: 'deviceChange', change: { kind: 'input', deviceId: deviceId ?? null, reason } });
+  }
+
+  /**
+   * Connects `node` under the running worklet and releases the previous input: microphone tracks are stopped, an
+   * audioSource is only disconnected
+   */
+  private replaceSourceNode(node: AudioNode, stream: MediaStream | null): void {
+    const previousStream = this.microphoneStream;
+    const previousSource = this.sourceNode;
+    this.stopFramePump();
+    this.microphoneStream = stream;
+    this.sourceNode = node;
+    node.connect(this.workletNode!);
+    if (this.inputAnalyser) node.connect(this.inputAnalyser);
+    previousSource?.disconnect();
+    previousStream?.getTracks().forEach((track) => {
+      track.removeEventListener?.('ended', this.handleDeviceChange);
+      track.stop();
+    });
+  }
+
+  /** Whether playback can be moved to another speaker (a playback context with setSinkId) */
+  private canRoutePlayback(): boolean {
+    return typeof (this.playbackContext as SinkSelectableAudioContext | null)?.setSinkId === 'function';
+  }
+
+  /**
+   * Routes playback to `deviceId` (default output when undefined). Returns false where setSinkId is not supported
+   * or the device was rejected; playback then stays where it was.
+   */
+  private async routePlayback(deviceId: string | undefined): Promise<boolean> {
+    const context = this.playbackContext as SinkSelectableAudioContext | null;
+    if (!context || typeof context.setSinkId !== 'function') {
+      if (deviceId) this.log('AudioContext.setSinkId is not supported; playing on the default output');
+      return false;
+    }
+    try {
+      await context.setSinkId(deviceId ?? '');
+      this.log(`Playback routed to ${deviceId ?? 'default'} output`);
+      return true;
+    } catch (error) {
+      this.log(`Failed to route playback to ${deviceId ?? 'default'}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Switches capture to another microphone while recording, without stopping the worklet (undefined: default).
+   * When not recording, the device is used by the next startRecording().
+   */
+  public async setInputDevice(deviceId: string | undefined): Promise<void> {
+    if (this.options.inputDeviceId === deviceId) return;
+    this.options.inputDeviceId = deviceId;
+    if (this.options.audioSource) return;
+    await this.switchMicrophone(deviceId, 'selected');
+  }
+
+  /**
+   * Captures from `source` instead of the microphone (null: back to the microphone). While recording the input is
+   * swapped under the running worklet; otherwise it is used by the next startRecording().
+   */
+  public async setAudioSource(source: AudioSource | null): Promise<void> {
+    if ((this.options.audioSource ?? null) === source) return;
+    this.options.audioSource = source;
+    if (!this.audioContext || !this.workletNode) return;
+    if (!source) {
+      await this.switchMicrophone(this.options.inputDeviceId, 'selected');
+      return;
+    }
+    const node = this.createExternalSourceNode(source);
+    this.replaceSourceNode(node, null);
+    this.inputDeviceFallback = false;
+    if (isPcmFrameIterable(source)) {
+      this.startFramePump(source, node);
+    }
+    this.log('Capture switched to the application audio source');
+  }
+
+  /**
+   * Routes agent playback to another speaker (undefined: default), where AudioContext.setSinkId is supported
+   */
+  public async setOutputDevice(deviceId: string | undefined): Promise<void> {
+    if (this.options.outputDeviceId === deviceId) return;
+    this.options.outputDeviceId = deviceId;
+    this.outputDeviceFallback = false;
+    if (this.playbackContext && (await this.routePlayback(deviceId))) {
+      this.emit({ type: 'deviceChange', change: { kind: 'output', deviceId: deviceId ?? null, reason: 'selected' } });
+    }
+  }
+
   /**
    * Queues audio data for playback using precise timing
    * @param data ArrayBuffer containing audio data (Linear16 PCM expected)
@@ -427,9 +844,58 @@ export class AudioManager {
     const rate = this.options.outputSampleRate ?? OPENAI_REALTIME_OUTPUT_PCM_SAMPLE_RATE_HZ;
     this.playbackContext = new AudioContext({ sampleRate: rate, latencyHint: 'interactive' });
     this.log(`[queueAudio] Created dedicated playback AudioContext at ${rate} Hz`);
+    this.attachLevelAnalysers();
+    if (this.options.outputDeviceId) {
+      const selected = this.options.outputDeviceId;
+      // Without setSinkId the selection is ignored: the default output is not a fallback from a missing device
+      void this.routePlayback(selected).then((routed) => {
+        if (!routed && this.canRoutePlayback()) {
+          this.outputDeviceFallback = true;
+          this.emit({ type: 'deviceChange', change: { kind: 'output', deviceId: null, reason: 'unavailable' } });
+        }
+      });
+      this.watchDevices();
+    }
     return this.playbackContext;
   }
 
+  /**
+   * Creates the worklet playback sink on first use. If the worklet cannot be loaded, playback falls back to
+   * the AudioBufferSourceNode scheduler for the rest of the session (null).
+   */
+  private async getJitterBufferSink(
+    ctx: AudioContext,
+    options: Required<JitterBufferOptions>
+  ): Promise<JitterBufferPlaybackSink | null> {
+    if (!this.jitterBufferSink) {
+      this.jitterBufferSink = JitterBufferPlaybackSink.create(ctx, this.outputAnalyser ?? ctx.destination, options, {
+        onPlayingChange: (isPlaying) => {
+          if (this.isPlaying === isPlaying) return;
+          this.isPlaying = isPlaying;
+          this.emit({ type: 'playing', isPlaying });
+        },
+        onUnderrun: (progress) => this.log(`[jitterBuffer] Underrun #${progress.underruns} after ${progress.playedSamples} samples`),
+      });
+      this.log(`[jitterBuffer] Creating playback worklet (target latency ${options.targetLatencyMs} ms)`);
+    }
+    try {
+      this.jitterBufferSinkReady = await this.jitterBufferSink;
+      return this.jitterBufferSinkReady;
+    } catch (error) {
+      this.log('[jitterBuffer] Playback worklet unavailable; scheduling AudioBufferSourceNodes instead:', error);
+      this.options.jitterBuffer = null;
+      this.jitterBufferSink = null;
+      return null;
+    }
+  }
+
+  /**
+   * Played and buffered sample counts of worklet playback (`jitterBuffer`); null with the scheduler
+   */
+  public getPlaybackProgress(): PlaybackProgress | null {
+    return this.jitterBufferSinkReady?.getProgress() ?? null;
+  }
+
   public async queueAudio(data: ArrayBuffer): Promise<void> {
     this.log(`🎵 [queueAudio] Received audio data: ${data.byteLength} bytes`);
     
@@ -469,6 +935,16 @@ export class AudioManager {
       const toProcess = new ArrayBuffer(chunk.length);
       new Uint8Array(toProcess).set(chunk);
 
+      if (this.options.jitterBuffer) {
+        const generation = this.playbackGeneration;
+        const sink = await this.getJitterBufferSink(ctx, this.options.jitterBuffer);
+        if (sink) {
+          // Audio that was queued before a clearAudioQueue() while the worklet loaded is dropped like the rest
+          if (generation === this.playbackGeneration) sink.write(toProcess);
+          return;
+        }
+      }
+
       this.log(`Processing audio data (${data.byteLength} bytes → ${toProcess.byteLength} after carry)...`);
       this.log(`[queueAudio] Before: activeSourceNodes.length = ${this.activeSourceNodes.length}, startTimeRef.current = ${this.startTimeRef.current}`);
       this.log(`[queueAudio] Playback AudioContext state: ${ctx.state}`);
@@ -490,7 +966,7 @@ export class AudioManager {
         ctx,
         buffer,
         this.startTimeRef,
-        undefined
+        this.outputAnalyser ?? undefined
       );
       this.log(`[queueAudio] Scheduled source to start at ${this.startTimeRef.current - buffer.duration} (duration: ${buffer.duration})`);
       
@@ -620,6 +1096,13 @@ export class AudioManager {
       }
     });
     
+    this.playbackGeneration++;
+    if (this.jitterBufferSinkReady) {
+      void this.jitterBufferSinkReady.clear().then((progress) => {
+        this.log(`[jitterBuffer] Cleared after ${progress.playedSamples} played samples`);
+      });
+    }
+
     // Clear the active sources array and carried PCM byte (fresh stream next time)
     const count = this.activeSourceNodes.length;
     this.activeSourceNodes = [];
@@ -699,12 +1182,23 @@ export class AudioManager {
     
     this.stopRecording();
     this.clearAudioQueue();
+    if (this.watchingDevices) {
+      navigator.mediaDevices.removeEventListener('devicechange', this.handleDeviceChange);
+      this.watchingDevices = false;
+    }
     
     if (this.analyzer) {
       this.analyzer.disconnect();
       this.analyzer = null;
       // this.analyzerData = null; // Unused for now
     }
+    this.jitterBufferSinkReady?.disconnect();
+    this.jitterBufferSinkReady = null;
+    this.jitterBufferSink = null;
+    this.outputAnalyser?.disconnect();
+    this.outputAnalyser = null;
+    this.inputAnalyser = null;
+    this.levelMeteringEnabled = false;
     
     if (this.playbackContext) {
       this.playbackContext.close?.();
@@ -730,20 +1224,72 @@ export class AudioManager {
    * Gets whether playback is active
    */
   public isPlaybackActive(): boolean {
-    // Check both the playing flag and active sources
+    // Check both the playing flag and active sources (buffer sources or the jitter-buffer worklet)
     // This handles race conditions where isPlaying might be stale
-    const hasActiveSources = this.activeSourceNodes ? this.activeSourceNodes.length > 0 : false;
+    const hasActiveSources =
+      (this.activeSourceNodes ? this.activeSourceNodes.length > 0 : false) || !!this.jitterBufferSinkReady?.isPlaying();
     const result = this.isPlaying || hasActiveSources;
     
-    // Sync the flag if we detect a mismatch
+    // Sync the flag if we detect a mismatch; callers poll this, so log a mismatch once until it clears
     if (this.isPlaying !== hasActiveSources) {
-      this.log(`⚠️ isPlaying mismatch detected: isPlaying=${this.isPlaying}, activeSourceNodes=${this.activeSourceNodes?.length || 0}, syncing to ${result}`);
+      if (!this.playbackMismatchLogged) {
+        this.playbackMismatchLogged = true;
+        this.log(`⚠️ isPlaying mismatch detected: isPlaying=${this.isPlaying}, activeSourceNodes=${this.activeSourceNodes?.length || 0}, syncing to ${result}`);
+      }
       this.isPlaying = result;
+    } else {
+      this.playbackMismatchLogged = false;
     }
     
     return result;
   }
   
+  /**
+   * Current microphone and agent playback levels over the last analyser window. The first call attaches
+   * AnalyserNodes to the capture and playback graphs; until then neither graph has them. Playback already
+   * scheduled at that point is not measured.
+   */
+  public getAudioLevels(): AudioLevels {
+    if (!this.levelMeteringEnabled) {
+      this.levelMeteringEnabled = true;
+      this.attachLevelAnalysers();
+    }
+    return {
+      input: this.isRecording ? this.readLevel(this.inputAnalyser) : { ...SILENT_LEVEL },
+      output:
+        this.activeSourceNodes.length > 0 || this.jitterBufferSinkReady?.isPlaying()
+          ? this.readLevel(this.outputAnalyser)
+          : { ...SILENT_LEVEL },
+      timestamp: Date.now(),
+    };
+  }
+
+  private attachLevelAnalysers(): void {
+    if (!this.levelMeteringEnabled) return;
+    if (!this.inputAnalyser && this.audioContext && this.sourceNode) {
+      this.inputAnalyser = this.audioContext.createAnalyser();
+      this.inputAnalyser.fftSize = LEVEL_ANALYSER_FFT_SIZE;
+      this.sourceNode.connect(this.inputAnalyser);
+      this.log('Attached microphone level analyser');
+    }
+    if (!this.outputAnalyser && this.playbackContext) {
+      this.outputAnalyser = this.playbackContext.createAnalyser();
+      this.outputAnalyser.fftSize = LEVEL_ANALYSER_FFT_SIZE;
+      this.outputAnalyser.connect(this.playbackContext.destination);
+      this.jitterBufferSinkReady?.connect(this.outputAnalyser);
+      this.log('Attached playback level analyser');
+    }
+  }
+
+  private readLevel(analyser: AnalyserNode | null): AudioLevel {
+    if (!analyser) return { ...SILENT_LEVEL };
+    if (!this.levelSamples || this.levelSamples.length !== analyser.fftSize) {
+      this.levelSamples = new Float32Array(analyser.fftSize);
+    }
+    analyser.getFloatTimeDomainData(this.levelSamples);
+    return measureAudioLevel(this.levelSamples);
+  }
+
   /**
    * Gets the AudioContext used for TTS playback. Creates the playback context if needed
    * so the host can resume it on user gesture before any TTS arrives. That way when agent
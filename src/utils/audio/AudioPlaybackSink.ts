@@ -2,7 +2,7 @@
  * Pluggable PCM playback sink for streaming agent TTS audio.
  *
  * Shared contract so the same streaming logic can target:
- * - Browser: Web Audio API (AudioManager.queueAudio)
+ * - Browser: Web Audio API (AudioManager.queueAudio), or the playback AudioWorklet jitter buffer
  * - Node: system output via the speaker package (CLI)
  *
  * Format matches OpenAI Realtime API session.audio.output.format: type "audio/pcm", rate 24000,
@@ -21,7 +21,7 @@ export const PCM_STREAM_FORMAT = {
 
 /**
  * Sink that accepts raw PCM chunks and optional end-of-stream.
- * Implementations: WebAudioPlaybackSink (browser), SpeakerSink (Node).
+ * Implementations: WebAudioPlaybackSink and JitterBufferPlaybackSink (browser), SpeakerSink (Node).
  */
 export interface IAudioPlaybackSink {
   /** Append a PCM chunk (ArrayBuffer in browser, Buffer in Node). */
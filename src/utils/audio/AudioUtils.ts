@@ -150,6 +150,52 @@ export function convertFloat32ToInt16(buffer: Float32Array): ArrayBuffer {
   return buf.buffer;
 }
 
+/**
+ * PCM16 LE → Float32 mono [-1, 1], the inverse scaling of createAudioBuffer. A trailing odd byte is ignored.
+ */
+export function pcm16LeToFloat32(data: ArrayBuffer): Float32Array {
+  const view = new DataView(data);
+  const samples = new Float32Array(Math.floor(data.byteLength / 2));
+  for (let i = 0; i < samples.length; i++) {
+    samples[i] = view.getInt16(i * 2, true) / 32768;
+  }
+  return samples;
+}
+
+const g711Tables: { mulaw?: Int16Array; alaw?: Int16Array } = {};
+
+/** ITU-T G.711 expansion of one byte to a 16-bit sample */
+function expandG711(byte: number, law: 'mulaw' | 'alaw'): number {
+  if (law === 'mulaw') {
+    const u = ~byte & 0xff;
+    const magnitude = ((((u & 0x0f) << 3) + 0x84) << ((u >> 4) & 0x07)) - 0x84;
+    return u & 0x80 ? -magnitude : magnitude;
+  }
+  const a = byte ^ 0x55;
+  const exponent = (a >> 4) & 0x07;
+  const mantissa = (a & 0x0f) << 4;
+  const magnitude = exponent === 0 ? mantissa + 8 : (mantissa + 0x108) << (exponent - 1);
+  return a & 0x80 ? magnitude : -magnitude;
+}
+
+/**
+ * G.711 µ-law or A-law (one byte per sample) → PCM16 LE at the same sample rate
+ */
+export function g711ToPcm16Le(data: ArrayBuffer, law: 'mulaw' | 'alaw'): ArrayBuffer {
+  let table = g711Tables[law];
+  if (!table) {
+    table = new Int16Array(256);
+    for (let i = 0; i < 256; i++) table[i] = expandG711(i, law);
+    g711Tables[law] = table;
+  }
+  const bytes = new Uint8Array(data);
+  const samples = new Int16Array(bytes.length);
+  for (let i = 0; i < bytes.length; i++) {
+    samples[i] = table[bytes[i]];
+  }
+  return samples.buffer;
+}
+
 /**
  * Float32 mono [-1, 1] → PCM16 LE (symmetric clamp; matches microphone worklet semantics).
  */
@@ -164,7 +210,8 @@ export function float32MonoToPcm16LeSymmetric(samples: Float32Array): ArrayBuffe
 
 /**
  * Mic path: worklet runs at {@link AudioContext}.sampleRate (often 48000 Hz). OpenAI proxy expects
- * true 16 kHz PCM16 before 16→24 kHz resample (Issue #560).
+ * true 16 kHz PCM16 before 16→24 kHz resample (Issue #560). The worklet normally resamples already (windowed
+ * sinc, StreamingResampler.js), so `audioContextSampleRate` equals the target; `downsample` is the fallback.
  */
 export function prepareMicPcmForAgent(
   floatMono: Float32Array,
@@ -178,6 +225,64 @@ export function prepareMicPcmForAgent(
   return float32MonoToPcm16LeSymmetric(prepared);
 }
 
+/**
+ * Encodes 16-bit PCM channels as a WAV (RIFF) file. Channels are interleaved; all must have the same length.
+ * @param channels One Int16Array per channel
+ * @param sampleRate Sample rate of every channel
+ * @returns ArrayBuffer with a 44-byte header followed by little-endian samples
+ */
+export function encodePcm16Wav(channels: Int16Array[], sampleRate: number): ArrayBuffer {
+  const channelCount = channels.length;
+  const frames = channelCount > 0 ? channels[0].length : 0;
+  const dataBytes = frames * channelCount * 2;
+  const view = new DataView(new ArrayBuffer(44 + dataBytes));
+  const writeAscii = (offset: number, text: string) => {
+    for (let i = 0; i < text.length; i++) view.setUint8(offset + i, text.charCodeAt(i));
+  };
+
+  writeAscii(0, 'RIFF');
+  view.setUint32(4, 36 + dataBytes, true);
+  writeAscii(8, 'WAVE');
+  writeAscii(12, 'fmt ');
+  view.setUint32(16, 16, true); // fmt chunk size
+  view.setUint16(20, 1, true); // PCM
+  view.setUint16(22, channelCount, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * channelCount * 2, true); // byte rate
+  view.setUint16(32, channelCount * 2, true); // block align
+  view.setUint16(34, 16, true); // bits per sample
+  writeAscii(36, 'data');
+  view.setUint32(40, dataBytes, true);
+
+  let offset = 44;
+  for (let frame = 0; frame < frames; frame++) {
+    for (let channel = 0; channel < channelCount; channel++) {
+      view.setInt16(offset, channels[channel][frame], true);
+      offset += 2;
+    }
+  }
+  return view.buffer;
+}
+
+/**
+ * RMS and peak of float samples in [-1, 1]
+ * @param samples Time-domain samples (e.g. from AnalyserNode.getFloatTimeDomainData)
+ * @returns Levels in [0, 1]; zero for an empty window
+ */
+export function measureAudioLevel(samples: Float32Array): { rms: number; peak: number } {
+  if (samples.length === 0) {
+    return { rms: 0, peak: 0 };
+  }
+  let sumOfSquares = 0;
+  let peak = 0;
+  for (let i = 0; i < samples.length; i++) {
+    const magnitude = Math.abs(samples[i]);
+    sumOfSquares += magnitude * magnitude;
+    if (magnitude > peak) peak = magnitude;
+  }
+  return { rms: Math.min(1, Math.sqrt(sumOfSquares / samples.length)), peak: Math.min(1, peak) };
+}
+
 /**
  * Normalizes audio volume using frequency data from an analyzer
  * @param analyzer AudioAnalyser node
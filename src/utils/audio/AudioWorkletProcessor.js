@@ -1,10 +1,16 @@
 /**
  * AudioWorkletProcessor for microphone capture and processing
  *
- * Runs at AudioContext sample rate; sends float32 to main thread for resample to agent rate (Issue #560).
+ * Runs at AudioContext sample rate. With processorOptions.targetSampleRate, capture is resampled here by
+ * StreamingResampler (prepended to this file in the inline build) and each { type: 'audio' } message carries the
+ * rate of its float32 samples; without it, samples are sent at the context rate (Issue #560).
+ *
+ * Optional local VAD (processorOptions.vad, resolved by AudioManager): each frame is classified by RMS energy and
+ * zero-crossing rate; speech start/stop is posted as { type: 'vad', speaking }. With gateSilence, samples outside
+ * speech are held in a pre-roll ring instead of being sent.
  */
 class MicrophoneProcessor extends AudioWorkletProcessor {
-  constructor() {
+  constructor(options) {
     super();
     
     // State
@@ -12,10 +18,34 @@ class MicrophoneProcessor extends AudioWorkletProcessor {
     this.bufferSize = 4096;  // Buffer size in samples
     this.buffer = new Float32Array(this.bufferSize);
     this.bufferIndex = 0;
+
+    const processorOptions = (options && options.processorOptions) || {};
+    this.vad = processorOptions.vad ? this.createVadState(processorOptions.vad) : null;
+
+    // Resample before posting, keeping filter state across buffers so chunk boundaries do not click
+    const targetSampleRate = processorOptions.targetSampleRate;
+    this.outputSampleRate = targetSampleRate || sampleRate;
+    this.resampler =
+      targetSampleRate && targetSampleRate !== sampleRate ? new StreamingResampler(sampleRate, targetSampleRate) : null;
     
     // Set up message handler
     this.port.onmessage = (event) => this.onMessage(event.data);
   }
+
+  createVadState(config) {
+    const frameSize = Math.max(1, Math.round((config.frameMs * sampleRate) / 1000));
+    return {
+      config,
+      frame: new Float32Array(frameSize),
+      frameIndex: 0,
+      speaking: false,
+      speechMs: 0,
+      silenceMs: 0,
+      preRoll: new Float32Array(config.gateSilence ? Math.round((config.preRollMs * sampleRate) / 1000) : 0),
+      preRollIndex: 0,
+      preRollFilled: 0,
+    };
+  }
   
   /**
    * Handles messages from the main thread
@@ -26,6 +56,10 @@ class MicrophoneProcessor extends AudioWorkletProcessor {
       this.port.postMessage({ type: 'started' });
     } else if (message.type === 'stop') {
       this.isRecording = false;
+      this.resetVad();
+      if (this.resampler) {
+        this.resampler.reset();
+      }
       this.port.postMessage({ type: 'stopped' });
     }
   }
@@ -40,24 +74,146 @@ class MicrophoneProcessor extends AudioWorkletProcessor {
     
     const input = inputs[0][0];
     
-    // Add input samples to our buffer
     for (let i = 0; i < input.length; i++) {
-      this.buffer[this.bufferIndex++] = input[i];
-      
-      // When buffer is full, send it to the main thread
-      if (this.bufferIndex >= this.bufferSize) {
-        this.sendBufferToMainThread();
-        this.bufferIndex = 0;
+      if (this.vad) {
+        this.addVadSample(input[i]);
+      } else {
+        this.addSample(input[i]);
       }
     }
     
     return true;
   }
-  
-  sendBufferToMainThread() {
-    const audioData = this.buffer.slice(0, this.bufferIndex);
+
+  // Add a sample to our buffer; when the buffer is full, send it to the main thread
+  addSample(sample) {
+    this.buffer[this.bufferIndex++] = sample;
+    if (this.bufferIndex >= this.bufferSize) {
+      this.sendBufferToMainThread();
+      this.bufferIndex = 0;
+    }
+  }
+
+  addVadSample(sample) {
+    const vad = this.vad;
+    vad.frame[vad.frameIndex++] = sample;
+    if (vad.frameIndex < vad.frame.length) {
+      return;
+    }
+    vad.frameIndex = 0;
+
+    const transition = this.updateVad(this.isSpeechFrame(vad.frame));
+    if (!vad.config.gateSilence) {
+      vad.frame.forEach((s) => this.addSample(s));
+      return;
+    }
+
+    if (transition === 'start') {
+      this.flushPreRoll();
+    }
+    if (vad.speaking || transition === 'stop') {
+      vad.frame.forEach((s) => this.addSample(s));
+    } else {
+      vad.frame.forEach((s) => this.addPreRollSample(s));
+    }
+    if (transition === 'stop' && (this.bufferIndex > 0 || this.resampler)) {
+      // Send the end of the utterance now rather than when the buffer next fills; the gated silence that follows
+      // is not part of the stream, so the resampler gives up its look-ahead too
+      this.sendBufferToMainThread(true);
+      this.bufferIndex = 0;
+    }
+  }
+
+  isSpeechFrame(frame) {
+    let energy = 0;
+    let crossings = 0;
+    for (let i = 0; i < frame.length; i++) {
+      energy += frame[i] * frame[i];
+      if (i > 0 && (frame[i] >= 0) !== (frame[i - 1] >= 0)) {
+        crossings++;
+      }
+    }
+    const rms = Math.sqrt(energy / frame.length);
+    return rms >= this.vad.config.energyThreshold && crossings / frame.length <= this.vad.config.maxZeroCrossingRate;
+  }
+
+  /**
+   * Onset after minSpeechMs of speech frames, offset after hangoverMs of non-speech frames
+   * @returns 'start', 'stop' or null
+   */
+  updateVad(isSpeech) {
+    const vad = this.vad;
+    const { frameMs, minSpeechMs, hangoverMs } = vad.config;
+    if (isSpeech) {
+      vad.speechMs += frameMs;
+      vad.silenceMs = 0;
+    } else {
+      vad.silenceMs += frameMs;
+      if (!vad.speaking) {
+        vad.speechMs = 0;
+      }
+    }
+
+    if (!vad.speaking && vad.speechMs >= minSpeechMs) {
+      vad.speaking = true;
+      this.port.postMessage({ type: 'vad', speaking: true });
+      return 'start';
+    }
+    if (vad.speaking && vad.silenceMs >= hangoverMs) {
+      vad.speaking = false;
+      vad.speechMs = 0;
+      this.port.postMessage({ type: 'vad', speaking: false });
+      return 'stop';
+    }
+    return null;
+  }
+
+  addPreRollSample(sample) {
+    const vad = this.vad;
+    const length = vad.preRoll.length;
+    if (length === 0) {
+      return;
+    }
+    vad.preRoll[vad.preRollIndex] = sample;
+    vad.preRollIndex = (vad.preRollIndex + 1) % length;
+    vad.preRollFilled = Math.min(vad.preRollFilled + 1, length);
+  }
+
+  flushPreRoll() {
+    const vad = this.vad;
+    const length = vad.preRoll.length;
+    const start = (vad.preRollIndex - vad.preRollFilled + length) % length;
+    for (let i = 0; i < vad.preRollFilled; i++) {
+      this.addSample(vad.preRoll[(start + i) % length]);
+    }
+    vad.preRollFilled = 0;
+  }
+
+  resetVad() {
+    if (!this.vad) {
+      return;
+    }
+    if (this.vad.speaking) {
+      this.port.postMessage({ type: 'vad', speaking: false });
+    }
+    this.vad = this.createVadState(this.vad.config);
+  }
+
+  sendBufferToMainThread(endOfSpeech) {
+    let audioData = this.buffer.slice(0, this.bufferIndex);
+    if (this.resampler) {
+      const resampled = this.resampler.process(audioData);
+      if (endOfSpeech) {
+        const tail = this.resampler.flush();
+        audioData = new Float32Array(resampled.length + tail.length);
+        audioData.set(resampled);
+        audioData.set(tail, resampled.length);
+      } else {
+        audioData = resampled;
+      }
+    }
     this.port.postMessage(
-      { type: 'audio', data: audioData.buffer },
+      { type: 'audio', data: audioData.buffer, sampleRate: this.outputSampleRate },
       [audioData.buffer]
     );
   }
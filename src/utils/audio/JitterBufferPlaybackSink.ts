@@ -0,0 +1,163 @@
+/**
+ * Browser implementation of IAudioPlaybackSink backed by the playback AudioWorklet (PlaybackWorkletProcessor.js).
+ * PCM chunks go to a ring buffer on the audio thread, so playback no longer depends on the main thread
+ * scheduling one AudioBufferSourceNode per chunk in time.
+ */
+
+import type { JitterBufferOptions, PlaybackProgress } from '../../types';
+import type { IAudioPlaybackSink } from './AudioPlaybackSink';
+import { pcm16LeToFloat32 } from './AudioUtils';
+import { PLAYBACK_WORKLET_INLINE_SOURCE } from './playback-worklet-inline.generated';
+
+export interface JitterBufferPlaybackSinkCallbacks {
+  /** true on the first write of a stream; false once the buffer has played out or is cleared */
+  onPlayingChange?: (isPlaying: boolean) => void;
+  onUnderrun?: (progress: PlaybackProgress) => void;
+}
+
+interface WorkletReport {
+  type: 'started' | 'position' | 'underrun' | 'drained' | 'cleared';
+  played: number;
+  buffered: number;
+  underruns: number;
+  pushes: number;
+}
+
+/** addModule rejects when a processor name is registered twice, so each context loads the module once */
+const moduleLoads = new WeakMap<BaseAudioContext, Promise<void>>();
+
+function loadPlaybackWorklet(context: BaseAudioContext): Promise<void> {
+  let load = moduleLoads.get(context);
+  if (!load) {
+    const url = URL.createObjectURL(new Blob([PLAYBACK_WORKLET_INLINE_SOURCE], { type: 'application/javascript' }));
+    load = context.audioWorklet.addModule(url).finally(() => URL.revokeObjectURL(url));
+    moduleLoads.set(context, load);
+    load.catch(() => moduleLoads.delete(context));
+  }
+  return load;
+}
+
+function toArrayBuffer(chunk: ArrayBuffer | Buffer): ArrayBuffer {
+  if (chunk instanceof ArrayBuffer) return chunk;
+  const b = chunk as Buffer;
+  return b.buffer.slice(b.byteOffset, b.byteOffset + b.byteLength);
+}
+
+/**
+ * Sink that plays 16-bit LE mono PCM at the context's sample rate through a jitter buffer.
+ * Chunks must be even-length (AudioManager.queueAudio carries odd bytes before writing).
+ */
+export class JitterBufferPlaybackSink implements IAudioPlaybackSink {
+  private readonly node: AudioWorkletNode;
+  private progress: PlaybackProgress;
+  private playing = false;
+  private pushesSent = 0;
+  private endCallbacks: Array<() => void> = [];
+  private clearWaiters: Array<(progress: PlaybackProgress) => void> = [];
+
+  /**
+   * Loads the worklet module on `context` (once) and creates a sink playing into `destination`
+   */
+  static async create(
+    context: AudioContext,
+    destination: AudioNode,
+    options: Required<JitterBufferOptions>,
+    callbacks: JitterBufferPlaybackSinkCallbacks = {}
+  ): Promise<JitterBufferPlaybackSink> {
+    await loadPlaybackWorklet(context);
+    return new JitterBufferPlaybackSink(context, destination, options, callbacks);
+  }
+
+  private constructor(
+    context: AudioContext,
+    destination: AudioNode,
+    options: Required<JitterBufferOptions>,
+    private readonly callbacks: JitterBufferPlaybackSinkCallbacks
+  ) {
+    this.node = new AudioWorkletNode(context, 'playback-processor', {
+      numberOfInputs: 0,
+      outputChannelCount: [1],
+      processorOptions: options,
+    });
+    this.node.connect(destination);
+    this.progress = { playedSamples: 0, bufferedSamples: 0, underruns: 0, sampleRate: context.sampleRate };
+    this.node.port.onmessage = (event: MessageEvent) => this.onReport(event.data as WorkletReport);
+  }
+
+  write(chunk: ArrayBuffer | Buffer): void {
+    const samples = pcm16LeToFloat32(toArrayBuffer(chunk));
+    if (samples.length === 0) return;
+    this.pushesSent++;
+    this.node.port.postMessage({ type: 'push', data: samples.buffer }, [samples.buffer]);
+    this.setPlaying(true);
+  }
+
+  /** Plays out what is buffered without waiting for targetLatencyMs; callback runs once it has been heard */
+  end(callback?: () => void): void {
+    if (!this.playing) {
+      callback?.();
+      return;
+    }
+    if (callback) this.endCallbacks.push(callback);
+    this.node.port.postMessage({ type: 'end' });
+  }
+
+  /**
+   * Drops buffered audio (after a short fade). Resolves with the progress at the moment of the clear:
+   * `playedSamples` is exactly how much of the stream reached the speaker.
+   */
+  clear(): Promise<PlaybackProgress> {
+    this.node.port.postMessage({ type: 'clear' });
+    this.setPlaying(false);
+    return new Promise((resolve) => this.clearWaiters.push(resolve));
+  }
+
+  getProgress(): PlaybackProgress {
+    return { ...this.progress };
+  }
+
+  isPlaying(): boolean {
+    return this.playing;
+  }
+
+  /** Re-routes the output, e.g. through a level analyser attached after the sink was created */
+  connect(destination: AudioNode): void {
+    this.node.disconnect();
+    this.node.connect(destination);
+  }
+
+  /** Stops the sink; pending clear() calls resolve with the last reported progress, as no report follows */
+  disconnect(): void {
+    this.node.port.onmessage = null;
+    this.node.port.postMessage({ type: 'clear' });
+    this.node.disconnect();
+    this.setPlaying(false);
+    this.clearWaiters.splice(0).forEach((resolve) => resolve(this.getProgress()));
+  }
+
+  private onReport(report: WorkletReport): void {
+    this.progress = {
+      playedSamples: report.played,
+      bufferedSamples: report.buffered,
+      underruns: report.underruns,
+      sampleRate: this.progress.sampleRate,
+    };
+    if (report.type === 'underrun') {
+      this.callbacks.onUnderrun?.(this.getProgress());
+    } else if (report.type === 'cleared') {
+      this.clearWaiters.splice(0).forEach((resolve) => resolve(this.getProgress()));
+    } else if (report.type === 'drained' && report.pushes === this.pushesSent) {
+      // A drain reported before the worklet saw the latest chunk does not end the stream
+      this.setPlaying(false);
+    }
+  }
+
+  private setPlaying(playing: boolean): void {
+    if (this.playing === playing) return;
+    this.playing = playing;
+    this.callbacks.onPlayingChange?.(playing);
+    if (!playing) {
+      this.endCallbacks.splice(0).forEach((callback) => callback());
+    }
+  }
+}
@@ -0,0 +1,223 @@
+/**
+ * AudioWorkletProcessor for agent audio playback: a jitter buffer in front of the speaker
+ *
+ * Runs on the playback AudioContext, so samples arrive at the output rate as float32 ({ type: 'push', data }).
+ * They play from a growable ring buffer once targetLatencyMs is buffered, or has been waited for. When the buffer
+ * runs dry mid-stream, the last concealMs of output is replayed backwards (so it continues from the last sample)
+ * with a falling gain instead of cutting to silence; playback then waits for targetLatencyMs again and fades in.
+ * Status messages carry `played` (samples output so far), `buffered` and `pushes` (chunks received), so the main
+ * thread knows exactly how much of the stream has been heard and whether a report predates its latest chunk.
+ */
+class PlaybackProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super();
+
+    const config = (options && options.processorOptions) || {};
+    const toSamples = (ms) => Math.max(1, Math.round((ms * sampleRate) / 1000));
+    this.targetSamples = toSamples(config.targetLatencyMs);
+    this.fadeSamples = toSamples(config.fadeMs);
+    this.reportSamples = toSamples(config.reportIntervalMs);
+
+    // Ring buffer; grows when a burst outruns it (agent audio usually arrives faster than real time)
+    this.ring = new Float32Array(sampleRate * 10);
+    this.readIndex = 0;
+    this.size = 0;
+
+    // 'idle' (nothing to play), 'buffering', 'playing' or 'concealing'
+    this.state = 'idle';
+    this.active = false;
+    this.ending = false;
+    this.waited = 0;
+    this.fadeIn = 0;
+    this.fadeOut = 0;
+
+    // Last output, replayed during concealment
+    this.history = new Float32Array(toSamples(config.concealMs));
+    this.historyIndex = 0;
+    this.concealIndex = 0;
+
+    this.played = 0;
+    this.underruns = 0;
+    this.pushes = 0;
+    this.sinceReport = 0;
+
+    this.port.onmessage = (event) => this.onMessage(event.data);
+  }
+
+  /**
+   * Handles messages from the main thread
+   */
+  onMessage(message) {
+    if (message.type === 'push') {
+      this.pushes++;
+      this.write(new Float32Array(message.data));
+      this.ending = false;
+      if (this.state === 'idle') {
+        this.state = 'buffering';
+        this.waited = 0;
+      }
+    } else if (message.type === 'end') {
+      this.ending = true;
+      if (this.size === 0 && this.state !== 'playing' && this.state !== 'concealing') {
+        this.drain();
+      }
+    } else if (message.type === 'clear') {
+      // Keep a few ms to fade out over, so the interruption does not click
+      const kept = this.state === 'playing' ? Math.min(this.size, this.fadeSamples) : 0;
+      const dropped = this.size - kept;
+      this.size = kept;
+      this.fadeOut = kept;
+      this.ending = true;
+      this.report('cleared', { dropped });
+      if (kept === 0) {
+        this.drain();
+      }
+    }
+  }
+
+  write(samples) {
+    if (this.size + samples.length > this.ring.length) {
+      const grown = new Float32Array(Math.max(this.ring.length * 2, this.size + samples.length));
+      for (let i = 0; i < this.size; i++) {
+        grown[i] = this.ring[(this.readIndex + i) % this.ring.length];
+      }
+      this.ring = grown;
+      this.readIndex = 0;
+    }
+    let writeIndex = (this.readIndex + this.size) % this.ring.length;
+    for (let i = 0; i < samples.length; i++) {
+      this.ring[writeIndex] = samples[i];
+      writeIndex = writeIndex + 1 === this.ring.length ? 0 : writeIndex + 1;
+    }
+    this.size += samples.length;
+  }
+
+  /**
+   * Fills the output with buffered audio and posts progress
+   */
+  process(inputs, outputs, parameters) {
+    const output = outputs[0];
+    if (!output || !output[0]) {
+      return true;
+    }
+
+    const channel = output[0];
+    for (let i = 0; i < channel.length; i++) {
+      channel[i] = this.nextSample();
+    }
+    for (let c = 1; c < output.length; c++) {
+      output[c].set(channel);
+    }
+
+    if (this.active) {
+      this.sinceReport += channel.length;
+      if (this.sinceReport >= this.reportSamples) {
+        this.report('position');
+      }
+    }
+    return true;
+  }
+
+  nextSample() {
+    if (this.state === 'buffering') {
+      this.waited++;
+      if (this.size >= this.targetSamples || (this.size > 0 && (this.ending || this.waited >= this.targetSamples))) {
+        this.state = 'playing';
+        this.fadeIn = this.fadeSamples;
+        if (!this.active) {
+          this.active = true;
+          this.report('started');
+        }
+      } else {
+        if (this.active && this.size === 0 && this.waited >= this.targetSamples) {
+          // Nothing arrived after the underrun: the stream has ended
+          this.drain();
+        }
+        return 0;
+      }
+    }
+
+    if (this.state === 'playing') {
+      if (this.size > 0) {
+        return this.playSample();
+      }
+      if (this.ending) {
+        this.drain();
+        return 0;
+      }
+      this.underruns++;
+      this.state = 'concealing';
+      this.concealIndex = 0;
+      this.report('underrun');
+    }
+
+    if (this.state === 'concealing') {
+      const length = this.history.length;
+      if (this.concealIndex < length) {
+        const gain = 1 - this.concealIndex / length;
+        const sample = this.history[(this.historyIndex - 1 - this.concealIndex + 2 * length) % length] * gain;
+        this.concealIndex++;
+        return sample;
+      }
+      if (this.ending) {
+        this.drain();
+        return 0;
+      }
+      this.state = 'buffering';
+      this.waited = 0;
+    }
+
+    return 0;
+  }
+
+  playSample() {
+    let sample = this.ring[this.readIndex];
+    this.readIndex = this.readIndex + 1 === this.ring.length ? 0 : this.readIndex + 1;
+    this.size--;
+
+    if (this.fadeOut > 0) {
+      sample *= this.fadeOut / (this.fadeSamples + 1);
+      this.fadeOut--;
+      if (this.fadeOut === 0) {
+        // Audio pushed after a clear starts from silence
+        this.fadeIn = this.fadeSamples;
+      }
+    } else if (this.fadeIn > 0) {
+      sample *= 1 - this.fadeIn / (this.fadeSamples + 1);
+      this.fadeIn--;
+    }
+
+    this.history[this.historyIndex] = sample;
+    this.historyIndex = (this.historyIndex + 1) % this.history.length;
+    this.played++;
+    return sample;
+  }
+
+  /**
+   * Returns to idle once the stream has been played out (or cleared)
+   */
+  drain() {
+    this.state = 'idle';
+    this.ending = false;
+    this.fadeOut = 0;
+    this.history.fill(0);
+    if (this.active) {
+      this.active = false;
+      this.report('drained');
+    }
+  }
+
+  report(type, extra) {
+    this.sinceReport = 0;
+    this.port.postMessage(Object.assign({
+      type,
+      played: this.played,
+      buffered: this.size,
+      underruns: this.underruns,
+      pushes: this.pushes,
+    }, extra));
+  }
+}
+
+// Register the processor
+registerProcessor('playback-processor', PlaybackProcessor);
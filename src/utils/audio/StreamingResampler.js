@@ -0,0 +1,156 @@
+/**
+ * Streaming windowed-sinc resampler for microphone capture
+ *
+ * Plain script (no imports/exports): inline-microphone-worklet.mjs prepends it to AudioWorkletProcessor.js, so
+ * the same code runs in the AudioWorkletGlobalScope and, through a VM, in tests.
+ *
+ * Polyphase FIR: for rates inputRate:outputRate reduced to L:M, output k sits at input time k * M / L, and each
+ * of the L phases has its own row of Kaiser-windowed sinc taps (interpolated from 1024 rows when L is larger).
+ * The low-pass cutoff is `rolloff` of the lower Nyquist frequency, so downsampling does not alias. Filter
+ * history is kept across process() calls: chunked input gives the same samples as one long buffer. Outputs
+ * lag the input by half the filter length until flush().
+ */
+class StreamingResampler {
+  constructor(inputRate, outputRate, options) {
+    const config = options || {};
+    const zeroCrossings = config.zeroCrossings || 16;
+    const rolloff = config.rolloff || 0.9;
+    const beta = config.kaiserBeta || 8.6;
+
+    const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
+    const divisor = gcd(Math.round(inputRate), Math.round(outputRate));
+    this.inputRate = inputRate;
+    this.outputRate = outputRate;
+    this.up = Math.round(outputRate) / divisor;
+    this.down = Math.round(inputRate) / divisor;
+    this.passthrough = this.up === this.down;
+
+    // Cutoff in cycles per input sample
+    const cutoff = 0.5 * Math.min(1, outputRate / inputRate) * rolloff;
+    this.halfTaps = Math.ceil(zeroCrossings / (2 * cutoff));
+    this.taps = 2 * this.halfTaps;
+    this.tablePhases = Math.min(this.up, 1024);
+    this.table = this.buildTable(cutoff, beta);
+
+    this.reset();
+  }
+
+  buildTable(cutoff, beta) {
+    const besselI0 = (x) => {
+      let sum = 1;
+      let term = 1;
+      for (let k = 1; k < 50; k++) {
+        term *= (x / (2 * k)) * (x / (2 * k));
+        sum += term;
+        if (term < sum * 1e-12) break;
+      }
+      return sum;
+    };
+    const i0Beta = besselI0(beta);
+    const span = this.halfTaps;
+    const rows = this.tablePhases + 1;
+    const table = new Float32Array(rows * this.taps);
+
+    for (let row = 0; row < rows; row++) {
+      const fraction = row / this.tablePhases;
+      let sum = 0;
+      for (let i = 0; i < this.taps; i++) {
+        // Distance from the output instant to tap i, in input samples
+        const distance = fraction + this.halfTaps - 1 - i;
+        const x = 2 * cutoff * distance;
+        const sinc = x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x);
+        const ratio = distance / span;
+        const taper = Math.abs(ratio) >= 1 ? 0 : besselI0(beta * Math.sqrt(1 - ratio * ratio)) / i0Beta;
+        const value = sinc * taper;
+        table[row * this.taps + i] = value;
+        sum += value;
+      }
+      // Unity gain at DC for every phase
+      for (let i = 0; i < this.taps; i++) {
+        table[row * this.taps + i] /= sum;
+      }
+    }
+    return table;
+  }
+
+  /**
+   * Clears filter history; the next input starts a new stream
+   */
+  reset() {
+    // halfTaps - 1 zeros before the first sample, so output 0 lines up with input 0
+    this.history = new Float32Array(this.halfTaps - 1);
+    this.position = this.halfTaps - 1;
+    this.phase = 0;
+    this.inputCount = 0;
+    this.outputCount = 0;
+  }
+
+  /**
+   * Resamples the next chunk of the stream
+   * @param {Float32Array} input
+   * @returns {Float32Array} every output sample whose filter window is now complete
+   */
+  process(input) {
+    if (this.passthrough) {
+      return input.slice();
+    }
+
+    const buffer = new Float32Array(this.history.length + input.length);
+    buffer.set(this.history);
+    buffer.set(input, this.history.length);
+
+    const output = new Float32Array(Math.ceil(((buffer.length - this.position) * this.up) / this.down) + 1);
+    let count = 0;
+    const taps = this.taps;
+    const table = this.table;
+    const exact = this.tablePhases === this.up;
+
+    while (this.position + this.halfTaps < buffer.length) {
+      const start = this.position - this.halfTaps + 1;
+      let sample = 0;
+      if (exact) {
+        const row = this.phase * taps;
+        for (let i = 0; i < taps; i++) {
+          sample += buffer[start + i] * table[row + i];
+        }
+      } else {
+        const scaled = (this.phase * this.tablePhases) / this.up;
+        const lower = Math.floor(scaled);
+        const weight = scaled - lower;
+        const rowA = lower * taps;
+        const rowB = rowA + taps;
+        for (let i = 0; i < taps; i++) {
+          sample += buffer[start + i] * (table[rowA + i] + (table[rowB + i] - table[rowA + i]) * weight);
+        }
+      }
+      output[count++] = sample;
+
+      this.phase += this.down;
+      this.position += Math.floor(this.phase / this.up);
+      this.phase %= this.up;
+    }
+
+    // Keep what the next window still needs
+    const keepFrom = Math.min(this.position - this.halfTaps + 1, buffer.length);
+    this.history = buffer.slice(keepFrom);
+    this.position -= keepFrom;
+    this.inputCount += input.length;
+    this.outputCount += count;
+    return output.slice(0, count);
+  }
+
+  /**
+   * Emits the outputs still waiting for look-ahead (the input is padded with silence) and resets
+   * @returns {Float32Array}
+   */
+  flush() {
+    if (this.passthrough) {
+      return new Float32Array(0);
+    }
+    // Output k belongs to the stream while its instant k * down / up is before the end of the input
+    const remaining = Math.ceil((this.inputCount * this.up) / this.down) - this.outputCount;
+    const tail = this.process(new Float32Array(this.halfTaps));
+    this.reset();
+    return tail.slice(0, Math.max(0, remaining));
+  }
+}
@@ -0,0 +1,33 @@
+import type { AudioDeviceInfo, AudioDeviceList } from '../../types';
+
+/** `AudioContext.setSinkId` is not in the TypeScript DOM lib yet (Chrome 110+, not Safari/Firefox) */
+export type SinkSelectableAudioContext = AudioContext & { setSinkId?: (sinkId: string) => Promise<void> };
+
+/**
+ * Lists microphones and speakers. Labels are empty until microphone access has been granted; returns empty
+ * lists where `navigator.mediaDevices` is unavailable (insecure context, SSR).
+ */
+export async function listAudioDevices(): Promise<AudioDeviceList> {
+  if (typeof navigator === 'undefined' || !navigator.mediaDevices?.enumerateDevices) {
+    return { inputs: [], outputs: [] };
+  }
+  const devices = await navigator.mediaDevices.enumerateDevices();
+  const toInfo = (device: { deviceId: string; groupId: string; label: string }, kind: AudioDeviceInfo['kind']) => ({
+    deviceId: device.deviceId,
+    groupId: device.groupId,
+    label: device.label,
+    kind,
+  });
+  return {
+    inputs: devices.filter((device) => device.kind === 'audioinput').map((device) => toInfo(device, 'input')),
+    outputs: devices.filter((device) => device.kind === 'audiooutput').map((device) => toInfo(device, 'output')),
+  };
+}
+
+/**
+ * Whether playback can be routed to `outputDeviceId` (AudioContext.setSinkId). Where it is not, agent audio plays
+ * on the system default output.
+ */
+export function supportsOutputDeviceSelection(): boolean {
+  return typeof AudioContext !== 'undefined' && typeof (AudioContext.prototype as SinkSelectableAudioContext).setSinkId === 'function';
+}
@@ -0,0 +1,59 @@
+import type { AgentAudioFormats, AgentAudioInputFormat, AgentAudioOutputFormat, AgentInputSampleRate } from '../../types';
+import { getLogger } from '../logger';
+import { CLIENT_MIC_PCM_FOR_OPENAI_PROXY_HZ, OPENAI_REALTIME_OUTPUT_PCM_SAMPLE_RATE_HZ } from './mic-audio-contract';
+
+/** G.711 (mulaw / alaw) is telephony audio at 8 kHz; Realtime `audio/pcmu` / `audio/pcma` has no other rate */
+export const G711_SAMPLE_RATE_HZ = 8000;
+
+/** G.711 rates already warned about, so resolving the formats on every connect does not repeat the warning */
+const warnedG711Rates = new Set<number>();
+
+export const AGENT_INPUT_SAMPLE_RATES: readonly AgentInputSampleRate[] = [8000, 16000, 24000, 48000];
+
+export const DEFAULT_AGENT_AUDIO_FORMATS: AgentAudioFormats = {
+  input: { encoding: 'linear16', sampleRate: CLIENT_MIC_PCM_FOR_OPENAI_PROXY_HZ },
+  output: { encoding: 'linear16', sampleRate: OPENAI_REALTIME_OUTPUT_PCM_SAMPLE_RATE_HZ },
+};
+
+/**
+ * Resolves `agentOptions.audioInput` / `audioOutput` to the formats the component sends in Settings, captures and
+ * plays. Unsupported values fall back to the defaults: input rates other than 8/16/24/48 kHz, unknown encodings
+ * and non-positive output rates. G.711 output is always 8 kHz; another `audioOutput.sampleRate` is replaced (with a
+ * warning) so the rate the component plays at matches the audio it receives.
+ */
+export function resolveAgentAudioFormats(options?: {
+  audioInput?: AgentAudioInputFormat;
+  audioOutput?: AgentAudioOutputFormat;
+}): AgentAudioFormats {
+  const inputRate = options?.audioInput?.sampleRate;
+  const encoding = options?.audioOutput?.encoding;
+  const outputEncoding = encoding === 'mulaw' || encoding === 'alaw' ? encoding : 'linear16';
+  const outputRate = options?.audioOutput?.sampleRate;
+  if (outputEncoding !== 'linear16' && outputRate !== undefined && outputRate !== G711_SAMPLE_RATE_HZ) {
+    if (!warnedG711Rates.has(outputRate)) {
+      warnedG711Rates.add(outputRate);
+      getLogger().warn('audioOutput.sampleRate ignored: G.711 output is 8000 Hz', {
+        encoding: outputEncoding,
+        sampleRate: outputRate,
+      });
+    }
+  }
+  return {
+    input: {
+      encoding: 'linear16',
+      sampleRate:
+        inputRate !== undefined && AGENT_INPUT_SAMPLE_RATES.includes(inputRate)
+          ? inputRate
+          : DEFAULT_AGENT_AUDIO_FORMATS.input.sampleRate,
+    },
+    output: {
+      encoding: outputEncoding,
+      sampleRate:
+        outputEncoding !== 'linear16'
+          ? G711_SAMPLE_RATE_HZ
+          : typeof outputRate === 'number' && Number.isInteger(outputRate) && outputRate > 0
+            ? outputRate
+            : DEFAULT_AGENT_AUDIO_FORMATS.output.sampleRate,
+    },
+  };
+}
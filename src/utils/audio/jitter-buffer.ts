@@ -0,0 +1,19 @@
+import type { JitterBufferOptions } from '../../types';
+
+export const DEFAULT_JITTER_BUFFER_OPTIONS: Required<JitterBufferOptions> = {
+  targetLatencyMs: 120,
+  concealMs: 20,
+  fadeMs: 5,
+  reportIntervalMs: 50,
+};
+
+/**
+ * Resolves the `jitterBuffer` prop: `true` enables worklet playback with defaults, an object overrides them,
+ * `false` or undefined keeps the AudioBufferSourceNode scheduler (null).
+ */
+export function resolveJitterBufferOptions(
+  jitterBuffer: boolean | JitterBufferOptions | undefined
+): Required<JitterBufferOptions> | null {
+  if (!jitterBuffer) return null;
+  return { ...DEFAULT_JITTER_BUFFER_OPTIONS, ...(jitterBuffer === true ? {} : jitterBuffer) };
+}
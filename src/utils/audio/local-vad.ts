@@ -0,0 +1,22 @@
+import type { LocalVadOptions } from '../../types';
+
+export const DEFAULT_LOCAL_VAD_OPTIONS: Required<LocalVadOptions> = {
+  energyThreshold: 0.015,
+  maxZeroCrossingRate: 0.3,
+  frameMs: 20,
+  minSpeechMs: 60,
+  hangoverMs: 500,
+  gateSilence: false,
+  preRollMs: 300,
+  bargeIn: false,
+  bargeInConfirmMs: 1000,
+};
+
+/**
+ * Resolves the `localVad` prop: `true` enables detection with defaults, an object overrides them, `false` or
+ * undefined disables it (null).
+ */
+export function resolveLocalVadOptions(localVad: boolean | LocalVadOptions | undefined): Required<LocalVadOptions> | null {
+  if (!localVad) return null;
+  return { ...DEFAULT_LOCAL_VAD_OPTIONS, ...(localVad === true ? {} : localVad) };
+}
@@ -1,6 +1,6 @@
 /* eslint-disable */
 /**
- * AUTO-GENERATED from AudioWorkletProcessor.js — do not edit.
+ * AUTO-GENERATED from StreamingResampler.js + AudioWorkletProcessor.js — do not edit.
  * Run: npm run generate:mic-worklet
  */
-export const MICROPHONE_WORKLET_INLINE_SOURCE = "/**\n * AudioWorkletProcessor for microphone capture and processing\n *\n * Runs at AudioContext sample rate; sends float32 to main thread for resample to agent rate (Issue #560).\n */\nclass MicrophoneProcessor extends AudioWorkletProcessor {\n  constructor() {\n    super();\n    \n    // State\n    this.isRecording = false;\n    this.bufferSize = 4096;  // Buffer size in samples\n    this.buffer = new Float32Array(this.bufferSize);\n    this.bufferIndex = 0;\n    \n    // Set up message handler\n    this.port.onmessage = (event) => this.onMessage(event.data);\n  }\n  \n  /**\n   * Handles messages from the main thread\n   */\n  onMessage(message) {\n    if (message.type === 'start') {\n      this.isRecording = true;\n      this.port.postMessage({ type: 'started' });\n    } else if (message.type === 'stop') {\n      this.isRecording = false;\n      this.port.postMessage({ type: 'stopped' });\n    }\n  }\n  \n  /**\n   * Processes audio input and sends it to the main thread\n   */\n  process(inputs, outputs, parameters) {\n    if (!this.isRecording || !inputs[0] || !inputs[0][0]) {\n      return true;\n    }\n    \n    const input = inputs[0][0];\n    \n    // Add input samples to our buffer\n    for (let i = 0; i < input.length; i++) {\n      this.buffer[this.bufferIndex++] = input[i];\n      \n      // When buffer is full, send it to the main thread\n      if (this.bufferIndex >= this.bufferSize) {\n        this.sendBufferToMainThread();\n        this.bufferIndex = 0;\n      }\n    }\n    \n    return true;\n  }\n  \n  sendBufferToMainThread() {\n    const audioData = this.buffer.slice(0, this.bufferIndex);\n    this.port.postMessage(\n      { type: 'audio', data: audioData.buffer },\n      [audioData.buffer]\n    );\n  }\n}\n\n// Register the processor\nregisterProcessor('microphone-processor', MicrophoneProcessor); ";
+export const MICROPHONE_WORKLET_INLINE_SOURCE = "/**\n * Streaming windowed-sinc resampler for microphone capture\n *\n * Plain script (no imports/exports): inline-microphone-worklet.mjs prepends it to AudioWorkletProcessor.js, so\n * the same code runs in the AudioWorkletGlobalScope and, through a VM, in tests.\n *\n * Polyphase FIR: for rates inputRate:outputRate reduced to L:M, output k sits at input time k * M / L, and each\n * of the L phases has its own row of Kaiser-windowed sinc taps (interpolated from 1024 rows when L is larger).\n * The low-pass cutoff is `rolloff` of the lower Nyquist frequency, so downsampling does not alias. Filter\n * history is kept across process() calls: chunked input gives the same samples as one long buffer. Outputs\n * lag the input by half the filter length until flush().\n */\nclass StreamingResampler {\n  constructor(inputRate, outputRate, options) {\n    const config = options || {};\n    const zeroCrossings = config.zeroCrossings || 16;\n    const rolloff = config.rolloff || 0.9;\n    const beta = config.kaiserBeta || 8.6;\n\n    const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));\n    const divisor = gcd(Math.round(inputRate), Math.round(outputRate));\n    this.inputRate = inputRate;\n    this.outputRate = outputRate;\n    this.up = Math.round(outputRate) / divisor;\n    this.down = Math.round(inputRate) / divisor;\n    this.passthrough = this.up === this.down;\n\n    // Cutoff in cycles per input sample\n    const cutoff = 0.5 * Math.min(1, outputRate / inputRate) * rolloff;\n    this.halfTaps = Math.ceil(zeroCrossings / (2 * cutoff));\n    this.taps = 2 * this.halfTaps;\n    this.tablePhases = Math.min(this.up, 1024);\n    this.table = this.buildTable(cutoff, beta);\n\n    this.reset();\n  }\n\n  buildTable(cutoff, beta) {\n    const besselI0 = (x) => {\n      let sum = 1;\n      let term = 1;\n      for (let k = 1; k < 50; k++) {\n        term *= (x / (2 * k)) * (x / (2 * k));\n        sum += term;\n        if (term < sum * 1e-12) break;\n      }\n      return sum;\n    };\n    const i0Beta = besselI0(beta);\n    const span = this.halfTaps;\n    const rows = this.tablePhases + 1;\n    const table = new Float32Array(rows * this.taps);\n\n    for (let row = 0; row < rows; row++) {\n      const fraction = row / this.tablePhases;\n      let sum = 0;\n      for (let i = 0; i < this.taps; i++) {\n        // Distance from the output instant to tap i, in input samples\n        const distance = fraction + this.halfTaps - 1 - i;\n        const x = 2 * cutoff * distance;\n        const sinc = x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x);\n        const ratio = distance / span;\n        const taper = Math.abs(ratio) >= 1 ? 0 : besselI0(beta * Math.sqrt(1 - ratio * ratio)) / i0Beta;\n        const value = sinc * taper;\n        table[row * this.taps + i] = value;\n        sum += value;\n      }\n      // Unity gain at DC for every phase\n      for (let i = 0; i < this.taps; i++) {\n        table[row * this.taps + i] /= sum;\n      }\n    }\n    return table;\n  }\n\n  /**\n   * Clears filter history; the next input starts a new stream\n   */\n  reset() {\n    // halfTaps - 1 zeros before the first sample, so output 0 lines up with input 0\n    this.history = new Float32Array(this.halfTaps - 1);\n    this.position = this.halfTaps - 1;\n    this.phase = 0;\n    this.inputCount = 0;\n    this.outputCount = 0;\n  }\n\n  /**\n   * Resamples the next chunk of the stream\n   * @param {Float32Array} input\n   * @returns {Float32Array} every output sample whose filter window is now complete\n   */\n  process(input) {\n    if (this.passthrough) {\n      return input.slice();\n    }\n\n    const buffer = new Float32Array(this.history.length + input.length);\n    buffer.set(this.history);\n    buffer.set(input, this.history.length);\n\n    const output = new Float32Array(Math.ceil(((buffer.length - this.position) * this.up) / this.down) + 1);\n    let count = 0;\n    const taps = this.taps;\n    const table = this.table;\n    const exact = this.tablePhases === this.up;\n\n    while (this.position + this.halfTaps < buffer.length) {\n      const start = this.position - this.halfTaps + 1;\n      let sample = 0;\n      if (exact) {\n        const row = this.phase * taps;\n        for (let i = 0; i < taps; i++) {\n          sample += buffer[start + i] * table[row + i];\n        }\n      } else {\n        const scaled = (this.phase * this.tablePhases) / this.up;\n        const lower = Math.floor(scaled);\n        const weight = scaled - lower;\n        const rowA = lower * taps;\n        const rowB = rowA + taps;\n        for (let i = 0; i < taps; i++) {\n          sample += buffer[start + i] * (table[rowA + i] + (table[rowB + i] - table[rowA + i]) * weight);\n        }\n      }\n      output[count++] = sample;\n\n      this.phase += this.down;\n      this.position += Math.floor(this.phase / this.up);\n      this.phase %= this.up;\n    }\n\n    // Keep what the next window still needs\n    const keepFrom = Math.min(this.position - this.halfTaps + 1, buffer.length);\n    this.history = buffer.slice(keepFrom);\n    this.position -= keepFrom;\n    this.inputCount += input.length;\n    this.outputCount += count;\n    return output.slice(0, count);\n  }\n\n  /**\n   * Emits the outputs still waiting for look-ahead (the input is padded with silence) and resets\n   * @returns {Float32Array}\n   */\n  flush() {\n    if (this.passthrough) {\n      return new Float32Array(0);\n    }\n    // Output k belongs to the stream while its instant k * down / up is before the end of the input\n    const remaining = Math.ceil((this.inputCount * this.up) / this.down) - this.outputCount;\n    const tail = this.process(new Float32Array(this.halfTaps));\n    this.reset();\n    return tail.slice(0, Math.max(0, remaining));\n  }\n}\n\n/**\n * AudioWorkletProcessor for microphone capture and processing\n *\n * Runs at AudioContext sample rate. With processorOptions.targetSampleRate, capture is resampled here by\n * StreamingResampler (prepended to this file in the inline build) and each { type: 'audio' } message carries the\n * rate of its float32 samples; without it, samples are sent at the context rate (Issue #560).\n *\n * Optional local VAD (processorOptions.vad, resolved by AudioManager): each frame is classified by RMS energy and\n * zero-crossing rate; speech start/stop is posted as { type: 'vad', speaking }. With gateSilence, samples outside\n * speech are held in a pre-roll ring instead of being sent.\n */\nclass MicrophoneProcessor extends AudioWorkletProcessor {\n  constructor(options) {\n    super();\n    \n    // State\n    this.isRecording = false;\n    this.bufferSize = 4096;  // Buffer size in samples\n    this.buffer = new Float32Array(this.bufferSize);\n    this.bufferIndex = 0;\n\n    const processorOptions = (options && options.processorOptions) || {};\n    this.vad = processorOptions.vad ? this.createVadState(processorOptions.vad) : null;\n\n    // Resample before posting, keeping filter state across buffers so chunk boundaries do not click\n    const targetSampleRate = processorOptions.targetSampleRate;\n    this.outputSampleRate = targetSampleRate || sampleRate;\n    this.resampler =\n      targetSampleRate && targetSampleRate !== sampleRate ? new StreamingResampler(sampleRate, targetSampleRate) : null;\n    \n    // Set up message handler\n    this.port.onmessage = (event) => this.onMessage(event.data);\n  }\n\n  createVadState(config) {\n    const frameSize = Math.max(1, Math.round((config.frameMs * sampleRate) / 1000));\n    return {\n      config,\n      frame: new Float32Array(frameSize),\n      frameIndex: 0,\n      speaking: false,\n      speechMs: 0,\n      silenceMs: 0,\n      preRoll: new Float32Array(config.gateSilence ? Math.round((config.preRollMs * sampleRate) / 1000) : 0),\n      preRollIndex: 0,\n      preRollFilled: 0,\n    };\n  }\n  \n  /**\n   * Handles messages from the main thread\n   */\n  onMessage(message) {\n    if (message.type === 'start') {\n      this.isRecording = true;\n      this.port.postMessage({ type: 'started' });\n    } else if (message.type === 'stop') {\n      this.isRecording = false;\n      this.resetVad();\n      if (this.resampler) {\n        this.resampler.reset();\n      }\n      this.port.postMessage({ type: 'stopped' });\n    }\n  }\n  \n  /**\n   * Processes audio input and sends it to the main thread\n   */\n  process(inputs, outputs, parameters) {\n    if (!this.isRecording || !inputs[0] || !inputs[0][0]) {\n      return true;\n    }\n    \n    const input = inputs[0][0];\n    \n    for (let i = 0; i < input.length; i++) {\n      if (this.vad) {\n        this.addVadSample(input[i]);\n      } else {\n        this.addSample(input[i]);\n      }\n    }\n    \n    return true;\n  }\n\n  // Add a sample to our buffer; when the buffer is full, send it to the main thread\n  addSample(sample) {\n    this.buffer[this.bufferIndex++] = sample;\n    if (this.bufferIndex >= this.bufferSize) {\n      this.sendBufferToMainThread();\n      this.bufferIndex = 0;\n    }\n  }\n\n  addVadSample(sample) {\n    const vad = this.vad;\n    vad.frame[vad.frameIndex++] = sample;\n    if (vad.frameIndex < vad.frame.length) {\n      return;\n    }\n    vad.frameIndex = 0;\n\n    const transition = this.updateVad(this.isSpeechFrame(vad.frame));\n    if (!vad.config.gateSilence) {\n      vad.frame.forEach((s) => this.addSample(s));\n      return;\n    }\n\n    if (transition === 'start') {\n      this.flushPreRoll();\n    }\n    if (vad.speaking || transition === 'stop') {\n      vad.frame.forEach((s) => this.addSample(s));\n    } else {\n      vad.frame.forEach((s) => this.addPreRollSample(s));\n    }\n    if (transition === 'stop' && (this.bufferIndex > 0 || this.resampler)) {\n      // Send the end of the utterance now rather than when the buffer next fills; the gated silence that follows\n      // is not part of the stream, so the resampler gives up its look-ahead too\n      this.sendBufferToMainThread(true);\n      this.bufferIndex = 0;\n    }\n  }\n\n  isSpeechFrame(frame) {\n    let energy = 0;\n    let crossings = 0;\n    for (let i = 0; i < frame.length; i++) {\n      energy += frame[i] * frame[i];\n      if (i > 0 && (frame[i] >= 0) !== (frame[i - 1] >= 0)) {\n        crossings++;\n      }\n    }\n    const rms = Math.sqrt(energy / frame.length);\n    return rms >= this.vad.config.energyThreshold && crossings / frame.length <= this.vad.config.maxZeroCrossingRate;\n  }\n\n  /**\n   * Onset after minSpeechMs of speech frames, offset after hangoverMs of non-speech frames\n   * @returns 'start', 'stop' or null\n   */\n  updateVad(isSpeech) {\n    const vad = this.vad;\n    const { frameMs, minSpeechMs, hangoverMs } = vad.config;\n    if (isSpeech) {\n      vad.speechMs += frameMs;\n      vad.silenceMs = 0;\n    } else {\n      vad.silenceMs += frameMs;\n      if (!vad.speaking) {\n        vad.speechMs = 0;\n      }\n    }\n\n    if (!vad.speaking && vad.speechMs >= minSpeechMs) {\n      vad.speaking = true;\n      this.port.postMessage({ type: 'vad', speaking: true });\n      return 'start';\n    }\n    if (vad.speaking && vad.silenceMs >= hangoverMs) {\n      vad.speaking = false;\n      vad.speechMs = 0;\n      this.port.postMessage({ type: 'vad', speaking: false });\n      return 'stop';\n    }\n    return null;\n  }\n\n  addPreRollSample(sample) {\n    const vad = this.vad;\n    const length = vad.preRoll.length;\n    if (length === 0) {\n      return;\n    }\n    vad.preRoll[vad.preRollIndex] = sample;\n    vad.preRollIndex = (vad.preRollIndex + 1) % length;\n    vad.preRollFilled = Math.min(vad.preRollFilled + 1, length);\n  }\n\n  flushPreRoll() {\n    const vad = this.vad;\n    const length = vad.preRoll.length;\n    const start = (vad.preRollIndex - vad.preRollFilled + length) % length;\n    for (let i = 0; i < vad.preRollFilled; i++) {\n      this.addSample(vad.preRoll[(start + i) % length]);\n    }\n    vad.preRollFilled = 0;\n  }\n\n  resetVad() {\n    if (!this.vad) {\n      return;\n    }\n    if (this.vad.speaking) {\n      this.port.postMessage({ type: 'vad', speaking: false });\n    }\n    this.vad = this.createVadState(this.vad.config);\n  }\n\n  sendBufferToMainThread(endOfSpeech) {\n    let audioData = this.buffer.slice(0, this.bufferIndex);\n    if (this.resampler) {\n      const resampled = this.resampler.process(audioData);\n      if (endOfSpeech) {\n        const tail = this.resampler.flush();\n        audioData = new Float32Array(resampled.length + tail.length);\n        audioData.set(resampled);\n        audioData.set(tail, resampled.length);\n      } else {\n        audioData = resampled;\n      }\n    }\n    this.port.postMessage(\n      { type: 'audio', data: audioData.buffer, sampleRate: this.outputSampleRate },\n      [audioData.buffer]\n    );\n  }\n}\n\n// Register the processor\nregisterProcessor('microphone-processor', MicrophoneProcessor); ";
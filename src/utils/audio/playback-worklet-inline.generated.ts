@@ -0,0 +1,6 @@
+/* eslint-disable */
+/**
+ * AUTO-GENERATED from PlaybackWorkletProcessor.js — do not edit.
+ * Run: npm run generate:playback-worklet
+ */
+export const PLAYBACK_WORKLET_INLINE_SOURCE = "/**\n * AudioWorkletProcessor for agent audio playback: a jitter buffer in front of the speaker\n *\n * Runs on the playback AudioContext, so samples arrive at the output rate as float32 ({ type: 'push', data }).\n * They play from a growable ring buffer once targetLatencyMs is buffered, or has been waited for. When the buffer\n * runs dry mid-stream, the last concealMs of output is replayed backwards (so it continues from the last sample)\n * with a falling gain instead of cutting to silence; playback then waits for targetLatencyMs again and fades in.\n * Status messages carry `played` (samples output so far), `buffered` and `pushes` (chunks received), so the main\n * thread knows exactly how much of the stream has been heard and whether a report predates its latest chunk.\n */\nclass PlaybackProcessor extends AudioWorkletProcessor {\n  constructor(options) {\n    super();\n\n    const config = (options && options.processorOptions) || {};\n    const toSamples = (ms) => Math.max(1, Math.round((ms * sampleRate) / 1000));\n    this.targetSamples = toSamples(config.targetLatencyMs);\n    this.fadeSamples = toSamples(config.fadeMs);\n    this.reportSamples = toSamples(config.reportIntervalMs);\n\n    // Ring buffer; grows when a burst outruns it (agent audio usually arrives faster than real time)\n    this.ring = new Float32Array(sampleRate * 10);\n    this.readIndex = 0;\n    this.size = 0;\n\n    // 'idle' (nothing to play), 'buffering', 'playing' or 'concealing'\n    this.state = 'idle';\n    this.active = false;\n    this.ending = false;\n    this.waited = 0;\n    this.fadeIn = 0;\n    this.fadeOut = 0;\n\n    // Last output, replayed during concealment\n    this.history = new Float32Array(toSamples(config.concealMs));\n    this.historyIndex = 0;\n    this.concealIndex = 0;\n\n    this.played = 0;\n    this.underruns = 0;\n    this.pushes = 0;\n    this.sinceReport = 0;\n\n    this.port.onmessage = (event) => this.onMessage(event.data);\n  }\n\n  /**\n   * Handles messages from the main thread\n   */\n  onMessage(message) {\n    if (message.type === 'push') {\n      this.pushes++;\n      this.write(new Float32Array(message.data));\n      this.ending = false;\n      if (this.state === 'idle') {\n        this.state = 'buffering';\n        this.waited = 0;\n      }\n    } else if (message.type === 'end') {\n      this.ending = true;\n      if (this.size === 0 && this.state !== 'playing' && this.state !== 'concealing') {\n        this.drain();\n      }\n    } else if (message.type === 'clear') {\n      // Keep a few ms to fade out over, so the interruption does not click\n      const kept = this.state === 'playing' ? Math.min(this.size, this.fadeSamples) : 0;\n      const dropped = this.size - kept;\n      this.size = kept;\n      this.fadeOut = kept;\n      this.ending = true;\n      this.report('cleared', { dropped });\n      if (kept === 0) {\n        this.drain();\n      }\n    }\n  }\n\n  write(samples) {\n    if (this.size + samples.length > this.ring.length) {\n      const grown = new Float32Array(Math.max(this.ring.length * 2, this.size + samples.length));\n      for (let i = 0; i < this.size; i++) {\n        grown[i] = this.ring[(this.readIndex + i) % this.ring.length];\n      }\n      this.ring = grown;\n      this.readIndex = 0;\n    }\n    let writeIndex = (this.readIndex + this.size) % this.ring.length;\n    for (let i = 0; i < samples.length; i++) {\n      this.ring[writeIndex] = samples[i];\n      writeIndex = writeIndex + 1 === this.ring.length ? 0 : writeIndex + 1;\n    }\n    this.size += samples.length;\n  }\n\n  /**\n   * Fills the output with buffered audio and posts progress\n   */\n  process(inputs, outputs, parameters) {\n    const output = outputs[0];\n    if (!output || !output[0]) {\n      return true;\n    }\n\n    const channel = output[0];\n    for (let i = 0; i < channel.length; i++) {\n      channel[i] = this.nextSample();\n    }\n    for (let c = 1; c < output.length; c++) {\n      output[c].set(channel);\n    }\n\n    if (this.active) {\n      this.sinceReport += channel.length;\n      if (this.sinceReport >= this.reportSamples) {\n        this.report('position');\n      }\n    }\n    return true;\n  }\n\n  nextSample() {\n    if (this.state === 'buffering') {\n      this.waited++;\n      if (this.size >= this.targetSamples || (this.size > 0 && (this.ending || this.waited >= this.targetSamples))) {\n        this.state = 'playing';\n        this.fadeIn = this.fadeSamples;\n        if (!this.active) {\n          this.active = true;\n          this.report('started');\n        }\n      } else {\n        if (this.active && this.size === 0 && this.waited >= this.targetSamples) {\n          // Nothing arrived after the underrun: the stream has ended\n          this.drain();\n        }\n        return 0;\n      }\n    }\n\n    if (this.state === 'playing') {\n      if (this.size > 0) {\n        return this.playSample();\n      }\n      if (this.ending) {\n        this.drain();\n        return 0;\n      }\n      this.underruns++;\n      this.state = 'concealing';\n      this.concealIndex = 0;\n      this.report('underrun');\n    }\n\n    if (this.state === 'concealing') {\n      const length = this.history.length;\n      if (this.concealIndex < length) {\n        const gain = 1 - this.concealIndex / length;\n        const sample = this.history[(this.historyIndex - 1 - this.concealIndex + 2 * length) % length] * gain;\n        this.concealIndex++;\n        return sample;\n      }\n      if (this.ending) {\n        this.drain();\n        return 0;\n      }\n      this.state = 'buffering';\n      this.waited = 0;\n    }\n\n    return 0;\n  }\n\n  playSample() {\n    let sample = this.ring[this.readIndex];\n    this.readIndex = this.readIndex + 1 === this.ring.length ? 0 : this.readIndex + 1;\n    this.size--;\n\n    if (this.fadeOut > 0) {\n      sample *= this.fadeOut / (this.fadeSamples + 1);\n      this.fadeOut--;\n      if (this.fadeOut === 0) {\n        // Audio pushed after a clear starts from silence\n        this.fadeIn = this.fadeSamples;\n      }\n    } else if (this.fadeIn > 0) {\n      sample *= 1 - this.fadeIn / (this.fadeSamples + 1);\n      this.fadeIn--;\n    }\n\n    this.history[this.historyIndex] = sample;\n    this.historyIndex = (this.historyIndex + 1) % this.history.length;\n    this.played++;\n    return sample;\n  }\n\n  /**\n   * Returns to idle once the stream has been played out (or cleared)\n   */\n  drain() {\n    this.state = 'idle';\n    this.ending = false;\n    this.fadeOut = 0;\n    this.history.fill(0);\n    if (this.active) {\n      this.active = false;\n      this.report('drained');\n    }\n  }\n\n  report(type, extra) {\n    this.sinceReport = 0;\n    this.port.postMessage(Object.assign({\n      type,\n      played: this.played,\n      buffered: this.size,\n      underruns: this.underruns,\n      pushes: this.pushes,\n    }, extra));\n  }\n}\n\n// Register the processor\nregisterProcessor('playback-processor', PlaybackProcessor);\n";
@@ -6,12 +6,17 @@
  */
 
 import type {
+  AgentAudioInputFormat,
+  AgentAudioOutputFormat,
+  AgentContextMessage,
   AgentFunction,
   SessionAudioOutputSettings,
   ThinkManagedPrompt,
   ThinkOutputModality,
   ThinkToolChoice,
+  TurnMode,
 } from '../types/agent';
+import { resolveAgentAudioFormats } from './audio/audio-formats';
 import { filterFunctionsForSettings } from './function-utils';
 
 export interface BuildSettingsMessageOptions {
@@ -37,12 +42,18 @@ export interface BuildSettingsMessageOptions {
   thinkManagedPrompt?: ThinkManagedPrompt;
   /** OpenAI proxy: Settings agent.sessionAudioOutput → Realtime session.audio.output (Issue #540). */
   sessionAudioOutput?: SessionAudioOutputSettings;
+  /** Settings audio.input (microphone rate); default linear16 16 kHz. */
+  audioInput?: AgentAudioInputFormat;
+  /** Settings audio.output (agent audio encoding and rate); default linear16 24 kHz. */
+  audioOutput?: AgentAudioOutputFormat;
+  /** OpenAI proxy: Settings agent.turnMode; `'push-to-talk'` disables Server VAD (turns end on EndUserTurn). */
+  turnMode?: TurnMode;
   functions?: AgentFunction[];
   listenModel?: string;
   greeting?: string;
   idleTimeoutMs?: number;
   /** Effective context (component-owned); when set with messages, greeting is omitted. */
-  context?: { messages: Array<{ type: string; role: string; content: string }> };
+  context?: { messages: AgentContextMessage[] };
 }
 
 export interface BuildSettingsMessageConfig {
@@ -69,6 +80,7 @@ export interface SettingsMessagePayload {
     };
     speak: { provider: { type: string; model: string } };
     sessionAudioOutput?: SessionAudioOutputSettings;
+    turnMode?: TurnMode;
     [key: string]: unknown;
   };
 }
@@ -84,18 +96,20 @@ export function buildSettingsMessage(
   const effectiveContext = options.context;
   const hasContextMessages = (effectiveContext?.messages?.length ?? 0) > 0;
   const managedPrompt = pickThinkManagedPromptForSettings(options.thinkManagedPrompt);
+  const audioFormats = resolveAgentAudioFormats(options);
 
   return {
     type: 'Settings',
     audio: {
-      input: { encoding: 'linear16', sample_rate: 16000 },
-      output: { encoding: 'linear16', sample_rate: 24000 },
+      input: { encoding: audioFormats.input.encoding, sample_rate: audioFormats.input.sampleRate },
+      output: { encoding: audioFormats.output.encoding, sample_rate: audioFormats.output.sampleRate },
     },
     agent: {
       ...(isOpenAIProxy ? { idleTimeoutMs: options.idleTimeoutMs ?? defaultIdleTimeoutMs } : {}),
       ...(isOpenAIProxy && options.sessionAudioOutput !== undefined && options.sessionAudioOutput !== null
         ? { sessionAudioOutput: options.sessionAudioOutput }
         : {}),
+      ...(isOpenAIProxy && options.turnMode === 'push-to-talk' ? { turnMode: options.turnMode } : {}),
       language: options.language || 'en',
       ...(options.listenModel
         ? {
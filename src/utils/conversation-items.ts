@@ -0,0 +1,123 @@
+/**
+ * Conversation history items: ids, kinds, storage parsing and replay into agent.context
+ *
+ * The history is a flat list of ConversationMessage items. Older stored histories (plain `{ role, content }`)
+ * are still valid; their kind is derived from the role.
+ */
+
+import type {
+  AgentContextFunctionCall,
+  AgentContextMessage,
+  ConversationFunctionResult,
+  ConversationItemKind,
+  ConversationMessage,
+} from '../types/agent';
+
+const ITEM_KINDS: ConversationItemKind[] = [
+  'user_text',
+  'user_speech',
+  'assistant_speech',
+  'function_call',
+  'function_result',
+  'system_note',
+];
+
+/** Kinds returned by getConversationHistory() without `includeAllKinds` (the original user/assistant text view) */
+const TEXT_KINDS: ConversationItemKind[] = ['user_text', 'user_speech', 'assistant_speech'];
+
+let itemCounter = 0;
+
+/** Unique within a page session; sortable by creation time */
+export function createConversationItemId(now: number = Date.now()): string {
+  itemCounter = (itemCounter + 1) % 1679616; // 36^4
+  return `item_${now.toString(36)}_${itemCounter.toString(36)}`;
+}
+
+/** Fill in id, timestamp and (from the role) kind */
+export function createConversationItem(
+  item: Omit<ConversationMessage, 'id' | 'timestamp'> & Partial<Pick<ConversationMessage, 'id' | 'timestamp'>>
+): ConversationMessage {
+  const timestamp = item.timestamp ?? Date.now();
+  return {
+    ...item,
+    id: item.id ?? createConversationItemId(timestamp),
+    kind: getConversationItemKind(item),
+    timestamp,
+  };
+}
+
+export function getConversationItemKind(item: Pick<ConversationMessage, 'role' | 'kind'>): ConversationItemKind {
+  return item.kind ?? (item.role === 'assistant' ? 'assistant_speech' : 'user_speech');
+}
+
+export function isTextConversationItem(item: ConversationMessage): boolean {
+  return TEXT_KINDS.indexOf(getConversationItemKind(item)) !== -1;
+}
+
+/** Same text the OpenAI proxy and Deepgram send as ConversationText for a function call (Issue #499) */
+export function formatFunctionCallContent(name: string, args?: string): string {
+  const trimmed = typeof args === 'string' ? args.trim() : '';
+  return trimmed ? `Function call: ${name}(${trimmed})` : `Function call: ${name}()`;
+}
+
+export function formatFunctionResultContent(result: Pick<ConversationFunctionResult, 'name' | 'content'>): string {
+  return `Function result: ${result.name} → ${result.content}`;
+}
+
+/**
+ * Validate a history loaded from storage, keeping every field of valid items.
+ * Items need role user/assistant and string content; an unknown `kind` is dropped so it is derived from the role.
+ */
+export function parseStoredConversation(value: unknown): ConversationMessage[] {
+  if (!Array.isArray(value)) return [];
+  return value
+    .filter(
+      (m): m is ConversationMessage =>
+        !!m &&
+        typeof m === 'object' &&
+        ((m as ConversationMessage).role === 'user' || (m as ConversationMessage).role === 'assistant') &&
+        typeof (m as ConversationMessage).content === 'string'
+    )
+    .map((m) => {
+      if (m.kind === undefined || ITEM_KINDS.indexOf(m.kind) !== -1) return m;
+      // eslint-disable-next-line @typescript-eslint/no-unused-vars, no-unused-vars
+      const { kind: _kind, ...rest } = m;
+      return rest;
+    });
+}
+
+/**
+ * Replay history as agent.context messages.
+ * Text items become `{ type: 'History', role, content }`; a function call and its result become one
+ * `{ type: 'History', function_calls: [...] }` at the position of the call. Calls without a result (the session
+ * ended before the response) and system notes are not replayed; neither are result items on their own.
+ */
+export function conversationToContextMessages(items: ConversationMessage[]): AgentContextMessage[] {
+  const results = new Map<string, ConversationFunctionResult>();
+  items.forEach((item) => {
+    if (getConversationItemKind(item) === 'function_result' && item.functionResult) {
+      results.set(item.functionResult.id, item.functionResult);
+    }
+  });
+
+  const messages: AgentContextMessage[] = [];
+  items.forEach((item) => {
+    const kind = getConversationItemKind(item);
+    if (kind === 'function_call') {
+      const call = item.functionCall;
+      const result = call ? results.get(call.id) : undefined;
+      if (!call || !result) return;
+      const entry: AgentContextFunctionCall = {
+        id: call.id,
+        name: call.name,
+        client_side: call.clientSide,
+        arguments: call.arguments,
+        response: result.content,
+      };
+      messages.push({ type: 'History', function_calls: [entry] });
+    } else if (TEXT_KINDS.indexOf(kind) !== -1) {
+      messages.push({ type: 'History', role: item.role, content: item.content });
+    }
+  });
+  return messages;
+}
@@ -0,0 +1,89 @@
+/**
+ * Versioned serialization of persisted conversations
+ *
+ * Every payload written to conversationStorage is a StoredConversation envelope. Reading runs the payload through
+ * the migrations from its version up to CONVERSATION_SCHEMA_VERSION, so histories persisted by older releases keep
+ * loading. Add a migration (and bump the version) whenever the stored shape changes.
+ */
+
+import type { StoredConversation } from '../types/conversation-sessions';
+import { parseStoredConversation } from './conversation-items';
+
+export const CONVERSATION_SCHEMA_VERSION = 2;
+
+/**
+ * Migration from version `n` (the key) to `n + 1`. Input is the parsed payload at version `n`.
+ */
+const CONVERSATION_MIGRATIONS: Record<number, (payload: unknown) => unknown> = {
+  // v1 → v2: bare item array → envelope; savedAt from the newest item timestamp
+  1: (payload) => {
+    const items = Array.isArray(payload) ? payload : [];
+    const timestamps = items
+      .map((item) => (item && typeof item === 'object' ? (item as { timestamp?: unknown }).timestamp : undefined))
+      .filter((t): t is number => typeof t === 'number');
+    return {
+      schemaVersion: 2,
+      savedAt: timestamps.length > 0 ? Math.max(...timestamps) : undefined,
+      items,
+    };
+  },
+};
+
+function payloadVersion(payload: unknown): number | undefined {
+  if (Array.isArray(payload)) return 1;
+  if (payload && typeof payload === 'object') {
+    const version = (payload as { schemaVersion?: unknown }).schemaVersion;
+    if (typeof version === 'number' && Number.isInteger(version) && version >= 1) return version;
+  }
+  return undefined;
+}
+
+/**
+ * Bring a parsed payload of any known version to the current StoredConversation shape.
+ * A payload from a newer release is read as-is when it still has an `items` array.
+ * @returns null when the payload is not a stored conversation
+ */
+export function migrateStoredConversation(payload: unknown): StoredConversation | null {
+  let version = payloadVersion(payload);
+  if (version === undefined) return null;
+  let current = payload;
+  while (version < CONVERSATION_SCHEMA_VERSION) {
+    const migrate = CONVERSATION_MIGRATIONS[version];
+    if (!migrate) return null;
+    current = migrate(current);
+    version += 1;
+  }
+  const envelope = current as Partial<StoredConversation>;
+  return {
+    schemaVersion: CONVERSATION_SCHEMA_VERSION,
+    savedAt: typeof envelope.savedAt === 'number' ? envelope.savedAt : undefined,
+    items: parseStoredConversation(envelope.items),
+  };
+}
+
+/**
+ * Parse a raw stored value
+ * @returns null for missing, empty or unreadable values
+ */
+export function decodeStoredConversation(raw: string | null | undefined): StoredConversation | null {
+  if (!raw) return null;
+  try {
+    return migrateStoredConversation(JSON.parse(raw) as unknown);
+  } catch {
+    return null;
+  }
+}
+
+export function encodeStoredConversation(items: StoredConversation['items'], savedAt: number = Date.now()): string {
+  const payload: StoredConversation = { schemaVersion: CONVERSATION_SCHEMA_VERSION, savedAt, items };
+  return JSON.stringify(payload);
+}
+
+/** No expiry when ttlMs is undefined or <= 0, or when the payload has no savedAt */
+export function isStoredConversationExpired(
+  stored: Pick<StoredConversation, 'savedAt'>,
+  ttlMs: number | undefined,
+  now: number = Date.now()
+): boolean {
+  return ttlMs !== undefined && ttlMs > 0 && stored.savedAt !== undefined && now - stored.savedAt > ttlMs;
+}
@@ -6,6 +6,7 @@
  */
 
 import type { ConversationMessage } from '../types';
+import { decodeStoredConversation } from './conversation-storage-format';
 
 export type HistoryForSettingsSource = 'in_memory' | 'persisted' | 'storage';
 
@@ -14,7 +15,7 @@ export interface GetHistoryForSettingsParams {
   latestHistory: ConversationMessage[] | undefined;
   /** Last persisted history (e.g. module-level or from persist effect). */
   lastPersistedHistory: ConversationMessage[] | undefined;
-  /** Storage keys to try in order (e.g. lastUsedKey, 'dg_voice_conversation', 'dg_conversation'). */
+  /** Storage keys to try in order (the active conversation key; see getSyncHistoryKeys in the component). */
   storageKeys: string[];
   /** Sync getter for storage (e.g. localStorage.getItem). Test-friendly. */
   getItem: (key: string) => string | null;
@@ -25,31 +26,6 @@ export interface GetHistoryForSettingsResult {
   source?: HistoryForSettingsSource;
 }
 
-function isValidMessage(m: unknown): m is ConversationMessage {
-  if (!m || typeof m !== 'object') return false;
-  const o = m as Record<string, unknown>;
-  return (
-    (o.role === 'user' || o.role === 'assistant') &&
-    typeof o.content === 'string'
-  );
-}
-
-function parseStorageValue(raw: string): ConversationMessage[] {
-  try {
-    const parsed = JSON.parse(raw) as unknown;
-    if (!Array.isArray(parsed) || parsed.length === 0) return [];
-    return parsed
-      .filter(isValidMessage)
-      .map((m) => ({
-        role: m.role as ConversationMessage['role'],
-        content: m.content,
-        timestamp: (m as ConversationMessage).timestamp,
-      }));
-  } catch {
-    return [];
-  }
-}
-
 /**
  * Returns conversation history to use when building agent.context for Settings.
  * Precedence: latestHistory (if non-empty) → lastPersistedHistory → first valid storage key.
@@ -68,7 +44,7 @@ export function getHistoryForSettings(
   for (const key of storageKeys) {
     const raw = getItem(key);
     if (raw) {
-      const history = parseStorageValue(raw);
+      const history = decodeStoredConversation(raw)?.items ?? [];
       if (history.length > 0) {
         return { history, source: 'storage' };
       }
@@ -0,0 +1,121 @@
+/**
+ * Minimal JSON Schema validation for function call arguments
+ *
+ * Covers the subset used in agent function `parameters`: type (including type arrays and `integer`), enum, const,
+ * properties/required/additionalProperties, items, string length and pattern, numeric bounds and array length.
+ * Unknown keywords are ignored, so a schema the validator does not fully understand never rejects valid input.
+ * voice-agent-backend's function registry validates with the same keywords and semantics; both run against
+ * tests/fixtures/json-schema-cases.ts.
+ */
+
+import type { ToolValidationIssue } from '../types/tools';
+
+type Schema = Record<string, unknown>;
+
+function isPlainObject(value: unknown): value is Record<string, unknown> {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function typeOf(value: unknown): string {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function matchesType(value: unknown, type: string): boolean {
+  switch (type) {
+    case 'integer':
+      return typeof value === 'number' && Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'object':
+      return isPlainObject(value);
+    default:
+      return typeOf(value) === type;
+  }
+}
+
+function hasOwn(object: object, key: string): boolean {
+  return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+function sameJson(a: unknown, b: unknown): boolean {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function childPath(path: string, key: string | number): string {
+  return typeof key === 'number' ? `${path}[${key}]` : `${path}.${key}`;
+}
+
+/**
+ * Validate `value` against `schema`
+ * @returns Issues found (empty when valid)
+ */
+export function validateJsonSchema(value: unknown, schema: unknown, path: string = '$'): ToolValidationIssue[] {
+  if (!isPlainObject(schema)) return [];
+  const s = schema as Schema;
+  const issues: ToolValidationIssue[] = [];
+  const add = (message: string, at: string = path) => issues.push({ path: at, message });
+
+  if (s.type !== undefined) {
+    const types = (Array.isArray(s.type) ? s.type : [s.type]).filter((t): t is string => typeof t === 'string');
+    if (types.length > 0 && !types.some((t) => matchesType(value, t))) {
+      add(`expected ${types.join(' or ')}, got ${typeOf(value)}`);
+      return issues;
+    }
+  }
+
+  if (Array.isArray(s.enum) && !s.enum.some((option) => sameJson(option, value))) {
+    add(`must be one of ${s.enum.map((option) => JSON.stringify(option)).join(', ')}`);
+  }
+  if (hasOwn(s, 'const') && !sameJson(s.const, value)) {
+    add(`must be ${JSON.stringify(s.const)}`);
+  }
+
+  if (typeof value === 'string') {
+    if (typeof s.minLength === 'number' && value.length < s.minLength) add(`must be at least ${s.minLength} characters`);
+    if (typeof s.maxLength === 'number' && value.length > s.maxLength) add(`must be at most ${s.maxLength} characters`);
+    if (typeof s.pattern === 'string') {
+      try {
+        if (!new RegExp(s.pattern, 'u').test(value)) add(`must match pattern ${s.pattern}`);
+      } catch {
+        // Invalid pattern in the schema: not the caller's fault
+      }
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (typeof s.minimum === 'number' && value < s.minimum) add(`must be >= ${s.minimum}`);
+    if (typeof s.maximum === 'number' && value > s.maximum) add(`must be <= ${s.maximum}`);
+    if (typeof s.exclusiveMinimum === 'number' && value <= s.exclusiveMinimum) add(`must be > ${s.exclusiveMinimum}`);
+    if (typeof s.exclusiveMaximum === 'number' && value >= s.exclusiveMaximum) add(`must be < ${s.exclusiveMaximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (typeof s.minItems === 'number' && value.length < s.minItems) add(`must have at least ${s.minItems} items`);
+    if (typeof s.maxItems === 'number' && value.length > s.maxItems) add(`must have at most ${s.maxItems} items`);
+    if (isPlainObject(s.items)) {
+      value.forEach((item, index) => issues.push(...validateJsonSchema(item, s.items, childPath(path, index))));
+    }
+  }
+
+  if (isPlainObject(value)) {
+    const properties = isPlainObject(s.properties) ? s.properties : {};
+    if (Array.isArray(s.required)) {
+      for (const key of s.required) {
+        if (typeof key === 'string' && !hasOwn(value, key)) add('is required', childPath(path, key));
+      }
+    }
+    for (const [key, propValue] of Object.entries(value)) {
+      if (hasOwn(properties, key)) {
+        issues.push(...validateJsonSchema(propValue, properties[key], childPath(path, key)));
+      } else if (s.additionalProperties === false) {
+        add('is not allowed', childPath(path, key));
+      } else if (isPlainObject(s.additionalProperties)) {
+        issues.push(...validateJsonSchema(propValue, s.additionalProperties, childPath(path, key)));
+      }
+    }
+  }
+
+  return issues;
+}
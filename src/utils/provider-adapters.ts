@@ -0,0 +1,82 @@
+/**
+ * Provider adapters: built-ins, registry and resolution for the `provider` prop.
+ */
+
+import { DEFAULT_IDLE_TIMEOUT_MS } from '../constants/voice-agent';
+import type { ProviderAdapter, ProviderOption } from '../types/provider';
+import { buildSettingsMessage } from './buildSettingsMessage';
+
+/**
+ * Deepgram Voice Agent (direct or through a pass-through proxy).
+ * Deepgram can send agent JSON in binary frames; `is_final` repeats per segment, so only `speech_final` ends a turn.
+ */
+export const deepgramProviderAdapter: ProviderAdapter = {
+  id: 'deepgram',
+  binaryFramesArePCMOnly: false,
+  transcriptsOnAgentConnection: false,
+  defaultIdleTimeoutMs: DEFAULT_IDLE_TIMEOUT_MS,
+  isUtteranceComplete: (transcript) => transcript.speech_final === true,
+  buildSettings: (options) =>
+    buildSettingsMessage(options, { isOpenAIProxy: false, defaultIdleTimeoutMs: DEFAULT_IDLE_TIMEOUT_MS }),
+};
+
+/**
+ * OpenAI Realtime translation proxy (voice-agent-backend).
+ * One session carries audio, transcripts and VAD; binary frames are PCM only; completed segments arrive with
+ * `is_final`; Settings carries the session fields the translator maps onto `session.update`; push-to-talk turns end
+ * with `EndUserTurn` (input_audio_buffer.commit + response.create).
+ */
+export const openAIProxyProviderAdapter: ProviderAdapter = {
+  id: 'openai-proxy',
+  binaryFramesArePCMOnly: true,
+  transcriptsOnAgentConnection: true,
+  supportsEndUserTurn: true,
+  defaultIdleTimeoutMs: DEFAULT_IDLE_TIMEOUT_MS,
+  isUtteranceComplete: (transcript) => transcript.speech_final === true || transcript.is_final === true,
+  buildSettings: (options) =>
+    buildSettingsMessage(options, { isOpenAIProxy: true, defaultIdleTimeoutMs: DEFAULT_IDLE_TIMEOUT_MS }),
+};
+
+const registry = new Map<string, ProviderAdapter>([
+  [deepgramProviderAdapter.id, deepgramProviderAdapter],
+  [openAIProxyProviderAdapter.id, openAIProxyProviderAdapter],
+]);
+
+/**
+ * Register a custom adapter so it can be selected with `provider="<id>"`.
+ * Registering an existing id replaces it, including the built-ins.
+ */
+export function registerProviderAdapter(adapter: ProviderAdapter): void {
+  if (!adapter || typeof adapter.id !== 'string' || adapter.id.trim() === '') {
+    throw new Error('Provider adapter must have a non-empty id');
+  }
+  registry.set(adapter.id, adapter);
+}
+
+/**
+ * Look up a registered adapter by id.
+ */
+export function getProviderAdapter(id: string): ProviderAdapter | undefined {
+  return registry.get(id);
+}
+
+/**
+ * Resolve the adapter for a component instance.
+ *
+ * An explicit `provider` always wins. Without it, a proxy endpoint containing '/openai' still selects the
+ * OpenAI proxy adapter so existing integrations keep working; everything else is Deepgram.
+ */
+export function resolveProviderAdapter(
+  provider: ProviderOption | undefined,
+  proxyEndpoint?: string
+): ProviderAdapter {
+  if (provider !== undefined) {
+    if (typeof provider !== 'string') return provider;
+    const adapter = registry.get(provider);
+    if (!adapter) {
+      throw new Error(`Unknown provider "${provider}". Register it with registerProviderAdapter() first.`);
+    }
+    return adapter;
+  }
+  return (proxyEndpoint ?? '').includes('/openai') ? openAIProxyProviderAdapter : deepgramProviderAdapter;
+}
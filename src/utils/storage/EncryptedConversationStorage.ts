@@ -0,0 +1,115 @@
+/**
+ * ConversationStorage wrapper that encrypts values with AES-GCM (WebCrypto)
+ *
+ * Each write gets a fresh 96-bit IV; the storage key is bound as additional authenticated data, so a ciphertext
+ * copied to another key (e.g. another session) fails to decrypt. Stored values look like
+ * `enc:v1:<base64 iv>:<base64 ciphertext>` and are opaque to the wrapped storage.
+ */
+
+import type { ConversationStorage } from '../../types';
+
+const VALUE_PREFIX = 'enc:v1:';
+const IV_BYTES = 12;
+
+export interface EncryptedConversationStorageOptions {
+  /**
+   * Return values that are not encrypted (written before encryption was enabled) as-is, so they are migrated on
+   * the next write. When false they read as missing.
+   * @default false
+   */
+  allowPlaintextReads?: boolean;
+  /** WebCrypto implementation to use instead of the global `crypto` */
+  crypto?: Crypto;
+}
+
+/** AES-GCM key (256-bit recommended) from raw bytes; not extractable */
+export function importConversationEncryptionKey(
+  rawKey: ArrayBuffer | ArrayBufferView,
+  crypto: Crypto = globalThis.crypto
+): Promise<CryptoKey> {
+  return crypto.subtle.importKey('raw', rawKey, { name: 'AES-GCM' }, false, ['encrypt', 'decrypt']);
+}
+
+function toBase64(bytes: Uint8Array): string {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+  return btoa(binary);
+}
+
+function fromBase64(value: string): Uint8Array {
+  const binary = atob(value);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+export class EncryptedConversationStorage implements ConversationStorage {
+  /** Never mirror decrypted conversations to localStorage */
+  public readonly allowLocalStorageMirror = false;
+  private readonly inner: ConversationStorage;
+  private readonly key: CryptoKey | (() => Promise<CryptoKey>);
+  private readonly allowPlaintextReads: boolean;
+  private readonly crypto: Crypto;
+  private readonly encoder = new TextEncoder();
+  private readonly decoder = new TextDecoder();
+
+  /**
+   * @param inner - Storage that receives the encrypted values (localStorage wrapper, IndexedDBConversationStorage, ...)
+   * @param key - AES-GCM CryptoKey, or a function resolving it (e.g. after the user signs in)
+   */
+  constructor(
+    inner: ConversationStorage,
+    key: CryptoKey | (() => Promise<CryptoKey>),
+    options: EncryptedConversationStorageOptions = {}
+  ) {
+    this.inner = inner;
+    this.key = key;
+    this.allowPlaintextReads = options.allowPlaintextReads ?? false;
+    const crypto = options.crypto ?? globalThis.crypto;
+    if (!crypto?.subtle) {
+      throw new Error('EncryptedConversationStorage requires WebCrypto (crypto.subtle); use a secure context (HTTPS)');
+    }
+    this.crypto = crypto;
+  }
+
+  public async getItem(key: string): Promise<string | null> {
+    const stored = await this.inner.getItem(key);
+    if (!stored) return null;
+    if (!stored.startsWith(VALUE_PREFIX)) {
+      return this.allowPlaintextReads ? stored : null;
+    }
+    const [ivPart, dataPart] = stored.slice(VALUE_PREFIX.length).split(':');
+    try {
+      const plaintext = await this.crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: fromBase64(ivPart), additionalData: this.encoder.encode(key) },
+        await this.resolveKey(),
+        fromBase64(dataPart ?? '')
+      );
+      return this.decoder.decode(plaintext);
+    } catch (error) {
+      throw new Error(
+        `Cannot decrypt conversation storage value for "${key}" (wrong key or tampered data): ${
+          error instanceof Error ? error.message : String(error)
+        }`
+      );
+    }
+  }
+
+  public async setItem(key: string, value: string): Promise<void> {
+    const iv = this.crypto.getRandomValues(new Uint8Array(IV_BYTES));
+    const ciphertext = await this.crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv, additionalData: this.encoder.encode(key) },
+      await this.resolveKey(),
+      this.encoder.encode(value)
+    );
+    await this.inner.setItem(key, `${VALUE_PREFIX}${toBase64(iv)}:${toBase64(new Uint8Array(ciphertext))}`);
+  }
+
+  public removeItem(key: string): Promise<void> {
+    return this.inner.removeItem ? this.inner.removeItem(key) : this.inner.setItem(key, '');
+  }
+
+  private resolveKey(): Promise<CryptoKey> {
+    return typeof this.key === 'function' ? this.key() : Promise.resolve(this.key);
+  }
+}
@@ -0,0 +1,111 @@
+/**
+ * ConversationStorage backed by IndexedDB
+ *
+ * Asynchronous and not bound by the ~5 MB localStorage quota. Values are strings in one object store keyed by the
+ * storage key. The database is opened on first use and closed when another tab upgrades it.
+ */
+
+import type { ConversationStorage } from '../../types';
+
+export interface IndexedDBConversationStorageOptions {
+  /** @default 'voice-agent-conversations' */
+  databaseName?: string;
+  /** @default 'conversations' */
+  storeName?: string;
+  /** IDBFactory to use instead of the global `indexedDB` (tests, workers) */
+  indexedDB?: IDBFactory;
+}
+
+const DATABASE_VERSION = 1;
+
+function requestToPromise<T>(request: IDBRequest<T>): Promise<T> {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error ?? new Error('IndexedDB request failed'));
+  });
+}
+
+export class IndexedDBConversationStorage implements ConversationStorage {
+  /** The component does not mirror conversations to localStorage for this storage */
+  public readonly allowLocalStorageMirror = false;
+  private readonly databaseName: string;
+  private readonly storeName: string;
+  private readonly factory: IDBFactory | undefined;
+  private database: Promise<IDBDatabase> | null = null;
+
+  constructor(options: IndexedDBConversationStorageOptions = {}) {
+    this.databaseName = options.databaseName ?? 'voice-agent-conversations';
+    this.storeName = options.storeName ?? 'conversations';
+    this.factory = options.indexedDB ?? (typeof indexedDB !== 'undefined' ? indexedDB : undefined);
+  }
+
+  public async getItem(key: string): Promise<string | null> {
+    const value = await this.run('readonly', (store) => store.get(key));
+    return typeof value === 'string' ? value : null;
+  }
+
+  public async setItem(key: string, value: string): Promise<void> {
+    await this.run('readwrite', (store) => store.put(value, key));
+  }
+
+  public async removeItem(key: string): Promise<void> {
+    await this.run('readwrite', (store) => store.delete(key));
+  }
+
+  /** All stored keys (e.g. to find conversations written outside a session index) */
+  public async keys(): Promise<string[]> {
+    const keys = await this.run('readonly', (store) => store.getAllKeys());
+    return keys.filter((key): key is string => typeof key === 'string');
+  }
+
+  /** Close the connection; the next call reopens it */
+  public close(): void {
+    const database = this.database;
+    this.database = null;
+    database?.then((db) => db.close()).catch(() => undefined);
+  }
+
+  private async run<T>(mode: 'readonly' | 'readwrite', operation: (store: IDBObjectStore) => IDBRequest<T>): Promise<T> {
+    const db = await this.open();
+    const transaction = db.transaction(this.storeName, mode);
+    // Writes are durable only once the transaction completes
+    const completed = new Promise<void>((resolve, reject) => {
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error ?? new Error('IndexedDB transaction failed'));
+      transaction.onabort = () => reject(transaction.error ?? new Error('IndexedDB transaction aborted'));
+    });
+    const [result] = await Promise.all([requestToPromise(operation(transaction.objectStore(this.storeName))), completed]);
+    return result;
+  }
+
+  private open(): Promise<IDBDatabase> {
+    if (this.database) return this.database;
+    const factory = this.factory;
+    if (!factory) {
+      return Promise.reject(new Error('IndexedDB is not available in this environment'));
+    }
+    const opening = new Promise<IDBDatabase>((resolve, reject) => {
+      const request = factory.open(this.databaseName, DATABASE_VERSION);
+      request.onupgradeneeded = () => {
+        if (!request.result.objectStoreNames.contains(this.storeName)) {
+          request.result.createObjectStore(this.storeName);
+        }
+      };
+      request.onsuccess = () => {
+        const db = request.result;
+        db.onversionchange = () => {
+          db.close();
+          if (this.database === opening) this.database = null;
+        };
+        resolve(db);
+      };
+      request.onerror = () => reject(request.error ?? new Error(`Failed to open IndexedDB database ${this.databaseName}`));
+      request.onblocked = () => reject(new Error(`Opening IndexedDB database ${this.databaseName} is blocked by another tab`));
+    });
+    this.database = opening;
+    opening.catch(() => {
+      if (this.database === opening) this.database = null;
+    });
+    return opening;
+  }
+}
@@ -0,0 +1,110 @@
+/**
+ * Declarative tools (`tools` prop): Settings definitions and in-component dispatch
+ *
+ * Pure helpers so the component only decides *when* to run a tool; argument parsing, schema validation and
+ * the FunctionCallResponse content live here.
+ */
+
+import type { AgentFunction } from '../types/agent';
+import type { FunctionCallAbandonReason, FunctionCallOptions, FunctionCallRequest } from '../types';
+import type { ToolDefinition, ToolErrorCode, ToolErrorContent, ToolValidationIssue } from '../types/tools';
+import { validateJsonSchema } from './json-schema-validator';
+
+/**
+ * Strip handlers so tools can be sent as `agent.think.functions`
+ */
+export function toolsToAgentFunctions(tools: ToolDefinition[]): AgentFunction[] {
+  return tools.map((tool) => {
+    // eslint-disable-next-line @typescript-eslint/no-unused-vars, no-unused-vars
+    const { execute: _execute, timeoutMs: _timeoutMs, ...definition } = tool;
+    return definition;
+  });
+}
+
+/**
+ * Functions for Settings: `agentOptions.functions` plus tool definitions. A tool replaces a function of the same name.
+ * Returns `functions` unchanged when there are no tools.
+ */
+export function mergeToolFunctions(
+  functions: AgentFunction[] | undefined,
+  tools: ToolDefinition[] | undefined
+): AgentFunction[] | undefined {
+  if (!tools || tools.length === 0) return functions;
+  const toolNames = new Set(tools.map((tool) => tool.name));
+  return [...(functions ?? []).filter((fn) => !toolNames.has(fn.name)), ...toolsToAgentFunctions(tools)];
+}
+
+export function findTool(tools: ToolDefinition[] | undefined, name: string): ToolDefinition | undefined {
+  return tools?.find((tool) => tool.name === name);
+}
+
+function toolError(code: ToolErrorCode, error: string, issues?: ToolValidationIssue[]): string {
+  const content: ToolErrorContent = issues ? { error, code, issues } : { error, code };
+  return JSON.stringify(content);
+}
+
+/**
+ * Timeout for a client-side function call: the tool's own `timeoutMs`, else `timeouts[name]`, else `timeoutMs`.
+ * Undefined means no timeout.
+ */
+export function resolveFunctionCallTimeoutMs(
+  name: string,
+  options: FunctionCallOptions | undefined,
+  tool?: ToolDefinition
+): number | undefined {
+  return tool?.timeoutMs ?? options?.timeouts?.[name] ?? options?.timeoutMs;
+}
+
+/**
+ * FunctionCallResponse content sent when a call is abandoned while the agent can still be answered
+ */
+export function abandonedFunctionCallContent(
+  name: string,
+  reason: Exclude<FunctionCallAbandonReason, 'disconnected'>,
+  timeoutMs?: number
+): string {
+  return reason === 'timeout'
+    ? JSON.stringify({ error: `Function ${name} timed out after ${timeoutMs} ms`, code: 'timeout' })
+    : JSON.stringify({ error: `Function ${name} was cancelled because the user interrupted`, code: 'cancelled' });
+}
+
+/**
+ * Parse and validate the call's arguments, run the handler and return the FunctionCallResponse content.
+ * Never rejects: invalid arguments and handler failures become a structured error (`ToolErrorContent`).
+ */
+export async function executeToolCall(
+  tool: ToolDefinition,
+  functionCall: FunctionCallRequest,
+  signal: AbortSignal = new AbortController().signal
+): Promise<string> {
+  let args: unknown;
+  try {
+    args = functionCall.arguments && functionCall.arguments.trim() ? JSON.parse(functionCall.arguments) : {};
+  } catch (error) {
+    return toolError(
+      'invalid_arguments',
+      `Arguments for ${tool.name} are not valid JSON: ${error instanceof Error ? error.message : String(error)}`
+    );
+  }
+  if (args === null || typeof args !== 'object' || Array.isArray(args)) {
+    return toolError('invalid_arguments', `Arguments for ${tool.name} must be a JSON object`);
+  }
+
+  const issues = validateJsonSchema(args, tool.parameters);
+  if (issues.length > 0) {
+    const summary = issues.map((issue) => `${issue.path} ${issue.message}`).join('; ');
+    return toolError('invalid_arguments', `Invalid arguments for ${tool.name}: ${summary}`, issues);
+  }
+
+  try {
+    const result = await tool.execute(args as Record<string, unknown>, {
+      id: functionCall.id,
+      name: functionCall.name,
+      rawArguments: functionCall.arguments,
+      signal,
+    });
+    return JSON.stringify(result === undefined ? null : result);
+  } catch (error) {
+    return toolError('execution_failed', error instanceof Error ? error.message : String(error));
+  }
+}
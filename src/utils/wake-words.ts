@@ -0,0 +1,40 @@
+/**
+ * Wake-phrase matching for `sleepOptions.wakeWords`.
+ *
+ * Transcripts arrive with arbitrary casing and punctuation ("Hey, Assistant!"), so both sides are
+ * reduced to lowercase word tokens before comparing. A phrase matches only on whole-word boundaries:
+ * "hey bot" matches "ok hey bot what time is it" but not "hey bottle".
+ */
+
+/**
+ * Lowercase, strip punctuation and collapse whitespace so phrases compare token-by-token.
+ * Apostrophes are dropped (not turned into spaces) so "what's" stays one token.
+ */
+export function normalizeWakeWordText(text: string): string {
+  return text
+    .toLowerCase()
+    .replace(/['’]/g, '')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+/**
+ * Returns the first configured wake phrase found in the transcript, or null when none match.
+ * The returned value is the phrase as configured (not normalized) so callers can report it verbatim.
+ *
+ * @param transcript - Transcript text (interim or final)
+ * @param wakeWords - Phrases from `sleepOptions.wakeWords`; empty or blank entries are ignored
+ */
+export function findWakeWord(transcript: string, wakeWords: readonly string[] | undefined): string | null {
+  if (!wakeWords || wakeWords.length === 0) return null;
+  const normalizedTranscript = normalizeWakeWordText(transcript);
+  if (!normalizedTranscript) return null;
+  const padded = ` ${normalizedTranscript} `;
+  for (const phrase of wakeWords) {
+    const normalizedPhrase = normalizeWakeWordText(phrase);
+    if (normalizedPhrase && padded.includes(` ${normalizedPhrase} `)) {
+      return phrase;
+    }
+  }
+  return null;
+}
@@ -2,8 +2,21 @@ import {
   DEFAULT_CONNECTION_TIMEOUT_MS,
   DEFAULT_IDLE_TIMEOUT_MS,
   DEFAULT_KEEPALIVE_INTERVAL_MS,
+  DEFAULT_RECONNECT_BACKOFF_MULTIPLIER,
+  DEFAULT_RECONNECT_INITIAL_DELAY_MS,
+  DEFAULT_RECONNECT_JITTER_RATIO,
+  DEFAULT_RECONNECT_MAX_ATTEMPTS,
+  DEFAULT_RECONNECT_MAX_DELAY_MS,
+  DEFAULT_RETRYABLE_CLOSE_CODES,
 } from '../../constants/voice-agent';
-import { ConnectionState, DeepgramError, ServiceType } from '../../types';
+import {
+  ConnectionState,
+  DeepgramError,
+  ReconnectAttemptInfo,
+  ReconnectFailedInfo,
+  ReconnectOptions,
+  ServiceType,
+} from '../../types';
 import { AgentResponseType } from '../../types/agent';
 import { functionCallLogger } from '../function-call-logger';
 import { getLogger, type Logger } from '../logger';
@@ -15,7 +28,9 @@ const AGENT_ACTIVITY_MESSAGE_TYPES = ['AgentThinking', 'AgentStartedSpeaking', '
  * Event types emitted by the WebSocketManager
  */
 export type WebSocketEvent = 
-  | { type: 'state'; state: ConnectionState; isReconnection?: boolean }
+  | { type: 'state'; state: ConnectionState; isReconnection?: boolean; willReconnect?: boolean }
+  | { type: 'reconnecting'; info: ReconnectAttemptInfo }
+  | { type: 'reconnect_failed'; info: ReconnectFailedInfo }
   | { type: 'message'; data: unknown }
   | { type: 'binary'; data: ArrayBuffer }
   | { type: 'keepalive'; data: { type: string; timestamp: number; service: ServiceType } }
@@ -90,6 +105,47 @@ export interface WebSocketManagerOptions {
    * JSON in binary). Agent service only; set by component when proxyEndpoint indicates OpenAI proxy.
    */
   binaryFramesArePCMOnly?: boolean;
+
+  /**
+   * Automatic reconnection after an unexpected close. Off by default (lazy reconnection).
+   * While retrying, the manager emits 'reconnecting' before each attempt and 'reconnect_failed' when it gives up;
+   * the 'closed' state event carries willReconnect so listeners can keep session state across the gap.
+   */
+  reconnect?: ReconnectOptions;
+}
+
+type ResolvedReconnectPolicy = Required<Omit<ReconnectOptions, 'retryableCloseCodes'>> & {
+  retryableCloseCodes: readonly number[];
+};
+
+function resolveReconnectPolicy(options: ReconnectOptions | undefined): ResolvedReconnectPolicy {
+  return {
+    enabled: options?.enabled ?? false,
+    maxAttempts: options?.maxAttempts ?? DEFAULT_RECONNECT_MAX_ATTEMPTS,
+    initialDelayMs: options?.initialDelayMs ?? DEFAULT_RECONNECT_INITIAL_DELAY_MS,
+    maxDelayMs: options?.maxDelayMs ?? DEFAULT_RECONNECT_MAX_DELAY_MS,
+    backoffMultiplier: options?.backoffMultiplier ?? DEFAULT_RECONNECT_BACKOFF_MULTIPLIER,
+    jitterRatio: options?.jitterRatio ?? DEFAULT_RECONNECT_JITTER_RATIO,
+    retryableCloseCodes: options?.retryableCloseCodes ?? DEFAULT_RETRYABLE_CLOSE_CODES,
+  };
+}
+
+/**
+ * Delay before reconnect attempt `attempt` (1-based): exponential backoff from initialDelayMs,
+ * spread by ±jitterRatio and capped at maxDelayMs. `random` is injectable for tests.
+ */
+export function computeReconnectDelay(
+  attempt: number,
+  options?: ReconnectOptions,
+  random: () => number = Math.random
+): number {
+  const policy = resolveReconnectPolicy(options);
+  const base = Math.min(
+    policy.maxDelayMs,
+    policy.initialDelayMs * Math.pow(policy.backoffMultiplier, Math.max(0, attempt - 1))
+  );
+  const jitter = base * policy.jitterRatio * (random() * 2 - 1);
+  return Math.max(0, Math.min(policy.maxDelayMs, Math.round(base + jitter)));
 }
 
 /**
@@ -117,8 +173,9 @@ export class WebSocketManager {
   private idleTimeoutId: number | null = null;
   private connectionState: ConnectionState = 'closed';
   private reconnectAttempts = 0;
-  private maxReconnectAttempts = 5;
-  // private reconnectDelay = 1000; // Start with 1 second - Unused for now
+  private reconnectTimerId: number | null = null;
+  /** Set by close(): an intentional close (stop, idle timeout) must not trigger automatic reconnection. */
+  private closedByClient = false;
   private hasEverConnected = false;
   private idleTimeoutDisabled = false; // Flag to disable idle timeout resets
   private settingsSent = false; // Track if Settings has been sent (for agent service only)
@@ -210,9 +267,9 @@ export class WebSocketManager {
   /**
    * Updates the connection state and emits a state event
    */
-  private updateState(state: ConnectionState, isReconnection?: boolean): void {
+  private updateState(state: ConnectionState, isReconnection?: boolean, willReconnect?: boolean): void {
     this.connectionState = state;
-    this.emit({ type: 'state', state, isReconnection });
+    this.emit(willReconnect ? { type: 'state', state, isReconnection, willReconnect } : { type: 'state', state, isReconnection });
   }
 
   /**
@@ -299,6 +356,13 @@ export class WebSocketManager {
       return Promise.resolve();
     }
 
+    this.closedByClient = false;
+    if (this.reconnectTimerId !== null) {
+      // Caller connected explicitly while a retry was pending: that connect replaces the retry cycle
+      this.clearReconnectTimer();
+      this.reconnectAttempts = 0;
+    }
+
     this.log('Connecting to WebSocket...');
     this.updateState('connecting');
 
@@ -333,6 +397,7 @@ export class WebSocketManager {
             this.logger.debug('[WebSocketManager.connect] Created WebSocket with token protocol (direct mode)');
           }
         }
+        const socket = this.ws;
         // Ensure binary frames (e.g. TTS PCM from proxy) are delivered as ArrayBuffer for synchronous handling
         this.ws.binaryType = 'arraybuffer';
         
@@ -350,7 +415,14 @@ export class WebSocketManager {
             this.log('Connection timeout reached');
             this.emit({ type: 'error', error });
             this.updateState('error');
-            this.close();
+            // A timed-out retry keeps the reconnect cycle going; a timed-out first connect does not
+            const retrying = this.reconnectAttempts > 0 && this.canReconnectAgain();
+            this.closeSocket(retrying);
+            if (retrying) {
+              this.scheduleReconnect(1006, 'Connection timed out');
+            } else if (this.reconnectAttempts > 0) {
+              this.failReconnect(1006, 'Connection timed out');
+            }
             reject(new Error('Connection timed out'));
           }
         }, this.options.connectionTimeout);
@@ -521,16 +593,18 @@ export class WebSocketManager {
           
           // Check if we were connected before updating state
           const wasConnected = this.connectionState === 'connected';
-          this.updateState('closed');
-          
-          // LAZY RECONNECTION: Do not attempt automatic reconnection
-          // Connections will timeout naturally and require manual reconnection
-          // via resumeWithText() or resumeWithAudio() methods
-          if (wasConnected) {
+          // Only the current socket drives reconnection; a socket already replaced or closed via close() is ignored.
+          const decision = socket === this.ws ? this.getReconnectDecision(event.code, wasConnected) : 'none';
+          this.updateState('closed', undefined, decision === 'retry');
+
+          if (decision === 'retry') {
+            this.scheduleReconnect(event.code, event.reason);
+          } else if (decision === 'exhausted') {
+            this.failReconnect(event.code, event.reason);
+          } else if (wasConnected) {
+            // LAZY RECONNECTION: the next start() / injectUserMessage() opens a new connection
             this.log('🔄 [LAZY_RECONNECT] Connection closed - lazy reconnection enabled, waiting for manual trigger');
             this.log(`🔄 [LAZY_RECONNECT] Close details: code=${event.code}, reason='${event.reason}', wasClean=${event.wasClean}`);
-            this.log(`🔄 [LAZY_RECONNECT] Previous connection state: ${this.connectionState}`);
-            this.log(`🔄 [LAZY_RECONNECT] Reconnect attempts would have been: ${this.reconnectAttempts}/${this.maxReconnectAttempts}`);
           }
         };
       } catch (error) {
@@ -542,20 +616,87 @@ export class WebSocketManager {
   }
 
   /**
-   * Attempt to reconnect with exponential backoff
+   * Whether a close should start (or continue) automatic reconnection.
+   * 'exhausted' means the close was retryable but maxAttempts is used up.
+   */
+  private getReconnectDecision(code: number, wasConnected: boolean): 'retry' | 'exhausted' | 'none' {
+    const policy = resolveReconnectPolicy(this.options.reconnect);
+    if (!policy.enabled || this.closedByClient) return 'none';
+    // Either a live connection dropped, or a retry attempt itself failed to open
+    if (!wasConnected && this.reconnectAttempts === 0) return 'none';
+    if (!policy.retryableCloseCodes.includes(code)) {
+      if (this.reconnectAttempts > 0) return 'exhausted';
+      this.log(`Close code ${code} is not retryable - not reconnecting`);
+      return 'none';
+    }
+    return this.canReconnectAgain() ? 'retry' : 'exhausted';
+  }
+
+  private canReconnectAgain(): boolean {
+    return this.reconnectAttempts < resolveReconnectPolicy(this.options.reconnect).maxAttempts;
+  }
+
+  /**
+   * Schedule the next reconnect attempt with exponential backoff and jitter
+   */
+  private scheduleReconnect(closeCode: number, closeReason?: string): void {
+    const policy = resolveReconnectPolicy(this.options.reconnect);
+    this.reconnectAttempts++;
+    const nextDelayMs = computeReconnectDelay(this.reconnectAttempts, this.options.reconnect);
+    this.logger.info(
+      `Reconnecting in ${nextDelayMs}ms (attempt ${this.reconnectAttempts}/${policy.maxAttempts})`,
+      { service: this.options.service, closeCode }
+    );
+    this.emit({
+      type: 'reconnecting',
+      info: {
+        service: this.options.service,
+        attempt: this.reconnectAttempts,
+        maxAttempts: policy.maxAttempts,
+        nextDelayMs,
+        closeCode,
+        ...(closeReason ? { closeReason } : {}),
+      },
+    });
+
+    this.clearReconnectTimer();
+    this.reconnectTimerId = window.setTimeout(() => {
+      this.reconnectTimerId = null;
+      // A failed attempt schedules the next one from onclose / connection timeout, not from here
+      this.connect().catch(error => {
+        this.log('Reconnect attempt failed:', error instanceof Error ? error.message : error);
+      });
+    }, nextDelayMs);
+  }
+
+  private failReconnect(closeCode: number, closeReason?: string): void {
+    const attempts = this.reconnectAttempts;
+    this.reconnectAttempts = 0;
+    this.logger.warn(`Giving up reconnecting after ${attempts} attempt(s)`, { service: this.options.service, closeCode });
+    this.emit({
+      type: 'reconnect_failed',
+      info: {
+        service: this.options.service,
+        attempts,
+        closeCode,
+        ...(closeReason ? { closeReason } : {}),
+      },
+    });
+  }
+
+  private clearReconnectTimer(): void {
+    if (this.reconnectTimerId !== null) {
+      window.clearTimeout(this.reconnectTimerId);
+      this.reconnectTimerId = null;
+    }
+  }
+
+  /**
+   * Whether an automatic reconnect attempt is scheduled or in flight
    */
-  // private attemptReconnect(): void { // Unused for now
-  //   this.reconnectAttempts++;
-  //   const delay = Math.min(30000, this.reconnectDelay * Math.pow(1.5, this.reconnectAttempts - 1));
-  //   
-  //   this.log(`Reconnecting in ${delay}ms (attempt ${this.reconnectAttempts}/${this.maxReconnectAttempts})`);
-  //   
-  //   setTimeout(() => {
-  //     this.connect().catch(error => {
-  //       this.log('Reconnection failed:', error);
-  //     });
-  //   }, delay);
-  // }
+  public isReconnecting(): boolean {
+    return this.reconnectAttempts > 0;
+  }
 
   /**
    * Starts the keepalive interval
@@ -924,13 +1065,23 @@ export class WebSocketManager {
   }
 
   /**
-   * Closes the WebSocket connection
+   * Closes the WebSocket connection. Intentional: cancels any pending automatic reconnection.
    */
   public close(): void {
     // Add stack trace to understand who is calling close()
     const stack = new Error().stack;
     this.log('Closing WebSocket');
     this.log(`🔧 [WebSocketManager] close() called from:`, stack?.split('\n').slice(2, 5).join('\n'));
+    this.closedByClient = true;
+    this.clearReconnectTimer();
+    this.reconnectAttempts = 0;
+    this.closeSocket();
+  }
+
+  /**
+   * Tears down the current socket and timers without changing reconnect intent
+   */
+  private closeSocket(willReconnect = false): void {
     this.stopKeepalive();
     this.stopIdleTimeout();
     
@@ -940,15 +1091,17 @@ export class WebSocketManager {
     }
     
     if (this.ws) {
+      // Detach first so the socket's own onclose never drives reconnection
+      const ws = this.ws;
+      this.ws = null;
       try {
-        this.ws.close(1000, 'Closed by client');
+        ws.close(1000, 'Closed by client');
       } catch (error) {
         this.log('Error closing WebSocket:', error);
       }
-      this.ws = null;
     }
-    
-    this.updateState('closed');
+
+    this.updateState('closed', undefined, willReconnect);
   }
 
   /**
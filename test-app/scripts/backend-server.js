@@ -7,6 +7,7 @@
  *   - GET /health: liveness (process serving HTTP)
  *   - GET /ready: readiness JSON — which proxy services are enabled (no secrets)
  *   - POST /function-call: execute function calls (common handlers; see function-call-handlers.js)
+ *   - GET /function-call: the agent function definitions declared in function-call-handlers.js
  *
  * One implementation per proxy (DRY). See docs/BACKEND-PROXY/ARCHITECTURE.md.
  *
@@ -32,7 +33,7 @@ import path from 'path';
 import { createRequire } from 'module';
 import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
-import { executeFunctionCall } from './function-call-handlers.js';
+import { FUNCTIONS } from './function-call-handlers.js';
 import { getLogger, generateTraceId } from './logger.js';
 
 // Load packages/voice-agent-backend/.env only (not test-app/.env — VITE_* belongs to the frontend).
@@ -45,7 +46,7 @@ const require = createRequire(import.meta.url);
 const voiceAgentBackendPath = path.resolve(__dirname, '..', '..', 'packages', 'voice-agent-backend', 'src', 'index.js');
 const voiceAgentBackendPkgDir = path.resolve(__dirname, '..', '..', 'packages', 'voice-agent-backend');
 const { createFunctionCallHandler, attachVoiceAgentUpgrade } = require(voiceAgentBackendPath);
-const functionCallHandler = createFunctionCallHandler({ execute: executeFunctionCall });
+const functionCallHandler = createFunctionCallHandler({ functions: FUNCTIONS });
 if (process.env.SKIP_DOTENV !== '1') {
   dotenv.config({ path: path.join(voiceAgentBackendPkgDir, '.env') });
 }
@@ -196,8 +197,8 @@ const requestHandler = (req, res) => {
     return;
   }
 
-  // POST /function-call — Issue #407, #423: delegated to voice-agent-backend package (thin wrapper)
-  if (req.method === 'POST' && pathname === '/function-call') {
+  // POST /function-call (and GET for the definitions) — Issue #407, #423: delegated to voice-agent-backend package (thin wrapper)
+  if ((req.method === 'POST' || req.method === 'GET') && pathname === '/function-call') {
     const traceId = req.headers['x-trace-id'] || req.headers['x-request-id'] || generateTraceId();
     rootLog.debug('Function call request', { traceId });
     // Ensure CORS so browser (e.g. app at localhost:5173) can read the response (Issue #489 diagnostic: step 1 failed with hasError true, status undefined when CORS was missing or origin not reflected)
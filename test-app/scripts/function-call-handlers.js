@@ -26,25 +26,24 @@ function getCurrentTime(args = {}) {
   return { time, timezone: tz, e2eVerify: OPENAI_PROXY_FC_E2E_VERIFY_TOKEN };
 }
 
-const HANDLERS = {
-  get_current_time: getCurrentTime,
-};
-
 /**
- * Execute a function by name with parsed arguments.
- * @param {string} name - Function name (e.g. 'get_current_time')
- * @param {object} args - Parsed arguments object
- * @returns {{ content: string } | { error: string }}
+ * Functions the test-app agent can call, declared once for the voice-agent-backend registry: the backend serves
+ * these definitions on GET /function-call and validates arguments against `parameters` before calling `handler`.
+ * @type {import('../../packages/voice-agent-backend/src/function-registry.js').FunctionDeclaration[]}
  */
-export function executeFunctionCall(name, args) {
-  const handler = HANDLERS[name];
-  if (!handler) {
-    return { error: `Unknown function: ${name}` };
-  }
-  try {
-    const result = handler(args || {});
-    return { content: JSON.stringify(result) };
-  } catch (err) {
-    return { error: err instanceof Error ? err.message : String(err) };
-  }
-}
+export const FUNCTIONS = [
+  {
+    name: 'get_current_time',
+    description: 'Get the current time in a specific timezone. Use this when users ask about the time, what time it is, or current time.',
+    parameters: {
+      type: 'object',
+      properties: {
+        timezone: {
+          type: 'string',
+          description: 'Timezone (e.g., "America/New_York", "UTC", "Europe/London"). Defaults to UTC if not specified.',
+        },
+      },
+    },
+    handler: getCurrentTime,
+  },
+];
@@ -17,12 +17,13 @@ import {
   type ConversationStorage,
   type AgentFunction,
   getLogger,
+  decodeStoredConversation,
 } from '@signal-meaning/voice-agent-react';
 import { loadInstructionsFromFile, getClientViteDefaultInstructionsOverride } from '../../src/utils/instructions-loader';
 import { ClosureIssueTestPage } from './closure-issue-test-page';
 import { getFunctionDefinitions } from './utils/functionDefinitions';
 import { getContextForSettings } from './utils/context-for-settings';
-import { getFunctionCallBackendBaseUrl, forwardFunctionCallToBackend } from './utils/functionCallBackend';
+import { getFunctionCallBackendBaseUrl, forwardFunctionCallToBackend, fetchFunctionDefinitions } from './utils/functionCallBackend';
 import { generateSessionId } from './session-management';
 import { LiveModeView } from './live-mode/LiveModeView';
 import {
@@ -120,10 +121,7 @@ const CONVERSATION_STORAGE_KEY = 'dg_voice_conversation';
 function getValidConversationFromStorage(key: string): Array<{ role: 'user' | 'assistant'; content: string }> | null {
   if (typeof localStorage === 'undefined') return null;
   try {
-    const raw = localStorage.getItem(key);
-    if (!raw) return null;
-    const parsed = JSON.parse(raw) as Array<{ role?: string; content?: string }>;
-    if (!Array.isArray(parsed) || parsed.length === 0) return null;
+    const parsed = decodeStoredConversation(localStorage.getItem(key))?.items ?? [];
     const valid = parsed.filter(
       (m): m is { role: 'user' | 'assistant'; content: string } =>
         (m.role === 'user' || m.role === 'assistant') && typeof m.content === 'string'
@@ -196,6 +194,10 @@ const localStorageConversationStorage: ConversationStorage = {
     if (typeof localStorage !== 'undefined') localStorage.setItem(key, value);
     return Promise.resolve();
   },
+  removeItem: (key: string) => {
+    if (typeof localStorage !== 'undefined') localStorage.removeItem(key);
+    return Promise.resolve();
+  },
 };
 
 /** Prevent Deepgram key material from reaching sessionLogger / Playwright console (Issue #544). */
@@ -637,6 +639,39 @@ function App() {
 
   // Track URL parameters to ensure useMemo recomputes when they change
   const urlParamsString = typeof window !== 'undefined' ? window.location.search : '';
+
+  // Function definitions come from the backend registry (GET /function-call). Load them before the component
+  // renders: changing agentOptions.functions afterwards re-initializes it.
+  const [backendFunctions, setBackendFunctions] = useState<AgentFunction[] | undefined>(undefined);
+  const [functionDefinitionsLoading, setFunctionDefinitionsLoading] = useState(
+    () => new URLSearchParams(urlParamsString).get('enable-function-calling') === 'true'
+  );
+  useEffect(() => {
+    const baseUrl = connectionMode === 'proxy' ? getFunctionCallBackendBaseUrl(proxyEndpoint) : '';
+    if (new URLSearchParams(urlParamsString).get('enable-function-calling') !== 'true' || !baseUrl) {
+      setFunctionDefinitionsLoading(false);
+      return;
+    }
+    let cancelled = false;
+    setFunctionDefinitionsLoading(true);
+    fetchFunctionDefinitions(baseUrl)
+      .then((functions) => {
+        if (cancelled) return;
+        setBackendFunctions(functions);
+        addLog(`Loaded ${functions.length} function definitions from ${baseUrl}`);
+      })
+      .catch((error) => {
+        if (cancelled) return;
+        setBackendFunctions(undefined);
+        addLog(`Loading function definitions failed (${error instanceof Error ? error.message : String(error)}); using fallback definitions`);
+      })
+      .finally(() => {
+        if (!cancelled) setFunctionDefinitionsLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [connectionMode, proxyEndpoint, urlParamsString, addLog]);
   
   const memoizedAgentOptions = useMemo(() => {
     // Check for function calling test mode via URL parameter
@@ -655,7 +690,7 @@ function App() {
     const testOverride = testWindow.testFunctions;
     
     // Use factory function to get function definitions (extracted for testability)
-    const functions = getFunctionDefinitions(enableFunctionCalling, functionType, testOverride);
+    const functions = getFunctionDefinitions(enableFunctionCalling, functionType, testOverride, backendFunctions);
 
     const baseInstructions =
       loadedInstructions || 'You are a helpful voice assistant. Keep your responses concise and informative.';
@@ -700,7 +735,7 @@ function App() {
       // send context when the component has history, even if callbacks haven't updated app state yet.
       context: getContextForSettings(conversationForDisplay, () => deepgramRef.current?.getConversationHistory() ?? []) as AgentOptions['context']
     };
-  }, [loadedInstructions, conversationForDisplay, urlParamsString]); // Include urlParamsString to recompute when URL params change
+  }, [loadedInstructions, conversationForDisplay, urlParamsString, backendFunctions]); // Include urlParamsString to recompute when URL params change
 
   // Expose idle timeout for E2E so specs can align waits with app (no real-API-only; works with proxy/mock or real backend)
   useEffect(() => {
@@ -1450,6 +1485,7 @@ VITE_DEEPGRAM_PROJECT_ID=your-real-project-id
         {String(hasSentSettingsDom)}
       </span>
       <div data-testid="deepgram-component">
+        {!functionDefinitionsLoading && (
         <DeepgramVoiceInteraction
         key={voiceInteractionMountKey}
         ref={deepgramRef}
@@ -1504,6 +1540,7 @@ VITE_DEEPGRAM_PROJECT_ID=your-real-project-id
         conversationStorage={localStorageConversationStorage}
         conversationStorageKey={CONVERSATION_STORAGE_KEY}
         />
+        )}
       </div>
 
       {liveMode ? (
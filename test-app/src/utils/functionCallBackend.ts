@@ -3,7 +3,7 @@
  * Contract: docs/BACKEND-PROXY/BACKEND-FUNCTION-CALL-CONTRACT.md
  */
 
-import type { FunctionCallRequest, FunctionCallResponse } from '@signal-meaning/voice-agent-react';
+import type { AgentFunction, FunctionCallRequest, FunctionCallResponse } from '@signal-meaning/voice-agent-react';
 
 /** Backend path for function-call (single source of truth; tests/build URL logic should match). */
 export const FUNCTION_CALL_PATH = '/function-call';
@@ -29,6 +29,22 @@ export function getFunctionCallBackendBaseUrl(proxyEndpoint: string | undefined)
   return hostPort ? `${httpScheme}${hostPort}` : '';
 }
 
+/**
+ * Load the function definitions the backend serves on GET /function-call (voice-agent-backend `functions`), for
+ * `agentOptions.functions`. Load them before rendering the component: changing `functions` later re-initializes it.
+ */
+export async function fetchFunctionDefinitions(baseUrl: string): Promise<AgentFunction[]> {
+  const res = await fetch(buildFunctionCallUrl(baseUrl));
+  if (!res.ok) {
+    throw new Error(`Loading function definitions failed: ${res.status}`);
+  }
+  const body = await res.json();
+  if (!Array.isArray(body)) {
+    throw new Error('Function definitions response is not an array');
+  }
+  return body as AgentFunction[];
+}
+
 /** Generate a trace/request ID for correlation (Issue #412). */
 function generateTraceId(): string {
   if (typeof crypto !== 'undefined' && typeof (crypto as { randomUUID?: () => string }).randomUUID === 'function') {
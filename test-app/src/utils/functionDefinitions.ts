@@ -9,6 +9,8 @@ import type { AgentFunction } from '@signal-meaning/voice-agent-react';
  * @param enableFunctionCalling - Whether function calling is enabled (from URL param)
  * @param functionType - Type of function definition to use ('standard', 'minimal', 'minimal-with-required')
  * @param testOverride - Optional test override functions (from window.testFunctions in E2E tests)
+ * @param backendFunctions - Definitions the backend serves on GET /function-call (fetchFunctionDefinitions);
+ *   used for 'standard'
  * @returns Array of function definitions or undefined if function calling is disabled
  * 
  * @example
@@ -24,7 +26,8 @@ import type { AgentFunction } from '@signal-meaning/voice-agent-react';
 export function getFunctionDefinitions(
   enableFunctionCalling: boolean,
   functionType: string,
-  testOverride?: AgentFunction[]
+  testOverride?: AgentFunction[],
+  backendFunctions?: AgentFunction[]
 ): AgentFunction[] | undefined {
   // Test override takes precedence (Issue #336)
   if (testOverride && Array.isArray(testOverride) && testOverride.length > 0) {
@@ -64,7 +67,11 @@ export function getFunctionDefinitions(
       }
     ];
   } else {
-    // Standard function (default)
+    // Standard function (default): the backend registry (FUNCTIONS in scripts/function-call-handlers.js)
+    if (backendFunctions && backendFunctions.length > 0) {
+      return backendFunctions;
+    }
+    // Fallback only when GET /function-call failed or there is no backend (direct mode)
     // Per Deepgram docs: if endpoint is not provided, function is called client-side
     // client_side property is NOT part of Settings message - it only appears in FunctionCallRequest responses
     return [
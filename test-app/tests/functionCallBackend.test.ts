@@ -4,6 +4,7 @@
  */
 
 import {
+  fetchFunctionDefinitions,
   forwardFunctionCallToBackend,
   getFunctionCallBackendBaseUrl,
   buildFunctionCallUrl,
@@ -140,4 +141,28 @@ describe('functionCallBackend (Issue #407)', () => {
       );
     });
   });
+
+  describe('fetchFunctionDefinitions', () => {
+    it('GETs baseUrl/function-call and returns the definitions', async () => {
+      const definitions = [{ name: 'get_current_time', description: 'Current time', parameters: { type: 'object', properties: {} } }];
+      (globalThis.fetch as ReturnType<typeof jest.fn>) = jest.fn().mockResolvedValue({
+        ok: true,
+        status: 200,
+        json: () => Promise.resolve(definitions),
+      });
+
+      await expect(fetchFunctionDefinitions('http://localhost:8080/')).resolves.toEqual(definitions);
+      expect(fetch).toHaveBeenCalledWith('http://localhost:8080/function-call');
+    });
+
+    it('rejects when the backend does not serve definitions', async () => {
+      (globalThis.fetch as ReturnType<typeof jest.fn>) = jest.fn().mockResolvedValue({
+        ok: false,
+        status: 405,
+        json: () => Promise.resolve({ error: 'Method Not Allowed' }),
+      });
+
+      await expect(fetchFunctionDefinitions('http://localhost:8080')).rejects.toThrow('Loading function definitions failed: 405');
+    });
+  });
 });
@@ -0,0 +1,141 @@
+/**
+ * ConversationSessionStore: session index, load/save, rename, delete and TTL expiry over ConversationStorage
+ */
+
+import { ConversationSessionStore, deriveConversationSessionTitle } from '../src/services/ConversationSessionStore';
+import { encodeStoredConversation } from '../src/utils/conversation-storage-format';
+import type { ConversationMessage, ConversationStorage } from '../src/types';
+
+function createMemoryStorage(withRemove = true): ConversationStorage & { data: Map<string, string> } {
+  const data = new Map<string, string>();
+  return {
+    data,
+    getItem: (key) => Promise.resolve(data.get(key) ?? null),
+    setItem: (key, value) => {
+      data.set(key, value);
+      return Promise.resolve();
+    },
+    ...(withRemove
+      ? {
+          removeItem: (key: string) => {
+            data.delete(key);
+            return Promise.resolve();
+          },
+        }
+      : {}),
+  };
+}
+
+const items = (text: string): ConversationMessage[] => [
+  { role: 'assistant', kind: 'assistant_speech', content: 'Hello! How can I help?' },
+  { role: 'user', kind: 'user_speech', content: text },
+];
+
+describe('ConversationSessionStore', () => {
+  it('saves sessions under namespaced keys and lists them newest first with metadata', async () => {
+    const storage = createMemoryStorage();
+    const store = new ConversationSessionStore(storage, { namespace: 'app' });
+
+    await store.saveSession('a', items('Book a table for two'), 1000);
+    await store.saveSession('b', items('What is the weather?'), 2000);
+    await store.saveSession('a', [...items('Book a table for two'), { role: 'assistant', content: 'Done.' }], 3000);
+
+    expect(storage.data.has('app:session:a')).toBe(true);
+    expect(storage.data.has('app:sessions')).toBe(true);
+    expect(await store.listSessions(3000)).toEqual([
+      { id: 'a', title: 'Book a table for two', createdAt: 1000, lastActivityAt: 3000, messageCount: 3 },
+      { id: 'b', title: 'What is the weather?', createdAt: 2000, lastActivityAt: 2000, messageCount: 2 },
+    ]);
+    expect(await store.loadSession('b', 3000)).toEqual(items('What is the weather?'));
+    expect(await store.loadSession('missing')).toBeNull();
+  });
+
+  it('keeps a renamed title on later saves', async () => {
+    const store = new ConversationSessionStore(createMemoryStorage());
+    await store.saveSession('a', items('First question'), 1);
+
+    expect(await store.renameSession('a', 'Dinner plans')).toBe(true);
+    expect(await store.renameSession('missing', 'x')).toBe(false);
+    await store.saveSession('a', items('First question'), 2);
+
+    expect((await store.getSession('a', 2))?.title).toBe('Dinner plans');
+  });
+
+  it('deletes a session and its index entry', async () => {
+    const storage = createMemoryStorage();
+    const store = new ConversationSessionStore(storage);
+    await store.saveSession('a', items('x'), 1);
+
+    await store.deleteSession('a');
+
+    expect(storage.data.has('dg_conversation:session:a')).toBe(false);
+    expect(await store.listSessions(1)).toEqual([]);
+  });
+
+  it('overwrites with an empty value when the storage has no removeItem', async () => {
+    const storage = createMemoryStorage(false);
+    const store = new ConversationSessionStore(storage);
+    await store.saveSession('a', items('x'), 1);
+
+    await store.deleteSession('a');
+
+    expect(storage.data.get('dg_conversation:session:a')).toBe('');
+    expect(await store.loadSession('a')).toBeNull();
+  });
+
+  it('expires sessions past the TTL when listed, loaded or purged', async () => {
+    const storage = createMemoryStorage();
+    const store = new ConversationSessionStore(storage, { ttlMs: 1000 });
+    await store.saveSession('old', items('old'), 0);
+    await store.saveSession('new', items('new'), 1500);
+
+    expect((await store.listSessions(1800)).map((s) => s.id)).toEqual(['new']);
+    expect(storage.data.has('dg_conversation:session:old')).toBe(false);
+
+    expect(await store.loadSession('new', 5000)).toBeNull();
+    expect(await store.purgeExpired(5000)).toEqual([]);
+    expect(await store.listSessions(5000)).toEqual([]);
+  });
+
+  it('reports purged ids', async () => {
+    const store = new ConversationSessionStore(createMemoryStorage(), { ttlMs: 10 });
+    await store.saveSession('a', items('x'), 0);
+    await store.saveSession('b', items('y'), 100);
+
+    expect(await store.purgeExpired(105)).toEqual(['a']);
+  });
+
+  it('loads sessions written as version 1 arrays', async () => {
+    const storage = createMemoryStorage();
+    storage.data.set('dg_conversation:session:legacy', JSON.stringify([{ role: 'user', content: 'Hi', timestamp: 1 }]));
+    const store = new ConversationSessionStore(storage);
+
+    expect(await store.loadSession('legacy')).toEqual([{ role: 'user', content: 'Hi', timestamp: 1 }]);
+  });
+
+  it('does not lose index entries when saves run concurrently', async () => {
+    const store = new ConversationSessionStore(createMemoryStorage());
+
+    await Promise.all(['a', 'b', 'c'].map((id, i) => store.saveSession(id, items(id), i)));
+
+    expect((await store.listSessions(3)).map((s) => s.id).sort()).toEqual(['a', 'b', 'c']);
+  });
+
+  it('ignores a corrupt index', async () => {
+    const storage = createMemoryStorage();
+    storage.data.set('dg_conversation:sessions', '{oops');
+    storage.data.set('dg_conversation:session:a', encodeStoredConversation(items('x'), 1));
+    const store = new ConversationSessionStore(storage);
+
+    expect(await store.listSessions()).toEqual([]);
+    expect(await store.loadSession('a')).toEqual(items('x'));
+  });
+});
+
+describe('deriveConversationSessionTitle', () => {
+  it('uses the first user text, on one line and shortened', () => {
+    expect(deriveConversationSessionTitle(items('  Book a\n table  '))).toBe('Book a table');
+    expect(deriveConversationSessionTitle(items('x'.repeat(80)))).toBe(`${'x'.repeat(59)}…`);
+    expect(deriveConversationSessionTitle([{ role: 'assistant', content: 'Hi' }])).toBe('');
+  });
+});
@@ -0,0 +1,73 @@
+/**
+ * FunctionCallTracker — timeouts and cancellation of pending client-side function calls
+ */
+
+import { FunctionCallTracker } from '../src/services/FunctionCallTracker';
+import type { FunctionCallAbandonedInfo } from '../src/types';
+
+describe('FunctionCallTracker', () => {
+  let abandoned: FunctionCallAbandonedInfo[];
+  let tracker: FunctionCallTracker;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    abandoned = [];
+    tracker = new FunctionCallTracker((info) => abandoned.push(info));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('abandons a call that outlives its timeout and aborts its signal', () => {
+    const onAbandon = jest.fn();
+    const signal = tracker.begin({ id: 'c1', name: 'lookup', timeoutMs: 1000, onAbandon });
+
+    jest.advanceTimersByTime(999);
+    expect(signal.aborted).toBe(false);
+    jest.advanceTimersByTime(1);
+
+    expect(signal.aborted).toBe(true);
+    expect(onAbandon).toHaveBeenCalledWith('timeout');
+    expect(abandoned).toEqual([{ id: 'c1', name: 'lookup', reason: 'timeout', elapsedMs: 1000 }]);
+    expect(tracker.settle('c1')).toBe(false);
+  });
+
+  it('settles a call answered in time and clears its timeout', () => {
+    const onAbandon = jest.fn();
+    const signal = tracker.begin({ id: 'c1', name: 'lookup', timeoutMs: 1000, onAbandon });
+
+    expect(tracker.settle('c1')).toBe(true);
+    jest.advanceTimersByTime(5000);
+
+    expect(signal.aborted).toBe(false);
+    expect(onAbandon).not.toHaveBeenCalled();
+    expect(tracker.pendingCount).toBe(0);
+  });
+
+  it('never times out without a timeout', () => {
+    tracker.begin({ id: 'c1', name: 'lookup', onAbandon: jest.fn() });
+    jest.advanceTimersByTime(60 * 60 * 1000);
+    expect(tracker.pendingCount).toBe(1);
+  });
+
+  it('abandons every pending call with the given reason', () => {
+    const first = tracker.begin({ id: 'c1', name: 'a', onAbandon: jest.fn() });
+    const second = tracker.begin({ id: 'c2', name: 'b', timeoutMs: 100, onAbandon: jest.fn() });
+
+    tracker.abandonAll('disconnected');
+    jest.advanceTimersByTime(100);
+
+    expect(first.aborted && second.aborted).toBe(true);
+    expect(abandoned.map((info) => `${info.id}:${info.reason}`)).toEqual(['c1:disconnected', 'c2:disconnected']);
+  });
+
+  it('still reports and keeps tracking other calls when an abandon handler throws', () => {
+    tracker.begin({ id: 'c1', name: 'a', onAbandon: () => { throw new Error('boom'); } });
+    tracker.begin({ id: 'c2', name: 'b', onAbandon: jest.fn() });
+
+    expect(() => tracker.abandonAll('interrupted')).not.toThrow();
+    expect(tracker.pendingCount).toBe(0);
+    expect(abandoned.map((info) => info.id)).toEqual(['c1', 'c2']);
+  });
+});
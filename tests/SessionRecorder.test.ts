@@ -0,0 +1,102 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * SessionRecorder — time-aligned user/agent tracks, WAV layout and sidecar events
+ */
+
+import { SessionRecorder } from '../src/services/SessionRecorder';
+
+const pcm = (samples: number[]): ArrayBuffer => new Int16Array(samples).buffer;
+
+/** Channels of a PCM16 WAV produced by encodePcm16Wav */
+async function readWav(blob: Blob): Promise<{ sampleRate: number; channels: Int16Array[] }> {
+  const view = new DataView(await blob.arrayBuffer());
+  const channelCount = view.getUint16(22, true);
+  const sampleRate = view.getUint32(24, true);
+  const frames = view.getUint32(40, true) / (2 * channelCount);
+  const channels = Array.from({ length: channelCount }, () => new Int16Array(frames));
+  for (let frame = 0; frame < frames; frame++) {
+    for (let channel = 0; channel < channelCount; channel++) {
+      channels[channel][frame] = view.getInt16(44 + (frame * channelCount + channel) * 2, true);
+    }
+  }
+  return { sampleRate, channels };
+}
+
+describe('SessionRecorder', () => {
+  let clock: number;
+  const now = () => clock;
+
+  beforeEach(() => {
+    clock = 10_000;
+  });
+
+  it('places user audio where it was captured and agent audio back to back from arrival', async () => {
+    const recorder = new SessionRecorder({ userSampleRate: 1000, agentSampleRate: 1000, now });
+
+    clock += 4; // 4 user samples captured during the first 4 ms
+    recorder.addUserAudio(pcm([1, 1, 1, 1]));
+    clock += 2;
+    recorder.addAgentAudio(pcm([5, 5, 5])); // starts on arrival (6 ms)
+    recorder.addAgentAudio(pcm([7, 7])); // queued behind the first chunk
+    clock += 6;
+
+    const { wav, sidecar } = recorder.finish();
+    const { sampleRate, channels } = await readWav(wav);
+
+    expect(wav.type).toBe('audio/wav');
+    expect(sampleRate).toBe(1000);
+    expect(sidecar).toMatchObject({ startedAt: 10_000, durationMs: 12, layout: 'separate', channels: ['user', 'agent'] });
+    expect(Array.from(channels[0])).toEqual([1, 1, 1, 1, 0, 0, 0, 0, 0, 0, 0, 0]);
+    expect(Array.from(channels[1])).toEqual([0, 0, 0, 0, 0, 0, 5, 5, 5, 7, 7, 0]);
+  });
+
+  it('drops agent audio that had not played when playback is cut', async () => {
+    const recorder = new SessionRecorder({ userSampleRate: 1000, agentSampleRate: 1000, now });
+
+    recorder.addAgentAudio(pcm([3, 3, 3, 3, 3, 3]));
+    clock += 2;
+    recorder.cutAgentAudio();
+    clock += 4;
+
+    const { wav, sidecar } = recorder.finish();
+    const { channels } = await readWav(wav);
+
+    expect(Array.from(channels[1])).toEqual([3, 3, 0, 0, 0, 0]);
+    expect(sidecar.events).toEqual([{ type: 'agent_audio_cut', offsetMs: 2 }]);
+  });
+
+  it('mixes both sides into one channel at the higher sample rate', async () => {
+    const recorder = new SessionRecorder({ layout: 'mix', userSampleRate: 1000, agentSampleRate: 2000, now });
+
+    clock += 2;
+    recorder.addUserAudio(pcm([100, 100]));
+    recorder.addAgentAudio(pcm([30000, 30000]));
+    clock += 1;
+
+    const { wav, sidecar } = recorder.finish();
+    const { sampleRate, channels } = await readWav(wav);
+
+    expect(sidecar.channels).toEqual(['mix']);
+    expect(sampleRate).toBe(2000);
+    expect(channels).toHaveLength(1);
+    // user (0–2 ms) upsampled to 4 samples, followed by the agent (2–3 ms)
+    expect(Array.from(channels[0])).toEqual([100, 100, 100, 100, 30000, 30000]);
+  });
+
+  it('stamps sidecar events with their offset into the audio', () => {
+    const recorder = new SessionRecorder({ userSampleRate: 1000, agentSampleRate: 1000, now });
+
+    clock += 250;
+    recorder.addEvent({ type: 'conversation_text', role: 'user', content: 'Where is my order?' });
+    clock += 500;
+    recorder.addEvent({ type: 'agent_state', state: 'thinking' });
+
+    expect(recorder.finish().sidecar.events).toEqual([
+      { type: 'conversation_text', offsetMs: 250, role: 'user', content: 'Where is my order?' },
+      { type: 'agent_state', offsetMs: 750, state: 'thinking' },
+    ]);
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * TabCoordinator — leader election (Web Locks), updates and handover (BroadcastChannel)
+ */
+
+import { TabCoordinator, TabCoordinatorOptions } from '../src/services/TabCoordinator';
+import type { TabRole } from '../src/types';
+import { createTabEnvironment } from './fixtures/tab-environment';
+
+const flush = () => new Promise((resolve) => setTimeout(resolve, 5));
+
+describe('TabCoordinator', () => {
+  let environment: ReturnType<typeof createTabEnvironment>;
+  const created: TabCoordinator<string>[] = [];
+
+  const createTab = (overrides: Partial<TabCoordinatorOptions<string>> = {}) => {
+    const roles: TabRole[] = [];
+    const updates: string[] = [];
+    const coordinator = new TabCoordinator<string>({
+      name: 'app',
+      locks: environment.locks,
+      createChannel: environment.createChannel,
+      onRoleChange: (role) => roles.push(role),
+      onUpdate: (update) => updates.push(update),
+      onFollowerJoined: jest.fn(),
+      onHandoverRequest: jest.fn().mockResolvedValue(true),
+      ...overrides,
+    });
+    created.push(coordinator);
+    coordinator.start();
+    return { coordinator, roles, updates };
+  };
+
+  beforeEach(() => {
+    environment = createTabEnvironment();
+  });
+
+  afterEach(() => {
+    created.splice(0).forEach((coordinator) => coordinator.dispose());
+  });
+
+  it('makes the first tab leader and later tabs followers', async () => {
+    const first = createTab();
+    await flush();
+    const second = createTab();
+    await flush();
+
+    expect(first.coordinator.getRole()).toBe('leader');
+    expect(first.roles).toEqual(['leader']);
+    expect(second.coordinator.getRole()).toBe('follower');
+    expect(second.roles).toEqual([]);
+  });
+
+  it('delivers leader updates to followers and asks the leader for a snapshot when a follower joins', async () => {
+    const onFollowerJoined = jest.fn();
+    const leader = createTab({ onFollowerJoined });
+    await flush();
+    const follower = createTab();
+    await flush();
+    expect(onFollowerJoined).toHaveBeenCalledTimes(1);
+
+    leader.coordinator.publish('listening');
+    follower.coordinator.publish('ignored'); // followers do not publish
+    await flush();
+
+    expect(follower.updates).toEqual(['listening']);
+    expect(leader.updates).toEqual([]);
+  });
+
+  it('promotes the next tab when the leader leaves', async () => {
+    const leader = createTab();
+    await flush();
+    const follower = createTab();
+    await flush();
+
+    leader.coordinator.dispose();
+    await flush();
+
+    expect(follower.coordinator.getRole()).toBe('leader');
+    expect(follower.roles).toEqual(['leader']);
+  });
+
+  it('hands leadership to the requesting tab, not the next one in the queue', async () => {
+    const onHandoverRequest = jest.fn().mockResolvedValue(true);
+    const leader = createTab({ onHandoverRequest });
+    await flush();
+    const queued = createTab();
+    await flush();
+    const requester = createTab();
+    await flush();
+
+    await expect(requester.coordinator.requestHandover()).resolves.toBe(true);
+    await flush();
+
+    expect(onHandoverRequest).toHaveBeenCalledWith({ requestingTabId: requester.coordinator.tabId });
+    expect(requester.coordinator.getRole()).toBe('leader');
+    expect(leader.coordinator.getRole()).toBe('follower');
+    expect(leader.roles).toEqual(['leader', 'follower']);
+    expect(queued.coordinator.getRole()).toBe('follower');
+
+    // The previous leader queued again behind the other follower
+    requester.coordinator.dispose();
+    await flush();
+    expect(queued.coordinator.getRole()).toBe('leader');
+    expect(leader.coordinator.getRole()).toBe('follower');
+  });
+
+  it('resolves false when the leader refuses', async () => {
+    const leader = createTab({ onHandoverRequest: jest.fn().mockResolvedValue(false) });
+    await flush();
+    const follower = createTab();
+    await flush();
+
+    await expect(follower.coordinator.requestHandover()).resolves.toBe(false);
+    expect(leader.coordinator.getRole()).toBe('leader');
+    expect(follower.coordinator.getRole()).toBe('follower');
+  });
+
+  it('resolves false when no leader answers within handoverTimeoutMs', async () => {
+    const follower = createTab({ handoverTimeoutMs: 20, locks: { request: () => new Promise(() => undefined) } });
+
+    await expect(follower.coordinator.requestHandover()).resolves.toBe(false);
+  });
+
+  it('leads alone when Web Locks are unavailable', async () => {
+    const tab = createTab({ locks: null });
+
+    expect(tab.coordinator.isSupported).toBe(false);
+    expect(tab.roles).toEqual(['leader']);
+    await expect(tab.coordinator.requestHandover()).resolves.toBe(true);
+  });
+});
@@ -0,0 +1,137 @@
+/**
+ * TurnMetricsService — per-turn latency milestones and rolling summary (onTurnMetrics / getTurnMetricsSummary)
+ */
+
+import { TurnMetricsService } from '../src/services/TurnMetricsService';
+import type { TurnMetrics } from '../src/types';
+
+describe('TurnMetricsService', () => {
+  let turns: TurnMetrics[];
+  let service: TurnMetricsService;
+
+  beforeEach(() => {
+    turns = [];
+    service = new TurnMetricsService((m) => turns.push(m), 3);
+  });
+
+  /** One spoken turn: user stops at t, agent responds with the given offsets */
+  const speakTurn = (t: number, { think = 100, text = 300, audio = 500, play = 550, done = 2000 } = {}) => {
+    service.markUserStoppedSpeaking(t);
+    service.markAgentThinking(t + think);
+    service.markAgentText(t + text);
+    service.markAudioChunk(t + audio);
+    service.markPlaybackStarted(t + play);
+    service.markAgentDone(t + done);
+  };
+
+  it('emits one record per turn with milestones and latencies from end of user speech', () => {
+    speakTurn(1000);
+
+    expect(turns).toHaveLength(1);
+    expect(turns[0]).toEqual({
+      turn: 1,
+      userStoppedSpeakingAt: 1000,
+      agentThinkingAt: 1100,
+      firstAgentTextAt: 1300,
+      firstAudioChunkAt: 1500,
+      playbackStartedAt: 1550,
+      agentDoneAt: 3000,
+      thinkingLatencyMs: 100,
+      textLatencyMs: 300,
+      ttsLatencyMs: 200,
+      firstAudioLatencyMs: 500,
+      playbackLatencyMs: 550,
+      turnDurationMs: 2000,
+      latency: { total_latency: 550, tts_latency: 200, ttt_latency: 300 },
+      interrupted: false,
+    });
+  });
+
+  it('keeps the first timestamp when a milestone repeats', () => {
+    service.markUserStoppedSpeaking(1000);
+    service.markUserStoppedSpeaking(1040); // UtteranceEnd after speech_final
+    service.markAudioChunk(1500);
+    service.markAudioChunk(1520);
+    service.markPlaybackStarted(1600);
+    service.markAgentDone(2000);
+    service.markAgentDone(2010); // AgentDone after AgentAudioDone
+
+    expect(turns).toHaveLength(1);
+    expect(turns[0]).toMatchObject({ userStoppedSpeakingAt: 1000, firstAudioChunkAt: 1500, agentDoneAt: 2000 });
+  });
+
+  it('waits for playback to start when the done message arrives first', () => {
+    service.markUserStoppedSpeaking(1000);
+    service.markAudioChunk(1200);
+    service.markAgentDone(1300);
+    expect(turns).toHaveLength(0);
+
+    service.markPlaybackStarted(1400);
+    expect(turns).toHaveLength(1);
+    expect(turns[0].playbackLatencyMs).toBe(400);
+  });
+
+  it('completes a text-only turn on done without playback', () => {
+    service.markUserStoppedSpeaking(1000);
+    service.markAgentText(1250);
+    service.markAgentDone(1300);
+
+    expect(turns[0]).toMatchObject({ textLatencyMs: 250, ttsLatencyMs: null, playbackLatencyMs: null });
+    expect(turns[0].latency).toBeUndefined();
+  });
+
+  it('records a greeting turn with null latencies measured from user speech', () => {
+    service.markAudioChunk(500);
+    service.markPlaybackStarted(550);
+    service.markAgentDone(900);
+
+    expect(turns[0]).toMatchObject({ userStoppedSpeakingAt: null, firstAudioLatencyMs: null, turnDurationMs: null });
+  });
+
+  it('closes the open turn as interrupted when the user finishes speaking again', () => {
+    service.markUserStoppedSpeaking(1000);
+    service.markAudioChunk(1500);
+    service.markUserStoppedSpeaking(1800);
+
+    expect(turns).toHaveLength(1);
+    expect(turns[0]).toMatchObject({ interrupted: true, agentDoneAt: null });
+  });
+
+  it('ignores playback and done milestones with no open turn', () => {
+    service.markPlaybackStarted(100);
+    service.markAgentDone(200);
+    expect(turns).toHaveLength(0);
+    expect(service.getSummary().totalTurns).toBe(0);
+  });
+
+  it('summarizes the most recent turns within the window', () => {
+    speakTurn(0, { play: 100 });
+    speakTurn(10000, { play: 200 });
+    speakTurn(20000, { play: 300 });
+    speakTurn(30000, { play: 1000 });
+
+    const summary = service.getSummary();
+    expect(summary.totalTurns).toBe(4);
+    expect(summary.windowSize).toBe(3);
+    expect(summary.last?.turn).toBe(4);
+    expect(summary.stats.playbackLatencyMs).toEqual({ count: 3, mean: 500, p50: 300, p95: 1000 });
+    expect(summary.stats.thinkingLatencyMs.count).toBe(3);
+  });
+
+  it('reports empty stats before any turn and after reset', () => {
+    expect(service.getSummary().stats.textLatencyMs).toEqual({ count: 0, mean: null, p50: null, p95: null });
+
+    speakTurn(0);
+    service.reset();
+    expect(service.getSummary()).toMatchObject({ totalTurns: 0, windowSize: 0, last: null });
+  });
+
+  it('keeps tracking when the callback throws', () => {
+    const throwing = new TurnMetricsService(() => {
+      throw new Error('boom');
+    });
+    throwing.markUserStoppedSpeaking(0);
+    throwing.markAgentDone(10);
+    expect(throwing.getSummary().totalTurns).toBe(1);
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * @jest-environment jsdom
+ * @eslint-env jest
+ */
+
+/**
+ * agentOptions.audioInput / audioOutput: one choice of formats drives Settings, the AudioManager rates (mic
+ * resampling target and playback context) and the decoding of agent audio.
+ */
+
+import React from 'react';
+import { render, act } from '@testing-library/react';
+import DeepgramVoiceInteraction from '../src/components/DeepgramVoiceInteraction';
+import { AgentOptions, DeepgramVoiceInteractionHandle } from '../src/types';
+import { createMockWebSocketManager, createMockAudioManager } from './fixtures/mocks';
+import {
+  resetTestState,
+  createAgentOptions,
+  setupComponentAndConnect,
+  MOCK_API_KEY,
+} from './utils/component-test-helpers';
+
+jest.mock('../src/utils/websocket/WebSocketManager');
+jest.mock('../src/utils/audio/AudioManager');
+
+const { WebSocketManager } = require('../src/utils/websocket/WebSocketManager');
+const { AudioManager } = require('../src/utils/audio/AudioManager');
+
+describe('agent audio formats', () => {
+  let mockWebSocketManager: ReturnType<typeof createMockWebSocketManager>;
+  let mockAudioManager: ReturnType<typeof createMockAudioManager>;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    resetTestState();
+    mockWebSocketManager = createMockWebSocketManager();
+    mockAudioManager = createMockAudioManager();
+    WebSocketManager.mockImplementation(() => mockWebSocketManager);
+    AudioManager.mockImplementation(() => mockAudioManager);
+  });
+
+  const settingsMessage = () =>
+    mockWebSocketManager.sendJSON.mock.calls
+      .map(([message]: [{ type?: string; audio?: unknown }]) => message)
+      .find((message: { type?: string }) => message?.type === 'Settings');
+
+  const renderAndCapture = async (options: Partial<AgentOptions>) => {
+    const ref = React.createRef<DeepgramVoiceInteractionHandle>();
+    render(<DeepgramVoiceInteraction ref={ref} apiKey={MOCK_API_KEY} agentOptions={createAgentOptions(options)} />);
+    const eventListener = await setupComponentAndConnect(ref, mockWebSocketManager);
+    await act(async () => {
+      await ref.current!.startAudioCapture();
+    });
+    return { eventListener };
+  };
+
+  it('sends the chosen formats in Settings and sizes the AudioManager rates from them', async () => {
+    await renderAndCapture({ audioInput: { sampleRate: 8000 }, audioOutput: { encoding: 'linear16', sampleRate: 16000 } });
+
+    expect(settingsMessage()?.audio).toEqual({
+      input: { encoding: 'linear16', sample_rate: 8000 },
+      output: { encoding: 'linear16', sample_rate: 16000 },
+    });
+    expect(AudioManager).toHaveBeenCalledWith(expect.objectContaining({ sampleRate: 8000, outputSampleRate: 16000 }));
+  });
+
+  it('keeps linear16 16 kHz in / 24 kHz out by default', async () => {
+    await renderAndCapture({});
+
+    expect(settingsMessage()?.audio).toEqual({
+      input: { encoding: 'linear16', sample_rate: 16000 },
+      output: { encoding: 'linear16', sample_rate: 24000 },
+    });
+    expect(AudioManager).toHaveBeenCalledWith(expect.objectContaining({ sampleRate: 16000, outputSampleRate: 24000 }));
+  });
+
+  it('decodes mulaw agent audio to linear16 before playback', async () => {
+    const { eventListener } = await renderAndCapture({ audioOutput: { encoding: 'mulaw' } });
+    expect(settingsMessage()?.audio).toEqual(
+      expect.objectContaining({ output: { encoding: 'mulaw', sample_rate: 8000 } })
+    );
+
+    await act(async () => {
+      await eventListener?.({ type: 'binary', data: new Uint8Array([0xff, 0x00, 0x80]).buffer });
+    });
+
+    const [played] = mockAudioManager.queueAudio.mock.calls[0];
+    expect(Array.from(new Int16Array(played))).toEqual([0, -32124, 32124]);
+  });
+});
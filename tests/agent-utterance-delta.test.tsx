@@ -0,0 +1,77 @@
+/**
+ * @jest-environment jsdom
+ * @eslint-env jest
+ */
+
+/**
+ * onAgentUtteranceDelta: streamed assistant text (ConversationTextDelta)
+ *
+ * Verifies that each non-empty delta reaches onAgentUtteranceDelta with its turn id, and that deltas do not
+ * fire onAgentUtterance — only the final ConversationText does.
+ */
+
+import React from 'react';
+import { render, act } from '@testing-library/react';
+import DeepgramVoiceInteraction from '../src/components/DeepgramVoiceInteraction';
+import { DeepgramVoiceInteractionHandle } from '../src/types';
+import { createMockWebSocketManager, createMockAudioManager } from './fixtures/mocks';
+import {
+  resetTestState,
+  createAgentOptions,
+  setupComponentAndConnect,
+  MOCK_API_KEY,
+} from './utils/component-test-helpers';
+
+jest.mock('../src/utils/websocket/WebSocketManager');
+jest.mock('../src/utils/audio/AudioManager');
+
+const { WebSocketManager } = require('../src/utils/websocket/WebSocketManager');
+const { AudioManager } = require('../src/utils/audio/AudioManager');
+
+describe('onAgentUtteranceDelta', () => {
+  let mockWebSocketManager: ReturnType<typeof createMockWebSocketManager>;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    resetTestState();
+    mockWebSocketManager = createMockWebSocketManager();
+    WebSocketManager.mockImplementation(() => mockWebSocketManager);
+    AudioManager.mockImplementation(() => createMockAudioManager());
+  });
+
+  it('streams deltas by turn id and leaves onAgentUtterance to the final ConversationText', async () => {
+    const onAgentUtteranceDelta = jest.fn();
+    const onAgentUtterance = jest.fn();
+    const ref = React.createRef<DeepgramVoiceInteractionHandle>();
+    render(
+      <DeepgramVoiceInteraction
+        ref={ref}
+        apiKey={MOCK_API_KEY}
+        agentOptions={createAgentOptions()}
+        onAgentUtteranceDelta={onAgentUtteranceDelta}
+        onAgentUtterance={onAgentUtterance}
+      />
+    );
+    const eventListener = await setupComponentAndConnect(ref, mockWebSocketManager);
+
+    act(() => {
+      eventListener?.({ type: 'message', data: { type: 'ConversationTextDelta', role: 'assistant', delta: 'The time ', turn_id: 'resp_1' } });
+      eventListener?.({ type: 'message', data: { type: 'ConversationTextDelta', role: 'assistant', delta: '', turn_id: 'resp_1' } });
+      eventListener?.({ type: 'message', data: { type: 'ConversationTextDelta', role: 'assistant', delta: 'is noon.', turn_id: 'resp_1' } });
+    });
+
+    expect(onAgentUtteranceDelta.mock.calls).toEqual([
+      ['The time ', 'resp_1'],
+      ['is noon.', 'resp_1'],
+    ]);
+    expect(onAgentUtterance).not.toHaveBeenCalled();
+
+    act(() => {
+      eventListener?.({ type: 'message', data: { type: 'ConversationText', role: 'assistant', content: 'The time is noon.' } });
+    });
+
+    expect(onAgentUtterance).toHaveBeenCalledTimes(1);
+    expect(onAgentUtterance.mock.calls[0][0].text).toBe('The time is noon.');
+    expect(onAgentUtteranceDelta).toHaveBeenCalledTimes(2);
+  });
+});
@@ -83,6 +83,75 @@ export const APPROVED_COMPONENT_METHOD_ADDITIONS = {
     usage: 'Voice Commerce app idleTimeoutManager.ts',
     note: 'Manager may be null before connection or after stop. Documented in docs/issues/ISSUE-429/RESOLUTION.md.',
   },
+  'getTurnMetricsSummary': {
+    addedIn: 'v0.12.0',
+    issue: 'Turn latency metrics',
+    rationale: 'Rolling per-turn latency summary (thinking, first text, TTS, first audio, playback, turn duration) over recent turns. Pairs with the onTurnMetrics prop; used to tune voices and think models without hand instrumentation.',
+    breaking: false,
+  },
+
+  'addConversationNote': {
+    addedIn: 'v0.12.0',
+    issue: 'Rich conversation history',
+    rationale: 'Adds a system_note item to the conversation history so apps can mark events (tab switch, form submitted) alongside the dialogue. Notes persist with conversationStorage but are never replayed to the agent.',
+    breaking: false,
+  },
+
+  'getTabRole': {
+    addedIn: 'v0.12.0',
+    issue: 'Cross-tab coordination',
+    rationale: 'Reports whether this tab is the leader (owns microphone and agent session) or a read-only follower under the tabCoordination prop; always leader when coordination is off.',
+    breaking: false,
+  },
+
+  'requestTabHandover': {
+    addedIn: 'v0.12.0',
+    issue: 'Cross-tab coordination',
+    rationale: 'Lets a follower tab ask the leader to stop and hand over the microphone and agent session. Resolves false when the leader refuses (onTabHandoverRequest) or does not answer.',
+    breaking: false,
+  },
+
+  'startSessionRecording': {
+    addedIn: 'v0.12.0',
+    issue: 'Session recording export',
+    rationale: 'Starts capturing microphone and agent audio on one timeline, together with conversation and state events, so a session can be reviewed or archived.',
+    breaking: false,
+  },
+
+  'stopSessionRecording': {
+    addedIn: 'v0.12.0',
+    issue: 'Session recording export',
+    rationale: 'Ends the recording and returns a PCM16 WAV (stereo user/agent or mono mix) plus a JSON sidecar of time-offset events; null when no recording is in progress.',
+    breaking: false,
+  },
+
+  'subscribeAudioLevels': {
+    addedIn: 'v0.12.0',
+    issue: 'Input and output level metering',
+    rationale: 'Imperative counterpart of the onAudioLevels prop: microphone and playback RMS/peak at audioLevelsFrameRate for meters and silent-mic warnings, without re-rendering the parent on every frame.',
+    breaking: false,
+  },
+
+  'beginUserTurn': {
+    addedIn: 'v0.12.0',
+    issue: 'Push-to-talk turn mode',
+    rationale: 'Opens a user turn under turnMode "push-to-talk" (talk button pressed): microphone audio is only sent to the agent while a turn is open, for noisy environments where open-mic VAD misfires.',
+    breaking: false,
+  },
+
+  'endUserTurn': {
+    addedIn: 'v0.12.0',
+    issue: 'Push-to-talk turn mode',
+    rationale: 'Closes the push-to-talk turn and tells the backend to finish it now (EndUserTurn on the OpenAI proxy: input_audio_buffer.commit + response.create) instead of waiting for server VAD.',
+    breaking: false,
+  },
+
+  'setAudioSource': {
+    addedIn: 'v0.12.0',
+    issue: 'Bring-your-own audio source',
+    rationale: 'Imperative counterpart of the audioSource prop: capture from a WebRTC track, media element stream or PCM frame iterable through the microphone worklet, swapped in place while capturing.',
+    breaking: false,
+  },
 
 } as const;
 
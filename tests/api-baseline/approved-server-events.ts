@@ -51,5 +51,10 @@ export const APPROVED_SERVER_EVENT_ADDITIONS = {
     addedIn: 'post-fork',
     needsOfficialVerification: true,
   },
+  'ConversationTextDelta': {
+    rationale: 'Partial assistant text streamed by the OpenAI proxy from response.output_text.delta / response.output_audio_transcript.delta, for live captions via onAgentUtteranceDelta. The final ConversationText is unchanged.',
+    addedIn: 'post-fork',
+    needsOfficialVerification: false,
+  },
 } as const;
 
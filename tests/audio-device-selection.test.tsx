@@ -0,0 +1,90 @@
+/**
+ * @jest-environment jsdom
+ * @eslint-env jest
+ */
+
+/**
+ * inputDeviceId / outputDeviceId / onAudioDeviceChange
+ *
+ * Verifies that:
+ * 1. The selected devices reach the AudioManager when it is created
+ * 2. Changing the props switches devices on the existing AudioManager, without reconnecting the agent
+ * 3. AudioManager device changes are reported through onAudioDeviceChange
+ */
+
+import React from 'react';
+import { render, act } from '@testing-library/react';
+import DeepgramVoiceInteraction from '../src/components/DeepgramVoiceInteraction';
+import { DeepgramVoiceInteractionHandle, DeepgramVoiceInteractionProps } from '../src/types';
+import { createMockWebSocketManager, createMockAudioManager } from './fixtures/mocks';
+import {
+  resetTestState,
+  createAgentOptions,
+  setupComponentAndConnect,
+  MOCK_API_KEY,
+} from './utils/component-test-helpers';
+
+jest.mock('../src/utils/websocket/WebSocketManager');
+jest.mock('../src/utils/audio/AudioManager');
+
+const { WebSocketManager } = require('../src/utils/websocket/WebSocketManager');
+const { AudioManager } = require('../src/utils/audio/AudioManager');
+
+describe('audio device selection', () => {
+  let mockWebSocketManager: ReturnType<typeof createMockWebSocketManager>;
+  let mockAudioManager: ReturnType<typeof createMockAudioManager>;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    resetTestState();
+    mockWebSocketManager = createMockWebSocketManager();
+    mockAudioManager = createMockAudioManager();
+    WebSocketManager.mockImplementation(() => mockWebSocketManager);
+    AudioManager.mockImplementation(() => mockAudioManager);
+  });
+
+  const renderAndCapture = async (props: Partial<DeepgramVoiceInteractionProps>) => {
+    const ref = React.createRef<DeepgramVoiceInteractionHandle>();
+    const element = (overrides: Partial<DeepgramVoiceInteractionProps> = {}) => (
+      <DeepgramVoiceInteraction ref={ref} apiKey={MOCK_API_KEY} agentOptions={createAgentOptions()} {...props} {...overrides} />
+    );
+    const { rerender } = render(element());
+    await setupComponentAndConnect(ref, mockWebSocketManager);
+    await act(async () => {
+      await ref.current!.startAudioCapture();
+    });
+    const audioListener = mockAudioManager.addEventListener.mock.calls[0][0];
+    return { audioListener, rerender: (overrides: Partial<DeepgramVoiceInteractionProps>) => rerender(element(overrides)) };
+  };
+
+  it('creates the AudioManager with the selected devices', async () => {
+    await renderAndCapture({ inputDeviceId: 'headset', outputDeviceId: 'speakers' });
+
+    expect(AudioManager).toHaveBeenCalledWith(
+      expect.objectContaining({ inputDeviceId: 'headset', outputDeviceId: 'speakers' })
+    );
+  });
+
+  it('switches devices in place when the props change', async () => {
+    const { rerender } = await renderAndCapture({ inputDeviceId: 'headset' });
+    const connections = WebSocketManager.mock.calls.length;
+
+    rerender({ inputDeviceId: 'usb-mic', outputDeviceId: 'speakers' });
+
+    expect(mockAudioManager.setInputDevice).toHaveBeenCalledWith('usb-mic');
+    expect(mockAudioManager.setOutputDevice).toHaveBeenCalledWith('speakers');
+    expect(AudioManager).toHaveBeenCalledTimes(1);
+    expect(WebSocketManager.mock.calls.length).toBe(connections);
+    expect(mockWebSocketManager.close).not.toHaveBeenCalled();
+  });
+
+  it('reports device changes', async () => {
+    const onAudioDeviceChange = jest.fn();
+    const { audioListener } = await renderAndCapture({ inputDeviceId: 'headset', onAudioDeviceChange });
+
+    const change = { kind: 'input', deviceId: null, reason: 'unavailable' };
+    act(() => audioListener({ type: 'deviceChange', change }));
+
+    expect(onAudioDeviceChange).toHaveBeenCalledWith(change);
+  });
+});
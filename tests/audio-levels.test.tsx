@@ -0,0 +1,98 @@
+/**
+ * @jest-environment jsdom
+ * @eslint-env jest
+ */
+
+/**
+ * onAudioLevels / subscribeAudioLevels
+ *
+ * Verifies that:
+ * 1. onAudioLevels receives AudioManager levels once audio is set up
+ * 2. subscribeAudioLevels listeners receive levels until they unsubscribe
+ * 3. Levels are not polled while nobody listens
+ */
+
+import React from 'react';
+import { render, act, waitFor } from '@testing-library/react';
+import DeepgramVoiceInteraction from '../src/components/DeepgramVoiceInteraction';
+import { AudioLevels, DeepgramVoiceInteractionHandle, DeepgramVoiceInteractionProps } from '../src/types';
+import { createMockWebSocketManager, createMockAudioManager } from './fixtures/mocks';
+import {
+  resetTestState,
+  createAgentOptions,
+  setupComponentAndConnect,
+  MOCK_API_KEY,
+} from './utils/component-test-helpers';
+
+jest.mock('../src/utils/websocket/WebSocketManager');
+jest.mock('../src/utils/audio/AudioManager');
+
+const { WebSocketManager } = require('../src/utils/websocket/WebSocketManager');
+const { AudioManager } = require('../src/utils/audio/AudioManager');
+
+const sleep = (ms: number) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('audio levels', () => {
+  let mockWebSocketManager: ReturnType<typeof createMockWebSocketManager>;
+  let mockAudioManager: ReturnType<typeof createMockAudioManager>;
+  const levels: AudioLevels = { input: { rms: 0.2, peak: 0.6 }, output: { rms: 0, peak: 0 }, timestamp: 1 };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    resetTestState();
+    mockWebSocketManager = createMockWebSocketManager();
+    mockAudioManager = createMockAudioManager();
+    mockAudioManager.getAudioLevels.mockReturnValue(levels);
+    WebSocketManager.mockImplementation(() => mockWebSocketManager);
+    AudioManager.mockImplementation(() => mockAudioManager);
+  });
+
+  const renderWithAudio = async (props: Partial<DeepgramVoiceInteractionProps> = {}) => {
+    const ref = React.createRef<DeepgramVoiceInteractionHandle>();
+    render(
+      <DeepgramVoiceInteraction
+        ref={ref}
+        apiKey={MOCK_API_KEY}
+        agentOptions={createAgentOptions()}
+        audioLevelsFrameRate={50}
+        {...props}
+      />
+    );
+    await setupComponentAndConnect(ref, mockWebSocketManager);
+    await act(async () => {
+      await ref.current!.startAudioCapture();
+    });
+    return ref;
+  };
+
+  it('reports levels to onAudioLevels', async () => {
+    const onAudioLevels = jest.fn();
+    await renderWithAudio({ onAudioLevels });
+
+    await waitFor(() => expect(onAudioLevels).toHaveBeenCalledWith(levels));
+  });
+
+  it('reports levels to subscribers until they unsubscribe', async () => {
+    const ref = await renderWithAudio();
+    await act(async () => {
+      await sleep(60);
+    });
+    expect(mockAudioManager.getAudioLevels).not.toHaveBeenCalled();
+
+    const listener = jest.fn();
+    let unsubscribe: () => void = () => undefined;
+    act(() => {
+      unsubscribe = ref.current!.subscribeAudioLevels(listener);
+    });
+    await waitFor(() => expect(listener).toHaveBeenCalledWith(levels));
+
+    act(() => unsubscribe());
+    const calls = listener.mock.calls.length;
+    mockAudioManager.getAudioLevels.mockClear();
+    await act(async () => {
+      await sleep(60);
+    });
+    expect(listener).toHaveBeenCalledTimes(calls);
+    expect(mockAudioManager.getAudioLevels).not.toHaveBeenCalled();
+  });
+});
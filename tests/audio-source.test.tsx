@@ -0,0 +1,81 @@
+/**
+ * @jest-environment jsdom
+ * @eslint-env jest
+ */
+
+/**
+ * audioSource prop / setAudioSource() handle method
+ *
+ * Verifies that the source reaches the AudioManager when it is created and is swapped in place afterwards,
+ * without reconnecting the agent.
+ */
+
+import React from 'react';
+import { render, act } from '@testing-library/react';
+import DeepgramVoiceInteraction from '../src/components/DeepgramVoiceInteraction';
+import { DeepgramVoiceInteractionHandle, DeepgramVoiceInteractionProps } from '../src/types';
+import { createMockWebSocketManager, createMockAudioManager } from './fixtures/mocks';
+import {
+  resetTestState,
+  createAgentOptions,
+  setupComponentAndConnect,
+  MOCK_API_KEY,
+} from './utils/component-test-helpers';
+
+jest.mock('../src/utils/websocket/WebSocketManager');
+jest.mock('../src/utils/audio/AudioManager');
+
+const { WebSocketManager } = require('../src/utils/websocket/WebSocketManager');
+const { AudioManager } = require('../src/utils/audio/AudioManager');
+
+describe('audioSource', () => {
+  let mockWebSocketManager: ReturnType<typeof createMockWebSocketManager>;
+  let mockAudioManager: ReturnType<typeof createMockAudioManager>;
+  const remoteStream = { getTracks: () => [] } as unknown as MediaStream;
+  const videoStream = { getTracks: () => [] } as unknown as MediaStream;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    resetTestState();
+    mockWebSocketManager = createMockWebSocketManager();
+    mockAudioManager = createMockAudioManager();
+    WebSocketManager.mockImplementation(() => mockWebSocketManager);
+    AudioManager.mockImplementation(() => mockAudioManager);
+  });
+
+  const renderAndCapture = async (props: Partial<DeepgramVoiceInteractionProps>) => {
+    const ref = React.createRef<DeepgramVoiceInteractionHandle>();
+    const element = (overrides: Partial<DeepgramVoiceInteractionProps> = {}) => (
+      <DeepgramVoiceInteraction ref={ref} apiKey={MOCK_API_KEY} agentOptions={createAgentOptions()} {...props} {...overrides} />
+    );
+    const { rerender } = render(element());
+    await setupComponentAndConnect(ref, mockWebSocketManager);
+    await act(async () => {
+      await ref.current!.startAudioCapture();
+    });
+    return { ref, rerender: (overrides: Partial<DeepgramVoiceInteractionProps>) => rerender(element(overrides)) };
+  };
+
+  it('creates the AudioManager with the audioSource prop', async () => {
+    await renderAndCapture({ audioSource: remoteStream });
+
+    expect(AudioManager).toHaveBeenCalledWith(expect.objectContaining({ audioSource: remoteStream }));
+  });
+
+  it('swaps the source in place when the prop changes or setAudioSource() is called', async () => {
+    const { ref, rerender } = await renderAndCapture({ audioSource: remoteStream });
+    const connections = WebSocketManager.mock.calls.length;
+
+    rerender({ audioSource: videoStream });
+    expect(mockAudioManager.setAudioSource).toHaveBeenLastCalledWith(videoStream);
+
+    await act(async () => {
+      await ref.current!.setAudioSource(null);
+    });
+    expect(mockAudioManager.setAudioSource).toHaveBeenLastCalledWith(null);
+
+    expect(AudioManager).toHaveBeenCalledTimes(1);
+    expect(WebSocketManager.mock.calls.length).toBe(connections);
+    expect(mockWebSocketManager.close).not.toHaveBeenCalled();
+  });
+});
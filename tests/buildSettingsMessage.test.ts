@@ -28,6 +28,15 @@ describe('buildSettingsMessage', () => {
     expect(msg.audio.output).toEqual({ encoding: 'linear16', sample_rate: 24000 });
   });
 
+  it('sends audioInput / audioOutput as Settings audio formats', () => {
+    const msg = buildSettingsMessage(
+      { ...minimalOptions, audioInput: { sampleRate: 48000 }, audioOutput: { encoding: 'alaw' } },
+      { isOpenAIProxy: false, defaultIdleTimeoutMs: DEFAULT_IDLE_TIMEOUT_MS }
+    );
+    expect(msg.audio.input).toEqual({ encoding: 'linear16', sample_rate: 48000 });
+    expect(msg.audio.output).toEqual({ encoding: 'alaw', sample_rate: 8000 });
+  });
+
   it('sets agent.language from options or defaults to en', () => {
     const msg = buildSettingsMessage(
       { ...minimalOptions, language: 'fr' },
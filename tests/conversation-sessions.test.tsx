@@ -0,0 +1,156 @@
+/**
+ * @jest-environment jsdom
+ * @eslint-env jest
+ */
+
+/**
+ * conversationSessionId / conversationTtlMs: multi-session persistence
+ *
+ * Verifies that:
+ * 1. With a session id the component restores and saves that session through ConversationSessionStore
+ * 2. Changing the session id loads the other session without overwriting the first
+ * 3. An expired stored conversation is neither restored nor kept
+ * 4. Writes use the versioned payload; version 1 arrays still restore
+ * 5. Storage with allowLocalStorageMirror: false is never mirrored to localStorage
+ */
+
+import React from 'react';
+import { render, act, waitFor } from '@testing-library/react';
+import DeepgramVoiceInteraction from '../src/components/DeepgramVoiceInteraction';
+import { ConversationSessionStore } from '../src/services/ConversationSessionStore';
+import { CONVERSATION_SCHEMA_VERSION, encodeStoredConversation } from '../src/utils/conversation-storage-format';
+import { ConversationStorage, DeepgramVoiceInteractionHandle } from '../src/types';
+import { createMockWebSocketManager, createMockAudioManager } from './fixtures/mocks';
+import {
+  resetTestState,
+  createAgentOptions,
+  setupComponentAndConnect,
+  MOCK_API_KEY,
+} from './utils/component-test-helpers';
+
+jest.mock('../src/utils/websocket/WebSocketManager');
+jest.mock('../src/utils/audio/AudioManager');
+
+const { WebSocketManager } = require('../src/utils/websocket/WebSocketManager');
+const { AudioManager } = require('../src/utils/audio/AudioManager');
+
+describe('conversation sessions', () => {
+  let mockWebSocketManager: ReturnType<typeof createMockWebSocketManager>;
+  let data: Map<string, string>;
+  let storage: ConversationStorage;
+  const agentOptions = createAgentOptions();
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    resetTestState();
+    localStorage.clear();
+    mockWebSocketManager = createMockWebSocketManager();
+    WebSocketManager.mockImplementation(() => mockWebSocketManager);
+    AudioManager.mockImplementation(() => createMockAudioManager());
+    data = new Map();
+    storage = {
+      getItem: jest.fn((key: string) => Promise.resolve(data.get(key) ?? null)),
+      setItem: jest.fn((key: string, value: string) => {
+        data.set(key, value);
+        return Promise.resolve();
+      }),
+      removeItem: jest.fn((key: string) => {
+        data.delete(key);
+        return Promise.resolve();
+      }),
+    };
+  });
+
+  const renderComponent = (props: { sessionId?: string; ttlMs?: number }) => {
+    const ref = React.createRef<DeepgramVoiceInteractionHandle>();
+    const element = (sessionId?: string) => (
+      <DeepgramVoiceInteraction
+        ref={ref}
+        apiKey={MOCK_API_KEY}
+        agentOptions={agentOptions}
+        conversationStorage={storage}
+        conversationStorageKey="app"
+        conversationSessionId={sessionId}
+        conversationTtlMs={props.ttlMs}
+      />
+    );
+    const utils = render(element(props.sessionId));
+    return { ref, rerenderWithSession: (sessionId?: string) => utils.rerender(element(sessionId)) };
+  };
+
+  it('restores and saves the chosen session through the session store', async () => {
+    const store = new ConversationSessionStore(storage, { namespace: 'app' });
+    await store.saveSession('s1', [{ role: 'user', content: 'Earlier question' }], Date.now());
+
+    const { ref } = renderComponent({ sessionId: 's1' });
+    await waitFor(() => expect(ref.current?.getConversationHistory()).toHaveLength(1));
+
+    const eventListener = await setupComponentAndConnect(ref, mockWebSocketManager);
+    act(() => {
+      eventListener?.({ type: 'message', data: { type: 'ConversationText', role: 'assistant', content: 'Welcome back' } });
+    });
+
+    await waitFor(async () => {
+      expect(await store.getSession('s1')).toMatchObject({ title: 'Earlier question', messageCount: 2 });
+    });
+    expect((await store.loadSession('s1'))?.map((item) => item.content)).toEqual(['Earlier question', 'Welcome back']);
+  });
+
+  it('switches sessions without writing one session into the other', async () => {
+    const store = new ConversationSessionStore(storage, { namespace: 'app' });
+    await store.saveSession('s1', [{ role: 'user', content: 'About billing' }]);
+    await store.saveSession('s2', [{ role: 'user', content: 'About shipping' }]);
+
+    const { ref, rerenderWithSession } = renderComponent({ sessionId: 's1' });
+    await waitFor(() => expect(ref.current?.getConversationHistory()[0]?.content).toBe('About billing'));
+
+    rerenderWithSession('s2');
+    await waitFor(() => expect(ref.current?.getConversationHistory().map((item) => item.content)).toEqual(['About shipping']));
+
+    rerenderWithSession('s3');
+    await waitFor(() => expect(ref.current?.getConversationHistory()).toEqual([]));
+
+    expect((await store.loadSession('s1'))?.map((item) => item.content)).toEqual(['About billing']);
+    expect((await store.loadSession('s2'))?.map((item) => item.content)).toEqual(['About shipping']);
+  });
+
+  it('drops an expired conversation instead of restoring it', async () => {
+    data.set('app', encodeStoredConversation([{ role: 'user', content: 'Stale' }], Date.now() - 60_000));
+
+    const { ref } = renderComponent({ ttlMs: 1000 });
+
+    await waitFor(() => expect(storage.removeItem).toHaveBeenCalledWith('app'));
+    expect(ref.current?.getConversationHistory()).toEqual([]);
+    expect(data.has('app')).toBe(false);
+  });
+
+  it('restores a version 1 array and writes the versioned payload', async () => {
+    data.set('app', JSON.stringify([{ role: 'user', content: 'Old format', timestamp: 1 }]));
+
+    const { ref } = renderComponent({});
+    await waitFor(() => expect(ref.current?.getConversationHistory()).toHaveLength(1));
+    expect(storage.setItem).not.toHaveBeenCalled(); // restoring alone is not activity
+
+    const eventListener = await setupComponentAndConnect(ref, mockWebSocketManager);
+    act(() => {
+      eventListener?.({ type: 'message', data: { type: 'ConversationText', role: 'assistant', content: 'Hello again' } });
+    });
+
+    await waitFor(() => expect(JSON.parse(data.get('app')!).items).toHaveLength(2));
+    expect(JSON.parse(data.get('app')!).schemaVersion).toBe(CONVERSATION_SCHEMA_VERSION);
+  });
+
+  it('keeps conversations out of localStorage when the storage opts out of the mirror', async () => {
+    storage.allowLocalStorageMirror = false;
+    const { ref } = renderComponent({});
+    await waitFor(() => expect(storage.getItem).toHaveBeenCalled());
+
+    const eventListener = await setupComponentAndConnect(ref, mockWebSocketManager);
+    act(() => {
+      eventListener?.({ type: 'message', data: { type: 'ConversationText', role: 'user', content: 'Private' } });
+    });
+
+    await waitFor(() => expect(data.get('app')).toContain('Private'));
+    expect(localStorage.getItem('app')).toBeNull();
+  });
+});
@@ -0,0 +1,62 @@
+/**
+ * Shared cases for the two function-argument validators: the component's src/utils/json-schema-validator.ts and
+ * voice-agent-backend's function registry. Both must accept every `valid` value and reject every `invalid` one, so
+ * the supported keywords stay identical. Messages differ by design and are tested next to each validator.
+ */
+
+export interface JsonSchemaCase {
+  keyword: string;
+  schema: Record<string, unknown>;
+  valid: unknown[];
+  invalid: unknown[];
+}
+
+export const jsonSchemaCases: JsonSchemaCase[] = [
+  { keyword: 'type', schema: { type: 'string' }, valid: ['a', ''], invalid: [1, null, ['a'], { a: 1 }] },
+  { keyword: 'type integer', schema: { type: 'integer' }, valid: [0, 3, -2], invalid: [1.5, '1', NaN] },
+  { keyword: 'type number', schema: { type: 'number' }, valid: [0, 1.5], invalid: ['1', Infinity, null] },
+  { keyword: 'type object', schema: { type: 'object' }, valid: [{}, { a: 1 }], invalid: [null, [], 'x'] },
+  { keyword: 'type array', schema: { type: 'array' }, valid: [[], [1]], invalid: [{}, 'x'] },
+  { keyword: 'type union', schema: { type: ['string', 'null'] }, valid: ['a', null], invalid: [0, false] },
+  { keyword: 'enum', schema: { enum: ['c', 'f', 1] }, valid: ['c', 1], invalid: ['k', '1'] },
+  { keyword: 'enum of objects', schema: { enum: [{ a: 1 }, [1, 2]] }, valid: [{ a: 1 }, [1, 2]], invalid: [{ a: 2 }, [2, 1]] },
+  { keyword: 'const', schema: { const: 'fixed' }, valid: ['fixed'], invalid: ['other', null] },
+  { keyword: 'const object', schema: { const: { mode: 'x' } }, valid: [{ mode: 'x' }], invalid: [{ mode: 'y' }] },
+  { keyword: 'minLength/maxLength', schema: { type: 'string', minLength: 1, maxLength: 3 }, valid: ['a', 'abc'], invalid: ['', 'abcd'] },
+  { keyword: 'pattern', schema: { type: 'string', pattern: '^[0-9]{5}$' }, valid: ['12345'], invalid: ['1234', 'abcde'] },
+  { keyword: 'invalid pattern', schema: { type: 'string', pattern: '([' }, valid: ['anything'], invalid: [] },
+  { keyword: 'minimum/maximum', schema: { type: 'number', minimum: 1, maximum: 7 }, valid: [1, 7], invalid: [0, 8] },
+  {
+    keyword: 'exclusiveMinimum/exclusiveMaximum',
+    schema: { type: 'number', exclusiveMinimum: 0, exclusiveMaximum: 1 },
+    valid: [0.5],
+    invalid: [0, 1],
+  },
+  { keyword: 'minItems/maxItems', schema: { type: 'array', minItems: 1, maxItems: 2 }, valid: [[1], [1, 2]], invalid: [[], [1, 2, 3]] },
+  { keyword: 'items', schema: { type: 'array', items: { type: 'string' } }, valid: [['a', 'b']], invalid: [['a', 1]] },
+  {
+    keyword: 'properties',
+    schema: { type: 'object', properties: { city: { type: 'string' } } },
+    valid: [{ city: 'Paris' }, {}, { other: 1 }],
+    invalid: [{ city: 1 }],
+  },
+  {
+    keyword: 'required',
+    schema: { type: 'object', required: ['city', 'toString'] },
+    valid: [{ city: 'Paris', toString: 'x' }],
+    invalid: [{ city: 'Paris' }, { toString: 'x' }, {}],
+  },
+  {
+    keyword: 'additionalProperties false',
+    schema: { type: 'object', properties: { city: {} }, additionalProperties: false },
+    valid: [{ city: 'Paris' }],
+    invalid: [{ city: 'Paris', extra: 1 }, { constructor: 1 }],
+  },
+  {
+    keyword: 'additionalProperties schema',
+    schema: { type: 'object', additionalProperties: { type: 'number' } },
+    valid: [{ a: 1, b: 2 }],
+    invalid: [{ a: 'x' }],
+  },
+  { keyword: 'unknown keywords', schema: { type: 'object', oneOf: [], format: 'email' }, valid: [{ a: 1 }], invalid: [] },
+];
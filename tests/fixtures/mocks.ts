@@ -69,6 +69,10 @@ export const createMockAudioManager = () => ({
   abortPlayback: jest.fn(),
   /** When true, AgentAudioDone/AgentDone must not force idle until playback ends (OpenAI proxy / TTS pipeline). */
   isPlaybackActive: jest.fn().mockReturnValue(false),
+  getAudioLevels: jest.fn(() => ({ input: { rms: 0, peak: 0 }, output: { rms: 0, peak: 0 }, timestamp: Date.now() })),
+  setInputDevice: jest.fn().mockResolvedValue(undefined),
+  setOutputDevice: jest.fn().mockResolvedValue(undefined),
+  setAudioSource: jest.fn().mockResolvedValue(undefined),
 });
 
 /**
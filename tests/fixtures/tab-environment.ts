@@ -0,0 +1,98 @@
+/**
+ * In-memory stand-ins for navigator.locks and BroadcastChannel, shared by every "tab" created from one hub.
+ * Locks are exclusive and granted in request order; `steal` takes the lock and rejects the holder's request with
+ * an AbortError, as in the Web Locks API. Channel messages are cloned and delivered asynchronously to the other
+ * channels with the same name.
+ */
+
+import type { TabChannel, TabLockManager } from '../../src/services/TabCoordinator';
+
+interface LockRequest {
+  callback: () => Promise<void>;
+  resolve: () => void;
+  reject: (error: Error) => void;
+}
+
+function abortError(): Error {
+  const error = new Error('The lock request is aborted');
+  error.name = 'AbortError';
+  return error;
+}
+
+export function createTabEnvironment() {
+  const holders = new Map<string, LockRequest>();
+  const queues = new Map<string, LockRequest[]>();
+  const channels = new Set<FakeChannel>();
+
+  const grant = (name: string, request: LockRequest) => {
+    holders.set(name, request);
+    request.callback().then(() => {
+      if (holders.get(name) !== request) return; // stolen
+      holders.delete(name);
+      request.resolve();
+      const next = queues.get(name)?.shift();
+      if (next) grant(name, next);
+    });
+  };
+
+  const locks: TabLockManager = {
+    request(name, options, callback) {
+      return new Promise<void>((resolve, reject) => {
+        const request: LockRequest = { callback, resolve, reject };
+        if (options.signal?.aborted) {
+          reject(abortError());
+          return;
+        }
+        const holder = holders.get(name);
+        if (options.steal) {
+          if (holder) holder.reject(abortError());
+          grant(name, request);
+          return;
+        }
+        if (!holder) {
+          grant(name, request);
+          return;
+        }
+        const queue = queues.get(name) ?? [];
+        queue.push(request);
+        queues.set(name, queue);
+        options.signal?.addEventListener('abort', () => {
+          const index = queue.indexOf(request);
+          if (index === -1) return;
+          queue.splice(index, 1);
+          reject(abortError());
+        });
+      });
+    },
+  };
+
+  class FakeChannel implements TabChannel {
+    public onmessage: ((event: MessageEvent) => void) | null = null;
+    private closed = false;
+
+    constructor(public readonly name: string) {
+      channels.add(this);
+    }
+
+    postMessage(message: unknown): void {
+      const data = JSON.parse(JSON.stringify(message)) as unknown;
+      channels.forEach((channel) => {
+        if (channel === this || channel.name !== this.name) return;
+        setTimeout(() => {
+          if (!channel.closed) channel.onmessage?.({ data } as MessageEvent);
+        }, 0);
+      });
+    }
+
+    close(): void {
+      this.closed = true;
+      channels.delete(this);
+    }
+  }
+
+  return {
+    locks,
+    createChannel: (name: string): TabChannel => new FakeChannel(name),
+    BroadcastChannel: FakeChannel,
+  };
+}
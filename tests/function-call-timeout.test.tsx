@@ -0,0 +1,140 @@
+/**
+ * @jest-environment jsdom
+ * @eslint-env jest
+ */
+
+/**
+ * functionCallOptions / onFunctionCallAbandoned: function calls cannot hang the turn
+ *
+ * Verifies that:
+ * 1. A handler that never settles times out with an error FunctionCallResponse, an aborted signal and a callback
+ * 2. A response arriving after the timeout is not sent
+ * 3. interruptAgent() cancels a pending call
+ * 4. Closing the agent socket abandons a pending call without sending a response
+ */
+
+import React from 'react';
+import { render, act, waitFor } from '@testing-library/react';
+import DeepgramVoiceInteraction from '../src/components/DeepgramVoiceInteraction';
+import {
+  DeepgramVoiceInteractionHandle,
+  FunctionCallHandlerContext,
+  FunctionCallOptions,
+  FunctionCallRequest,
+  FunctionCallResponse,
+} from '../src/types';
+import { createMockWebSocketManager, createMockAudioManager } from './fixtures/mocks';
+import {
+  resetTestState,
+  createAgentOptions,
+  setupComponentAndConnect,
+  MOCK_API_KEY,
+} from './utils/component-test-helpers';
+
+jest.mock('../src/utils/websocket/WebSocketManager');
+jest.mock('../src/utils/audio/AudioManager');
+
+const { WebSocketManager } = require('../src/utils/websocket/WebSocketManager');
+const { AudioManager } = require('../src/utils/audio/AudioManager');
+
+describe('function call timeouts and cancellation', () => {
+  let mockWebSocketManager: ReturnType<typeof createMockWebSocketManager>;
+  let signal: AbortSignal | undefined;
+  let sendLate: ((response: FunctionCallResponse) => void) | undefined;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    resetTestState();
+    signal = undefined;
+    sendLate = undefined;
+    mockWebSocketManager = createMockWebSocketManager();
+    WebSocketManager.mockImplementation(() => mockWebSocketManager);
+    AudioManager.mockImplementation(() => createMockAudioManager());
+  });
+
+  const responses = () =>
+    mockWebSocketManager.sendJSON.mock.calls
+      .map((c: unknown[]) => c[0])
+      .filter((m: { type: string }) => m.type === 'FunctionCallResponse');
+
+  // Never settles; keeps sendResponse and the signal for the test
+  const hangingHandler = (
+    _call: FunctionCallRequest,
+    sendResponse: (response: FunctionCallResponse) => void,
+    context: FunctionCallHandlerContext
+  ) => {
+    signal = context.signal;
+    sendLate = sendResponse;
+    return new Promise<void>(() => undefined);
+  };
+
+  async function renderAndRequest(functionCallOptions?: FunctionCallOptions) {
+    const onFunctionCallAbandoned = jest.fn();
+    const ref = React.createRef<DeepgramVoiceInteractionHandle>();
+    render(
+      <DeepgramVoiceInteraction
+        ref={ref}
+        apiKey={MOCK_API_KEY}
+        agentOptions={createAgentOptions()}
+        onFunctionCallRequest={hangingHandler}
+        functionCallOptions={functionCallOptions}
+        onFunctionCallAbandoned={onFunctionCallAbandoned}
+      />
+    );
+    const eventListener = await setupComponentAndConnect(ref, mockWebSocketManager);
+    act(() => {
+      eventListener?.({
+        type: 'message',
+        data: {
+          type: 'FunctionCallRequest',
+          functions: [{ id: 'call_1', name: 'check_inventory', arguments: '{}', client_side: true }],
+        },
+      });
+    });
+    expect(signal?.aborted).toBe(false);
+    return { ref, eventListener, onFunctionCallAbandoned };
+  }
+
+  it('sends a timeout error when the handler never settles and drops its late response', async () => {
+    const { onFunctionCallAbandoned } = await renderAndRequest({ timeoutMs: 10000, timeouts: { check_inventory: 50 } });
+
+    await waitFor(() => expect(responses()).toHaveLength(1));
+    expect(JSON.parse(responses()[0].content)).toEqual({
+      error: 'Function check_inventory timed out after 50 ms',
+      code: 'timeout',
+    });
+    expect(signal?.aborted).toBe(true);
+    expect(onFunctionCallAbandoned).toHaveBeenCalledWith(
+      expect.objectContaining({ id: 'call_1', name: 'check_inventory', reason: 'timeout' })
+    );
+
+    act(() => {
+      sendLate?.({ id: 'call_1', result: { inStock: true } });
+    });
+    expect(responses()).toHaveLength(1);
+  });
+
+  it('cancels the pending call on interruptAgent()', async () => {
+    const { ref, onFunctionCallAbandoned } = await renderAndRequest();
+
+    act(() => {
+      ref.current?.interruptAgent();
+    });
+
+    expect(signal?.aborted).toBe(true);
+    expect(JSON.parse(responses()[0].content)).toMatchObject({ code: 'cancelled' });
+    expect(onFunctionCallAbandoned).toHaveBeenCalledWith(expect.objectContaining({ reason: 'interrupted' }));
+  });
+
+  it('abandons the pending call without a response when the agent socket closes', async () => {
+    const { eventListener, onFunctionCallAbandoned } = await renderAndRequest();
+
+    act(() => {
+      eventListener?.({ type: 'state', state: 'closed' });
+    });
+
+    expect(signal?.aborted).toBe(true);
+    expect(responses()).toHaveLength(0);
+    expect(onFunctionCallAbandoned).toHaveBeenCalledWith(expect.objectContaining({ reason: 'disconnected' }));
+  });
+});
@@ -200,6 +200,8 @@ describe('OpenAI proxy integration (Issue #381)', () => {
   let mockSendTranscriptOnlyAfterSession = false;
   /** When true, mock sends only response.output_text.done with "Function call: ..." after session.updated (no .done event) */
   let mockSendOutputTextOnlyAfterSession = false;
+  /** When true, mock streams response.output_text.delta pieces then response.output_text.done after session.updated (ConversationTextDelta). */
+  let mockSendOutputTextDeltasAfterSession = false;
   /** When true, mock sends output_audio_transcript.done then response.function_call_arguments.done after session.updated */
   let mockSendTranscriptThenFunctionCallAfterSession = false;
   /** Issue #497: when true, mock sends multiple input_audio_transcription.delta events (same item_id) after session.updated to test accumulator. */
@@ -547,6 +549,27 @@ describe('OpenAI proxy integration (Issue #381)', () => {
                 text: 'Function call: get_current_datetime({ })',
               }));
               if (debugMock) process.stdout.write('[mock] sent output_text.done only (outputTextOnly)\n');
+            } else if (mockSendOutputTextDeltasAfterSession) {
+              mockSendOutputTextDeltasAfterSession = false;
+              for (const delta of ['The time ', 'is noon.']) {
+                socket.send(JSON.stringify({
+                  type: 'response.output_text.delta',
+                  response_id: 'resp_delta',
+                  item_id: 'item_delta',
+                  output_index: 0,
+                  content_index: 0,
+                  delta,
+                }));
+              }
+              socket.send(JSON.stringify({
+                type: 'response.output_text.done',
+                response_id: 'resp_delta',
+                item_id: 'item_delta',
+                output_index: 0,
+                content_index: 0,
+                text: 'The time is noon.',
+              }));
+              if (debugMock) process.stdout.write('[mock] sent output_text.delta x2 + output_text.done (outputTextDeltas)\n');
             } else if (mockSendTranscriptionDeltasForAccumulator) {
               mockSendTranscriptionDeltasForAccumulator = false;
               const itemId = 'item_accum_497';
@@ -2562,6 +2585,79 @@ describe('OpenAI proxy integration (Issue #381)', () => {
     client.on('error', done);
   }, 12000);
 
+  itMockOnly('push-to-talk: commits + response.create on EndUserTurn only, padding short turns to the API minimum', (done) => {
+    mockReceived.length = 0;
+    const client = new WebSocket(`ws://localhost:${proxyPort}${PROXY_PATH}`);
+    // Past the 400ms debounce and 600ms max-coalesce that would commit without push-to-talk
+    const PAST_AUTO_COMMIT_MS = 1200;
+    client.on('open', () => {
+      client.send(JSON.stringify({ type: 'Settings', agent: { turnMode: 'push-to-talk', think: { prompt: 'Hi' } } }));
+    });
+    client.on('message', (data: Buffer) => {
+      const msg = JSON.parse(data.toString()) as { type?: string; role?: string };
+      if (msg.type === 'SettingsApplied') {
+        mockReceived.length = 0;
+        // ~100 ms at 16 kHz: under the 100 ms @ 24 kHz minimum once resampled, so the proxy pads before committing
+        client.send(Buffer.alloc(3200, 0));
+        setTimeout(() => {
+          const types = mockReceived.map((m) => m.type);
+          expect(types).toContain('input_audio_buffer.append');
+          expect(types).not.toContain('input_audio_buffer.commit');
+          client.send(JSON.stringify({ type: 'EndUserTurn' }));
+        }, PAST_AUTO_COMMIT_MS);
+      }
+      if (msg.type === 'ConversationText' && msg.role === 'assistant') {
+        const types = mockReceived.map((m) => m.type);
+        const commitIndex = types.indexOf('input_audio_buffer.commit');
+        expect(commitIndex).toBeGreaterThan(-1);
+        expect(types.indexOf('response.create')).toBeGreaterThan(commitIndex);
+        expect(types.filter((t) => t === 'input_audio_buffer.commit')).toHaveLength(1);
+        client.close();
+        done();
+      }
+    });
+    client.on('error', done);
+  }, 10000);
+
+  itMockOnly('push-to-talk: EndUserTurn during a response cancels it and answers the new turn once it ends', (done) => {
+    mockDelayResponseDoneMs = 600;
+    mockReceived.length = 0;
+    const client = new WebSocket(`ws://localhost:${proxyPort}${PROXY_PATH}`);
+    client.on('open', () => {
+      client.send(JSON.stringify({ type: 'Settings', agent: { turnMode: 'push-to-talk', think: { prompt: 'Hi' } } }));
+    });
+    client.on('message', (data: Buffer) => {
+      const msg = JSON.parse(data.toString()) as { type?: string };
+      if (msg.type !== 'SettingsApplied') return;
+      mockReceived.length = 0;
+      client.send(Buffer.alloc(3200, 0));
+      client.send(JSON.stringify({ type: 'EndUserTurn' }));
+      setTimeout(() => {
+        // First response is still running (done delayed 600ms): the user takes the next turn
+        client.send(Buffer.alloc(3200, 0));
+        client.send(JSON.stringify({ type: 'EndUserTurn' }));
+      }, 100);
+      setTimeout(() => {
+        try {
+          const types = mockReceived
+            .map((m) => m.type)
+            .filter((t) => t === 'input_audio_buffer.commit' || t === 'response.create' || t === 'response.cancel');
+          expect(types).toEqual([
+            'input_audio_buffer.commit',
+            'response.create',
+            'input_audio_buffer.commit',
+            'response.cancel',
+            'response.create',
+          ]);
+        } finally {
+          client.close();
+          done();
+        }
+      }, 1200);
+    });
+    client.on('error', done);
+  }, 10000);
+
   /** Issue #414 3.2: Proxy must not send a second response.create while a response is still in progress (avoids "conversation already has an active response"). */
   itMockOnly('sends at most one response.create per turn until response completes (Issue #414 conversation_already_has_active_response)', (done) => {
     mockDelayResponseDoneMs = 600;
@@ -2689,6 +2785,37 @@ describe('OpenAI proxy integration (Issue #381)', () => {
     client.on('error', done);
   }, 8000);
 
+  itMockOnly('resamples agent audio to Settings audio.output linear16 rate (24 kHz deltas → 8 kHz binary)', (done) => {
+    mockSendOutputAudioBeforeText = true;
+    // 160 samples at 24 kHz → 53 samples at 8 kHz (the last input is held for interpolation)
+    const expectedPcmBytes = 106;
+    const receivedPcmChunks: Buffer[] = [];
+    const client = new WebSocket(`ws://localhost:${proxyPort}${PROXY_PATH}`);
+    client.on('open', () => {
+      client.send(JSON.stringify({
+        type: 'Settings',
+        audio: { input: { encoding: 'linear16', sample_rate: 16000 }, output: { encoding: 'linear16', sample_rate: 8000 } },
+        agent: { useOpenAIManualAudioCommit: true, think: { prompt: 'Hi' } },
+      }));
+    });
+    client.on('message', (data: Buffer, isBinary: boolean) => {
+      if (isBinary) {
+        receivedPcmChunks.push(data);
+        return;
+      }
+      const msg = JSON.parse(data.toString('utf8')) as { type?: string; role?: string };
+      if (msg.type === 'SettingsApplied') {
+        client.send(JSON.stringify({ type: 'InjectUserMessage', content: 'What is 2 plus 2?' }));
+      }
+      if (msg.type === 'ConversationText' && msg.role === 'assistant') {
+        expect(receivedPcmChunks.map((chunk) => chunk.length)).toEqual([expectedPcmBytes]);
+        client.close();
+        done();
+      }
+    });
+    client.on('error', done);
+  }, 8000);
+
   itMockOnly('translates response.function_call_arguments.done to FunctionCallRequest and FunctionCallResponse to conversation.item.create (function_call_output)', (done) => {
     receivedConversationItems.length = 0;
     mockSendFunctionCallAfterSession = true;
@@ -3339,6 +3466,49 @@ describe('OpenAI proxy integration (Issue #381)', () => {
     client.on('error', (err) => finish(err));
   }, 5000);
 
+  /**
+   * Streaming captions: each response.output_text.delta is forwarded as ConversationTextDelta (turn_id = response_id)
+   * before the final ConversationText, which is unchanged.
+   */
+  itMockOnly('forwards response.output_text.delta as ConversationTextDelta before the final ConversationText', (done) => {
+    mockSendOutputTextDeltasAfterSession = true;
+    const client = new WebSocket(`ws://localhost:${proxyPort}${PROXY_PATH}`);
+    const received: Array<{ type?: string; role?: string; delta?: string; turn_id?: string; content?: string }> = [];
+    let finished = false;
+    const t = setTimeout(() => {
+      client.close();
+      done(new Error(`timeout, received: ${received.map((m) => m.type).join(', ')}`));
+    }, 4000);
+    client.on('open', () => {
+      client.send(JSON.stringify({ type: 'Settings', agent: { useOpenAIManualAudioCommit: true, think: { prompt: 'Hi' } } }));
+    });
+    client.on('message', (data: Buffer) => {
+      if (finished) return;
+      received.push(JSON.parse(data.toString()));
+      const finalText = received.find((m) => m.type === 'ConversationText' && m.role === 'assistant');
+      if (!finalText) return;
+      finished = true;
+      clearTimeout(t);
+      client.close();
+      try {
+        const deltas = received.filter((m) => m.type === 'ConversationTextDelta');
+        expect(deltas).toEqual([
+          { type: 'ConversationTextDelta', role: 'assistant', delta: 'The time ', turn_id: 'resp_delta' },
+          { type: 'ConversationTextDelta', role: 'assistant', delta: 'is noon.', turn_id: 'resp_delta' },
+        ]);
+        expect(received.indexOf(deltas[1])).toBeLessThan(received.indexOf(finalText));
+        expect(finalText.content).toBe('The time is noon.');
+        done();
+      } catch (err) {
+        done(err as Error);
+      }
+    });
+    client.on('error', (err) => {
+      clearTimeout(t);
+      done(err);
+    });
+  }, 5000);
+
   /**
    * When upstream sends output_audio_transcript.done then response.function_call_arguments.done,
    * proxy sends AgentStartedSpeaking then FunctionCallRequest (Issue #489 Phase 2: no ConversationText from these control events).
@@ -4761,6 +4931,109 @@ describe('OpenAI proxy integration (Issue #381)', () => {
     }, 8000);
   });
 
+  /**
+   * Third proxy with `functionExecutor`: calls for functions it runs are answered upstream without the client, which only
+   * sees them as server-side calls (FunctionCallRequest client_side false, then FunctionCallResponse).
+   */
+  describe('server-side function execution (functionExecutor)', () => {
+    let executorProxyHttp: http.Server | null = null;
+    let executorProxyWss: InstanceType<typeof WebSocketServer> | null = null;
+    let executorProxyPort = 0;
+    let serverSideFunctions = ['get_current_time'];
+    const execute = jest.fn(async (_name: string, _args: Record<string, unknown>, _context: Record<string, unknown>) => ({ time: '09:30' }));
+
+    beforeAll(async () => {
+      if (useRealAPIs) return;
+      const server = http.createServer((_req, res) => {
+        res.writeHead(404);
+        res.end();
+      });
+      await new Promise<void>((resolve) => server.listen(0, '127.0.0.1', () => resolve()));
+      executorProxyPort = (server.address() as { port: number }).port;
+      executorProxyHttp = server;
+      executorProxyWss = createOpenAIProxyServer({
+        server,
+        path: PROXY_PATH,
+        upstreamUrl: `ws://127.0.0.1:${mockPort}`,
+        functionExecutor: {
+          has: (name) => serverSideFunctions.includes(name),
+          execute,
+          getRequestContext: (req) => ({ sessionId: new URL(req.url ?? '', 'http://localhost').searchParams.get('sessionId') }),
+        },
+      }).wss;
+    });
+
+    afterAll(async () => {
+      if (executorProxyWss) await new Promise<void>((resolve) => executorProxyWss!.close(() => resolve()));
+      if (executorProxyHttp) await new Promise<void>((resolve) => executorProxyHttp!.close(() => resolve()));
+    });
+
+    beforeEach(() => {
+      execute.mockClear();
+      serverSideFunctions = ['get_current_time'];
+    });
+
+    itMockOnly('runs a registered function in the proxy and answers upstream with function_call_output', (done) => {
+      receivedConversationItems.length = 0;
+      mockSendFunctionCallAfterSession = true;
+      const client = new WebSocket(`ws://127.0.0.1:${executorProxyPort}${PROXY_PATH}?sessionId=s-1`);
+      const received: Array<{ type?: string; functions?: Array<{ id: string; client_side: boolean }>; id?: string; content?: string }> = [];
+      client.on('open', () => {
+        client.send(JSON.stringify({ type: 'Settings', agent: { useOpenAIManualAudioCommit: true, think: { prompt: 'Hi' } } }));
+      });
+      client.on('message', (data: Buffer) => {
+        if (data.length === 0 || data[0] !== 0x7b) return;
+        const msg = JSON.parse(data.toString());
+        received.push(msg);
+        if (msg.type === 'ConversationText' && msg.role === 'assistant' && msg.content === 'Hello from mock') {
+          try {
+            expect(received.find((m) => m.type === 'FunctionCallRequest')?.functions).toEqual([
+              { id: 'call_mock_1', name: 'get_current_time', arguments: '{}', client_side: false, proxy_executed: true },
+            ]);
+            expect(received.find((m) => m.type === 'FunctionCallResponse')).toEqual({
+              type: 'FunctionCallResponse',
+              id: 'call_mock_1',
+              name: 'get_current_time',
+              content: '{"time":"09:30"}',
+            });
+            expect(execute).toHaveBeenCalledWith(
+              'get_current_time',
+              {},
+              expect.objectContaining({ id: 'call_mock_1', sessionId: 's-1', signal: expect.any(AbortSignal) })
+            );
+            const output = receivedConversationItems.find((m) => m.item?.type === 'function_call_output');
+            expect(output?.item).toEqual({ type: 'function_call_output', call_id: 'call_mock_1', output: '{"time":"09:30"}' });
+            client.close();
+            done();
+          } catch (e) {
+            done(e as Error);
+          }
+        }
+      });
+      client.on('error', done);
+    }, 8000);
+
+    itMockOnly('leaves functions the executor does not run to the client', (done) => {
+      serverSideFunctions = [];
+      mockSendFunctionCallAfterSession = true;
+      const client = new WebSocket(`ws://127.0.0.1:${executorProxyPort}${PROXY_PATH}`);
+      client.on('open', () => {
+        client.send(JSON.stringify({ type: 'Settings', agent: { useOpenAIManualAudioCommit: true, think: { prompt: 'Hi' } } }));
+      });
+      client.on('message', (data: Buffer) => {
+        if (data.length === 0 || data[0] !== 0x7b) return;
+        const msg = JSON.parse(data.toString());
+        if (msg.type === 'FunctionCallRequest') {
+          expect(msg.functions[0].client_side).toBe(true);
+          expect(execute).not.toHaveBeenCalled();
+          client.close();
+          done();
+        }
+      });
+      client.on('error', done);
+    }, 8000);
+  });
+
   /**
    * Issue #514: After a successful function call (host sends one FunctionCallResponse), the client must receive exactly one
    * FunctionCallRequest for that turn. No retry or re-Settings should cause a duplicate function call. With #512 (unmapped
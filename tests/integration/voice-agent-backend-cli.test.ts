@@ -70,7 +70,8 @@ describe('voice-agent-backend CLI (Issue #423 Phase 3)', () => {
   it('serve command starts server and responds on proxy path', async () => {
     child = spawn('node', [cliPath, 'serve'], {
       cwd: packageDir,
-      env: { ...process.env, PORT: String(testPort) },
+      // No API keys: proxy paths answer 501 instead of proxying (and no OpenAI subprocess is spawned)
+      env: { ...process.env, PORT: String(testPort), DEEPGRAM_API_KEY: '', OPENAI_API_KEY: '' },
       stdio: ['ignore', 'pipe', 'pipe'],
     });
 
@@ -1,13 +1,16 @@
 /**
  * Issue #423: Integration tests for voice-agent-backend mounted routes.
- * Asserts that Deepgram proxy, OpenAI proxy, and function-call paths are mounted and return defined responses.
+ * Asserts that Deepgram proxy, OpenAI proxy, and function-call paths are mounted and return defined responses,
+ * and that app.listen() serves the WebSocket proxies.
  * @see docs/issues/ISSUE-423/TDD-PLAN.md Phase 2
  *
  * @jest-environment node
  */
 
 import http from 'http';
+import net from 'net';
 import path from 'path';
+import WebSocket, { WebSocketServer } from 'ws';
 
 const backendPath = path.resolve(__dirname, '../../packages/voice-agent-backend/src/index.js');
 const { createServer: createVoiceAgentServer } = require(backendPath);
@@ -56,10 +59,10 @@ describe('voice-agent-backend mounted routes (Issue #423 Phase 2)', () => {
     }
   });
 
-  it('starts server and responds on /api/deepgram/proxy with defined shape', async () => {
+  it('starts server and responds on /api/deepgram/proxy with defined shape when no API key is configured', async () => {
     const app = createVoiceAgentServer({
-      deepgramProxy: { enabled: true },
-      openaiProxy: { enabled: true },
+      deepgramProxy: { enabled: true, apiKey: '' },
+      openaiProxy: { enabled: true, apiKey: '' },
       functionCall: { path: '/api/function-call' },
     });
     server = app.listen(0) as http.Server;
@@ -72,10 +75,10 @@ describe('voice-agent-backend mounted routes (Issue #423 Phase 2)', () => {
     expect(data).toHaveProperty('error');
   });
 
-  it('responds on /api/openai/proxy with defined shape', async () => {
+  it('responds on /api/openai/proxy with defined shape when no API key is configured', async () => {
     const app = createVoiceAgentServer({
-      deepgramProxy: { enabled: true },
-      openaiProxy: { enabled: true },
+      deepgramProxy: { enabled: true, apiKey: '' },
+      openaiProxy: { enabled: true, apiKey: '' },
       functionCall: { path: '/api/function-call' },
     });
     server = app.listen(0) as http.Server;
@@ -87,6 +90,23 @@ describe('voice-agent-backend mounted routes (Issue #423 Phase 2)', () => {
     expect(data).toHaveProperty('route', 'openai');
   });
 
+  it('does not spawn the OpenAI proxy for an OPENAI_API_KEY in the environment alone', async () => {
+    const saved = process.env.OPENAI_API_KEY;
+    process.env.OPENAI_API_KEY = 'sk-ambient';
+    try {
+      const app = createVoiceAgentServer({ deepgramProxy: { enabled: false } });
+      server = app.listen(0) as http.Server;
+      port = (server.address() as { port: number }).port;
+
+      const { statusCode, body } = await request(port, '/api/openai/proxy');
+      expect(statusCode).toBe(501);
+      expect(JSON.parse(body)).toHaveProperty('route', 'openai');
+    } finally {
+      if (saved === undefined) delete process.env.OPENAI_API_KEY;
+      else process.env.OPENAI_API_KEY = saved;
+    }
+  });
+
   it('responds on custom function-call path with defined shape (no handler)', async () => {
     const app = createVoiceAgentServer({
       functionCall: { path: '/api/function-call' },
@@ -124,4 +144,105 @@ describe('voice-agent-backend mounted routes (Issue #423 Phase 2)', () => {
     expect(data).toHaveProperty('content');
     expect(JSON.parse(data.content)).toEqual({ time: '14:30:00', timezone: 'UTC' });
   });
+
+  describe('WebSocket proxies on app.listen()', () => {
+    let upstream: WebSocketServer | null = null;
+    let upstreamUrl = '';
+
+    beforeEach(async () => {
+      upstream = new WebSocketServer({ port: 0 });
+      await new Promise((resolve) => upstream!.once('listening', resolve));
+      upstreamUrl = `ws://127.0.0.1:${(upstream.address() as { port: number }).port}`;
+      upstream.on('connection', (ws, req) => {
+        ws.on('message', (data) => ws.send(JSON.stringify({ echo: data.toString(), url: req.url })));
+      });
+    });
+
+    afterEach((done) => {
+      upstream!.close(() => done());
+    });
+
+    const listen = async (options: object) => {
+      server = createVoiceAgentServer(options).listen(0) as http.Server;
+      await new Promise((resolve) => server!.once('listening', resolve));
+      return (server.address() as { port: number }).port;
+    };
+
+    const roundTrip = (url: string) =>
+      new Promise<{ echo: string; url: string }>((resolve, reject) => {
+        const client = new WebSocket(url);
+        client.on('open', () => client.send('hello'));
+        client.on('message', (data) => {
+          client.close();
+          resolve(JSON.parse(data.toString()));
+        });
+        client.on('error', reject);
+      });
+
+    it('proxies /api/deepgram/proxy to the Deepgram agent URL', async () => {
+      const port = await listen({ deepgramProxy: { apiKey: 'dg-key', agentUrl: `${upstreamUrl}/agent` }, openaiProxy: { enabled: false } });
+
+      const reply = await roundTrip(`ws://127.0.0.1:${port}/api/deepgram/proxy?model=nova`);
+
+      expect(reply).toEqual({ echo: 'hello', url: '/agent?model=nova' });
+    });
+
+    it('proxies /api/openai/proxy to a running translation proxy (openaiProxy.proxyUrl)', async () => {
+      const port = await listen({ deepgramProxy: { enabled: false }, openaiProxy: { proxyUrl: `${upstreamUrl}/openai` } });
+
+      const reply = await roundTrip(`ws://127.0.0.1:${port}/api/openai/proxy`);
+
+      expect(reply).toEqual({ echo: 'hello', url: '/openai' });
+    });
+
+    it('answers plain HTTP on a proxy path with 426', async () => {
+      const port = await listen({ deepgramProxy: { apiKey: 'dg-key', agentUrl: upstreamUrl }, openaiProxy: { enabled: false } });
+
+      const { statusCode, body } = await request(port, '/api/deepgram/proxy');
+
+      expect(statusCode).toBe(426);
+      expect(JSON.parse(body)).toEqual({ error: 'Upgrade Required', route: 'deepgram' });
+    });
+
+    it('keeps the Deepgram proxy and answers 503 on the OpenAI path when the OpenAI subprocess cannot start', async () => {
+      const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() };
+      const openaiPort = await new Promise<number>((resolve) => {
+        const probe = net.createServer().listen(0, '127.0.0.1', () => {
+          const { port: free } = probe.address() as { port: number };
+          probe.close(() => resolve(free));
+        });
+      });
+      // The subprocess exits at startup: node cannot preload the module
+      const port = await listen({
+        deepgramProxy: { apiKey: 'dg-key', agentUrl: `${upstreamUrl}/agent` },
+        openaiProxy: { apiKey: 'sk-test', port: openaiPort, env: { NODE_OPTIONS: '--require /nonexistent/preload.js' } },
+        logger,
+      });
+
+      let openai = await request(port, '/api/openai/proxy');
+      for (let i = 0; openai.statusCode !== 503 && i < 50; i++) {
+        await new Promise((resolve) => setTimeout(resolve, 100));
+        openai = await request(port, '/api/openai/proxy');
+      }
+
+      expect(openai.statusCode).toBe(503);
+      expect(JSON.parse(openai.body)).toMatchObject({ error: 'Service Unavailable', route: 'openai' });
+      expect(logger.error).toHaveBeenCalledWith(
+        '[voice-agent-backend] OpenAI proxy failed to start; its path answers 503',
+        expect.objectContaining({ message: expect.any(String) })
+      );
+      await expect(roundTrip(`ws://127.0.0.1:${port}/api/deepgram/proxy`)).resolves.toMatchObject({ echo: 'hello' });
+    });
+
+    it('rejects WebSocket clients that fail verifyClient', async () => {
+      const port = await listen({
+        deepgramProxy: { apiKey: 'dg-key', agentUrl: upstreamUrl },
+        openaiProxy: { enabled: false },
+        verifyClient: (info: { req: http.IncomingMessage }) => (info.req.url ?? '').includes('token=ok'),
+      });
+
+      await expect(roundTrip(`ws://127.0.0.1:${port}/api/deepgram/proxy?token=bad`)).rejects.toThrow('401');
+      await expect(roundTrip(`ws://127.0.0.1:${port}/api/deepgram/proxy?token=ok`)).resolves.toMatchObject({ echo: 'hello' });
+    });
+  });
 });
@@ -49,8 +49,8 @@ describe('voice-agent-backend thin-wrapper (Issue #423 Phase 4)', () => {
     app.use((_req: unknown, _res: unknown, next: () => void) => next()); // logging stub
     app.use((_req: unknown, _res: unknown, next: () => void) => next()); // auth stub
     mountVoiceAgentBackend(app, {
-      deepgramProxy: { enabled: true },
-      openaiProxy: { enabled: true },
+      deepgramProxy: { enabled: true, apiKey: '' },
+      openaiProxy: { enabled: true, apiKey: '' },
       functionCall: { path: '/api/function-call' },
     });
     server = app.listen(0) as http.Server;
@@ -0,0 +1,67 @@
+/**
+ * @jest-environment jsdom
+ * @eslint-env jest
+ */
+
+/**
+ * jitterBuffer: worklet playback of agent audio
+ *
+ * Verifies that the resolved options reach the AudioManager, and that without the prop the AudioManager keeps
+ * the AudioBufferSourceNode scheduler.
+ */
+
+import React from 'react';
+import { render, act } from '@testing-library/react';
+import DeepgramVoiceInteraction from '../src/components/DeepgramVoiceInteraction';
+import { DeepgramVoiceInteractionHandle, DeepgramVoiceInteractionProps } from '../src/types';
+import { DEFAULT_JITTER_BUFFER_OPTIONS } from '../src/utils/audio/jitter-buffer';
+import { createMockWebSocketManager, createMockAudioManager } from './fixtures/mocks';
+import {
+  resetTestState,
+  createAgentOptions,
+  setupComponentAndConnect,
+  MOCK_API_KEY,
+} from './utils/component-test-helpers';
+
+jest.mock('../src/utils/websocket/WebSocketManager');
+jest.mock('../src/utils/audio/AudioManager');
+
+const { WebSocketManager } = require('../src/utils/websocket/WebSocketManager');
+const { AudioManager } = require('../src/utils/audio/AudioManager');
+
+describe('jitterBuffer', () => {
+  let mockWebSocketManager: ReturnType<typeof createMockWebSocketManager>;
+  let mockAudioManager: ReturnType<typeof createMockAudioManager>;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    resetTestState();
+    mockWebSocketManager = createMockWebSocketManager();
+    mockAudioManager = createMockAudioManager();
+    WebSocketManager.mockImplementation(() => mockWebSocketManager);
+    AudioManager.mockImplementation(() => mockAudioManager);
+  });
+
+  const renderAndCapture = async (props: Partial<DeepgramVoiceInteractionProps>) => {
+    const ref = React.createRef<DeepgramVoiceInteractionHandle>();
+    render(<DeepgramVoiceInteraction ref={ref} apiKey={MOCK_API_KEY} agentOptions={createAgentOptions()} {...props} />);
+    await setupComponentAndConnect(ref, mockWebSocketManager);
+    await act(async () => {
+      await ref.current!.startAudioCapture();
+    });
+  };
+
+  it('passes resolved options to the AudioManager', async () => {
+    await renderAndCapture({ jitterBuffer: { targetLatencyMs: 200 } });
+
+    expect(AudioManager).toHaveBeenCalledWith(
+      expect.objectContaining({ jitterBuffer: { ...DEFAULT_JITTER_BUFFER_OPTIONS, targetLatencyMs: 200 } })
+    );
+  });
+
+  it('keeps the buffer-source scheduler by default', async () => {
+    await renderAndCapture({});
+
+    expect(AudioManager).toHaveBeenCalledWith(expect.objectContaining({ jitterBuffer: null }));
+  });
+});
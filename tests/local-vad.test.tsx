@@ -0,0 +1,122 @@
+/**
+ * @jest-environment jsdom
+ * @eslint-env jest
+ */
+
+/**
+ * localVad: client-side voice activity detection
+ *
+ * Verifies that:
+ * 1. The resolved options reach the AudioManager, and its vad events call onLocalSpeechStart / onLocalSpeechStop
+ * 2. With bargeIn, local speech stops agent playback and drops agent audio until the server confirms
+ * 3. Without bargeIn, local speech leaves playback and agent state alone
+ */
+
+import React from 'react';
+import { render, act } from '@testing-library/react';
+import DeepgramVoiceInteraction from '../src/components/DeepgramVoiceInteraction';
+import { DeepgramVoiceInteractionHandle, DeepgramVoiceInteractionProps } from '../src/types';
+import { DEFAULT_LOCAL_VAD_OPTIONS } from '../src/utils/audio/local-vad';
+import { createMockWebSocketManager, createMockAudioManager } from './fixtures/mocks';
+import {
+  resetTestState,
+  createAgentOptions,
+  setupComponentAndConnect,
+  MOCK_API_KEY,
+} from './utils/component-test-helpers';
+
+jest.mock('../src/utils/websocket/WebSocketManager');
+jest.mock('../src/utils/audio/AudioManager');
+
+const { WebSocketManager } = require('../src/utils/websocket/WebSocketManager');
+const { AudioManager } = require('../src/utils/audio/AudioManager');
+
+describe('local VAD', () => {
+  let mockWebSocketManager: ReturnType<typeof createMockWebSocketManager>;
+  let mockAudioManager: ReturnType<typeof createMockAudioManager>;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    resetTestState();
+    mockWebSocketManager = createMockWebSocketManager();
+    mockAudioManager = createMockAudioManager();
+    WebSocketManager.mockImplementation(() => mockWebSocketManager);
+    AudioManager.mockImplementation(() => mockAudioManager);
+  });
+
+  const renderAndCapture = async (props: Partial<DeepgramVoiceInteractionProps>) => {
+    const ref = React.createRef<DeepgramVoiceInteractionHandle>();
+    render(<DeepgramVoiceInteraction ref={ref} apiKey={MOCK_API_KEY} agentOptions={createAgentOptions()} {...props} />);
+    const eventListener = await setupComponentAndConnect(ref, mockWebSocketManager);
+    await act(async () => {
+      await ref.current!.startAudioCapture();
+    });
+    const audioListener = mockAudioManager.addEventListener.mock.calls[0][0];
+    const emitVad = (speaking: boolean) => act(() => audioListener({ type: 'vad', speaking }));
+    const sendAgentAudio = () =>
+      act(async () => {
+        await eventListener?.({ type: 'binary', data: new ArrayBuffer(480) });
+      });
+    return { ref, eventListener, emitVad, sendAgentAudio };
+  };
+
+  it('passes resolved options to the AudioManager and reports local speech', async () => {
+    const onLocalSpeechStart = jest.fn();
+    const onLocalSpeechStop = jest.fn();
+    const { emitVad } = await renderAndCapture({ localVad: { hangoverMs: 800 }, onLocalSpeechStart, onLocalSpeechStop });
+
+    expect(AudioManager).toHaveBeenCalledWith(
+      expect.objectContaining({ localVad: { ...DEFAULT_LOCAL_VAD_OPTIONS, hangoverMs: 800 } })
+    );
+    emitVad(true);
+    expect(onLocalSpeechStart).toHaveBeenCalledTimes(1);
+    emitVad(false);
+    expect(onLocalSpeechStop).toHaveBeenCalledTimes(1);
+  });
+
+  it('barges in on local speech and drops agent audio until the server confirms', async () => {
+    const { eventListener, emitVad, sendAgentAudio } = await renderAndCapture({ localVad: { bargeIn: true } });
+    mockAudioManager.isPlaybackActive.mockReturnValue(true);
+
+    emitVad(true);
+    expect(mockAudioManager.clearAudioQueue).toHaveBeenCalled();
+
+    await sendAgentAudio();
+    expect(mockAudioManager.queueAudio).not.toHaveBeenCalled();
+
+    act(() => {
+      eventListener?.({ type: 'message', data: { type: 'UserStartedSpeaking' } });
+    });
+    await sendAgentAudio();
+    expect(mockAudioManager.queueAudio).toHaveBeenCalledTimes(1);
+  });
+
+  it('resumes agent audio when the server does not confirm within bargeInConfirmMs', async () => {
+    const { emitVad, sendAgentAudio } = await renderAndCapture({ localVad: { bargeIn: true, bargeInConfirmMs: 20 } });
+    mockAudioManager.isPlaybackActive.mockReturnValue(true);
+
+    emitVad(true);
+    await sendAgentAudio();
+    expect(mockAudioManager.queueAudio).not.toHaveBeenCalled();
+
+    await act(async () => {
+      await new Promise((resolve) => setTimeout(resolve, 30));
+    });
+    await sendAgentAudio();
+    expect(mockAudioManager.queueAudio).toHaveBeenCalledTimes(1);
+  });
+
+  it('leaves playback alone without bargeIn', async () => {
+    const onAgentStateChange = jest.fn();
+    const { emitVad, sendAgentAudio } = await renderAndCapture({ localVad: true, onAgentStateChange });
+    mockAudioManager.isPlaybackActive.mockReturnValue(true);
+    onAgentStateChange.mockClear();
+
+    emitVad(true);
+    await sendAgentAudio();
+
+    expect(mockAudioManager.clearAudioQueue).not.toHaveBeenCalled();
+    expect(mockAudioManager.queueAudio).toHaveBeenCalledTimes(1);
+    expect(onAgentStateChange).not.toHaveBeenCalledWith('listening');
+  });
+});
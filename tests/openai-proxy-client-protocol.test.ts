@@ -18,6 +18,7 @@ describe('openai-proxy client-protocol (Issue #533)', () => {
     expect(OPENAI_PROXY_CLIENT_JSON_TYPE.InjectUserMessage).toBe('InjectUserMessage');
     expect(OPENAI_PROXY_CLIENT_JSON_TYPE.FunctionCallResponse).toBe('FunctionCallResponse');
     expect(OPENAI_PROXY_CLIENT_JSON_TYPE.KeepAlive).toBe('KeepAlive');
+    expect(OPENAI_PROXY_CLIENT_JSON_TYPE.EndUserTurn).toBe('EndUserTurn');
   });
 
   it('OPENAI_PROXY_LEGAL_CLIENT_JSON_TYPES lists every accepted type once (strict mode, no Error)', () => {
@@ -26,8 +27,9 @@ describe('openai-proxy client-protocol (Issue #533)', () => {
       'InjectUserMessage',
       'FunctionCallResponse',
       'KeepAlive',
+      'EndUserTurn',
     ]);
-    expect(new Set(OPENAI_PROXY_LEGAL_CLIENT_JSON_TYPES).size).toBe(4);
+    expect(new Set(OPENAI_PROXY_LEGAL_CLIENT_JSON_TYPES).size).toBe(5);
   });
 
   it('OPENAI_PROXY_CLIENT_JSON_TYPES_TRANSLATED_TO_REALTIME is legal types except KeepAlive (no-op at proxy)', () => {
@@ -35,6 +37,7 @@ describe('openai-proxy client-protocol (Issue #533)', () => {
       'Settings',
       'InjectUserMessage',
       'FunctionCallResponse',
+      'EndUserTurn',
     ]);
     for (const t of OPENAI_PROXY_CLIENT_JSON_TYPES_TRANSLATED_TO_REALTIME) {
       expect(OPENAI_PROXY_LEGAL_CLIENT_JSON_TYPES).toContain(t);
@@ -58,7 +61,7 @@ describe('openai-proxy client-protocol (Issue #533)', () => {
 
   it('getOpenAIProxyAllowedClientJsonTypesDescription matches proxy Error copy (no trailing space)', () => {
     expect(getOpenAIProxyAllowedClientJsonTypesDescription()).toBe(
-      'Settings, InjectUserMessage, FunctionCallResponse. KeepAlive is ignored.',
+      'Settings, InjectUserMessage, FunctionCallResponse, EndUserTurn. KeepAlive is ignored.',
     );
   });
 });
@@ -1,9 +1,12 @@
 /**
- * OpenAI proxy: PCM16 mono 16 kHz → 24 kHz resampling (Issue #560).
- * dg_react_agent AudioManager emits 16 kHz PCM16 to the proxy (downsampled from AudioContext rate when needed); Realtime session.input declares rate 24000.
+ * OpenAI proxy: PCM16 mono 16 kHz → 24 kHz resampling (Issue #560), and other client rates in either direction.
+ * dg_react_agent AudioManager emits 16 kHz PCM16 to the proxy by default (resampled from AudioContext rate when needed); Realtime session.input declares rate 24000.
  */
 
-import { Pcm16Mono16kTo24kStreamResampler } from '../packages/voice-agent-backend/scripts/openai-proxy/pcm-resample-16k-to-24k';
+import {
+  Pcm16Mono16kTo24kStreamResampler,
+  Pcm16MonoStreamResampler,
+} from '../packages/voice-agent-backend/scripts/openai-proxy/pcm-resample';
 
 describe('Pcm16Mono16kTo24kStreamResampler', () => {
   it('returns empty buffer for empty input', () => {
@@ -79,3 +82,43 @@ describe('Pcm16Mono16kTo24kStreamResampler', () => {
     expect(got.equals(expected)).toBe(true);
   });
 });
+
+describe('Pcm16MonoStreamResampler', () => {
+  const tone = (hz: number, rate: number, samples: number) => {
+    const b = Buffer.alloc(samples * 2);
+    for (let i = 0; i < samples; i++) {
+      b.writeInt16LE(Math.round(10000 * Math.sin((2 * Math.PI * hz * i) / rate)), i * 2);
+    }
+    return b;
+  };
+  const rms = (b: Buffer) => {
+    const view = new Int16Array(b.buffer, b.byteOffset, b.byteLength / 2);
+    return Math.sqrt(view.reduce((sum, s) => sum + s * s, 0) / view.length);
+  };
+
+  it('upsamples 8 kHz to 24 kHz (3× samples, the last input held for lookahead)', () => {
+    const r = new Pcm16MonoStreamResampler(8000, 24000);
+    expect(r.push(tone(440, 8000, 800)).byteLength / 2).toBe(3 * 799);
+  });
+
+  it('passes audio through unchanged at equal rates', () => {
+    const input = tone(440, 24000, 100);
+    expect(new Pcm16MonoStreamResampler(24000, 24000).push(input).equals(input)).toBe(true);
+  });
+
+  it('downsampling 48 kHz to 24 kHz keeps a 1 kHz tone and filters a 20 kHz tone instead of aliasing it', () => {
+    const pass = new Pcm16MonoStreamResampler(48000, 24000).push(tone(1000, 48000, 4800));
+    const stop = new Pcm16MonoStreamResampler(48000, 24000).push(tone(20000, 48000, 4800));
+    expect(pass.byteLength / 2).toBe(2400);
+    expect(rms(pass.subarray(200))).toBeGreaterThan(0.95 * rms(tone(1000, 48000, 4800)));
+    expect(rms(stop.subarray(200))).toBeLessThan(0.02 * rms(tone(20000, 48000, 4800)));
+  });
+
+  it('gives the same output for chunked input when downsampling (filter state carries over)', () => {
+    const input = tone(3000, 24000, 2400);
+    const whole = new Pcm16MonoStreamResampler(24000, 8000).push(input);
+    const r = new Pcm16MonoStreamResampler(24000, 8000);
+    const chunked = Buffer.concat([r.push(input.subarray(0, 1000)), r.push(input.subarray(1000, 3002)), r.push(input.subarray(3002))]);
+    expect(chunked.equals(whole)).toBe(true);
+  });
+});
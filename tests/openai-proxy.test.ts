@@ -8,6 +8,8 @@
 import {
   mapSettingsToSessionUpdate,
   sessionUpdateUsesOpenAIServerVad,
+  settingsUsePushToTalk,
+  resolveClientAudioFormats,
   mapInjectUserMessageToConversationItemCreate,
   mapSessionUpdatedToSettingsApplied,
   mapOutputAudioTranscriptDoneToConversationText,
@@ -20,6 +22,8 @@ import {
   mapConversationItemAddedToConversationText,
   extractAssistantTextFromResponseOutputTextDone,
   mergeAssistantTextFromOutputTextDoneAndDeltas,
+  mapOutputTextDeltaToConversationTextDelta,
+  extractOutputTextDeltaPiece,
   extractAssistantTextFromResponseDoneEvent,
   mapErrorToComponentError,
   binaryToInputAudioBufferAppend,
@@ -122,6 +126,31 @@ describe('OpenAI proxy translator (Issue #381)', () => {
       expect(out.session.instructions).toContain('assistant: The capital of France is Paris.');
     });
 
+    it('renders replayed function_calls context entries as call → response lines', () => {
+      const settings = {
+        type: 'Settings' as const,
+        agent: {
+          think: { prompt: 'You are helpful.' },
+          context: {
+            messages: [
+              { type: 'History', role: 'user' as const, content: 'Weather in Paris?' },
+              {
+                type: 'History',
+                function_calls: [
+                  { id: 'call_1', name: 'get_weather', client_side: true, arguments: '{"city":"Paris"}', response: '{"forecast":"sunny"}' },
+                ],
+              },
+              { type: 'History', role: 'assistant' as const, content: 'It is sunny.' },
+            ],
+          },
+        },
+      };
+      const out = mapSettingsToSessionUpdate(settings);
+      expect(out.session.instructions).toContain(
+        'user: Weather in Paris?\nassistant: Function call: get_weather({"city":"Paris"}) → {"forecast":"sunny"}\nassistant: It is sunny.'
+      );
+    });
+
     it('maps Settings.agent.think.functions to session.update tools', () => {
       const settings = {
         type: 'Settings' as const,
@@ -455,6 +484,18 @@ describe('OpenAI proxy translator (Issue #381)', () => {
       expect(sessionUpdateUsesOpenAIServerVad(manual)).toBe(false);
     });
 
+    it('maps agent.turnMode push-to-talk to turn_detection null (turns end on EndUserTurn)', () => {
+      const settings = {
+        type: 'Settings' as const,
+        agent: { think: { prompt: 'x' }, turnMode: 'push-to-talk' as const },
+      };
+      const out = mapSettingsToSessionUpdate(settings);
+      expect(out.session.audio?.input?.turn_detection).toBeNull();
+      expect(sessionUpdateUsesOpenAIServerVad(out)).toBe(false);
+      expect(settingsUsePushToTalk(settings)).toBe(true);
+      expect(settingsUsePushToTalk({ type: 'Settings', agent: { turnMode: 'vad' } })).toBe(false);
+    });
+
     it('maps sessionAudioOutput.format for pcm and pcmu (Issue #540)', () => {
       const pcm = mapSettingsToSessionUpdate({
         type: 'Settings' as const,
@@ -482,6 +523,43 @@ describe('OpenAI proxy translator (Issue #381)', () => {
       expect(pcmu.session.audio?.output?.format).toEqual({ type: 'audio/pcmu' });
     });
 
+    it('maps Settings audio.output mulaw / alaw to Realtime pcmu / pcma, keeping sessionAudioOutput voice', () => {
+      const mulaw = mapSettingsToSessionUpdate({
+        type: 'Settings' as const,
+        audio: { output: { encoding: 'mulaw', sample_rate: 8000 } },
+        agent: { think: { prompt: 'Help.' }, sessionAudioOutput: { voice: 'marin', format: { type: 'audio/pcm' } } },
+      });
+      expect(mulaw.session.audio?.output).toEqual({ voice: 'marin', format: { type: 'audio/pcmu' } });
+      const alaw = mapSettingsToSessionUpdate({
+        type: 'Settings' as const,
+        audio: { output: { encoding: 'alaw', sample_rate: 8000 } },
+        agent: { think: { prompt: 'Help.' } },
+      });
+      expect(alaw.session.audio?.output).toEqual({ format: { type: 'audio/pcma' } });
+      const linear16 = mapSettingsToSessionUpdate({
+        type: 'Settings' as const,
+        audio: { output: { encoding: 'linear16', sample_rate: 16000 } },
+        agent: { think: { prompt: 'Help.' } },
+      });
+      expect(linear16.session.audio).not.toHaveProperty('output');
+    });
+
+    it('resolves client audio formats from Settings audio with component defaults', () => {
+      expect(resolveClientAudioFormats({ type: 'Settings' })).toEqual({
+        inputSampleRate: 16000,
+        output: { encoding: 'linear16', sampleRate: 24000 },
+      });
+      expect(
+        resolveClientAudioFormats({
+          type: 'Settings',
+          audio: { input: { encoding: 'linear16', sample_rate: 48000 }, output: { encoding: 'linear16', sample_rate: 8000 } },
+        })
+      ).toEqual({ inputSampleRate: 48000, output: { encoding: 'linear16', sampleRate: 8000 } });
+      expect(
+        resolveClientAudioFormats({ type: 'Settings', audio: { output: { encoding: 'mulaw', sample_rate: 16000 } } }).output
+      ).toEqual({ encoding: 'mulaw', sampleRate: 8000 });
+    });
+
     it('omits session.audio.output when sessionAudioOutput absent or yields no valid fields (Issue #540)', () => {
       const minimal = {
         type: 'Settings' as const,
@@ -1034,6 +1112,42 @@ describe('OpenAI proxy translator (Issue #381)', () => {
     });
   });
 
+  describe('6d. Streamed assistant text (ConversationTextDelta)', () => {
+    it('maps response.output_text.delta to ConversationTextDelta with turn_id from response_id', () => {
+      expect(
+        mapOutputTextDeltaToConversationTextDelta(
+          { type: 'response.output_text.delta', response_id: 'resp_1', item_id: 'item_1', delta: 'Hel' },
+          'response-1'
+        )
+      ).toEqual({ type: 'ConversationTextDelta', role: 'assistant', delta: 'Hel', turn_id: 'resp_1' });
+    });
+
+    it('maps response.output_audio_transcript.delta, falling back to item_id then the given turn id', () => {
+      expect(
+        mapOutputTextDeltaToConversationTextDelta(
+          { type: 'response.output_audio_transcript.delta', item_id: 'item_2', delta: 'lo' },
+          'response-2'
+        )?.turn_id
+      ).toBe('item_2');
+      expect(
+        mapOutputTextDeltaToConversationTextDelta({ type: 'response.output_audio_transcript.delta', delta: 'lo' }, 'response-2')
+          ?.turn_id
+      ).toBe('response-2');
+    });
+
+    it('returns null for empty or missing deltas', () => {
+      expect(mapOutputTextDeltaToConversationTextDelta({ type: 'response.output_text.delta', delta: '' }, 'r')).toBeNull();
+      expect(mapOutputTextDeltaToConversationTextDelta({ type: 'response.output_text.delta' }, 'r')).toBeNull();
+    });
+
+    it('extractOutputTextDeltaPiece accepts strings and { text } / { delta } shapes (Issue #555)', () => {
+      expect(extractOutputTextDeltaPiece('a')).toBe('a');
+      expect(extractOutputTextDeltaPiece({ text: 'b' })).toBe('b');
+      expect(extractOutputTextDeltaPiece({ delta: 'c' })).toBe('c');
+      expect(extractOutputTextDeltaPiece(42)).toBe('');
+    });
+  });
+
   describe('7. Input audio (binary → input_audio_buffer.append)', () => {
     it('maps binary buffer to input_audio_buffer.append with base64 audio', () => {
       const pcm = Buffer.from([0x00, 0x00, 0xff, 0xff]); // 4 bytes PCM
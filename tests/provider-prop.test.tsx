@@ -0,0 +1,96 @@
+/**
+ * @jest-environment jsdom
+ * @eslint-env jest
+ */
+
+/**
+ * provider prop: provider-specific behaviour comes from the adapter, not from the proxy URL
+ *
+ * Verifies that:
+ * 1. provider="openai-proxy" on a proxy path without '/openai' gets PCM-only framing, session fields in Settings
+ *    and no separate transcription socket
+ * 2. provider="deepgram" on a '/openai' path gets Deepgram semantics
+ * 3. A custom adapter object drives framing, Settings and the idle-timeout default
+ */
+
+import React from 'react';
+import { render, act } from '@testing-library/react';
+import DeepgramVoiceInteraction from '../src/components/DeepgramVoiceInteraction';
+import { DeepgramVoiceInteractionHandle, ProviderAdapter } from '../src/types';
+import { deepgramProviderAdapter } from '../src/utils/provider-adapters';
+import { createMockWebSocketManager, createMockAudioManager } from './fixtures/mocks';
+import { resetTestState, createAgentOptions, setupComponentAndConnect } from './utils/component-test-helpers';
+
+jest.mock('../src/utils/websocket/WebSocketManager');
+jest.mock('../src/utils/audio/AudioManager');
+
+const { WebSocketManager } = require('../src/utils/websocket/WebSocketManager');
+const { AudioManager } = require('../src/utils/audio/AudioManager');
+
+describe('provider prop', () => {
+  let mockWebSocketManager: ReturnType<typeof createMockWebSocketManager>;
+  const transcriptionOptions = { model: 'nova-2', language: 'en-US' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    resetTestState();
+    mockWebSocketManager = createMockWebSocketManager();
+    WebSocketManager.mockImplementation(() => mockWebSocketManager);
+    AudioManager.mockImplementation(() => createMockAudioManager());
+  });
+
+  async function renderAndConnect(props: Partial<React.ComponentProps<typeof DeepgramVoiceInteraction>>) {
+    const ref = React.createRef<DeepgramVoiceInteractionHandle>();
+    render(<DeepgramVoiceInteraction ref={ref} agentOptions={createAgentOptions()} {...props} />);
+    await setupComponentAndConnect(ref, mockWebSocketManager);
+    return ref;
+  }
+
+  const agentManagerOptions = () =>
+    WebSocketManager.mock.calls.map((c: unknown[]) => c[0]).find((o: { service: string }) => o.service === 'agent');
+  const sentSettings = () =>
+    mockWebSocketManager.sendJSON.mock.calls.map((c: unknown[]) => c[0]).find((m: { type: string }) => m.type === 'Settings');
+
+  it("applies OpenAI proxy behaviour from provider='openai-proxy' on any proxy path", async () => {
+    const ref = await renderAndConnect({
+      proxyEndpoint: 'wss://api.example.com/agents/realtime',
+      provider: 'openai-proxy',
+      transcriptionOptions,
+    });
+
+    expect(agentManagerOptions().binaryFramesArePCMOnly).toBe(true);
+    expect(sentSettings().agent).toHaveProperty('idleTimeoutMs');
+
+    await act(async () => {
+      await ref.current?.start();
+    });
+    const services = WebSocketManager.mock.calls.map((c: unknown[]) => (c[0] as { service: string }).service);
+    expect(services).not.toContain('transcription');
+  });
+
+  it("applies Deepgram behaviour from provider='deepgram' even on an '/openai' path", async () => {
+    await renderAndConnect({ proxyEndpoint: 'ws://localhost:8080/openai', provider: 'deepgram' });
+
+    expect(agentManagerOptions().binaryFramesArePCMOnly).toBe(false);
+    expect(sentSettings().agent).not.toHaveProperty('idleTimeoutMs');
+  });
+
+  it('uses a custom adapter object', async () => {
+    const buildSettings = jest.fn((options) => ({
+      ...deepgramProviderAdapter.buildSettings(options),
+      agent: { ...deepgramProviderAdapter.buildSettings(options).agent, vendor: 'acme' },
+    }));
+    const custom: ProviderAdapter = {
+      ...deepgramProviderAdapter,
+      id: 'acme',
+      binaryFramesArePCMOnly: true,
+      defaultIdleTimeoutMs: 42000,
+      buildSettings,
+    };
+    await renderAndConnect({ proxyEndpoint: 'wss://api.example.com/acme', provider: custom });
+
+    expect(agentManagerOptions()).toMatchObject({ binaryFramesArePCMOnly: true, idleTimeout: 42000 });
+    expect(buildSettings).toHaveBeenCalled();
+    expect(sentSettings().agent.vendor).toBe('acme');
+  });
+});
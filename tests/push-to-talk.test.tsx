@@ -0,0 +1,151 @@
+/**
+ * @jest-environment jsdom
+ * @eslint-env jest
+ */
+
+/**
+ * turnMode 'push-to-talk': beginUserTurn / endUserTurn and the pushToTalk prop
+ *
+ * Verifies that:
+ * 1. Microphone audio reaches the agent only while a user turn is open
+ * 2. Ending the turn sends EndUserTurn to the OpenAI proxy (and Settings selects push-to-talk there)
+ * 3. Without an end-of-turn message (Deepgram), ending the turn sends trailing silence instead
+ * 4. Opening a turn stops agent playback and agent audio is discarded until the turn ends
+ * 5. The default 'vad' mode streams audio continuously and ignores turn methods
+ */
+
+import React from 'react';
+import { render, act } from '@testing-library/react';
+import DeepgramVoiceInteraction from '../src/components/DeepgramVoiceInteraction';
+import { DeepgramVoiceInteractionHandle, DeepgramVoiceInteractionProps } from '../src/types';
+import { PUSH_TO_TALK_TRAILING_SILENCE_MS } from '../src/constants/voice-agent';
+import { createMockWebSocketManager, createMockAudioManager } from './fixtures/mocks';
+import {
+  resetTestState,
+  createAgentOptions,
+  setupComponentAndConnect,
+  MOCK_API_KEY,
+} from './utils/component-test-helpers';
+
+jest.mock('../src/utils/websocket/WebSocketManager');
+jest.mock('../src/utils/audio/AudioManager');
+
+const { WebSocketManager } = require('../src/utils/websocket/WebSocketManager');
+const { AudioManager } = require('../src/utils/audio/AudioManager');
+
+describe('push-to-talk', () => {
+  let mockWebSocketManager: ReturnType<typeof createMockWebSocketManager>;
+  let mockAudioManager: ReturnType<typeof createMockAudioManager>;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    resetTestState();
+    mockWebSocketManager = createMockWebSocketManager();
+    mockAudioManager = createMockAudioManager();
+    WebSocketManager.mockImplementation(() => mockWebSocketManager);
+    AudioManager.mockImplementation(() => mockAudioManager);
+  });
+
+  const sentJsonTypes = () =>
+    mockWebSocketManager.sendJSON.mock.calls.map(([message]: [{ type?: string }]) => message?.type);
+  const settingsMessage = () =>
+    mockWebSocketManager.sendJSON.mock.calls
+      .map(([message]: [{ type?: string; agent?: Record<string, unknown> }]) => message)
+      .find((message: { type?: string }) => message?.type === 'Settings');
+
+  const renderAndCapture = async (props: Partial<DeepgramVoiceInteractionProps>) => {
+    const ref = React.createRef<DeepgramVoiceInteractionHandle>();
+    const element = (overrides: Partial<DeepgramVoiceInteractionProps> = {}) => (
+      <DeepgramVoiceInteraction
+        ref={ref}
+        apiKey={MOCK_API_KEY}
+        agentOptions={createAgentOptions()}
+        {...props}
+        {...overrides}
+      />
+    );
+    const { rerender } = render(element());
+    const eventListener = await setupComponentAndConnect(ref, mockWebSocketManager, { agent: true, transcription: false });
+    await act(async () => {
+      await ref.current!.startAudioCapture();
+    });
+    const audioListener = mockAudioManager.addEventListener.mock.calls[0][0];
+    const sendMicAudio = () => act(() => audioListener({ type: 'data', data: new ArrayBuffer(64) }));
+    mockWebSocketManager.sendBinary.mockClear();
+    return { ref, eventListener, sendMicAudio, rerender: (overrides: Partial<DeepgramVoiceInteractionProps>) => rerender(element(overrides)) };
+  };
+
+  it('sends microphone audio only during the turn and ends it with EndUserTurn on the OpenAI proxy', async () => {
+    const { ref, sendMicAudio } = await renderAndCapture({ provider: 'openai-proxy', turnMode: 'push-to-talk' });
+    expect(settingsMessage()?.agent).toEqual(expect.objectContaining({ turnMode: 'push-to-talk' }));
+
+    sendMicAudio();
+    expect(mockWebSocketManager.sendBinary).not.toHaveBeenCalled();
+
+    act(() => ref.current!.beginUserTurn());
+    sendMicAudio();
+    expect(mockWebSocketManager.sendBinary).toHaveBeenCalledTimes(1);
+
+    act(() => ref.current!.endUserTurn());
+    expect(sentJsonTypes()).toContain('EndUserTurn');
+    sendMicAudio();
+    expect(mockWebSocketManager.sendBinary).toHaveBeenCalledTimes(1);
+  });
+
+  it('ends the turn with trailing silence when the provider has no end-of-turn message', async () => {
+    const onUserStoppedSpeaking = jest.fn();
+    const { ref } = await renderAndCapture({ turnMode: 'push-to-talk', onUserStoppedSpeaking });
+    expect(settingsMessage()?.agent).not.toHaveProperty('turnMode');
+
+    act(() => ref.current!.beginUserTurn());
+    act(() => ref.current!.endUserTurn());
+
+    expect(sentJsonTypes()).not.toContain('EndUserTurn');
+    const [silence] = mockWebSocketManager.sendBinary.mock.calls[0];
+    expect(silence.byteLength).toBe(16000 * 2 * (PUSH_TO_TALK_TRAILING_SILENCE_MS / 1000));
+    expect(onUserStoppedSpeaking).toHaveBeenCalledTimes(1);
+  });
+
+  it('follows the pushToTalk prop', async () => {
+    const { sendMicAudio, rerender } = await renderAndCapture({ provider: 'openai-proxy', turnMode: 'push-to-talk' });
+
+    rerender({ pushToTalk: true });
+    sendMicAudio();
+    expect(mockWebSocketManager.sendBinary).toHaveBeenCalledTimes(1);
+
+    rerender({ pushToTalk: false });
+    expect(sentJsonTypes()).toContain('EndUserTurn');
+    sendMicAudio();
+    expect(mockWebSocketManager.sendBinary).toHaveBeenCalledTimes(1);
+  });
+
+  it('stops agent playback and discards agent audio while the turn is open', async () => {
+    const { ref, eventListener } = await renderAndCapture({ provider: 'openai-proxy', turnMode: 'push-to-talk' });
+    const sendAgentAudio = () =>
+      act(async () => {
+        await eventListener?.({ type: 'binary', data: new ArrayBuffer(480) });
+      });
+    mockAudioManager.isPlaybackActive.mockReturnValue(true);
+
+    act(() => ref.current!.beginUserTurn());
+    expect(mockAudioManager.clearAudioQueue).toHaveBeenCalled();
+    await sendAgentAudio();
+    expect(mockAudioManager.queueAudio).not.toHaveBeenCalled();
+
+    act(() => ref.current!.endUserTurn());
+    await sendAgentAudio();
+    expect(mockAudioManager.queueAudio).toHaveBeenCalledTimes(1);
+  });
+
+  it('streams audio continuously in the default vad mode', async () => {
+    const { ref, sendMicAudio } = await renderAndCapture({ provider: 'openai-proxy' });
+    expect(settingsMessage()?.agent).not.toHaveProperty('turnMode');
+
+    sendMicAudio();
+    act(() => ref.current!.beginUserTurn());
+    act(() => ref.current!.endUserTurn());
+
+    expect(mockWebSocketManager.sendBinary).toHaveBeenCalledTimes(1);
+    expect(sentJsonTypes()).not.toContain('EndUserTurn');
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * @jest-environment jsdom
+ * @eslint-env jest
+ */
+
+/**
+ * reconnectOptions: session continuity across an automatic reconnect
+ *
+ * Verifies that:
+ * 1. 'reconnecting' / 'reconnect_failed' manager events are surfaced via onReconnecting / onReconnectFailed
+ * 2. reconnectOptions is passed through to the agent WebSocketManager
+ * 3. injectUserMessage during a pending reconnect is queued (no forced connect) and sent after SettingsApplied
+ * 4. Settings on the automatic reconnect carries the session's conversation as agent.context,
+ *    even without conversationStorage
+ */
+
+import React from 'react';
+import { render, act, waitFor } from '@testing-library/react';
+import DeepgramVoiceInteraction from '../src/components/DeepgramVoiceInteraction';
+import { DeepgramVoiceInteractionHandle } from '../src/types';
+import { createMockWebSocketManager, createMockAudioManager } from './fixtures/mocks';
+import {
+  resetTestState,
+  createAgentOptions,
+  setupComponentAndConnect,
+  simulateConnection,
+  simulateSettingsApplied,
+  MOCK_API_KEY,
+} from './utils/component-test-helpers';
+
+jest.mock('../src/utils/websocket/WebSocketManager');
+jest.mock('../src/utils/audio/AudioManager');
+
+const { WebSocketManager } = require('../src/utils/websocket/WebSocketManager');
+const { AudioManager } = require('../src/utils/audio/AudioManager');
+
+describe('reconnectOptions session continuity', () => {
+  let mockWebSocketManager: ReturnType<typeof createMockWebSocketManager>;
+  let mockAudioManager: ReturnType<typeof createMockAudioManager>;
+  let sent: Array<{ type: string; [key: string]: unknown }>;
+  const reconnectOptions = { enabled: true, maxAttempts: 3 };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    resetTestState();
+    sent = [];
+    mockWebSocketManager = createMockWebSocketManager();
+    mockAudioManager = createMockAudioManager();
+    mockWebSocketManager.sendJSON.mockImplementation((msg: unknown) => {
+      sent.push(msg as { type: string });
+      return true;
+    });
+    WebSocketManager.mockImplementation(() => mockWebSocketManager);
+    AudioManager.mockImplementation(() => mockAudioManager);
+  });
+
+  async function renderAndConnect(props: Partial<React.ComponentProps<typeof DeepgramVoiceInteraction>> = {}) {
+    const ref = React.createRef<DeepgramVoiceInteractionHandle>();
+    render(
+      <DeepgramVoiceInteraction
+        ref={ref}
+        apiKey={MOCK_API_KEY}
+        agentOptions={createAgentOptions()}
+        reconnectOptions={reconnectOptions}
+        {...props}
+      />
+    );
+    const eventListener = await setupComponentAndConnect(ref, mockWebSocketManager);
+    return { ref, eventListener };
+  }
+
+  it('passes reconnectOptions to the agent manager and relays reconnect events', async () => {
+    const onReconnecting = jest.fn();
+    const onReconnectFailed = jest.fn();
+    const { eventListener } = await renderAndConnect({ onReconnecting, onReconnectFailed });
+
+    expect(WebSocketManager).toHaveBeenCalledWith(
+      expect.objectContaining({ service: 'agent', reconnect: reconnectOptions })
+    );
+
+    const attempt = { service: 'agent', attempt: 1, maxAttempts: 3, nextDelayMs: 1000, closeCode: 1006 };
+    const failed = { service: 'agent', attempts: 3, closeCode: 1006 };
+    act(() => {
+      eventListener?.({ type: 'reconnecting', info: attempt });
+      eventListener?.({ type: 'reconnect_failed', info: failed });
+    });
+
+    expect(onReconnecting).toHaveBeenCalledWith(attempt);
+    expect(onReconnectFailed).toHaveBeenCalledWith(failed);
+  });
+
+  it('queues injected text during the reconnect and replays the session history in Settings', async () => {
+    const { ref, eventListener } = await renderAndConnect();
+
+    act(() => {
+      eventListener?.({ type: 'message', data: { type: 'ConversationText', role: 'user', content: 'My name is Ada.' } });
+      eventListener?.({ type: 'message', data: { type: 'ConversationText', role: 'assistant', content: 'Hi Ada!' } });
+    });
+
+    await act(async () => {
+      eventListener?.({ type: 'state', state: 'closed', willReconnect: true });
+    });
+    mockWebSocketManager.getState.mockReturnValue('closed');
+    mockWebSocketManager.connect.mockClear();
+    sent.length = 0;
+
+    await act(async () => {
+      await ref.current?.injectUserMessage('Do you remember my name?');
+    });
+    expect(mockWebSocketManager.connect).not.toHaveBeenCalled();
+    expect(sent.filter((m) => m.type === 'InjectUserMessage')).toHaveLength(0);
+
+    await simulateConnection(eventListener, mockWebSocketManager, { isReconnection: true });
+    await waitFor(() => expect(sent.some((m) => m.type === 'Settings')).toBe(true));
+
+    const settings = sent.find((m) => m.type === 'Settings') as { agent?: { context?: { messages?: unknown[] } } };
+    expect(settings.agent?.context?.messages).toEqual([
+      { type: 'History', role: 'user', content: 'My name is Ada.' },
+      { type: 'History', role: 'assistant', content: 'Hi Ada!' },
+    ]);
+    expect(sent.filter((m) => m.type === 'InjectUserMessage')).toHaveLength(0);
+
+    await simulateSettingsApplied(eventListener);
+    await waitFor(() => {
+      expect(sent.filter((m) => m.type === 'InjectUserMessage')).toEqual([
+        { type: 'InjectUserMessage', content: 'Do you remember my name?' },
+      ]);
+    });
+  });
+
+  it('drops queued text when the close is final', async () => {
+    const { ref, eventListener } = await renderAndConnect();
+
+    await act(async () => {
+      eventListener?.({ type: 'state', state: 'closed', willReconnect: true });
+    });
+    await act(async () => {
+      await ref.current?.injectUserMessage('lost');
+    });
+    await act(async () => {
+      eventListener?.({ type: 'state', state: 'closed' });
+    });
+    sent.length = 0;
+
+    await simulateConnection(eventListener, mockWebSocketManager, { isReconnection: true });
+    await simulateSettingsApplied(eventListener);
+
+    expect(sent.filter((m) => m.type === 'InjectUserMessage')).toHaveLength(0);
+  });
+});
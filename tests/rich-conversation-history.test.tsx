@@ -0,0 +1,228 @@
+/**
+ * @jest-environment jsdom
+ * @eslint-env jest
+ */
+
+/**
+ * Rich conversation history: item ids and kinds, function call items, interruption flags and notes
+ *
+ * Verifies that:
+ * 1. Function calls and their responses are recorded (and persisted) as linked items, hidden from the default view,
+ *    which keeps its identity until the history changes
+ * 2. The proxy's "Function call: name(args)" ConversationText does not duplicate the function_call item
+ *    and a server-side call's result arrives as a FunctionCallResponse from the server; only calls a proxy runs
+ *    (proxy_executed) hold the idle timeout
+ * 3. injectUserMessage() text is recorded as user_text, transcribed speech as user_speech
+ * 4. Barge-in after streamed text records a truncated, interrupted assistant item
+ * 5. addConversationNote() adds a system_note item
+ */
+
+import React from 'react';
+import { render, act, waitFor } from '@testing-library/react';
+import DeepgramVoiceInteraction from '../src/components/DeepgramVoiceInteraction';
+import { ConversationMessage, DeepgramVoiceInteractionHandle, FunctionCallRequest, FunctionCallResponse } from '../src/types';
+import { IdleTimeoutService } from '../src/utils/IdleTimeoutService';
+import { createMockWebSocketManager, createMockAudioManager } from './fixtures/mocks';
+import {
+  resetTestState,
+  createAgentOptions,
+  setupComponentAndConnect,
+  MOCK_API_KEY,
+} from './utils/component-test-helpers';
+
+jest.mock('../src/utils/websocket/WebSocketManager');
+jest.mock('../src/utils/audio/AudioManager');
+
+const { WebSocketManager } = require('../src/utils/websocket/WebSocketManager');
+const { AudioManager } = require('../src/utils/audio/AudioManager');
+
+describe('rich conversation history', () => {
+  let mockWebSocketManager: ReturnType<typeof createMockWebSocketManager>;
+  let storage: { getItem: jest.Mock; setItem: jest.Mock };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    resetTestState();
+    localStorage.clear();
+    mockWebSocketManager = createMockWebSocketManager();
+    WebSocketManager.mockImplementation(() => mockWebSocketManager);
+    AudioManager.mockImplementation(() => createMockAudioManager());
+    storage = {
+      getItem: jest.fn().mockResolvedValue(null),
+      setItem: jest.fn().mockResolvedValue(undefined),
+    };
+  });
+
+  async function renderAndConnect(
+    onFunctionCallRequest?: (call: FunctionCallRequest, sendResponse: (r: FunctionCallResponse) => void) => void
+  ) {
+    const ref = React.createRef<DeepgramVoiceInteractionHandle>();
+    render(
+      <DeepgramVoiceInteraction
+        ref={ref}
+        apiKey={MOCK_API_KEY}
+        agentOptions={createAgentOptions()}
+        conversationStorage={storage}
+        onFunctionCallRequest={onFunctionCallRequest}
+      />
+    );
+    await waitFor(() => expect(storage.getItem).toHaveBeenCalled());
+    const eventListener = await setupComponentAndConnect(ref, mockWebSocketManager);
+    const send = (data: Record<string, unknown>) => act(() => eventListener?.({ type: 'message', data }));
+    return { ref, send };
+  }
+
+  it('records a function call and its result as linked items, shown only with includeAllKinds', async () => {
+    const { ref, send } = await renderAndConnect((call, sendResponse) => {
+      sendResponse({ id: call.id, result: { forecast: 'sunny' } });
+    });
+
+    send({ type: 'ConversationText', role: 'user', content: 'Weather in Paris?' });
+    send({
+      type: 'FunctionCallRequest',
+      functions: [{ id: 'call_1', name: 'get_weather', arguments: '{"city":"Paris"}', client_side: true }],
+    });
+    send({ type: 'ConversationText', role: 'assistant', content: 'Function call: get_weather({"city":"Paris"})' });
+    send({ type: 'ConversationText', role: 'assistant', content: 'It is sunny.' });
+
+    const all = ref.current!.getConversationHistory({ includeAllKinds: true });
+    expect(all.map((item) => item.kind)).toEqual(['user_speech', 'function_call', 'function_result', 'assistant_speech']);
+    expect(all[1].functionCall).toEqual({ id: 'call_1', name: 'get_weather', arguments: '{"city":"Paris"}', clientSide: true });
+    expect(all[2].functionResult).toEqual({ id: 'call_1', name: 'get_weather', content: '{"forecast":"sunny"}', isError: false });
+    expect(new Set(all.map((item) => item.id)).size).toBe(4);
+
+    expect(ref.current!.getConversationHistory().map((item) => item.content)).toEqual(['Weather in Paris?', 'It is sunny.']);
+
+    await waitFor(() => {
+      const stored = JSON.parse(storage.setItem.mock.calls[storage.setItem.mock.calls.length - 1][1]) as {
+        items: ConversationMessage[];
+      };
+      expect(stored.items).toHaveLength(4);
+      expect(stored.items[1].functionCall?.id).toBe('call_1');
+    });
+  });
+
+  it('returns the same default view until the history changes', async () => {
+    const { ref, send } = await renderAndConnect();
+
+    send({ type: 'ConversationText', role: 'user', content: 'What time is it?' });
+    const textOnly = ref.current!.getConversationHistory();
+    expect(textOnly).toBe(ref.current!.getConversationHistory({ includeAllKinds: true }));
+
+    ref.current!.addConversationNote('Customer is on the mobile app');
+    const first = ref.current!.getConversationHistory();
+    expect(first).not.toBe(textOnly);
+    expect(ref.current!.getConversationHistory()).toBe(first);
+
+    send({ type: 'ConversationText', role: 'assistant', content: 'It is 9:30.' });
+    const next = ref.current!.getConversationHistory();
+    expect(next).not.toBe(first);
+    expect(next.map((item) => item.content)).toEqual(['What time is it?', 'It is 9:30.']);
+  });
+
+  it('turns an earlier "Function call" ConversationText into the function_call item', async () => {
+    const { ref, send } = await renderAndConnect();
+
+    send({ type: 'ConversationText', role: 'assistant', content: 'Function call: get_time()' });
+    send({ type: 'FunctionCallRequest', functions: [{ id: 'call_2', name: 'get_time', arguments: '', client_side: false }] });
+
+    const all = ref.current!.getConversationHistory({ includeAllKinds: true });
+    expect(all).toHaveLength(1);
+    expect(all[0]).toMatchObject({ kind: 'function_call', functionCall: { id: 'call_2', clientSide: false } });
+  });
+
+  it('records the result of a server-side call from the server FunctionCallResponse without answering it', async () => {
+    const { ref, send } = await renderAndConnect();
+    const serverCall = (id: string) => ({ id, name: 'get_time', arguments: '{}', client_side: false, proxy_executed: true });
+
+    send({ type: 'FunctionCallRequest', functions: [serverCall('call_3')] });
+    send({ type: 'FunctionCallResponse', id: 'call_3', name: 'get_time', content: '{"time":"09:30"}' });
+    send({ type: 'FunctionCallRequest', functions: [serverCall('call_4')] });
+    send({ type: 'FunctionCallResponse', name: 'get_time', content: '{"error":"clock unavailable"}' });
+
+    const results = ref.current!.getConversationHistory({ includeAllKinds: true }).filter((item) => item.kind === 'function_result');
+    expect(results.map((item) => item.functionResult)).toEqual([
+      { id: 'call_3', name: 'get_time', content: '{"time":"09:30"}', isError: false },
+      { id: 'call_4', name: 'get_time', content: '{"error":"clock unavailable"}', isError: true },
+    ]);
+    const sent = mockWebSocketManager.sendJSON.mock.calls.map(([message]: [{ type?: string }]) => message.type);
+    expect(sent).not.toContain('FunctionCallResponse');
+  });
+
+  it('holds the idle timeout only for calls a proxy runs, and drops an id-less response that matches no call', async () => {
+    const handleEvent = jest.spyOn(IdleTimeoutService.prototype, 'handleEvent');
+    try {
+      const { ref, send } = await renderAndConnect();
+      const started = () =>
+        handleEvent.mock.calls.flatMap(([event]) => (event.type === 'FUNCTION_CALL_STARTED' ? [event.functionCallId] : []));
+
+      // Deepgram endpoint function: the server answers the agent and sends the client no result
+      send({ type: 'FunctionCallRequest', functions: [{ id: 'call_5', name: 'lookup', arguments: '{}', client_side: false }] });
+      send({ type: 'FunctionCallRequest', functions: [{ id: 'call_6', name: 'get_time', arguments: '{}', client_side: false, proxy_executed: true }] });
+      send({ type: 'FunctionCallResponse', name: 'unknown_fn', content: '{}' });
+
+      expect(started()).toEqual(['call_6']);
+      const results = ref.current!.getConversationHistory({ includeAllKinds: true }).filter((item) => item.kind === 'function_result');
+      expect(results).toEqual([]);
+    } finally {
+      handleEvent.mockRestore();
+    }
+  });
+
+  it('records injected text as user_text and other user text as user_speech', async () => {
+    const { ref, send } = await renderAndConnect();
+
+    await act(async () => {
+      await ref.current!.injectUserMessage('Book a table');
+    });
+    send({ type: 'ConversationText', role: 'user', content: 'Book a table' });
+    send({ type: 'ConversationText', role: 'user', content: 'For two' });
+
+    expect(ref.current!.getConversationHistory().map((item) => item.kind)).toEqual(['user_text', 'user_speech']);
+  });
+
+  it('records streamed text cut off by barge-in as an interrupted, truncated item', async () => {
+    const { ref, send } = await renderAndConnect();
+
+    send({ type: 'ConversationTextDelta', role: 'assistant', delta: 'The forecast ', turn_id: 'r1' });
+    send({ type: 'ConversationTextDelta', role: 'assistant', delta: 'for tomorrow', turn_id: 'r1' });
+    send({ type: 'UserStartedSpeaking' });
+
+    expect(ref.current!.getConversationHistory()).toEqual([
+      expect.objectContaining({
+        role: 'assistant',
+        kind: 'assistant_speech',
+        content: 'The forecast for tomorrow',
+        interrupted: true,
+        truncated: true,
+      }),
+    ]);
+  });
+
+  it('does not flag a completed reply when the agent is not speaking', async () => {
+    const { ref, send } = await renderAndConnect();
+
+    send({ type: 'ConversationTextDelta', role: 'assistant', delta: 'Done.', turn_id: 'r1' });
+    send({ type: 'ConversationText', role: 'assistant', content: 'Done.' });
+    act(() => {
+      ref.current!.interruptAgent();
+    });
+
+    const history = ref.current!.getConversationHistory();
+    expect(history).toHaveLength(1);
+    expect(history[0].interrupted).toBeUndefined();
+  });
+
+  it('adds system notes that are not part of the default view', async () => {
+    const { ref } = await renderAndConnect();
+
+    act(() => {
+      ref.current!.addConversationNote('User opened settings');
+    });
+
+    expect(ref.current!.getConversationHistory()).toEqual([]);
+    expect(ref.current!.getConversationHistory({ includeAllKinds: true })).toEqual([
+      expect.objectContaining({ role: 'user', kind: 'system_note', content: 'User opened settings' }),
+    ]);
+  });
+});
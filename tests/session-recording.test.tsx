@@ -0,0 +1,108 @@
+/**
+ * @jest-environment jsdom
+ * @eslint-env jest
+ */
+
+/**
+ * startSessionRecording / stopSessionRecording
+ *
+ * Verifies that:
+ * 1. Microphone and agent audio are captured into a stereo WAV with a sidecar of conversation and state events
+ * 2. Only one recording runs at a time, and stopping without a recording returns null
+ */
+
+import React from 'react';
+import { render, act } from '@testing-library/react';
+import DeepgramVoiceInteraction from '../src/components/DeepgramVoiceInteraction';
+import { DeepgramVoiceInteractionHandle } from '../src/types';
+import { createMockWebSocketManager, createMockAudioManager } from './fixtures/mocks';
+import {
+  resetTestState,
+  createAgentOptions,
+  setupComponentAndConnect,
+  MOCK_API_KEY,
+} from './utils/component-test-helpers';
+
+jest.mock('../src/utils/websocket/WebSocketManager');
+jest.mock('../src/utils/audio/AudioManager');
+
+const { WebSocketManager } = require('../src/utils/websocket/WebSocketManager');
+const { AudioManager } = require('../src/utils/audio/AudioManager');
+
+describe('session recording', () => {
+  let mockWebSocketManager: ReturnType<typeof createMockWebSocketManager>;
+  let mockAudioManager: ReturnType<typeof createMockAudioManager>;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    resetTestState();
+    mockWebSocketManager = createMockWebSocketManager();
+    mockAudioManager = createMockAudioManager();
+    WebSocketManager.mockImplementation(() => mockWebSocketManager);
+    AudioManager.mockImplementation(() => mockAudioManager);
+  });
+
+  const renderComponent = () => {
+    const ref = React.createRef<DeepgramVoiceInteractionHandle>();
+    render(<DeepgramVoiceInteraction ref={ref} apiKey={MOCK_API_KEY} agentOptions={createAgentOptions()} />);
+    return ref;
+  };
+
+  it('records microphone and agent audio with conversation events', async () => {
+    const ref = renderComponent();
+    const eventListener = await setupComponentAndConnect(ref, mockWebSocketManager);
+    await act(async () => {
+      await ref.current!.startAudioCapture();
+    });
+    const audioListener = mockAudioManager.addEventListener.mock.calls[0][0];
+    let clock = 1_000_000;
+    const nowSpy = jest.spyOn(Date, 'now').mockImplementation(() => clock);
+
+    act(() => {
+      ref.current!.startSessionRecording();
+    });
+    clock += 10;
+    act(() => {
+      // 10 ms of microphone audio (16 kHz), then 10 ms of agent audio (24 kHz)
+      audioListener({ type: 'data', data: new Int16Array(160).fill(1000).buffer });
+      eventListener?.({ type: 'message', data: { type: 'ConversationText', role: 'user', content: 'Track my order' } });
+      eventListener?.({ type: 'binary', data: new Int16Array(240).fill(-1000).buffer });
+    });
+    clock += 10;
+
+    let recording: ReturnType<DeepgramVoiceInteractionHandle['stopSessionRecording']> = null;
+    act(() => {
+      recording = ref.current!.stopSessionRecording();
+    });
+    nowSpy.mockRestore();
+
+    expect(recording).not.toBeNull();
+    const { wav, sidecar } = recording!;
+    expect(wav.type).toBe('audio/wav');
+    // 20 ms of stereo PCM16 at 24 kHz after the 44-byte header
+    expect(wav.size).toBe(44 + 480 * 2 * 2);
+    expect(sidecar).toMatchObject({
+      version: 1,
+      durationMs: 20,
+      layout: 'separate',
+      channels: ['user', 'agent'],
+      sampleRate: 24000,
+    });
+    expect(sidecar.events).toEqual(
+      expect.arrayContaining([
+        expect.objectContaining({ type: 'connection_state', service: 'agent', state: 'connected' }),
+        { type: 'conversation_text', offsetMs: 10, role: 'user', content: 'Track my order' },
+      ])
+    );
+  });
+
+  it('allows one recording at a time', async () => {
+    const ref = renderComponent();
+
+    expect(ref.current!.stopSessionRecording()).toBeNull();
+    ref.current!.startSessionRecording({ layout: 'mix' });
+    expect(() => ref.current!.startSessionRecording()).toThrow(/already in progress/);
+    expect(ref.current!.stopSessionRecording()?.sidecar.channels).toEqual(['mix']);
+    expect(ref.current!.stopSessionRecording()).toBeNull();
+  });
+});
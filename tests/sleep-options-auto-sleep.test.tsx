@@ -0,0 +1,139 @@
+/**
+ * @jest-environment jsdom
+ * @eslint-env jest
+ */
+
+/**
+ * sleepOptions: autoSleep / timeout / wakeWords
+ *
+ * Verifies that:
+ * 1. With autoSleep, the agent moves to entering_sleep → sleeping after `timeout` seconds of inactivity
+ * 2. Without autoSleep, no automatic sleep happens
+ * 3. Mic audio is not forwarded to the agent while sleeping
+ * 4. A transcript containing a wake phrase wakes the agent and fires onWakeWord with the phrase
+ * 5. Transcripts without a wake phrase do not wake the agent
+ */
+
+import React from 'react';
+import { render, act, waitFor } from '@testing-library/react';
+import { AgentState, DeepgramVoiceInteractionHandle } from '../src/types';
+import { createMockWebSocketManager, createMockAudioManager } from './fixtures/mocks';
+import {
+  resetTestState,
+  createAgentOptions,
+  setupComponentAndConnect,
+  MOCK_API_KEY,
+} from './utils/component-test-helpers';
+import DeepgramVoiceInteraction from '../src/components/DeepgramVoiceInteraction';
+
+jest.mock('../src/utils/websocket/WebSocketManager');
+jest.mock('../src/utils/audio/AudioManager');
+
+const { WebSocketManager } = require('../src/utils/websocket/WebSocketManager');
+const { AudioManager } = require('../src/utils/audio/AudioManager');
+
+const transcript = (text: string, isFinal = true) => ({
+  type: 'Transcript',
+  channel: { alternatives: [{ transcript: text }] },
+  is_final: isFinal,
+  speech_final: isFinal,
+});
+
+describe('sleepOptions (autoSleep, timeout, wakeWords)', () => {
+  let mockWebSocketManager: ReturnType<typeof createMockWebSocketManager>;
+  let mockAudioManager: ReturnType<typeof createMockAudioManager>;
+  const agentOptions = createAgentOptions();
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    resetTestState();
+    mockWebSocketManager = createMockWebSocketManager();
+    mockAudioManager = createMockAudioManager();
+    WebSocketManager.mockImplementation(() => mockWebSocketManager);
+    AudioManager.mockImplementation(() => mockAudioManager);
+  });
+
+  async function renderAndConnect(props: Partial<React.ComponentProps<typeof DeepgramVoiceInteraction>>) {
+    const ref = React.createRef<DeepgramVoiceInteractionHandle>();
+    const states: AgentState[] = [];
+    render(
+      <DeepgramVoiceInteraction
+        ref={ref}
+        apiKey={MOCK_API_KEY}
+        agentOptions={agentOptions}
+        onAgentStateChange={(s) => states.push(s)}
+        {...props}
+      />
+    );
+    const eventListener = await setupComponentAndConnect(ref, mockWebSocketManager);
+    return { ref, states, eventListener };
+  }
+
+  it('enters sleeping after the configured inactivity timeout', async () => {
+    const { states } = await renderAndConnect({ sleepOptions: { autoSleep: true, timeout: 0.1 } });
+
+    await waitFor(() => {
+      expect(states).toContain('sleeping');
+    }, { timeout: 2000 });
+    expect(states.indexOf('entering_sleep')).toBeLessThan(states.indexOf('sleeping'));
+  });
+
+  it('does not sleep automatically when autoSleep is not set', async () => {
+    const { states } = await renderAndConnect({ sleepOptions: { timeout: 0.05 } });
+
+    await act(async () => {
+      await new Promise((resolve) => setTimeout(resolve, 300));
+    });
+    expect(states).not.toContain('entering_sleep');
+    expect(states).not.toContain('sleeping');
+  });
+
+  it('does not forward mic audio to the agent while sleeping', async () => {
+    const { ref, states } = await renderAndConnect({ sleepOptions: { autoSleep: true, timeout: 0.1 } });
+    await waitFor(() => expect(states).toContain('sleeping'), { timeout: 2000 });
+
+    mockWebSocketManager.sendBinary.mockClear();
+    act(() => {
+      (ref.current as unknown as { sendAudioData: (d: ArrayBuffer) => void }).sendAudioData(new ArrayBuffer(320));
+    });
+    expect(mockWebSocketManager.sendBinary).not.toHaveBeenCalled();
+  });
+
+  it('wakes on a wake phrase in a transcript and reports the phrase', async () => {
+    const onWakeWord = jest.fn();
+    const onTranscriptUpdate = jest.fn();
+    const { states, eventListener } = await renderAndConnect({
+      sleepOptions: { autoSleep: true, timeout: 0.1, wakeWords: ['Hey Robot'] },
+      onWakeWord,
+      onTranscriptUpdate,
+    });
+    await waitFor(() => expect(states).toContain('sleeping'), { timeout: 2000 });
+
+    act(() => {
+      eventListener?.({ type: 'message', data: transcript('ok hey, robot! what time is it') });
+    });
+
+    await waitFor(() => {
+      expect(onWakeWord).toHaveBeenCalledWith('Hey Robot', 'ok hey, robot! what time is it');
+    });
+    expect(states[states.length - 1]).toBe('listening');
+    // The wake transcript itself is not surfaced as user speech
+    expect(onTranscriptUpdate).not.toHaveBeenCalled();
+  });
+
+  it('stays asleep when a transcript has no wake phrase', async () => {
+    const onWakeWord = jest.fn();
+    const { states, eventListener } = await renderAndConnect({
+      sleepOptions: { autoSleep: true, timeout: 0.1, wakeWords: ['hey robot'] },
+      onWakeWord,
+    });
+    await waitFor(() => expect(states).toContain('sleeping'), { timeout: 2000 });
+
+    act(() => {
+      eventListener?.({ type: 'message', data: transcript('hey robotics team') });
+    });
+
+    expect(onWakeWord).not.toHaveBeenCalled();
+    expect(states[states.length - 1]).toBe('sleeping');
+  });
+});
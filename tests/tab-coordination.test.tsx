@@ -0,0 +1,161 @@
+/**
+ * @jest-environment jsdom
+ * @eslint-env jest
+ */
+
+/**
+ * tabCoordination: one leader tab owns the microphone and agent session
+ *
+ * Verifies that:
+ * 1. The first coordinating instance leads; the second follows and cannot start connections
+ * 2. Followers mirror the leader's agent state and conversation history without writing storage
+ * 3. requestTabHandover() stops the leader and lets the follower start
+ * 4. onTabHandoverRequest can refuse a handover
+ */
+
+import React from 'react';
+import { render, act, waitFor } from '@testing-library/react';
+import DeepgramVoiceInteraction from '../src/components/DeepgramVoiceInteraction';
+import { ConversationStorage, DeepgramVoiceInteractionHandle, DeepgramVoiceInteractionProps } from '../src/types';
+import { createMockWebSocketManager, createMockAudioManager } from './fixtures/mocks';
+import { createTabEnvironment } from './fixtures/tab-environment';
+import {
+  resetTestState,
+  createAgentOptions,
+  setupComponentAndConnect,
+  MOCK_API_KEY,
+} from './utils/component-test-helpers';
+
+jest.mock('../src/utils/websocket/WebSocketManager');
+jest.mock('../src/utils/audio/AudioManager');
+
+const { WebSocketManager } = require('../src/utils/websocket/WebSocketManager');
+const { AudioManager } = require('../src/utils/audio/AudioManager');
+
+const createStorage = (): ConversationStorage => {
+  const data = new Map<string, string>();
+  return {
+    getItem: jest.fn((key: string) => Promise.resolve(data.get(key) ?? null)),
+    setItem: jest.fn((key: string, value: string) => {
+      data.set(key, value);
+      return Promise.resolve();
+    }),
+  };
+};
+
+describe('tab coordination', () => {
+  let mockWebSocketManager: ReturnType<typeof createMockWebSocketManager>;
+  const agentOptions = createAgentOptions();
+  const originalBroadcastChannel = (global as { BroadcastChannel?: unknown }).BroadcastChannel;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    resetTestState();
+    localStorage.clear();
+    mockWebSocketManager = createMockWebSocketManager();
+    WebSocketManager.mockImplementation(() => mockWebSocketManager);
+    AudioManager.mockImplementation(() => createMockAudioManager());
+    const environment = createTabEnvironment();
+    Object.defineProperty(navigator, 'locks', { value: environment.locks, configurable: true });
+    (global as { BroadcastChannel?: unknown }).BroadcastChannel = environment.BroadcastChannel;
+  });
+
+  afterEach(() => {
+    delete (navigator as { locks?: unknown }).locks;
+    (global as { BroadcastChannel?: unknown }).BroadcastChannel = originalBroadcastChannel;
+  });
+
+  const renderTab = (props: Partial<DeepgramVoiceInteractionProps> = {}) => {
+    const ref = React.createRef<DeepgramVoiceInteractionHandle>();
+    const onTabRoleChange = jest.fn();
+    render(
+      <DeepgramVoiceInteraction
+        ref={ref}
+        apiKey={MOCK_API_KEY}
+        agentOptions={agentOptions}
+        tabCoordination
+        onTabRoleChange={onTabRoleChange}
+        {...props}
+      />
+    );
+    return { ref, onTabRoleChange };
+  };
+
+  it('lets only the leader tab start', async () => {
+    const leader = renderTab();
+    await waitFor(() => expect(leader.onTabRoleChange).toHaveBeenCalledWith('leader'));
+    const follower = renderTab();
+    await act(async () => {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    });
+
+    expect(follower.ref.current?.getTabRole()).toBe('follower');
+    await expect(follower.ref.current!.start({ agent: true })).rejects.toThrow(/follower tab/);
+    await expect(follower.ref.current!.injectUserMessage('Hello')).rejects.toThrow(/follower tab/);
+    expect(WebSocketManager).not.toHaveBeenCalled();
+  });
+
+  it('mirrors the leader state and history in followers without persisting them', async () => {
+    const leaderStorage = createStorage();
+    const followerStorage = createStorage();
+    const leader = renderTab({ conversationStorage: leaderStorage });
+    await waitFor(() => expect(leader.onTabRoleChange).toHaveBeenCalledWith('leader'));
+    const onUserMessage = jest.fn();
+    const onAgentStateChange = jest.fn();
+    const follower = renderTab({ conversationStorage: followerStorage, onUserMessage, onAgentStateChange });
+
+    const eventListener = await setupComponentAndConnect(leader.ref, mockWebSocketManager);
+    act(() => {
+      eventListener?.({ type: 'message', data: { type: 'ConversationText', role: 'user', content: 'Track my order' } });
+      eventListener?.({ type: 'message', data: { type: 'AgentThinking', content: '' } });
+    });
+
+    await waitFor(() =>
+      expect(follower.ref.current?.getConversationHistory().map((item) => item.content)).toEqual(['Track my order'])
+    );
+    expect(onUserMessage).toHaveBeenCalledWith(
+      { type: 'user', text: 'Track my order' },
+      [expect.objectContaining({ content: 'Track my order' })]
+    );
+    await waitFor(() => expect(onAgentStateChange).toHaveBeenCalledWith('thinking'));
+    expect(leaderStorage.setItem).toHaveBeenCalled();
+    expect(followerStorage.setItem).not.toHaveBeenCalled();
+  });
+
+  it('hands the session over to a follower that asks', async () => {
+    const onTabHandoverRequest = jest.fn(() => true);
+    const leader = renderTab({ onTabHandoverRequest });
+    await waitFor(() => expect(leader.onTabRoleChange).toHaveBeenCalledWith('leader'));
+    const follower = renderTab();
+    await setupComponentAndConnect(leader.ref, mockWebSocketManager);
+
+    let handedOver: boolean | undefined;
+    await act(async () => {
+      handedOver = await follower.ref.current!.requestTabHandover();
+    });
+
+    expect(handedOver).toBe(true);
+    expect(onTabHandoverRequest).toHaveBeenCalledWith({ requestingTabId: expect.any(String) });
+    expect(mockWebSocketManager.close).toHaveBeenCalled();
+    expect(follower.onTabRoleChange).toHaveBeenCalledWith('leader');
+    await waitFor(() => expect(leader.onTabRoleChange).toHaveBeenLastCalledWith('follower'));
+    expect(leader.ref.current?.getTabRole()).toBe('follower');
+    await expect(follower.ref.current!.start({ agent: true })).resolves.toBeUndefined();
+  });
+
+  it('keeps the session when the leader refuses the handover', async () => {
+    const leader = renderTab({ onTabHandoverRequest: () => false });
+    await waitFor(() => expect(leader.onTabRoleChange).toHaveBeenCalledWith('leader'));
+    const follower = renderTab();
+    await setupComponentAndConnect(leader.ref, mockWebSocketManager);
+
+    let handedOver: boolean | undefined;
+    await act(async () => {
+      handedOver = await follower.ref.current!.requestTabHandover();
+    });
+
+    expect(handedOver).toBe(false);
+    expect(mockWebSocketManager.close).not.toHaveBeenCalled();
+    expect(leader.ref.current?.getTabRole()).toBe('leader');
+  });
+});
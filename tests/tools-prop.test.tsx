@@ -0,0 +1,132 @@
+/**
+ * @jest-environment jsdom
+ * @eslint-env jest
+ */
+
+/**
+ * tools prop: declarative client-side functions
+ *
+ * Verifies that:
+ * 1. Tool definitions are sent in Settings (without handlers) alongside agentOptions.functions
+ * 2. A FunctionCallRequest for a tool runs its handler with parsed arguments and sends the result
+ * 3. Invalid arguments produce an error FunctionCallResponse without running the handler
+ * 4. Unknown names still reach onFunctionCallRequest
+ */
+
+import React from 'react';
+import { render, act, waitFor } from '@testing-library/react';
+import DeepgramVoiceInteraction from '../src/components/DeepgramVoiceInteraction';
+import { DeepgramVoiceInteractionHandle, ToolDefinition } from '../src/types';
+import { createMockWebSocketManager, createMockAudioManager } from './fixtures/mocks';
+import {
+  resetTestState,
+  createAgentOptions,
+  setupComponentAndConnect,
+  MOCK_API_KEY,
+} from './utils/component-test-helpers';
+
+jest.mock('../src/utils/websocket/WebSocketManager');
+jest.mock('../src/utils/audio/AudioManager');
+
+const { WebSocketManager } = require('../src/utils/websocket/WebSocketManager');
+const { AudioManager } = require('../src/utils/audio/AudioManager');
+
+describe('tools prop', () => {
+  let mockWebSocketManager: ReturnType<typeof createMockWebSocketManager>;
+  const execute = jest.fn(({ city }: { city: string }) => Promise.resolve({ city, forecast: 'sunny' }));
+  const tools: ToolDefinition[] = [
+    {
+      name: 'get_weather',
+      description: 'Weather forecast for a city',
+      parameters: { type: 'object', properties: { city: { type: 'string' } }, required: ['city'] },
+      execute,
+    },
+  ];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    resetTestState();
+    mockWebSocketManager = createMockWebSocketManager();
+    WebSocketManager.mockImplementation(() => mockWebSocketManager);
+    AudioManager.mockImplementation(() => createMockAudioManager());
+  });
+
+  const sent = (type: string) =>
+    mockWebSocketManager.sendJSON.mock.calls.map((c: unknown[]) => c[0]).filter((m: { type: string }) => m.type === type);
+
+  async function renderAndConnect(onFunctionCallRequest?: jest.Mock) {
+    const ref = React.createRef<DeepgramVoiceInteractionHandle>();
+    const agentOptions = createAgentOptions({
+      functions: [{ name: 'lookup_order', description: 'Order lookup', parameters: { type: 'object', properties: {} } }],
+    });
+    render(
+      <DeepgramVoiceInteraction
+        ref={ref}
+        apiKey={MOCK_API_KEY}
+        agentOptions={agentOptions}
+        tools={tools}
+        onFunctionCallRequest={onFunctionCallRequest}
+      />
+    );
+    return setupComponentAndConnect(ref, mockWebSocketManager);
+  }
+
+  const requestCall = (
+    eventListener: ((event: unknown) => void) | null | undefined,
+    name: string,
+    args: string
+  ) => {
+    act(() => {
+      eventListener?.({
+        type: 'message',
+        data: { type: 'FunctionCallRequest', functions: [{ id: `call_${name}`, name, arguments: args, client_side: true }] },
+      });
+    });
+  };
+
+  it('sends tool definitions in Settings without handlers', async () => {
+    await renderAndConnect();
+
+    const functions = sent('Settings')[0].agent.think.functions;
+    expect(functions.map((f: { name: string }) => f.name)).toEqual(['lookup_order', 'get_weather']);
+    expect(functions[1]).not.toHaveProperty('execute');
+  });
+
+  it('runs the tool handler and sends its result', async () => {
+    const eventListener = await renderAndConnect();
+
+    requestCall(eventListener, 'get_weather', '{"city":"Lisbon"}');
+
+    await waitFor(() => expect(sent('FunctionCallResponse')).toHaveLength(1));
+    expect(execute).toHaveBeenCalledWith({ city: 'Lisbon' }, expect.objectContaining({ id: 'call_get_weather' }));
+    expect(sent('FunctionCallResponse')[0]).toMatchObject({
+      id: 'call_get_weather',
+      name: 'get_weather',
+      content: JSON.stringify({ city: 'Lisbon', forecast: 'sunny' }),
+    });
+  });
+
+  it('sends a structured error when arguments do not match the schema', async () => {
+    const eventListener = await renderAndConnect();
+
+    requestCall(eventListener, 'get_weather', '{"city":42}');
+
+    await waitFor(() => expect(sent('FunctionCallResponse')).toHaveLength(1));
+    expect(execute).not.toHaveBeenCalled();
+    expect(JSON.parse(sent('FunctionCallResponse')[0].content)).toMatchObject({
+      code: 'invalid_arguments',
+      issues: [{ path: '$.city', message: 'expected string, got number' }],
+    });
+  });
+
+  it('falls back to onFunctionCallRequest for names that are not tools', async () => {
+    const onFunctionCallRequest = jest.fn(() => ({ id: 'call_lookup_order', result: { status: 'shipped' } }));
+    const eventListener = await renderAndConnect(onFunctionCallRequest);
+
+    requestCall(eventListener, 'lookup_order', '{}');
+
+    await waitFor(() => expect(sent('FunctionCallResponse')).toHaveLength(1));
+    expect(onFunctionCallRequest).toHaveBeenCalledTimes(1);
+    expect(execute).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * @jest-environment jsdom
+ * @eslint-env jest
+ */
+
+/**
+ * onTurnMetrics / getTurnMetricsSummary
+ *
+ * Verifies that the component feeds agent milestones into the turn metrics:
+ * UtteranceEnd → AgentThinking → assistant ConversationText → binary audio → playback start → AgentAudioDone
+ * produces one onTurnMetrics record, the ref summary reflects it, and stop() resets the summary. An UtteranceEnd
+ * after speech_final does not start a second turn.
+ */
+
+import React from 'react';
+import { render, act, waitFor } from '@testing-library/react';
+import DeepgramVoiceInteraction from '../src/components/DeepgramVoiceInteraction';
+import { DeepgramVoiceInteractionHandle, TurnMetrics } from '../src/types';
+import { createMockWebSocketManager, createMockAudioManager } from './fixtures/mocks';
+import {
+  resetTestState,
+  createAgentOptions,
+  setupComponentAndConnect,
+  MOCK_API_KEY,
+} from './utils/component-test-helpers';
+
+jest.mock('../src/utils/websocket/WebSocketManager');
+jest.mock('../src/utils/audio/AudioManager');
+
+const { WebSocketManager } = require('../src/utils/websocket/WebSocketManager');
+const { AudioManager } = require('../src/utils/audio/AudioManager');
+
+describe('onTurnMetrics', () => {
+  let mockWebSocketManager: ReturnType<typeof createMockWebSocketManager>;
+  let mockAudioManager: ReturnType<typeof createMockAudioManager>;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    resetTestState();
+    mockWebSocketManager = createMockWebSocketManager();
+    mockAudioManager = createMockAudioManager();
+    WebSocketManager.mockImplementation(() => mockWebSocketManager);
+    AudioManager.mockImplementation(() => mockAudioManager);
+  });
+
+  it('reports one turn from agent milestones and summarizes it on the ref', async () => {
+    const onTurnMetrics = jest.fn<void, [TurnMetrics]>();
+    const ref = React.createRef<DeepgramVoiceInteractionHandle>();
+    render(
+      <DeepgramVoiceInteraction
+        ref={ref}
+        apiKey={MOCK_API_KEY}
+        agentOptions={createAgentOptions()}
+        onTurnMetrics={onTurnMetrics}
+      />
+    );
+    const eventListener = await setupComponentAndConnect(ref, mockWebSocketManager);
+
+    act(() => {
+      eventListener?.({ type: 'message', data: { type: 'UtteranceEnd', channel: [0, 1], last_word_end: 1.2 } });
+      eventListener?.({ type: 'message', data: { type: 'AgentThinking', content: '' } });
+      eventListener?.({ type: 'message', data: { type: 'ConversationText', role: 'assistant', content: 'Hello there.' } });
+    });
+    await act(async () => {
+      eventListener?.({ type: 'binary', data: new ArrayBuffer(64) });
+      await Promise.resolve();
+    });
+    await waitFor(() => expect(mockAudioManager.addEventListener).toHaveBeenCalled());
+    const audioListener = mockAudioManager.addEventListener.mock.calls[0][0] as (event: unknown) => void;
+    act(() => {
+      audioListener({ type: 'playing', isPlaying: true });
+    });
+    expect(onTurnMetrics).not.toHaveBeenCalled();
+
+    act(() => {
+      eventListener?.({ type: 'message', data: { type: 'AgentAudioDone' } });
+    });
+
+    expect(onTurnMetrics).toHaveBeenCalledTimes(1);
+    const metrics = onTurnMetrics.mock.calls[0][0];
+    expect(metrics.turn).toBe(1);
+    expect(metrics.interrupted).toBe(false);
+    for (const key of ['userStoppedSpeakingAt', 'agentThinkingAt', 'firstAgentTextAt', 'firstAudioChunkAt', 'playbackStartedAt', 'agentDoneAt'] as const) {
+      expect(typeof metrics[key]).toBe('number');
+    }
+    expect(metrics.playbackLatencyMs).toBeGreaterThanOrEqual(0);
+    expect(metrics.latency).toBeDefined();
+
+    const summary = ref.current!.getTurnMetricsSummary();
+    expect(summary.totalTurns).toBe(1);
+    expect(summary.last).toEqual(metrics);
+    expect(summary.stats.playbackLatencyMs.count).toBe(1);
+
+    await act(async () => {
+      await ref.current!.stop();
+    });
+    expect(ref.current!.getTurnMetricsSummary().totalTurns).toBe(0);
+  });
+
+  it('counts one turn when UtteranceEnd follows speech_final after the agent started thinking', async () => {
+    const transcriptionManager = createMockWebSocketManager();
+    WebSocketManager.mockImplementation((options: { service?: string }) =>
+      options?.service === 'transcription' ? transcriptionManager : mockWebSocketManager
+    );
+    const onTurnMetrics = jest.fn<void, [TurnMetrics]>();
+    const ref = React.createRef<DeepgramVoiceInteractionHandle>();
+    render(
+      <DeepgramVoiceInteraction
+        ref={ref}
+        apiKey={MOCK_API_KEY}
+        agentOptions={createAgentOptions()}
+        transcriptionOptions={{ language: 'en', model: 'nova-3' }}
+        onTurnMetrics={onTurnMetrics}
+      />
+    );
+    const agentListener = await setupComponentAndConnect(ref, mockWebSocketManager, { agent: true, transcription: true });
+    const transcriptionListener = transcriptionManager.addEventListener.mock.calls[0][0] as (event: unknown) => void;
+
+    act(() => {
+      transcriptionListener({
+        type: 'message',
+        data: {
+          type: 'Results',
+          is_final: true,
+          speech_final: true,
+          channel: { alternatives: [{ transcript: 'What time is it?', confidence: 1 }] },
+        },
+      });
+      agentListener?.({ type: 'message', data: { type: 'AgentThinking', content: '' } });
+      transcriptionListener({ type: 'message', data: { type: 'UtteranceEnd', channel: [0, 1], last_word_end: 1.2 } });
+    });
+    await act(async () => {
+      agentListener?.({ type: 'binary', data: new ArrayBuffer(64) });
+      await Promise.resolve();
+    });
+    await waitFor(() => expect(mockAudioManager.addEventListener).toHaveBeenCalled());
+    const audioListener = mockAudioManager.addEventListener.mock.calls[0][0] as (event: unknown) => void;
+    act(() => {
+      audioListener({ type: 'playing', isPlaying: true });
+      agentListener?.({ type: 'message', data: { type: 'AgentAudioDone' } });
+    });
+
+    expect(onTurnMetrics).toHaveBeenCalledTimes(1);
+    const metrics = onTurnMetrics.mock.calls[0][0];
+    expect(metrics.interrupted).toBe(false);
+    expect(typeof metrics.firstAudioChunkAt).toBe('number');
+    expect(typeof metrics.playbackStartedAt).toBe('number');
+    expect(ref.current!.getTurnMetricsSummary().totalTurns).toBe(1);
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * resolveAgentAudioFormats (agentOptions.audioInput / audioOutput) and G.711 decoding of agent audio
+ */
+
+import { g711ToPcm16Le } from '../../src/utils/audio/AudioUtils';
+import { DEFAULT_AGENT_AUDIO_FORMATS, resolveAgentAudioFormats } from '../../src/utils/audio/audio-formats';
+import { buildSettingsMessage } from '../../src/utils/buildSettingsMessage';
+import type { AgentInputSampleRate } from '../../src/types';
+import { resolveClientAudioFormats } from '../../packages/voice-agent-backend/scripts/openai-proxy/translator';
+
+describe('resolveAgentAudioFormats', () => {
+  it('defaults to linear16 16 kHz in and 24 kHz out', () => {
+    expect(resolveAgentAudioFormats()).toEqual(DEFAULT_AGENT_AUDIO_FORMATS);
+    expect(resolveAgentAudioFormats({})).toEqual({
+      input: { encoding: 'linear16', sampleRate: 16000 },
+      output: { encoding: 'linear16', sampleRate: 24000 },
+    });
+  });
+
+  it('takes the input rate and output encoding / rate from the options', () => {
+    expect(
+      resolveAgentAudioFormats({ audioInput: { sampleRate: 24000 }, audioOutput: { encoding: 'linear16', sampleRate: 48000 } })
+    ).toEqual({ input: { encoding: 'linear16', sampleRate: 24000 }, output: { encoding: 'linear16', sampleRate: 48000 } });
+  });
+
+  it('plays G.711 output at 8 kHz', () => {
+    expect(resolveAgentAudioFormats({ audioOutput: { encoding: 'mulaw' } }).output).toEqual({ encoding: 'mulaw', sampleRate: 8000 });
+    expect(resolveAgentAudioFormats({ audioOutput: { encoding: 'alaw', sampleRate: 8000 } }).output).toEqual({
+      encoding: 'alaw',
+      sampleRate: 8000,
+    });
+  });
+
+  it('pins a mismatched G.711 rate to the 8 kHz the OpenAI proxy sends, warning once', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    try {
+      const options = { audioOutput: { encoding: 'alaw' as const, sampleRate: 16000 } };
+      const formats = resolveAgentAudioFormats(options);
+      resolveAgentAudioFormats(options);
+      const proxy = resolveClientAudioFormats(buildSettingsMessage(options, { isOpenAIProxy: true, defaultIdleTimeoutMs: 10000 }));
+
+      expect(formats.output).toEqual({ encoding: 'alaw', sampleRate: 8000 });
+      expect(proxy.output).toEqual(formats.output);
+      expect(warn).toHaveBeenCalledTimes(1);
+      expect(warn).toHaveBeenCalledWith('warn', 'audioOutput.sampleRate ignored: G.711 output is 8000 Hz', {
+        encoding: 'alaw',
+        sampleRate: 16000,
+      });
+    } finally {
+      warn.mockRestore();
+    }
+  });
+
+  it('falls back to the defaults for unsupported values', () => {
+    const formats = resolveAgentAudioFormats({
+      audioInput: { sampleRate: 44100 as AgentInputSampleRate },
+      audioOutput: { encoding: 'opus' as 'linear16', sampleRate: -1 },
+    });
+    expect(formats).toEqual(DEFAULT_AGENT_AUDIO_FORMATS);
+  });
+});
+
+describe('g711ToPcm16Le', () => {
+  const decode = (bytes: number[], law: 'mulaw' | 'alaw') =>
+    Array.from(new Int16Array(g711ToPcm16Le(new Uint8Array(bytes).buffer, law)));
+
+  it('expands µ-law bytes (ITU-T G.711)', () => {
+    expect(decode([0xff, 0x7f, 0x00, 0x80, 0xf0, 0x70], 'mulaw')).toEqual([0, 0, -32124, 32124, 120, -120]);
+  });
+
+  it('expands A-law bytes (ITU-T G.711)', () => {
+    expect(decode([0xd5, 0x55, 0xaa, 0x2a, 0xc5], 'alaw')).toEqual([8, -8, 32256, -32256, 264]);
+  });
+
+  it('is monotonic over each sign half of the µ-law code space', () => {
+    const positive = decode(Array.from({ length: 128 }, (_, i) => 0xff - i), 'mulaw');
+    expect(positive.every((sample, i) => i === 0 || sample > positive[i - 1])).toBe(true);
+  });
+});
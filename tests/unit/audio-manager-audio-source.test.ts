@@ -0,0 +1,278 @@
+/**
+ * @jest-environment jsdom
+ */
+
+/**
+ * AudioManager audioSource: a MediaStream, MediaStreamTrack or PCM frame iterable captured through the microphone
+ * worklet instead of getUserMedia, and swapped in place with setAudioSource().
+ */
+
+import { AudioManager, AudioEvent } from '../../src/utils/audio/AudioManager';
+import type { PcmAudioFrame } from '../../src/types';
+
+class FakeNode {
+  connect = jest.fn();
+  disconnect = jest.fn();
+}
+
+class FakeBufferSource extends FakeNode {
+  buffer: { duration: number; getChannelData: () => Float32Array } | null = null;
+  start = jest.fn();
+  stop = jest.fn();
+  onended: (() => void) | null = null;
+}
+
+class FakeConstantSource extends FakeNode {
+  offset = { value: 1 };
+  start = jest.fn();
+  stop = jest.fn();
+}
+
+class FakeAudioContext {
+  static instances: FakeAudioContext[] = [];
+  state = 'running';
+  currentTime = 0;
+  sampleRate: number;
+  destination = {};
+  streamSources: Array<FakeNode & { stream: unknown }> = [];
+  gains: FakeNode[] = [];
+  constantSources: FakeConstantSource[] = [];
+  bufferSources: FakeBufferSource[] = [];
+  audioWorklet = { addModule: jest.fn().mockResolvedValue(undefined) };
+  constructor(options: { sampleRate: number }) {
+    this.sampleRate = options.sampleRate;
+    FakeAudioContext.instances.push(this);
+  }
+  createMediaStreamSource(stream: unknown) {
+    const source = Object.assign(new FakeNode(), { stream });
+    this.streamSources.push(source);
+    return source;
+  }
+  createGain() {
+    const gain = new FakeNode();
+    this.gains.push(gain);
+    return gain;
+  }
+  createConstantSource() {
+    const source = new FakeConstantSource();
+    this.constantSources.push(source);
+    return source;
+  }
+  createBuffer(_channels: number, length: number, sampleRate: number) {
+    const data = new Float32Array(length);
+    return { duration: length / sampleRate, sampleRate, getChannelData: () => data };
+  }
+  createBufferSource() {
+    const source = new FakeBufferSource();
+    this.bufferSources.push(source);
+    return source;
+  }
+  close() {
+    return Promise.resolve();
+  }
+}
+
+class FakeWorkletNode extends FakeNode {
+  static instances: FakeWorkletNode[] = [];
+  port = { postMessage: jest.fn(), onmessage: null as ((event: { data: unknown }) => void) | null };
+  constructor() {
+    super();
+    FakeWorkletNode.instances.push(this);
+  }
+}
+
+class FakeTrack {
+  kind = 'audio';
+  readyState = 'live';
+  stop = jest.fn();
+  addEventListener = jest.fn();
+  removeEventListener = jest.fn();
+  getSettings() {
+    return { deviceId: 'default' };
+  }
+}
+
+class FakeMediaStream {
+  tracks: FakeTrack[];
+  constructor(tracks: FakeTrack[] = [new FakeTrack()]) {
+    this.tracks = tracks;
+  }
+  getTracks() {
+    return this.tracks;
+  }
+  getAudioTracks() {
+    return this.tracks;
+  }
+}
+
+describe('AudioManager audioSource', () => {
+  const globals = global as unknown as Record<string, unknown>;
+  const saved = {
+    AudioContext: globals.AudioContext,
+    AudioWorkletNode: globals.AudioWorkletNode,
+    MediaStream: globals.MediaStream,
+    createObjectURL: URL.createObjectURL,
+    revokeObjectURL: URL.revokeObjectURL,
+  };
+  let getUserMedia: jest.Mock;
+
+  const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+  beforeEach(() => {
+    FakeAudioContext.instances = [];
+    FakeWorkletNode.instances = [];
+    globals.AudioContext = FakeAudioContext;
+    globals.AudioWorkletNode = FakeWorkletNode;
+    globals.MediaStream = FakeMediaStream;
+    URL.createObjectURL = jest.fn(() => 'blob:worklet');
+    URL.revokeObjectURL = jest.fn();
+    getUserMedia = jest.fn(async () => new FakeMediaStream());
+    Object.defineProperty(navigator, 'mediaDevices', {
+      configurable: true,
+      value: { getUserMedia, enumerateDevices: jest.fn(async () => []), addEventListener: jest.fn(), removeEventListener: jest.fn() },
+    });
+  });
+
+  afterEach(() => {
+    globals.AudioContext = saved.AudioContext;
+    globals.AudioWorkletNode = saved.AudioWorkletNode;
+    globals.MediaStream = saved.MediaStream;
+    URL.createObjectURL = saved.createObjectURL;
+    URL.revokeObjectURL = saved.revokeObjectURL;
+  });
+
+  const record = async (options: ConstructorParameters<typeof AudioManager>[0]) => {
+    const manager = new AudioManager({ normalizeVolume: false, ...options });
+    const events: AudioEvent[] = [];
+    manager.addEventListener((event) => events.push(event));
+    await manager.startRecording();
+    const worklet = FakeWorkletNode.instances[0];
+    worklet.port.onmessage!({ data: { type: 'started' } });
+    return { manager, events, worklet, context: FakeAudioContext.instances[0] };
+  };
+
+  it('captures a MediaStream through the worklet without opening the microphone or stopping its tracks', async () => {
+    const stream = new FakeMediaStream();
+    const { manager, worklet, context } = await record({ audioSource: stream as unknown as MediaStream });
+
+    expect(getUserMedia).not.toHaveBeenCalled();
+    expect(context.streamSources[0].stream).toBe(stream);
+    expect(context.streamSources[0].connect).toHaveBeenCalledWith(worklet);
+
+    manager.stopRecording();
+
+    expect(context.streamSources[0].disconnect).toHaveBeenCalled();
+    expect(stream.tracks[0].stop).not.toHaveBeenCalled();
+  });
+
+  it('wraps a MediaStreamTrack in a MediaStream', async () => {
+    const track = new FakeTrack();
+    const { context } = await record({ audioSource: track as unknown as MediaStreamTrack });
+
+    expect((context.streamSources[0].stream as FakeMediaStream).getTracks()).toEqual([track]);
+  });
+
+  it('plays PCM frames back to back at their own rate, over silence, into the worklet', async () => {
+    async function* frames(): AsyncGenerator<PcmAudioFrame> {
+      yield { samples: new Int16Array([16384, -32768]), sampleRate: 8000 };
+      yield { samples: new Float32Array(400).fill(0.25), sampleRate: 8000 };
+    }
+    const { worklet, context } = await record({ audioSource: frames() });
+    await flush();
+
+    const [input] = context.gains;
+    expect(input.connect).toHaveBeenCalledWith(worklet);
+    expect(context.constantSources[0].offset.value).toBe(0);
+    expect(context.constantSources[0].connect).toHaveBeenCalledWith(input);
+
+    const [first, second] = context.bufferSources;
+    expect(Array.from(first.buffer!.getChannelData())).toEqual([0.5, -1]);
+    expect(first.connect).toHaveBeenCalledWith(input);
+    expect(first.start).toHaveBeenCalledWith(0);
+    expect(second.start).toHaveBeenCalledWith(2 / 8000);
+    expect(second.buffer!.duration).toBe(0.05);
+  });
+
+  it('reads frames in real time, a little ahead of the capture clock', async () => {
+    let pulled = 0;
+    async function* frames(): AsyncGenerator<PcmAudioFrame> {
+      for (let i = 0; i < 5; i++) {
+        pulled++;
+        yield { samples: new Float32Array(1600), sampleRate: 16000 };
+      }
+    }
+    const { context } = await record({ audioSource: frames() });
+    await flush();
+
+    // 0.1 s frames: the third one puts the schedule more than 0.2 s ahead, so reading pauses
+    expect(pulled).toBe(3);
+
+    context.currentTime = 0.3;
+    await new Promise((resolve) => setTimeout(resolve, 150));
+
+    const starts = context.bufferSources.map((source) => source.start.mock.calls[0][0]);
+    expect(starts).toHaveLength(5);
+    [0, 0.1, 0.2, 0.3, 0.4].forEach((start, i) => expect(starts[i]).toBeCloseTo(start));
+  });
+
+  it('closes an unfinished iterable and stops its scheduled frames when recording stops', async () => {
+    let closed = false;
+    async function* frames(): AsyncGenerator<PcmAudioFrame> {
+      try {
+        for (;;) yield { samples: new Float32Array(1600), sampleRate: 16000 };
+      } finally {
+        closed = true;
+      }
+    }
+    const { manager, context } = await record({ audioSource: frames() });
+    await flush();
+
+    manager.stopRecording();
+    await new Promise((resolve) => setTimeout(resolve, 150));
+
+    expect(closed).toBe(true);
+    expect(context.constantSources[0].stop).toHaveBeenCalled();
+    context.bufferSources.forEach((source) => expect(source.stop).toHaveBeenCalled());
+    expect(context.gains[0].disconnect).toHaveBeenCalled();
+  });
+
+  it('reports a failing iterable as an audio_source_error', async () => {
+    async function* frames(): AsyncGenerator<PcmAudioFrame> {
+      throw new Error('decode failed');
+    }
+    const { events } = await record({ audioSource: frames() });
+    await flush();
+
+    expect(events).toContainEqual(
+      expect.objectContaining({ type: 'error', error: expect.objectContaining({ code: 'audio_source_error' }) })
+    );
+  });
+
+  it('swaps between the microphone and a source under the same worklet with setAudioSource', async () => {
+    const { manager, worklet, context } = await record({});
+    const microphone = context.streamSources[0];
+    const remote = new FakeMediaStream();
+
+    await manager.setAudioSource(remote as unknown as MediaStream);
+
+    expect(context.streamSources[1].stream).toBe(remote);
+    expect(context.streamSources[1].connect).toHaveBeenCalledWith(worklet);
+    expect(microphone.disconnect).toHaveBeenCalled();
+    expect((microphone.stream as FakeMediaStream).tracks[0].stop).toHaveBeenCalled();
+
+    await manager.setAudioSource(null);
+
+    expect(getUserMedia).toHaveBeenCalledTimes(2);
+    expect(context.streamSources[2].connect).toHaveBeenCalledWith(worklet);
+    expect(remote.tracks[0].stop).not.toHaveBeenCalled();
+    expect(FakeWorkletNode.instances).toHaveLength(1);
+  });
+
+  it('keeps capturing the source when inputDeviceId changes', async () => {
+    const { manager } = await record({ audioSource: new FakeMediaStream() as unknown as MediaStream });
+
+    await manager.setInputDevice('headset');
+
+    expect(getUserMedia).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,255 @@
+/**
+ * @jest-environment jsdom
+ */
+
+/**
+ * AudioManager device selection (inputDeviceId / outputDeviceId) and listAudioDevices()
+ *
+ * Device changes replace the microphone source under the running worklet; the worklet node, and therefore the
+ * host's data stream, is never recreated.
+ */
+
+import { AudioManager, AudioEvent } from '../../src/utils/audio/AudioManager';
+import { listAudioDevices } from '../../src/utils/audio/audio-devices';
+
+class FakeAudioContext {
+  static instances: FakeAudioContext[] = [];
+  state = 'running';
+  currentTime = 0;
+  sampleRate: number;
+  destination = {};
+  sources: Array<{ stream: FakeStream; connect: jest.Mock; disconnect: jest.Mock }> = [];
+  audioWorklet = { addModule: jest.fn().mockResolvedValue(undefined) };
+  setSinkId = jest.fn().mockResolvedValue(undefined);
+  constructor(options: { sampleRate: number }) {
+    this.sampleRate = options.sampleRate;
+    FakeAudioContext.instances.push(this);
+  }
+  createMediaStreamSource(stream: FakeStream) {
+    const source = { stream, connect: jest.fn(), disconnect: jest.fn() };
+    this.sources.push(source);
+    return source;
+  }
+  createBuffer(_channels: number, length: number) {
+    const data = new Float32Array(length);
+    return { duration: length / this.sampleRate, getChannelData: () => data };
+  }
+  createBufferSource() {
+    return { buffer: null, connect: jest.fn(), disconnect: jest.fn(), start: jest.fn(), stop: jest.fn(), onended: null };
+  }
+  close() {
+    return Promise.resolve();
+  }
+}
+
+class FakeWorkletNode {
+  static instances: FakeWorkletNode[] = [];
+  port = { postMessage: jest.fn(), onmessage: null as ((event: { data: unknown }) => void) | null };
+  connect = jest.fn();
+  disconnect = jest.fn();
+  constructor() {
+    FakeWorkletNode.instances.push(this);
+  }
+}
+
+class FakeTrack {
+  readyState = 'live';
+  stop = jest.fn(() => {
+    this.readyState = 'ended';
+  });
+  private listeners: Array<() => void> = [];
+  constructor(private deviceId: string) {}
+  getSettings() {
+    return { deviceId: this.deviceId };
+  }
+  addEventListener(_type: string, listener: () => void) {
+    this.listeners.push(listener);
+  }
+  removeEventListener(_type: string, listener: () => void) {
+    this.listeners = this.listeners.filter((l) => l !== listener);
+  }
+  unplug() {
+    this.readyState = 'ended';
+    this.listeners.forEach((listener) => listener());
+  }
+}
+
+class FakeStream {
+  track: FakeTrack;
+  constructor(deviceId: string) {
+    this.track = new FakeTrack(deviceId);
+  }
+  getTracks() {
+    return [this.track];
+  }
+  getAudioTracks() {
+    return [this.track];
+  }
+}
+
+describe('AudioManager device selection', () => {
+  const globals = global as unknown as Record<string, unknown>;
+  const saved = {
+    AudioContext: globals.AudioContext,
+    AudioWorkletNode: globals.AudioWorkletNode,
+    createObjectURL: URL.createObjectURL,
+    revokeObjectURL: URL.revokeObjectURL,
+  };
+  let devices: Array<{ kind: string; deviceId: string; groupId: string; label: string }>;
+  let deviceChangeListener: (() => void) | null;
+  let getUserMedia: jest.Mock;
+
+  const device = (kind: string, deviceId: string) => ({ kind, deviceId, groupId: `group-${deviceId}`, label: deviceId });
+  const requestedDevice = (call: number) =>
+    (getUserMedia.mock.calls[call][0].audio.deviceId as { exact: string } | undefined)?.exact;
+  const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+  beforeEach(() => {
+    FakeAudioContext.instances = [];
+    FakeWorkletNode.instances = [];
+    globals.AudioContext = FakeAudioContext;
+    globals.AudioWorkletNode = FakeWorkletNode;
+    URL.createObjectURL = jest.fn(() => 'blob:worklet');
+    URL.revokeObjectURL = jest.fn();
+    devices = [device('audioinput', 'default'), device('audioinput', 'headset'), device('audiooutput', 'speakers')];
+    deviceChangeListener = null;
+    getUserMedia = jest.fn(async (constraints: { audio: { deviceId?: { exact: string } } }) => {
+      const requested = constraints.audio.deviceId?.exact;
+      if (requested && !devices.some((d) => d.kind === 'audioinput' && d.deviceId === requested)) {
+        throw Object.assign(new Error('not found'), { name: 'OverconstrainedError' });
+      }
+      return new FakeStream(requested ?? 'default');
+    });
+    Object.defineProperty(navigator, 'mediaDevices', {
+      configurable: true,
+      value: {
+        getUserMedia,
+        enumerateDevices: jest.fn(async () => devices),
+        addEventListener: jest.fn((_type: string, listener: () => void) => {
+          deviceChangeListener = listener;
+        }),
+        removeEventListener: jest.fn(),
+      },
+    });
+  });
+
+  afterEach(() => {
+    globals.AudioContext = saved.AudioContext;
+    globals.AudioWorkletNode = saved.AudioWorkletNode;
+    URL.createObjectURL = saved.createObjectURL;
+    URL.revokeObjectURL = saved.revokeObjectURL;
+  });
+
+  const record = async (options: ConstructorParameters<typeof AudioManager>[0]) => {
+    const manager = new AudioManager({ normalizeVolume: false, ...options });
+    const events: AudioEvent[] = [];
+    manager.addEventListener((event) => events.push(event));
+    await manager.startRecording();
+    const deviceChanges = () => events.flatMap((event) => (event.type === 'deviceChange' ? [event.change] : []));
+    return { manager, context: FakeAudioContext.instances[0], deviceChanges };
+  };
+
+  it('captures from inputDeviceId', async () => {
+    await record({ inputDeviceId: 'headset' });
+    expect(requestedDevice(0)).toBe('headset');
+  });
+
+  it('falls back to the default microphone when the selected one is missing', async () => {
+    const { deviceChanges } = await record({ inputDeviceId: 'usb-mic' });
+
+    expect(getUserMedia).toHaveBeenCalledTimes(2);
+    expect(requestedDevice(1)).toBeUndefined();
+    expect(deviceChanges()).toEqual([{ kind: 'input', deviceId: null, reason: 'unavailable' }]);
+  });
+
+  it('moves capture to the default microphone when the headset is unplugged, under the same worklet', async () => {
+    const { context, deviceChanges } = await record({ inputDeviceId: 'headset' });
+    const [worklet] = FakeWorkletNode.instances;
+    const [headsetSource] = context.sources;
+
+    devices = devices.filter((d) => d.deviceId !== 'headset');
+    headsetSource.stream.track.unplug();
+    await flush();
+
+    const defaultSource = context.sources[1];
+    expect(defaultSource.stream.track.getSettings().deviceId).toBe('default');
+    expect(defaultSource.connect).toHaveBeenCalledWith(worklet);
+    expect(headsetSource.disconnect).toHaveBeenCalled();
+    expect(FakeWorkletNode.instances).toHaveLength(1);
+    expect(deviceChanges()).toEqual([{ kind: 'input', deviceId: null, reason: 'unavailable' }]);
+
+    devices.push(device('audioinput', 'headset'));
+    deviceChangeListener!();
+    await flush();
+
+    expect(context.sources[2].stream.track.getSettings().deviceId).toBe('headset');
+    expect(defaultSource.stream.track.stop).toHaveBeenCalled();
+    expect(deviceChanges()[1]).toEqual({ kind: 'input', deviceId: 'headset', reason: 'reconnected' });
+  });
+
+  it('switches microphone in place with setInputDevice', async () => {
+    const { manager, context, deviceChanges } = await record({});
+
+    await manager.setInputDevice('headset');
+
+    expect(context.sources).toHaveLength(2);
+    expect(context.sources[1].connect).toHaveBeenCalledWith(FakeWorkletNode.instances[0]);
+    expect(deviceChanges()).toEqual([{ kind: 'input', deviceId: 'headset', reason: 'selected' }]);
+  });
+
+  it('routes playback to outputDeviceId and back to the default when it is unplugged', async () => {
+    const manager = new AudioManager({ normalizeVolume: false, outputDeviceId: 'speakers' });
+    const changes: unknown[] = [];
+    manager.addEventListener((event) => event.type === 'deviceChange' && changes.push(event.change));
+    const playback = manager.getAudioContext() as unknown as FakeAudioContext;
+    await flush();
+    expect(playback.setSinkId).toHaveBeenCalledWith('speakers');
+
+    devices = devices.filter((d) => d.deviceId !== 'speakers');
+    deviceChangeListener!();
+    await flush();
+    expect(playback.setSinkId).toHaveBeenLastCalledWith('');
+    expect(changes).toEqual([{ kind: 'output', deviceId: null, reason: 'unavailable' }]);
+  });
+
+  it('ignores outputDeviceId without reporting it unavailable where setSinkId is not supported', async () => {
+    globals.AudioContext = class extends FakeAudioContext {
+      constructor(options: { sampleRate: number }) {
+        super(options);
+        delete (this as Partial<FakeAudioContext>).setSinkId;
+      }
+    };
+    const manager = new AudioManager({ normalizeVolume: false, outputDeviceId: 'speakers' });
+    const changes: unknown[] = [];
+    manager.addEventListener((event) => event.type === 'deviceChange' && changes.push(event.change));
+    manager.getAudioContext();
+    await flush();
+    expect(changes).toEqual([]);
+
+    devices = devices.filter((d) => d.deviceId !== 'speakers');
+    deviceChangeListener!();
+    await flush();
+
+    expect(changes).toEqual([]);
+  });
+});
+
+describe('listAudioDevices', () => {
+  it('splits microphones and speakers', async () => {
+    Object.defineProperty(navigator, 'mediaDevices', {
+      configurable: true,
+      value: {
+        enumerateDevices: jest.fn().mockResolvedValue([
+          { kind: 'audioinput', deviceId: 'mic', groupId: 'g1', label: 'Mic' },
+          { kind: 'videoinput', deviceId: 'cam', groupId: 'g2', label: 'Camera' },
+          { kind: 'audiooutput', deviceId: 'spk', groupId: 'g1', label: 'Speakers' },
+        ]),
+      },
+    });
+
+    await expect(listAudioDevices()).resolves.toEqual({
+      inputs: [{ kind: 'input', deviceId: 'mic', groupId: 'g1', label: 'Mic' }],
+      outputs: [{ kind: 'output', deviceId: 'spk', groupId: 'g1', label: 'Speakers' }],
+    });
+  });
+});
@@ -0,0 +1,183 @@
+/**
+ * @jest-environment jsdom
+ */
+
+/**
+ * AudioManager with the jitterBuffer option: agent audio goes to the playback worklet (JitterBufferPlaybackSink)
+ * instead of one AudioBufferSourceNode per chunk.
+ */
+
+import { AudioManager, AudioEvent } from '../../src/utils/audio/AudioManager';
+import { DEFAULT_JITTER_BUFFER_OPTIONS } from '../../src/utils/audio/jitter-buffer';
+import { JitterBufferPlaybackSink } from '../../src/utils/audio/JitterBufferPlaybackSink';
+
+class FakeAudioContext {
+  state = 'running';
+  currentTime = 0;
+  sampleRate: number;
+  destination = { name: 'destination' };
+  bufferSources = 0;
+  audioWorklet = { addModule: jest.fn().mockResolvedValue(undefined) };
+  constructor(options: { sampleRate: number }) {
+    this.sampleRate = options.sampleRate;
+    FakeAudioContext.last = this;
+  }
+  static last: FakeAudioContext | null = null;
+  createBuffer(_channels: number, length: number) {
+    const data = new Float32Array(length);
+    return { duration: length / this.sampleRate, getChannelData: () => data };
+  }
+  createBufferSource() {
+    this.bufferSources++;
+    return { buffer: null, connect: jest.fn(), disconnect: jest.fn(), start: jest.fn(), stop: jest.fn(), onended: null };
+  }
+  createGain() {
+    return { connect: jest.fn(), disconnect: jest.fn() };
+  }
+  close() {
+    return Promise.resolve();
+  }
+}
+
+class FakeWorkletNode {
+  static last: FakeWorkletNode | null = null;
+  port = { postMessage: jest.fn(), onmessage: null as ((event: { data: unknown }) => void) | null };
+  connect = jest.fn();
+  disconnect = jest.fn();
+  constructor(public context: FakeAudioContext, public name: string, public options: { processorOptions: unknown }) {
+    FakeWorkletNode.last = this;
+  }
+  messages() {
+    return this.port.postMessage.mock.calls.map(([message]) => message);
+  }
+  report(type: string, fields: Record<string, number> = {}) {
+    this.port.onmessage!({ data: { type, played: 0, buffered: 0, underruns: 0, pushes: 0, ...fields } });
+  }
+}
+
+describe('AudioManager jitterBuffer playback', () => {
+  const globals = global as unknown as Record<string, unknown>;
+  const saved = {
+    AudioContext: globals.AudioContext,
+    AudioWorkletNode: globals.AudioWorkletNode,
+    createObjectURL: URL.createObjectURL,
+    revokeObjectURL: URL.revokeObjectURL,
+  };
+
+  beforeEach(() => {
+    FakeWorkletNode.last = null;
+    globals.AudioContext = FakeAudioContext;
+    globals.AudioWorkletNode = FakeWorkletNode;
+    URL.createObjectURL = jest.fn(() => 'blob:playback-worklet');
+    URL.revokeObjectURL = jest.fn();
+  });
+
+  afterEach(() => {
+    globals.AudioContext = saved.AudioContext;
+    globals.AudioWorkletNode = saved.AudioWorkletNode;
+    URL.createObjectURL = saved.createObjectURL;
+    URL.revokeObjectURL = saved.revokeObjectURL;
+  });
+
+  const create = () => {
+    const manager = new AudioManager({ normalizeVolume: false, jitterBuffer: DEFAULT_JITTER_BUFFER_OPTIONS });
+    const playing: boolean[] = [];
+    manager.addEventListener((event: AudioEvent) => event.type === 'playing' && playing.push(event.isPlaying));
+    return { manager, playing };
+  };
+
+  it('writes agent PCM to the playback worklet as float samples', async () => {
+    const { manager, playing } = create();
+
+    await manager.queueAudio(new Int16Array([16384, -32768]).buffer);
+
+    const node = FakeWorkletNode.last!;
+    expect(node.name).toBe('playback-processor');
+    expect(node.options.processorOptions).toEqual(DEFAULT_JITTER_BUFFER_OPTIONS);
+    expect(node.connect).toHaveBeenCalledWith(FakeAudioContext.last!.destination);
+    const [push] = node.messages();
+    expect(push.type).toBe('push');
+    expect(Array.from(new Float32Array(push.data))).toEqual([0.5, -1]);
+    expect(FakeAudioContext.last!.bufferSources).toBe(0);
+    expect(playing).toEqual([true]);
+    expect(manager.isPlaybackActive()).toBe(true);
+  });
+
+  it('ends playback when the worklet drains everything it was sent', async () => {
+    const { manager, playing } = create();
+    await manager.queueAudio(new Int16Array(240).buffer);
+    await manager.queueAudio(new Int16Array(240).buffer);
+    const node = FakeWorkletNode.last!;
+
+    node.report('drained', { played: 240, pushes: 1 });
+    expect(playing).toEqual([true]);
+
+    node.report('drained', { played: 480, pushes: 2 });
+    expect(playing).toEqual([true, false]);
+    expect(manager.getPlaybackProgress()).toEqual({ playedSamples: 480, bufferedSamples: 0, underruns: 0, sampleRate: 24000 });
+  });
+
+  it('clears the worklet buffer on clearAudioQueue', async () => {
+    const { manager, playing } = create();
+    await manager.queueAudio(new Int16Array(240).buffer);
+    const node = FakeWorkletNode.last!;
+
+    manager.clearAudioQueue();
+
+    expect(node.messages().map((message) => message.type)).toEqual(['push', 'clear']);
+    expect(playing).toEqual([true, false]);
+    node.report('cleared', { played: 100, pushes: 1 });
+    expect(manager.getPlaybackProgress()?.playedSamples).toBe(100);
+  });
+
+  it('resolves a pending clear when the sink is disconnected before the worklet reports it', async () => {
+    const context = new FakeAudioContext({ sampleRate: 24000 });
+    const sink = await JitterBufferPlaybackSink.create(
+      context as unknown as AudioContext,
+      context.destination as unknown as AudioNode,
+      DEFAULT_JITTER_BUFFER_OPTIONS
+    );
+    sink.write(new Int16Array(240).buffer);
+    FakeWorkletNode.last!.report('position', { played: 60, buffered: 180, pushes: 1 });
+
+    const cleared = sink.clear();
+    sink.disconnect();
+
+    await expect(cleared).resolves.toEqual({ playedSamples: 60, bufferedSamples: 180, underruns: 0, sampleRate: 24000 });
+  });
+
+  it('logs an isPlaying mismatch once while it lasts, not on every isPlaybackActive poll', async () => {
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+    try {
+      const manager = new AudioManager({ normalizeVolume: false, debug: true, jitterBuffer: DEFAULT_JITTER_BUFFER_OPTIONS });
+      await manager.queueAudio(new Int16Array(240).buffer);
+      const mismatchLogs = () =>
+        log.mock.calls.filter(([, message]) => String(message).includes('isPlaying mismatch')).length;
+
+      manager.isPlaybackActive();
+      expect(mismatchLogs()).toBe(0);
+
+      FakeWorkletNode.last!.report('drained', { played: 240, pushes: 1 });
+      (manager as unknown as { isPlaying: boolean }).isPlaying = true;
+      manager.isPlaybackActive();
+      manager.isPlaybackActive();
+      manager.isPlaybackActive();
+      expect(mismatchLogs()).toBe(1);
+    } finally {
+      log.mockRestore();
+    }
+  });
+
+  it('falls back to buffer sources when the worklet cannot be loaded', async () => {
+    const { manager } = create();
+    manager.getAudioContext();
+    FakeAudioContext.last!.audioWorklet.addModule.mockRejectedValue(new Error('AudioWorklet unavailable'));
+
+    await manager.queueAudio(new Int16Array(240).buffer);
+    await manager.queueAudio(new Int16Array(240).buffer);
+
+    expect(FakeWorkletNode.last).toBeNull();
+    expect(FakeAudioContext.last!.bufferSources).toBe(2);
+    expect(FakeAudioContext.last!.audioWorklet.addModule).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,148 @@
+/**
+ * @jest-environment jsdom
+ */
+
+/**
+ * AudioManager.getAudioLevels() and measureAudioLevel()
+ *
+ * Analysers join the capture and playback graphs only once levels are read; input reads zero unless recording,
+ * output reads zero unless agent audio is scheduled.
+ */
+
+import { AudioManager } from '../../src/utils/audio/AudioManager';
+import { measureAudioLevel } from '../../src/utils/audio/AudioUtils';
+
+class FakeAnalyser {
+  fftSize = 2048;
+  samples = new Float32Array(0);
+  connect = jest.fn();
+  disconnect = jest.fn();
+  getFloatTimeDomainData(target: Float32Array) {
+    target.fill(0);
+    target.set(this.samples.subarray(0, target.length));
+  }
+}
+
+class FakeAudioContext {
+  static instances: FakeAudioContext[] = [];
+  state = 'running';
+  currentTime = 0;
+  sampleRate: number;
+  destination = {};
+  analysers: FakeAnalyser[] = [];
+  audioWorklet = { addModule: jest.fn().mockResolvedValue(undefined) };
+  constructor(options: { sampleRate: number }) {
+    this.sampleRate = options.sampleRate;
+    FakeAudioContext.instances.push(this);
+  }
+  createAnalyser() {
+    const analyser = new FakeAnalyser();
+    this.analysers.push(analyser);
+    return analyser;
+  }
+  createMediaStreamSource() {
+    return { connect: jest.fn(), disconnect: jest.fn() };
+  }
+  createBuffer(_channels: number, length: number) {
+    const data = new Float32Array(length);
+    return { duration: length / this.sampleRate, getChannelData: () => data };
+  }
+  createBufferSource() {
+    return { buffer: null, connect: jest.fn(), disconnect: jest.fn(), start: jest.fn(), stop: jest.fn(), onended: null };
+  }
+  close() {
+    return Promise.resolve();
+  }
+}
+
+class FakeWorkletNode {
+  static last: FakeWorkletNode | null = null;
+  port = { postMessage: jest.fn(), onmessage: null as ((event: { data: unknown }) => void) | null };
+  connect = jest.fn();
+  disconnect = jest.fn();
+  constructor() {
+    FakeWorkletNode.last = this;
+  }
+}
+
+describe('measureAudioLevel', () => {
+  it('returns RMS and peak magnitude', () => {
+    expect(measureAudioLevel(new Float32Array([0.5, -0.5, 0.5, -0.5]))).toEqual({ rms: 0.5, peak: 0.5 });
+    expect(measureAudioLevel(new Float32Array([0, 0, 0, -1]))).toEqual({ rms: 0.5, peak: 1 });
+    expect(measureAudioLevel(new Float32Array(0))).toEqual({ rms: 0, peak: 0 });
+  });
+});
+
+describe('AudioManager.getAudioLevels', () => {
+  const globals = global as unknown as Record<string, unknown>;
+  const saved = {
+    AudioContext: globals.AudioContext,
+    AudioWorkletNode: globals.AudioWorkletNode,
+    createObjectURL: URL.createObjectURL,
+    revokeObjectURL: URL.revokeObjectURL,
+  };
+
+  beforeEach(() => {
+    FakeAudioContext.instances = [];
+    globals.AudioContext = FakeAudioContext;
+    globals.AudioWorkletNode = FakeWorkletNode;
+    URL.createObjectURL = jest.fn(() => 'blob:worklet');
+    URL.revokeObjectURL = jest.fn();
+    Object.defineProperty(navigator, 'mediaDevices', {
+      configurable: true,
+      value: { getUserMedia: jest.fn().mockResolvedValue({ getTracks: () => [], getAudioTracks: () => [] }) },
+    });
+  });
+
+  afterEach(() => {
+    globals.AudioContext = saved.AudioContext;
+    globals.AudioWorkletNode = saved.AudioWorkletNode;
+    URL.createObjectURL = saved.createObjectURL;
+    URL.revokeObjectURL = saved.revokeObjectURL;
+  });
+
+  it('reads silence and adds no analysers before levels are requested', async () => {
+    const manager = new AudioManager({ normalizeVolume: false });
+    await manager.queueAudio(new Int16Array(240).buffer);
+
+    expect(FakeAudioContext.instances[0].analysers).toHaveLength(0);
+    expect(manager.getAudioLevels()).toEqual({
+      input: { rms: 0, peak: 0 },
+      output: { rms: 0, peak: 0 },
+      timestamp: expect.any(Number),
+    });
+  });
+
+  it('meters agent playback once levels are requested', async () => {
+    const manager = new AudioManager({ normalizeVolume: false });
+    manager.getAudioLevels();
+    await manager.queueAudio(new Int16Array(240).buffer);
+
+    const playback = FakeAudioContext.instances[0];
+    const [analyser] = playback.analysers;
+    expect(analyser.connect).toHaveBeenCalledWith(playback.destination);
+    analyser.samples = new Float32Array([0.25, -0.25, 0.25, -0.25]);
+
+    const { output, input } = manager.getAudioLevels();
+    expect(output.peak).toBeCloseTo(0.25);
+    expect(output.rms).toBeCloseTo(Math.sqrt((4 * 0.25 ** 2) / analyser.fftSize));
+    expect(input).toEqual({ rms: 0, peak: 0 });
+
+    manager.clearAudioQueue();
+    expect(manager.getAudioLevels().output).toEqual({ rms: 0, peak: 0 });
+  });
+
+  it('meters the microphone while recording', async () => {
+    const manager = new AudioManager({ normalizeVolume: false });
+    manager.getAudioLevels();
+    await manager.startRecording();
+    FakeWorkletNode.last!.port.onmessage!({ data: { type: 'started' } });
+
+    const [analyser] = FakeAudioContext.instances[0].analysers;
+    analyser.samples = new Float32Array(analyser.fftSize).fill(0.1);
+    expect(manager.getAudioLevels().input).toEqual({ rms: expect.closeTo(0.1), peak: expect.closeTo(0.1) });
+
+    manager.stopRecording();
+    expect(manager.getAudioLevels().input).toEqual({ rms: 0, peak: 0 });
+  });
+});
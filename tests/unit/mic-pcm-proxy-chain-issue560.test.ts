@@ -7,7 +7,7 @@
  * intended byte ratios and the client→proxy chain.
  */
 
-import { Pcm16Mono16kTo24kStreamResampler } from '../../packages/voice-agent-backend/scripts/openai-proxy/pcm-resample-16k-to-24k';
+import { Pcm16Mono16kTo24kStreamResampler } from '../../packages/voice-agent-backend/scripts/openai-proxy/pcm-resample';
 import {
   float32MonoToPcm16LeSymmetric,
   prepareMicPcmForAgent,
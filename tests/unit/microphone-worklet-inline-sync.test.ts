@@ -1,28 +1,43 @@
 /**
- * DRY guard: AudioManager loads the worklet from microphone-worklet-inline.generated.ts,
- * which must match AudioWorkletProcessor.js (regenerate: npm run generate:mic-worklet).
+ * DRY guard: AudioManager loads the worklets from *-worklet-inline.generated.ts, which must match their
+ * processor sources (regenerate: npm run generate:mic-worklet / npm run generate:playback-worklet).
  */
 import { readFileSync } from 'fs';
 import { join } from 'path';
 
-function expectedGeneratedFile(processorSource: string): string {
+function expectedGeneratedFile(processorSource: string, processorFile: string, script: string, constName: string): string {
   return (
     '/* eslint-disable */\n' +
     '/**\n' +
-    ' * AUTO-GENERATED from AudioWorkletProcessor.js — do not edit.\n' +
-    ' * Run: npm run generate:mic-worklet\n' +
+    ` * AUTO-GENERATED from ${processorFile} — do not edit.\n` +
+    ` * Run: npm run ${script}\n` +
     ' */\n' +
-    `export const MICROPHONE_WORKLET_INLINE_SOURCE = ${JSON.stringify(processorSource)};\n`
+    `export const ${constName} = ${JSON.stringify(processorSource)};\n`
   );
 }
 
 describe('microphone worklet inline (DRY)', () => {
-  it('generated TS matches AudioWorkletProcessor.js', () => {
-    const root = join(__dirname, '../..');
-    const processorPath = join(root, 'src/utils/audio/AudioWorkletProcessor.js');
-    const generatedPath = join(root, 'src/utils/audio/microphone-worklet-inline.generated.ts');
-    const processor = readFileSync(processorPath, 'utf8');
-    const generated = readFileSync(generatedPath, 'utf8');
-    expect(generated).toBe(expectedGeneratedFile(processor));
+  const root = join(__dirname, '../..');
+
+  it('generated TS matches StreamingResampler.js + AudioWorkletProcessor.js', () => {
+    const resampler = readFileSync(join(root, 'src/utils/audio/StreamingResampler.js'), 'utf8');
+    const processor = readFileSync(join(root, 'src/utils/audio/AudioWorkletProcessor.js'), 'utf8');
+    const generated = readFileSync(join(root, 'src/utils/audio/microphone-worklet-inline.generated.ts'), 'utf8');
+    expect(generated).toBe(
+      expectedGeneratedFile(
+        `${resampler}\n${processor}`,
+        'StreamingResampler.js + AudioWorkletProcessor.js',
+        'generate:mic-worklet',
+        'MICROPHONE_WORKLET_INLINE_SOURCE'
+      )
+    );
+  });
+
+  it('generated TS matches PlaybackWorkletProcessor.js', () => {
+    const processor = readFileSync(join(root, 'src/utils/audio/PlaybackWorkletProcessor.js'), 'utf8');
+    const generated = readFileSync(join(root, 'src/utils/audio/playback-worklet-inline.generated.ts'), 'utf8');
+    expect(generated).toBe(
+      expectedGeneratedFile(processor, 'PlaybackWorkletProcessor.js', 'generate:playback-worklet', 'PLAYBACK_WORKLET_INLINE_SOURCE')
+    );
   });
 });
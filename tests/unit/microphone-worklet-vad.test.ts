@@ -0,0 +1,117 @@
+/**
+ * Local VAD in the microphone AudioWorkletProcessor (processorOptions.vad)
+ *
+ * Runs AudioWorkletProcessor.js in a VM context with a stub AudioWorkletGlobalScope at 1 kHz, so a 20 ms
+ * frame is 20 samples.
+ */
+import { readFileSync } from 'fs';
+import { join } from 'path';
+import { runInNewContext } from 'vm';
+import { DEFAULT_LOCAL_VAD_OPTIONS } from '../../src/utils/audio/local-vad';
+import type { LocalVadOptions } from '../../src/types';
+
+interface ProcessorInstance {
+  port: { postMessage: jest.Mock; onmessage: (event: { data: unknown }) => void };
+  process: (inputs: Float32Array[][]) => boolean;
+}
+
+type ProcessorClass = new (options?: { processorOptions?: unknown }) => ProcessorInstance;
+
+const source = readFileSync(join(__dirname, '../../src/utils/audio/AudioWorkletProcessor.js'), 'utf8');
+
+function loadProcessor(): ProcessorClass {
+  let registered: ProcessorClass | null = null;
+  class AudioWorkletProcessor {
+    port = { postMessage: jest.fn(), onmessage: null };
+  }
+  runInNewContext(source, {
+    AudioWorkletProcessor,
+    sampleRate: 1000,
+    Float32Array,
+    Math,
+    registerProcessor: (_name: string, processor: ProcessorClass) => {
+      registered = processor;
+    },
+  });
+  return registered!;
+}
+
+/** 20 ms frames of a slow square wave: loud with a low zero-crossing rate */
+const speech = (frames: number) =>
+  Float32Array.from({ length: frames * 20 }, (_, i) => (Math.floor(i / 5) % 2 === 0 ? 0.5 : -0.5));
+const silence = (frames: number) => new Float32Array(frames * 20);
+/** Alternating samples: a crossing on every sample */
+const hiss = (frames: number) => Float32Array.from({ length: frames * 20 }, (_, i) => (i % 2 === 0 ? 0.2 : -0.2));
+
+describe('microphone worklet local VAD', () => {
+  const Processor = loadProcessor();
+
+  const start = (vad: LocalVadOptions | null) => {
+    const processor = new Processor(vad ? { processorOptions: { vad: { ...DEFAULT_LOCAL_VAD_OPTIONS, ...vad } } } : {});
+    processor.port.onmessage({ data: { type: 'start' } });
+    processor.port.postMessage.mockClear();
+    const feed = (samples: Float32Array) => {
+      for (let i = 0; i < samples.length; i += 128) processor.process([[samples.subarray(i, i + 128)]]);
+    };
+    const messages = () => processor.port.postMessage.mock.calls.map(([message]) => message);
+    const vadEvents = () => messages().filter((message) => message.type === 'vad').map((message) => message.speaking);
+    const sentSamples = () =>
+      messages()
+        .filter((message) => message.type === 'audio')
+        .reduce((total, message) => total + new Float32Array(message.data).length, 0);
+    return { processor, feed, vadEvents, sentSamples };
+  };
+
+  it('reports speech after minSpeechMs and its end after the hangover', () => {
+    const { feed, vadEvents } = start({ minSpeechMs: 60, hangoverMs: 100 });
+
+    feed(speech(2));
+    expect(vadEvents()).toEqual([]);
+    feed(speech(1));
+    expect(vadEvents()).toEqual([true]);
+    feed(silence(4));
+    expect(vadEvents()).toEqual([true]);
+    feed(silence(1));
+    expect(vadEvents()).toEqual([true, false]);
+  });
+
+  it('ignores quiet frames and high zero-crossing hiss', () => {
+    const { feed, vadEvents } = start({ energyThreshold: 0.1 });
+
+    feed(Float32Array.from(speech(10), (sample) => sample / 10));
+    feed(hiss(10));
+    expect(vadEvents()).toEqual([]);
+  });
+
+  it('gates silence but sends the pre-roll with the speech and flushes the utterance end', () => {
+    const { feed, sentSamples } = start({ gateSilence: true, preRollMs: 100, minSpeechMs: 40, hangoverMs: 60 });
+
+    feed(silence(50));
+    expect(sentSamples()).toBe(0);
+
+    feed(speech(2)); // speech starts on the second frame, after 100 ms of pre-roll (4 silent frames + 1 speech frame)
+    feed(speech(3));
+    feed(silence(3)); // hangover ends: the buffer is flushed
+    expect(sentSamples()).toBe(100 + 20 + 60 + 60);
+
+    feed(silence(50));
+    expect(sentSamples()).toBe(240);
+  });
+
+  it('sends everything without gating, and reports the end of speech when recording stops', () => {
+    const { processor, feed, vadEvents, sentSamples } = start({});
+
+    feed(speech(300)); // 6000 samples: one full 4096-sample buffer
+    expect(sentSamples()).toBe(4096);
+    processor.port.onmessage({ data: { type: 'stop' } });
+    expect(vadEvents()).toEqual([true, false]);
+  });
+
+  it('leaves capture unchanged without processorOptions.vad', () => {
+    const { feed, vadEvents, sentSamples } = start(null);
+
+    feed(silence(205)); // 4100 samples
+    expect(sentSamples()).toBe(4096);
+    expect(vadEvents()).toEqual([]);
+  });
+});
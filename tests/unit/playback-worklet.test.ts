@@ -0,0 +1,138 @@
+/**
+ * Jitter buffer in the playback AudioWorkletProcessor (PlaybackWorkletProcessor.js)
+ *
+ * Runs the processor in a VM context with a stub AudioWorkletGlobalScope at 1 kHz, so 1 ms is one sample.
+ */
+import { readFileSync } from 'fs';
+import { join } from 'path';
+import { runInNewContext } from 'vm';
+import { DEFAULT_JITTER_BUFFER_OPTIONS } from '../../src/utils/audio/jitter-buffer';
+import type { JitterBufferOptions } from '../../src/types';
+
+interface ProcessorInstance {
+  port: { postMessage: jest.Mock; onmessage: (event: { data: unknown }) => void };
+  process: (inputs: Float32Array[][], outputs: Float32Array[][]) => boolean;
+}
+
+type ProcessorClass = new (options?: { processorOptions?: unknown }) => ProcessorInstance;
+
+const source = readFileSync(join(__dirname, '../../src/utils/audio/PlaybackWorkletProcessor.js'), 'utf8');
+
+function loadProcessor(): ProcessorClass {
+  let registered: ProcessorClass | null = null;
+  class AudioWorkletProcessor {
+    port = { postMessage: jest.fn(), onmessage: null };
+  }
+  runInNewContext(source, {
+    AudioWorkletProcessor,
+    sampleRate: 1000,
+    Float32Array,
+    Math,
+    Object,
+    registerProcessor: (_name: string, processor: ProcessorClass) => {
+      registered = processor;
+    },
+  });
+  return registered!;
+}
+
+describe('playback worklet jitter buffer', () => {
+  const Processor = loadProcessor();
+
+  const start = (options: JitterBufferOptions = {}) => {
+    const processor = new Processor({
+      processorOptions: { ...DEFAULT_JITTER_BUFFER_OPTIONS, targetLatencyMs: 40, concealMs: 10, fadeMs: 2, ...options },
+    });
+    const push = (samples: number[] | Float32Array) =>
+      processor.port.onmessage({ data: { type: 'push', data: Float32Array.from(samples).buffer } });
+    const send = (type: string) => processor.port.onmessage({ data: { type } });
+    /** Renders `length` output samples */
+    const render = (length: number) => {
+      const output = new Float32Array(length);
+      processor.process([], [[output]]);
+      return Array.from(output);
+    };
+    const reports = () => processor.port.postMessage.mock.calls.map(([message]) => message);
+    const reportTypes = () => reports().map((message) => message.type).filter((type) => type !== 'position');
+    return { push, send, render, reports, reportTypes };
+  };
+
+  const ones = (length: number) => new Array(length).fill(1);
+
+  it('waits for targetLatencyMs before playing, then fades in', () => {
+    const { push, render, reportTypes } = start();
+
+    push(ones(30));
+    expect(render(5)).toEqual([0, 0, 0, 0, 0]);
+    push(ones(10));
+    const output = render(5);
+
+    expect(output[0]).toBeCloseTo(1 / 3);
+    expect(output[1]).toBeCloseTo(2 / 3);
+    expect(output.slice(2)).toEqual([1, 1, 1]);
+    expect(reportTypes()).toEqual(['started']);
+  });
+
+  it('starts with less than the target once targetLatencyMs has been waited for', () => {
+    const { push, render } = start();
+
+    push(ones(10));
+    expect(render(39).every((sample) => sample === 0)).toBe(true);
+    expect(render(5).some((sample) => sample > 0)).toBe(true);
+  });
+
+  it('conceals an underrun with the last output mirrored at a falling gain, then reports the drain', () => {
+    const { push, render, reportTypes } = start();
+
+    push([...ones(38), 0.5, 0.25]);
+    render(40);
+    const concealed = render(10);
+
+    expect(concealed.map((sample) => Number(sample.toFixed(2)))).toEqual([0.25, 0.45, 0.8, 0.7, 0.6, 0.5, 0.4, 0.3, 0.2, 0.1]);
+    expect(reportTypes()).toEqual(['started', 'underrun']);
+
+    // Nothing arrives within targetLatencyMs after the concealment: the stream is over
+    expect(render(40).every((sample) => sample === 0)).toBe(true);
+    expect(reportTypes()).toEqual(['started', 'underrun']);
+    render(1);
+    expect(reportTypes()).toEqual(['started', 'underrun', 'drained']);
+  });
+
+  it('plays out the buffer without concealment after end', () => {
+    const { push, send, render, reports, reportTypes } = start();
+
+    push(ones(10));
+    send('end');
+    expect(render(12).filter((sample) => sample !== 0)).toHaveLength(10);
+    expect(reportTypes()).toEqual(['started', 'drained']);
+    expect(reports().pop()).toEqual(expect.objectContaining({ played: 10, underruns: 0, pushes: 1 }));
+  });
+
+  it('reports exact played and dropped sample counts when cleared', () => {
+    const { push, send, render, reports, reportTypes } = start();
+
+    push(ones(100));
+    render(50); // more than the target is buffered, so playback starts at once
+    send('clear');
+    const cleared = reports().find((message) => message.type === 'cleared');
+    expect(cleared).toEqual(expect.objectContaining({ played: 50, buffered: 2, dropped: 48 }));
+
+    const tail = render(4);
+    expect(tail[0]).toBeGreaterThan(tail[1]);
+    expect(tail.slice(2)).toEqual([0, 0]);
+    expect(reportTypes()).toEqual(['started', 'cleared', 'drained']);
+    expect(reports().pop()).toEqual(expect.objectContaining({ played: 52, buffered: 0 }));
+  });
+
+  it('grows the ring buffer for bursts longer than its capacity', () => {
+    const { push, send, render } = start({ targetLatencyMs: 1 });
+
+    const burst = Float32Array.from({ length: 25000 }, (_, i) => (i % 100) / 100);
+    push(burst.subarray(0, 15000));
+    push(burst.subarray(15000));
+    send('end');
+    const output = render(25010);
+
+    expect(output.slice(10, 25000)).toEqual(Array.from(burst.subarray(10)));
+  });
+});
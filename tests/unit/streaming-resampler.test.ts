@@ -0,0 +1,184 @@
+/**
+ * Windowed-sinc StreamingResampler (StreamingResampler.js) used by the microphone worklet
+ *
+ * The resampler is a plain script for the AudioWorkletGlobalScope, so it is evaluated in a VM context. Aliasing is
+ * measured with linear sweeps that lie entirely above the output Nyquist frequency: whatever comes out folded back.
+ */
+import { readFileSync } from 'fs';
+import { join } from 'path';
+import { runInNewContext } from 'vm';
+import { downsample } from '../../src/utils/audio/AudioUtils';
+import { MICROPHONE_WORKLET_INLINE_SOURCE } from '../../src/utils/audio/microphone-worklet-inline.generated';
+
+interface Resampler {
+  halfTaps: number;
+  process(input: Float32Array): Float32Array;
+  flush(): Float32Array;
+}
+
+type ResamplerClass = new (inputRate: number, outputRate: number) => Resampler;
+
+const source = readFileSync(join(__dirname, '../../src/utils/audio/StreamingResampler.js'), 'utf8');
+const StreamingResampler: ResamplerClass = runInNewContext(`${source}\nStreamingResampler;`, { Float32Array, Math });
+
+const SOURCE_RATES = [44100, 48000, 96000];
+const TARGET_RATES = [8000, 16000, 24000];
+const combinations = SOURCE_RATES.flatMap((from) => TARGET_RATES.map((to) => [from, to]));
+
+const tone = (hz: number, rate: number, length: number, offset = 0) =>
+  Float32Array.from({ length }, (_, i) => Math.sin((2 * Math.PI * hz * (i + offset)) / rate));
+
+/**
+ * Linear sweep from f0 to f1 Hz over `seconds` at `rate`, amplitude 1. The first and last 20 ms are faded, since
+ * an abrupt start or end would itself put energy below the output Nyquist.
+ */
+const sweep = (f0: number, f1: number, rate: number, seconds: number) => {
+  const length = Math.round(rate * seconds);
+  const fade = Math.round(rate * 0.02);
+  return Float32Array.from({ length }, (_, i) => {
+    const t = i / rate;
+    const edge = Math.min(1, i / fade, (length - 1 - i) / fade);
+    const gain = 0.5 - 0.5 * Math.cos(Math.PI * edge);
+    return gain * Math.sin(2 * Math.PI * (f0 * t + ((f1 - f0) * t * t) / (2 * seconds)));
+  });
+};
+
+const rms = (samples: Float32Array) => Math.sqrt(samples.reduce((sum, s) => sum + s * s, 0) / samples.length);
+const db = (ratio: number) => 20 * Math.log10(ratio);
+
+const resampleAll = (input: Float32Array, from: number, to: number) => {
+  const resampler = new StreamingResampler(from, to);
+  const head = resampler.process(input);
+  const tail = resampler.flush();
+  const output = new Float32Array(head.length + tail.length);
+  output.set(head);
+  output.set(tail, head.length);
+  return output;
+};
+
+describe('StreamingResampler', () => {
+  it.each(combinations)('%i Hz -> %i Hz keeps a 1 kHz tone and the stream length', (from, to) => {
+    const input = tone(1000, from, from / 2);
+
+    const output = resampleAll(input, from, to);
+
+    expect(output.length).toBe(to / 2);
+    // Away from the edges (where the stream starts and ends in silence) the tone is reproduced at the new rate
+    const margin = Math.ceil(to / 50);
+    const expected = tone(1000, to, output.length - 2 * margin, margin);
+    const error = output.subarray(margin, output.length - margin).map((s, i) => s - expected[i]);
+    expect(db(rms(error) / rms(expected))).toBeLessThan(-60);
+  });
+
+  it.each(combinations)('%i Hz -> %i Hz suppresses a sweep above the output Nyquist by 60 dB', (from, to) => {
+    const input = sweep(to / 2 + 1000, from / 2 - 1000, from, 0.5);
+
+    const output = resampleAll(input, from, to);
+
+    expect(db(rms(output) / rms(input))).toBeLessThan(-60);
+  });
+
+  it('aliases far less than AudioUtils.downsample on the same sweep', () => {
+    const input = sweep(9000, 23000, 48000, 0.5);
+
+    const averaged = downsample(input, 48000, 16000);
+    const filtered = resampleAll(input, 48000, 16000);
+
+    expect(db(rms(averaged) / rms(input))).toBeGreaterThan(-20);
+    expect(db(rms(filtered) / rms(input))).toBeLessThan(-60);
+  });
+
+  it('gives the same samples for chunked input as for one buffer', () => {
+    const input = sweep(100, 20000, 44100, 0.25);
+    const whole = resampleAll(input, 44100, 16000);
+
+    const resampler = new StreamingResampler(44100, 16000);
+    const parts: number[] = [];
+    for (let i = 0; i < input.length; i += 128) {
+      parts.push(...Array.from(resampler.process(input.subarray(i, i + 128))));
+    }
+    parts.push(...Array.from(resampler.flush()));
+
+    expect(parts).toEqual(Array.from(whole));
+  });
+
+  it('holds back half the filter until flush, then starts a new stream', () => {
+    const resampler = new StreamingResampler(48000, 16000);
+    const chunk = new Float32Array(4800).fill(0.5);
+    const first = resampler.process(chunk);
+
+    expect(first.length).toBe(Math.ceil((4800 - resampler.halfTaps) / 3));
+    expect(first.length + resampler.flush().length).toBe(1600);
+    expect(Array.from(resampler.process(chunk))).toEqual(Array.from(first));
+  });
+
+  it('handles ratios with more phases than its filter table', () => {
+    // 44100:16001 does not reduce, so phases are interpolated between table rows
+    const output = resampleAll(tone(1000, 44100, 22050), 44100, 16001);
+
+    expect(output.length).toBe(Math.ceil(22050 * (16001 / 44100)));
+    const expected = tone(1000, 16001, 6000, 1000);
+    const error = output.subarray(1000, 7000).map((s, i) => s - expected[i]);
+    expect(db(rms(error) / rms(expected))).toBeLessThan(-60);
+  });
+
+  it('passes samples through unchanged at equal rates', () => {
+    const resampler = new StreamingResampler(16000, 16000);
+    const input = Float32Array.from([0.1, -0.2, 0.3]);
+
+    expect(Array.from(resampler.process(input))).toEqual(Array.from(input));
+    expect(resampler.flush()).toHaveLength(0);
+  });
+});
+
+describe('microphone worklet resampling (processorOptions.targetSampleRate)', () => {
+  interface ProcessorInstance {
+    port: { postMessage: jest.Mock; onmessage: (event: { data: unknown }) => void };
+    process: (inputs: Float32Array[][]) => boolean;
+  }
+  type ProcessorClass = new (options?: { processorOptions?: unknown }) => ProcessorInstance;
+
+  const loadProcessor = (contextRate: number): ProcessorClass => {
+    let registered: ProcessorClass | null = null;
+    class AudioWorkletProcessor {
+      port = { postMessage: jest.fn(), onmessage: null };
+    }
+    runInNewContext(MICROPHONE_WORKLET_INLINE_SOURCE, {
+      AudioWorkletProcessor,
+      sampleRate: contextRate,
+      Float32Array,
+      Math,
+      registerProcessor: (_name: string, processor: ProcessorClass) => {
+        registered = processor;
+      },
+    });
+    return registered!;
+  };
+
+  it('posts audio at the target rate, continuous across worklet buffers', () => {
+    const Processor = loadProcessor(48000);
+    const processor = new Processor({ processorOptions: { targetSampleRate: 16000 } });
+    processor.port.onmessage({ data: { type: 'start' } });
+
+    const input = tone(440, 48000, 4096 * 3);
+    for (let i = 0; i < input.length; i += 128) processor.process([[input.subarray(i, i + 128)]]);
+
+    const audio = processor.port.postMessage.mock.calls.map(([message]) => message).filter((m) => m.type === 'audio');
+    expect(audio).toHaveLength(3);
+    expect(audio.every((message) => message.sampleRate === 16000)).toBe(true);
+    const received = Float32Array.from(audio.flatMap((message) => Array.from(new Float32Array(message.data))));
+    expect(Array.from(received)).toEqual(Array.from(new StreamingResampler(48000, 16000).process(input)));
+  });
+
+  it('posts audio at the context rate without targetSampleRate', () => {
+    const Processor = loadProcessor(16000);
+    const processor = new Processor({});
+    processor.port.onmessage({ data: { type: 'start' } });
+
+    processor.process([[new Float32Array(4096)]]);
+
+    const [message] = processor.port.postMessage.mock.calls.map(([m]) => m).filter((m) => m.type === 'audio');
+    expect(message.sampleRate).toBe(16000);
+    expect(new Float32Array(message.data)).toHaveLength(4096);
+  });
+});
@@ -0,0 +1,137 @@
+/**
+ * Conversation history items: ids, kinds, stored-history parsing and agent.context replay
+ */
+
+import {
+  conversationToContextMessages,
+  createConversationItem,
+  createConversationItemId,
+  formatFunctionCallContent,
+  formatFunctionResultContent,
+  getConversationItemKind,
+  isTextConversationItem,
+  parseStoredConversation,
+} from '../../src/utils/conversation-items';
+import type { ConversationMessage } from '../../src/types';
+
+const call: ConversationMessage = {
+  id: 'item_call',
+  role: 'assistant',
+  kind: 'function_call',
+  content: 'Function call: get_weather({"city":"Paris"})',
+  functionCall: { id: 'call_1', name: 'get_weather', arguments: '{"city":"Paris"}', clientSide: true },
+};
+const result: ConversationMessage = {
+  id: 'item_result',
+  role: 'user',
+  kind: 'function_result',
+  content: 'Function result: get_weather → {"forecast":"sunny"}',
+  functionResult: { id: 'call_1', name: 'get_weather', content: '{"forecast":"sunny"}', isError: false },
+};
+
+describe('createConversationItemId / createConversationItem', () => {
+  it('generates distinct ids', () => {
+    const ids = new Set(Array.from({ length: 50 }, () => createConversationItemId(1000)));
+    expect(ids.size).toBe(50);
+  });
+
+  it('fills in id, timestamp and kind from the role', () => {
+    const item = createConversationItem({ role: 'assistant', content: 'Hi' });
+    expect(item).toMatchObject({ role: 'assistant', content: 'Hi', kind: 'assistant_speech' });
+    expect(typeof item.id).toBe('string');
+    expect(typeof item.timestamp).toBe('number');
+  });
+
+  it('keeps an explicit id, timestamp and kind', () => {
+    expect(
+      createConversationItem({ id: 'x', timestamp: 5, role: 'user', kind: 'system_note', content: 'note' })
+    ).toEqual({ id: 'x', timestamp: 5, role: 'user', kind: 'system_note', content: 'note' });
+  });
+});
+
+describe('kinds', () => {
+  it('derives the kind of legacy items from the role', () => {
+    expect(getConversationItemKind({ role: 'user' })).toBe('user_speech');
+    expect(getConversationItemKind({ role: 'assistant' })).toBe('assistant_speech');
+  });
+
+  it('treats text and legacy items as text; function items and notes are not', () => {
+    expect(isTextConversationItem({ role: 'user', content: 'a' })).toBe(true);
+    expect(isTextConversationItem({ role: 'user', kind: 'user_text', content: 'a' })).toBe(true);
+    expect(isTextConversationItem(call)).toBe(false);
+    expect(isTextConversationItem(result)).toBe(false);
+    expect(isTextConversationItem({ role: 'user', kind: 'system_note', content: 'a' })).toBe(false);
+  });
+});
+
+describe('formatFunctionCallContent / formatFunctionResultContent', () => {
+  it('matches the proxy "Function call: name(args)" text', () => {
+    expect(formatFunctionCallContent('get_time', '')).toBe('Function call: get_time()');
+    expect(formatFunctionCallContent('get_weather', ' {"city":"Paris"} ')).toBe('Function call: get_weather({"city":"Paris"})');
+  });
+
+  it('summarizes a result', () => {
+    expect(formatFunctionResultContent({ name: 'f', content: '42' })).toBe('Function result: f → 42');
+  });
+});
+
+describe('parseStoredConversation', () => {
+  it('returns [] for non-arrays', () => {
+    expect(parseStoredConversation(null)).toEqual([]);
+    expect(parseStoredConversation({ role: 'user' })).toEqual([]);
+  });
+
+  it('keeps every field of valid items and drops invalid items', () => {
+    const stored = [call, result, { role: 'system', content: 'x' }, { role: 'user' }, null, { role: 'user', content: 'hi', timestamp: 1 }];
+    expect(parseStoredConversation(stored)).toEqual([call, result, { role: 'user', content: 'hi', timestamp: 1 }]);
+  });
+
+  it('drops an unknown kind so it is derived from the role', () => {
+    expect(parseStoredConversation([{ role: 'assistant', content: 'a', kind: 'future_kind', id: 'i' }])).toEqual([
+      { role: 'assistant', content: 'a', id: 'i' },
+    ]);
+  });
+});
+
+describe('conversationToContextMessages', () => {
+  it('replays text items as History role/content', () => {
+    expect(
+      conversationToContextMessages([
+        { role: 'user', content: 'Hello' },
+        { role: 'assistant', kind: 'assistant_speech', content: 'Hi', interrupted: true, truncated: true },
+      ])
+    ).toEqual([
+      { type: 'History', role: 'user', content: 'Hello' },
+      { type: 'History', role: 'assistant', content: 'Hi' },
+    ]);
+  });
+
+  it('replays a function call with its result at the position of the call', () => {
+    const items: ConversationMessage[] = [
+      { role: 'user', kind: 'user_speech', content: 'Weather in Paris?' },
+      call,
+      result,
+      { role: 'assistant', kind: 'assistant_speech', content: 'Sunny.' },
+    ];
+    expect(conversationToContextMessages(items)).toEqual([
+      { type: 'History', role: 'user', content: 'Weather in Paris?' },
+      {
+        type: 'History',
+        function_calls: [
+          { id: 'call_1', name: 'get_weather', client_side: true, arguments: '{"city":"Paris"}', response: '{"forecast":"sunny"}' },
+        ],
+      },
+      { type: 'History', role: 'assistant', content: 'Sunny.' },
+    ]);
+  });
+
+  it('skips unanswered calls, orphan results and system notes', () => {
+    const orphan: ConversationMessage = {
+      ...result,
+      functionResult: { ...result.functionResult!, id: 'call_other' },
+    };
+    expect(
+      conversationToContextMessages([call, orphan, { role: 'user', kind: 'system_note', content: 'Switched to tab 2' }])
+    ).toEqual([]);
+  });
+});
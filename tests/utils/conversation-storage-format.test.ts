@@ -0,0 +1,59 @@
+/**
+ * Versioned conversation payloads: encoding, migration of older versions and TTL expiry
+ */
+
+import {
+  CONVERSATION_SCHEMA_VERSION,
+  decodeStoredConversation,
+  encodeStoredConversation,
+  isStoredConversationExpired,
+  migrateStoredConversation,
+} from '../../src/utils/conversation-storage-format';
+
+describe('conversation storage format', () => {
+  it('round-trips items with the current schema version', () => {
+    const items = [{ id: 'a', role: 'user' as const, kind: 'user_text' as const, content: 'Hi', timestamp: 5 }];
+    const raw = encodeStoredConversation(items, 1000);
+    expect(JSON.parse(raw)).toEqual({ schemaVersion: CONVERSATION_SCHEMA_VERSION, savedAt: 1000, items });
+    expect(decodeStoredConversation(raw)).toEqual({ schemaVersion: CONVERSATION_SCHEMA_VERSION, savedAt: 1000, items });
+  });
+
+  it('migrates a version 1 bare array, taking savedAt from the newest timestamp', () => {
+    const v1 = [
+      { role: 'user', content: 'Hello', timestamp: 1000 },
+      { role: 'assistant', content: 'Hi there', timestamp: 2000 },
+      { role: 'system', content: 'dropped' },
+    ];
+    expect(decodeStoredConversation(JSON.stringify(v1))).toEqual({
+      schemaVersion: CONVERSATION_SCHEMA_VERSION,
+      savedAt: 2000,
+      items: [v1[0], v1[1]],
+    });
+    expect(migrateStoredConversation([{ role: 'user', content: 'x' }])?.savedAt).toBeUndefined();
+  });
+
+  it('reads items of a newer version as-is', () => {
+    const future = { schemaVersion: CONVERSATION_SCHEMA_VERSION + 1, savedAt: 7, items: [{ role: 'user', content: 'x' }], extra: true };
+    expect(migrateStoredConversation(future)).toEqual({
+      schemaVersion: CONVERSATION_SCHEMA_VERSION,
+      savedAt: 7,
+      items: [{ role: 'user', content: 'x' }],
+    });
+  });
+
+  it('returns null for missing, empty, invalid and unversioned values', () => {
+    expect(decodeStoredConversation(null)).toBeNull();
+    expect(decodeStoredConversation('')).toBeNull();
+    expect(decodeStoredConversation('{not json')).toBeNull();
+    expect(decodeStoredConversation(JSON.stringify({ items: [] }))).toBeNull();
+    expect(decodeStoredConversation(JSON.stringify('text'))).toBeNull();
+  });
+
+  it('expires only with a positive TTL and a known savedAt', () => {
+    expect(isStoredConversationExpired({ savedAt: 0 }, 1000, 1001)).toBe(true);
+    expect(isStoredConversationExpired({ savedAt: 0 }, 1000, 1000)).toBe(false);
+    expect(isStoredConversationExpired({ savedAt: 0 }, undefined, 1e9)).toBe(false);
+    expect(isStoredConversationExpired({ savedAt: 0 }, 0, 1e9)).toBe(false);
+    expect(isStoredConversationExpired({ savedAt: undefined }, 1000, 1e9)).toBe(false);
+  });
+});
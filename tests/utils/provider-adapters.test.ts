@@ -0,0 +1,80 @@
+/**
+ * Provider adapters for the `provider` prop
+ */
+
+import {
+  deepgramProviderAdapter,
+  getProviderAdapter,
+  openAIProxyProviderAdapter,
+  registerProviderAdapter,
+  resolveProviderAdapter,
+} from '../../src/utils/provider-adapters';
+import type { ProviderAdapter, TranscriptResponse } from '../../src/types';
+
+const transcript = (flags: Partial<TranscriptResponse>): TranscriptResponse =>
+  ({ type: 'Results', is_final: false, speech_final: false, ...flags }) as TranscriptResponse;
+
+describe('resolveProviderAdapter', () => {
+  it('uses an explicit provider regardless of the proxy path', () => {
+    expect(resolveProviderAdapter('openai-proxy', 'wss://api.example.com/agents/realtime')).toBe(openAIProxyProviderAdapter);
+    expect(resolveProviderAdapter('deepgram', 'ws://localhost:8080/openai')).toBe(deepgramProviderAdapter);
+  });
+
+  it('accepts an adapter object as-is', () => {
+    const custom: ProviderAdapter = { ...deepgramProviderAdapter, id: 'inline' };
+    expect(resolveProviderAdapter(custom)).toBe(custom);
+  });
+
+  it("falls back to '/openai' detection on the proxy endpoint when no provider is given", () => {
+    expect(resolveProviderAdapter(undefined, 'ws://localhost:8080/openai')).toBe(openAIProxyProviderAdapter);
+    expect(resolveProviderAdapter(undefined, 'ws://localhost:8080/deepgram-proxy')).toBe(deepgramProviderAdapter);
+    expect(resolveProviderAdapter(undefined)).toBe(deepgramProviderAdapter);
+  });
+
+  it('throws for an unknown provider id', () => {
+    expect(() => resolveProviderAdapter('nope')).toThrow('Unknown provider "nope"');
+  });
+});
+
+describe('registerProviderAdapter', () => {
+  it('makes a custom adapter selectable by id', () => {
+    const custom: ProviderAdapter = { ...openAIProxyProviderAdapter, id: 'acme-realtime', defaultIdleTimeoutMs: 20000 };
+    registerProviderAdapter(custom);
+
+    expect(getProviderAdapter('acme-realtime')).toBe(custom);
+    expect(resolveProviderAdapter('acme-realtime')).toBe(custom);
+  });
+
+  it('rejects an adapter without an id', () => {
+    expect(() => registerProviderAdapter({ ...deepgramProviderAdapter, id: ' ' })).toThrow('non-empty id');
+  });
+});
+
+describe('built-in adapters', () => {
+  it('Deepgram ends a user utterance on speech_final only', () => {
+    expect(deepgramProviderAdapter.isUtteranceComplete(transcript({ is_final: true }))).toBe(false);
+    expect(deepgramProviderAdapter.isUtteranceComplete(transcript({ is_final: true, speech_final: true }))).toBe(true);
+  });
+
+  it('OpenAI proxy also ends a user utterance on is_final', () => {
+    expect(openAIProxyProviderAdapter.isUtteranceComplete(transcript({ is_final: true }))).toBe(true);
+    expect(openAIProxyProviderAdapter.isUtteranceComplete(transcript({}))).toBe(false);
+  });
+
+  it('only the OpenAI proxy Settings carry session fields', () => {
+    const options = { idleTimeoutMs: 15000, sessionAudioOutput: { voice: 'marin' } };
+
+    const deepgram = deepgramProviderAdapter.buildSettings(options);
+    expect(deepgram.agent).not.toHaveProperty('idleTimeoutMs');
+    expect(deepgram.agent).not.toHaveProperty('sessionAudioOutput');
+
+    const openai = openAIProxyProviderAdapter.buildSettings(options);
+    expect(openai.agent.idleTimeoutMs).toBe(15000);
+    expect(openai.agent.sessionAudioOutput).toEqual({ voice: 'marin' });
+  });
+
+  it('describes framing and transcript transport', () => {
+    expect(deepgramProviderAdapter).toMatchObject({ binaryFramesArePCMOnly: false, transcriptsOnAgentConnection: false });
+    expect(openAIProxyProviderAdapter).toMatchObject({ binaryFramesArePCMOnly: true, transcriptsOnAgentConnection: true });
+  });
+});
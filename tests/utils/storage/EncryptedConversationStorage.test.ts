@@ -0,0 +1,131 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * EncryptedConversationStorage: AES-GCM round trip, no plaintext at rest, key binding, wrong-key and tamper
+ * failures, plaintext migration and use over IndexedDB
+ */
+
+import { webcrypto } from 'crypto';
+import { IDBFactory } from 'fake-indexeddb';
+import {
+  EncryptedConversationStorage,
+  importConversationEncryptionKey,
+} from '../../../src/utils/storage/EncryptedConversationStorage';
+import { IndexedDBConversationStorage } from '../../../src/utils/storage/IndexedDBConversationStorage';
+import { encodeStoredConversation } from '../../../src/utils/conversation-storage-format';
+import type { ConversationStorage } from '../../../src/types';
+
+const subtleCrypto = webcrypto as unknown as Crypto;
+
+function createMemoryStorage(): ConversationStorage & { data: Map<string, string> } {
+  const data = new Map<string, string>();
+  return {
+    data,
+    getItem: (key) => Promise.resolve(data.get(key) ?? null),
+    setItem: (key, value) => {
+      data.set(key, value);
+      return Promise.resolve();
+    },
+    removeItem: (key) => {
+      data.delete(key);
+      return Promise.resolve();
+    },
+  };
+}
+
+const newKey = () => importConversationEncryptionKey(subtleCrypto.getRandomValues(new Uint8Array(32)), subtleCrypto);
+
+describe('EncryptedConversationStorage', () => {
+  const transcript = encodeStoredConversation([{ role: 'user', content: 'My date of birth is 1 May 1980' }], 1);
+
+  it('round-trips values without storing plaintext', async () => {
+    const inner = createMemoryStorage();
+    const storage = new EncryptedConversationStorage(inner, await newKey(), { crypto: subtleCrypto });
+
+    await storage.setItem('dg_conversation', transcript);
+
+    const stored = inner.data.get('dg_conversation')!;
+    expect(stored.startsWith('enc:v1:')).toBe(true);
+    expect(stored).not.toContain('date of birth');
+    expect(await storage.getItem('dg_conversation')).toBe(transcript);
+  });
+
+  it('uses a fresh IV for every write', async () => {
+    const inner = createMemoryStorage();
+    const storage = new EncryptedConversationStorage(inner, await newKey(), { crypto: subtleCrypto });
+
+    await storage.setItem('a', transcript);
+    const first = inner.data.get('a');
+    await storage.setItem('a', transcript);
+
+    expect(inner.data.get('a')).not.toBe(first);
+  });
+
+  it('accepts a key provider', async () => {
+    const key = await newKey();
+    const provider = jest.fn(() => Promise.resolve(key));
+    const storage = new EncryptedConversationStorage(createMemoryStorage(), provider, { crypto: subtleCrypto });
+
+    await storage.setItem('a', 'value');
+    expect(await storage.getItem('a')).toBe('value');
+    expect(provider).toHaveBeenCalledTimes(2);
+  });
+
+  it('fails to decrypt with another key, after tampering or under another storage key', async () => {
+    const inner = createMemoryStorage();
+    const storage = new EncryptedConversationStorage(inner, await newKey(), { crypto: subtleCrypto });
+    await storage.setItem('session-a', transcript);
+
+    const otherKey = new EncryptedConversationStorage(inner, await newKey(), { crypto: subtleCrypto });
+    await expect(otherKey.getItem('session-a')).rejects.toThrow('Cannot decrypt conversation storage value for "session-a"');
+
+    inner.data.set('session-b', inner.data.get('session-a')!);
+    await expect(storage.getItem('session-b')).rejects.toThrow('Cannot decrypt');
+
+    const value = inner.data.get('session-a')!;
+    const tampered = value.slice(0, -4) + (value.endsWith('AAAA') ? 'BBBB' : 'AAAA');
+    inner.data.set('session-a', tampered);
+    await expect(storage.getItem('session-a')).rejects.toThrow('Cannot decrypt');
+  });
+
+  it('reads plaintext values as missing unless allowPlaintextReads is set', async () => {
+    const inner = createMemoryStorage();
+    inner.data.set('legacy', transcript);
+    const key = await newKey();
+
+    expect(await new EncryptedConversationStorage(inner, key, { crypto: subtleCrypto }).getItem('legacy')).toBeNull();
+    expect(
+      await new EncryptedConversationStorage(inner, key, { crypto: subtleCrypto, allowPlaintextReads: true }).getItem('legacy')
+    ).toBe(transcript);
+  });
+
+  it('removes values and opts out of the localStorage mirror', async () => {
+    const inner = createMemoryStorage();
+    const storage = new EncryptedConversationStorage(inner, await newKey(), { crypto: subtleCrypto });
+    await storage.setItem('a', 'value');
+
+    await storage.removeItem('a');
+
+    expect(inner.data.has('a')).toBe(false);
+    expect(storage.allowLocalStorageMirror).toBe(false);
+  });
+
+  it('encrypts values stored in IndexedDB', async () => {
+    const indexedDB = new IndexedDBConversationStorage({ indexedDB: new IDBFactory() });
+    const storage = new EncryptedConversationStorage(indexedDB, await newKey(), { crypto: subtleCrypto });
+
+    await storage.setItem('dg_conversation', transcript);
+
+    expect(await indexedDB.getItem('dg_conversation')).toMatch(/^enc:v1:/);
+    expect(await storage.getItem('dg_conversation')).toBe(transcript);
+    indexedDB.close();
+  });
+
+  it('requires WebCrypto', () => {
+    expect(() => new EncryptedConversationStorage(createMemoryStorage(), {} as CryptoKey, { crypto: {} as Crypto })).toThrow(
+      'requires WebCrypto'
+    );
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * IndexedDBConversationStorage against fake-indexeddb: get/set/remove, persistence across instances,
+ * use with ConversationSessionStore and the missing-IndexedDB error
+ */
+
+import { IDBFactory } from 'fake-indexeddb';
+import { IndexedDBConversationStorage } from '../../../src/utils/storage/IndexedDBConversationStorage';
+import { ConversationSessionStore } from '../../../src/services/ConversationSessionStore';
+
+describe('IndexedDBConversationStorage', () => {
+  let factory: IDBFactory;
+  let storage: IndexedDBConversationStorage;
+
+  beforeEach(() => {
+    factory = new IDBFactory();
+    storage = new IndexedDBConversationStorage({ indexedDB: factory });
+  });
+
+  afterEach(() => {
+    storage.close();
+  });
+
+  it('returns null for a missing key', async () => {
+    expect(await storage.getItem('missing')).toBeNull();
+  });
+
+  it('stores, overwrites and removes values', async () => {
+    await storage.setItem('dg_conversation', 'first');
+    await storage.setItem('dg_conversation', 'second');
+    expect(await storage.getItem('dg_conversation')).toBe('second');
+
+    await storage.removeItem('dg_conversation');
+    expect(await storage.getItem('dg_conversation')).toBeNull();
+  });
+
+  it('lists keys', async () => {
+    await storage.setItem('b', '2');
+    await storage.setItem('a', '1');
+    expect(await storage.keys()).toEqual(['a', 'b']);
+  });
+
+  it('keeps values across instances and after close()', async () => {
+    const large = 'x'.repeat(6 * 1024 * 1024); // over the usual localStorage quota
+    await storage.setItem('big', large);
+    storage.close();
+
+    const reopened = new IndexedDBConversationStorage({ indexedDB: factory });
+    expect(await reopened.getItem('big')).toHaveLength(large.length);
+    expect(await storage.getItem('big')).toHaveLength(large.length);
+    reopened.close();
+  });
+
+  it('separates databases and stores by name', async () => {
+    const other = new IndexedDBConversationStorage({ indexedDB: factory, databaseName: 'other', storeName: 'items' });
+    await storage.setItem('k', 'default');
+    await other.setItem('k', 'other');
+
+    expect(await storage.getItem('k')).toBe('default');
+    expect(await other.getItem('k')).toBe('other');
+    other.close();
+  });
+
+  it('backs a ConversationSessionStore', async () => {
+    const store = new ConversationSessionStore(storage);
+    await store.saveSession('s1', [{ role: 'user', content: 'Hello' }], 1);
+
+    expect(await store.loadSession('s1')).toEqual([{ role: 'user', content: 'Hello' }]);
+    expect((await store.listSessions(1)).map((s) => s.id)).toEqual(['s1']);
+  });
+
+  it('opts out of the localStorage mirror', () => {
+    expect(storage.allowLocalStorageMirror).toBe(false);
+  });
+
+  it('rejects when IndexedDB is not available', async () => {
+    const unavailable = new IndexedDBConversationStorage({ indexedDB: undefined });
+    await expect(unavailable.getItem('k')).rejects.toThrow('IndexedDB is not available');
+  });
+});
@@ -0,0 +1,171 @@
+/**
+ * tools prop helpers: Settings definitions, JSON-schema argument validation and tool execution
+ */
+
+import {
+  abandonedFunctionCallContent,
+  executeToolCall,
+  findTool,
+  mergeToolFunctions,
+  resolveFunctionCallTimeoutMs,
+  toolsToAgentFunctions,
+} from '../../src/utils/tools';
+import { validateJsonSchema } from '../../src/utils/json-schema-validator';
+import type { AgentFunction, ToolDefinition } from '../../src/types';
+import { jsonSchemaCases } from '../fixtures/json-schema-cases';
+
+const weatherTool: ToolDefinition<{ city: string; days?: number }> = {
+  name: 'get_weather',
+  description: 'Weather forecast',
+  parameters: {
+    type: 'object',
+    properties: {
+      city: { type: 'string', minLength: 1 },
+      days: { type: 'integer', minimum: 1, maximum: 7 },
+      units: { type: 'string', enum: ['c', 'f'] },
+    },
+    required: ['city'],
+    additionalProperties: false,
+  },
+  execute: ({ city, days = 1 }) => ({ city, days, forecast: 'sunny' }),
+};
+
+const call = (args: string) => ({ id: 'call_1', name: 'get_weather', arguments: args, client_side: true });
+
+describe('validateJsonSchema', () => {
+  it('accepts values that match the schema', () => {
+    expect(validateJsonSchema({ city: 'Paris', days: 3, units: 'c' }, weatherTool.parameters)).toEqual([]);
+  });
+
+  it('reports missing, mistyped, out-of-range and unexpected properties with their paths', () => {
+    expect(validateJsonSchema({ days: 1.5, units: 'k', extra: true }, weatherTool.parameters)).toEqual([
+      { path: '$.city', message: 'is required' },
+      { path: '$.days', message: 'expected integer, got number' },
+      { path: '$.units', message: 'must be one of "c", "f"' },
+      { path: '$.extra', message: 'is not allowed' },
+    ]);
+  });
+
+  it('validates array items, nested objects and type unions', () => {
+    const schema = {
+      type: 'object',
+      properties: {
+        tags: { type: 'array', items: { type: 'string' }, maxItems: 2 },
+        address: { type: 'object', properties: { zip: { type: 'string', pattern: '^[0-9]{5}$' } } },
+        note: { type: ['string', 'null'] },
+      },
+    };
+    expect(validateJsonSchema({ tags: ['a', 1, 'c'], address: { zip: 'abc' }, note: null }, schema)).toEqual([
+      { path: '$.tags', message: 'must have at most 2 items' },
+      { path: '$.tags[1]', message: 'expected string, got number' },
+      { path: '$.address.zip', message: 'must match pattern ^[0-9]{5}$' },
+    ]);
+  });
+
+  it('ignores unknown keywords and non-object schemas', () => {
+    expect(validateJsonSchema({ a: 1 }, { type: 'object', oneOf: [] })).toEqual([]);
+    expect(validateJsonSchema('anything', undefined)).toEqual([]);
+  });
+
+  it.each(jsonSchemaCases)('supports $keyword as the backend function registry does', ({ schema, valid, invalid }) => {
+    for (const value of valid) expect(validateJsonSchema(value, schema)).toEqual([]);
+    for (const value of invalid) expect(validateJsonSchema(value, schema)).not.toEqual([]);
+  });
+});
+
+describe('tool definitions', () => {
+  it('strips handlers and timeouts for Settings', () => {
+    const [definition] = toolsToAgentFunctions([{ ...weatherTool, timeoutMs: 500 }]);
+    expect(definition).not.toHaveProperty('execute');
+    expect(definition).not.toHaveProperty('timeoutMs');
+    expect(definition).toEqual({
+      name: weatherTool.name,
+      description: weatherTool.description,
+      parameters: weatherTool.parameters,
+    });
+  });
+
+  it('merges tools into agentOptions.functions, replacing functions with the same name', () => {
+    const functions: AgentFunction[] = [
+      { name: 'get_weather', description: 'old', parameters: {} },
+      { name: 'search', description: 'Server search', parameters: {}, endpoint: { url: 'https://x', method: 'post' } },
+    ];
+    const merged = mergeToolFunctions(functions, [weatherTool]);
+    expect(merged?.map((fn) => `${fn.name}:${fn.description}`)).toEqual(['search:Server search', 'get_weather:Weather forecast']);
+    expect(mergeToolFunctions(functions, [])).toBe(functions);
+    expect(mergeToolFunctions(undefined, undefined)).toBeUndefined();
+  });
+
+  it('resolves timeouts from the tool, then by name, then the default', () => {
+    const options = { timeoutMs: 10000, timeouts: { get_weather: 3000 } };
+    expect(resolveFunctionCallTimeoutMs('get_weather', options, { ...weatherTool, timeoutMs: 500 })).toBe(500);
+    expect(resolveFunctionCallTimeoutMs('get_weather', options, weatherTool)).toBe(3000);
+    expect(resolveFunctionCallTimeoutMs('other', options)).toBe(10000);
+    expect(resolveFunctionCallTimeoutMs('other', undefined)).toBeUndefined();
+  });
+
+  it('describes abandoned calls for the agent', () => {
+    expect(JSON.parse(abandonedFunctionCallContent('lookup', 'timeout', 3000))).toEqual({
+      error: 'Function lookup timed out after 3000 ms',
+      code: 'timeout',
+    });
+    expect(JSON.parse(abandonedFunctionCallContent('lookup', 'interrupted'))).toMatchObject({ code: 'cancelled' });
+  });
+
+  it('finds a tool by name', () => {
+    expect(findTool([weatherTool], 'get_weather')).toBe(weatherTool);
+    expect(findTool([weatherTool], 'other')).toBeUndefined();
+    expect(findTool(undefined, 'get_weather')).toBeUndefined();
+  });
+});
+
+describe('executeToolCall', () => {
+  it('passes parsed arguments and context to the handler and serializes the result', async () => {
+    const execute = jest.fn(() => Promise.resolve({ ok: true }));
+    const content = await executeToolCall({ ...weatherTool, execute }, call('{"city":"Oslo"}'));
+    expect(JSON.parse(content)).toEqual({ ok: true });
+    expect(execute).toHaveBeenCalledWith(
+      { city: 'Oslo' },
+      { id: 'call_1', name: 'get_weather', rawArguments: '{"city":"Oslo"}', signal: expect.any(AbortSignal) }
+    );
+  });
+
+  it('serializes an undefined result as null', async () => {
+    expect(await executeToolCall({ ...weatherTool, parameters: {}, execute: () => undefined }, call(''))).toBe('null');
+  });
+
+  it('returns invalid_arguments without calling the handler when arguments fail validation', async () => {
+    const execute = jest.fn();
+    const content = JSON.parse(await executeToolCall({ ...weatherTool, execute }, call('{"days":9}')));
+    expect(execute).not.toHaveBeenCalled();
+    expect(content).toEqual({
+      error: 'Invalid arguments for get_weather: $.city is required; $.days must be <= 7',
+      code: 'invalid_arguments',
+      issues: [
+        { path: '$.city', message: 'is required' },
+        { path: '$.days', message: 'must be <= 7' },
+      ],
+    });
+  });
+
+  it('returns invalid_arguments for malformed JSON and non-object arguments', async () => {
+    expect(JSON.parse(await executeToolCall(weatherTool, call('{city')))).toMatchObject({ code: 'invalid_arguments' });
+    expect(JSON.parse(await executeToolCall(weatherTool, call('[1]')))).toEqual({
+      error: 'Arguments for get_weather must be a JSON object',
+      code: 'invalid_arguments',
+    });
+  });
+
+  it('returns execution_failed when the handler throws or rejects', async () => {
+    const throwing = { ...weatherTool, execute: () => { throw new Error('service down'); } };
+    const rejecting = { ...weatherTool, execute: () => Promise.reject(new Error('timeout')) };
+    expect(JSON.parse(await executeToolCall(throwing, call('{"city":"Rome"}')))).toEqual({
+      error: 'service down',
+      code: 'execution_failed',
+    });
+    expect(JSON.parse(await executeToolCall(rejecting, call('{"city":"Rome"}')))).toEqual({
+      error: 'timeout',
+      code: 'execution_failed',
+    });
+  });
+});
@@ -0,0 +1,36 @@
+/**
+ * Wake-phrase matching for sleepOptions.wakeWords
+ */
+
+import { findWakeWord, normalizeWakeWordText } from '../../src/utils/wake-words';
+
+describe('normalizeWakeWordText', () => {
+  it('lowercases, strips punctuation and collapses whitespace', () => {
+    expect(normalizeWakeWordText('  Hey,   Assistant!! ')).toBe('hey assistant');
+  });
+
+  it('keeps contractions as one token', () => {
+    expect(normalizeWakeWordText("What's up")).toBe('whats up');
+  });
+});
+
+describe('findWakeWord', () => {
+  const wakeWords = ['Hey Robot', 'wake up'];
+
+  it('returns the configured phrase when it appears in the transcript', () => {
+    expect(findWakeWord('ok, hey robot. what time is it?', wakeWords)).toBe('Hey Robot');
+    expect(findWakeWord('Please WAKE UP now', wakeWords)).toBe('wake up');
+  });
+
+  it('matches on whole words only', () => {
+    expect(findWakeWord('hey robotics team', wakeWords)).toBeNull();
+    expect(findWakeWord('awake upstairs', wakeWords)).toBeNull();
+  });
+
+  it('returns null for empty input or no configured phrases', () => {
+    expect(findWakeWord('', wakeWords)).toBeNull();
+    expect(findWakeWord('hey robot', [])).toBeNull();
+    expect(findWakeWord('hey robot', undefined)).toBeNull();
+    expect(findWakeWord('hey robot', ['  ', '!'])).toBeNull();
+  });
+});
@@ -9,7 +9,10 @@ const backendPath = require('path').resolve(__dirname, '../packages/voice-agent-
 let createServer: (options: unknown) => unknown;
 let mountVoiceAgentBackend: (app: unknown, options: unknown) => void;
 
-let createFunctionCallHandler: (options: { execute?: (name: string, args: object) => { content?: string } | { error?: string } }) => (req: unknown, res: unknown) => void;
+let createFunctionCallHandler: (options: {
+  execute?: (name: string, args: object, context: { id: string }) => unknown;
+  functions?: Array<{ name: string; description: string; parameters?: object; handler: (args: object) => unknown }>;
+}) => (req: unknown, res: unknown) => void;
 let attachVoiceAgentUpgrade: (server: unknown, options: unknown) => Promise<{ shutdown: () => Promise<void> }>;
 try {
   const pkg = require(backendPath);
@@ -108,5 +111,55 @@ describe('voice-agent-backend package API (Issue #423)', () => {
       } as unknown as import('http').ServerResponse;
       handler(req, res);
     });
+
+    it('awaits an async execute and sends a structured result as JSON content', (done) => {
+      const handler = createFunctionCallHandler!({
+        execute: async (_name, _args, context) => ({ time: '12:00:00', callId: context.id }),
+      });
+      const req = {
+        method: 'POST',
+        on: (ev: string, fn: (chunk?: Buffer) => void) => {
+          if (ev === 'data') fn(Buffer.from(JSON.stringify({ id: 'call_2', name: 'get_current_time', arguments: '{}' })));
+          if (ev === 'end') fn();
+        },
+      } as unknown as import('http').IncomingMessage;
+      const res = {
+        writeHead: jest.fn(),
+        end: jest.fn((body: string) => {
+          expect(res.writeHead).toHaveBeenCalledWith(200, { 'Content-Type': 'application/json' });
+          expect(JSON.parse(body)).toEqual({ content: '{"time":"12:00:00","callId":"call_2"}' });
+          done();
+        }),
+      } as unknown as import('http').ServerResponse;
+      handler(req, res);
+    });
+
+    it('with functions, answers GET with their definitions and validates POSTed arguments', (done) => {
+      const parameters = { type: 'object', properties: { timezone: { type: 'string' } } };
+      const handler = createFunctionCallHandler!({
+        functions: [{ name: 'get_current_time', description: 'Current time', parameters, handler: () => ({ time: '12:00:00' }) }],
+      });
+      const get = { method: 'GET' } as unknown as import('http').IncomingMessage;
+      const getRes = { writeHead: jest.fn(), end: jest.fn() };
+      handler(get, getRes);
+      expect(getRes.writeHead).toHaveBeenCalledWith(200, { 'Content-Type': 'application/json' });
+      expect(JSON.parse(getRes.end.mock.calls[0][0])).toEqual([{ name: 'get_current_time', description: 'Current time', parameters }]);
+
+      const post = {
+        method: 'POST',
+        on: (ev: string, fn: (chunk?: Buffer) => void) => {
+          if (ev === 'data') fn(Buffer.from(JSON.stringify({ id: 'call_3', name: 'get_current_time', arguments: '{"timezone":5}' })));
+          if (ev === 'end') fn();
+        },
+      } as unknown as import('http').IncomingMessage;
+      const res = {
+        writeHead: jest.fn(),
+        end: jest.fn((body: string) => {
+          expect(JSON.parse(body)).toEqual({ error: 'Invalid arguments for get_current_time: arguments.timezone must be string' });
+          done();
+        }),
+      } as unknown as import('http').ServerResponse;
+      handler(post, res);
+    });
   });
 });
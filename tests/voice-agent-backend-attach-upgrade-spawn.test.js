@@ -0,0 +1,118 @@
+/**
+ * attachVoiceAgentUpgrade OpenAI subprocess lifecycle: the spawned proxy runs in its own process group, so the
+ * attachment must stop it when it never becomes ready (failing fast when it exits first), and when this process exits
+ * or is interrupted.
+ *
+ * @jest-environment node
+ */
+
+const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const attachUpgradePath = path.resolve(__dirname, '../packages/voice-agent-backend/src/attach-upgrade.js');
+const { attachVoiceAgentUpgrade } = require(attachUpgradePath);
+
+function freePort() {
+  return new Promise((resolve) => {
+    const s = net.createServer().listen(0, '127.0.0.1', () => {
+      const { port } = s.address();
+      s.close(() => resolve(port));
+    });
+  });
+}
+
+function isRunning(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+async function waitFor(check, timeoutMs = 3000) {
+  const start = Date.now();
+  while (!check()) {
+    if (Date.now() - start > timeoutMs) throw new Error('Timed out waiting for condition');
+    await new Promise((r) => setTimeout(r, 50));
+  }
+}
+
+/** Node child that records its pid and, with `listen`, serves the port like the translation proxy */
+function childScript(pidFile, listen) {
+  return [
+    `require('fs').writeFileSync(${JSON.stringify(pidFile)}, String(process.pid));`,
+    listen ? "require('net').createServer().listen(Number(process.env.OPENAI_PROXY_PORT), '127.0.0.1');" : '',
+    'setInterval(() => {}, 1000);',
+  ].join('');
+}
+
+describe('attachVoiceAgentUpgrade OpenAI subprocess', () => {
+  let tmpDir;
+  let server;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'openai-spawn-'));
+    server = http.createServer();
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  async function attach(listen) {
+    const pidFile = path.join(tmpDir, 'pid');
+    const port = await freePort();
+    const attachment = attachVoiceAgentUpgrade(server, {
+      openai: {
+        path: '/openai',
+        spawn: { cwd: tmpDir, command: process.execPath, args: ['-e', childScript(pidFile, listen)], port, readyTimeoutMs: 1000 },
+      },
+    });
+    await waitFor(() => fs.existsSync(pidFile) && fs.readFileSync(pidFile, 'utf8') !== '');
+    return { attachment, pid: Number(fs.readFileSync(pidFile, 'utf8')) };
+  }
+
+  it('stops the subprocess and rejects when it does not listen in time', async () => {
+    const sigintListeners = process.listenerCount('SIGINT');
+    const { attachment, pid } = await attach(false);
+
+    await expect(attachment).rejects.toThrow(/not ready in 1000ms/);
+
+    await waitFor(() => !isRunning(pid));
+    expect(process.listenerCount('SIGINT')).toBe(sigintListeners);
+  }, 10000);
+
+  it('rejects without waiting for the timeout when the subprocess exits before listening', async () => {
+    const exitListeners = process.listenerCount('exit');
+    const port = await freePort();
+    const attachment = attachVoiceAgentUpgrade(server, {
+      openai: {
+        path: '/openai',
+        spawn: { cwd: tmpDir, command: process.execPath, args: ['-e', 'process.exit(3)'], port, readyTimeoutMs: 5000 },
+      },
+    });
+
+    await expect(attachment).rejects.toThrow(/exited before listening/);
+    expect(process.listenerCount('exit')).toBe(exitListeners);
+  }, 4000);
+
+  it('stops the subprocess on SIGINT/exit until shutdown removes its handlers', async () => {
+    const before = { SIGINT: process.listenerCount('SIGINT'), exit: process.listenerCount('exit') };
+    const { attachment, pid } = await attach(true);
+    const { shutdown } = await attachment;
+
+    expect(process.listenerCount('SIGINT')).toBe(before.SIGINT + 1);
+    expect(process.listenerCount('exit')).toBe(before.exit + 1);
+    const [exitHandler] = process.listeners('exit').slice(-1);
+    exitHandler(0);
+    await waitFor(() => !isRunning(pid));
+
+    await shutdown();
+    expect(process.listenerCount('SIGINT')).toBe(before.SIGINT);
+    expect(process.listenerCount('exit')).toBe(before.exit);
+  }, 10000);
+});
@@ -0,0 +1,140 @@
+/**
+ * Deepgram proxy with a functionExecutor: calls for functions it runs are answered to Deepgram by the proxy, and
+ * the client only sees them as server-side calls (FunctionCallRequest client_side false, then FunctionCallResponse).
+ *
+ * Runs a mock "Deepgram" server and a client connected through the proxy.
+ *
+ * @jest-environment node
+ */
+
+const http = require('http');
+const path = require('path');
+const WebSocket = require('ws');
+const WebSocketServer = WebSocket.Server;
+
+const backendSrc = path.resolve(__dirname, '../packages/voice-agent-backend/src');
+const { attachVoiceAgentUpgrade } = require(path.join(backendSrc, 'attach-upgrade.js'));
+const { createFunctionRegistry } = require(path.join(backendSrc, 'function-registry.js'));
+
+const DEEPGRAM_PATH = '/deepgram-proxy';
+
+function createMockDeepgramServer() {
+  const server = http.createServer();
+  const wss = new WebSocketServer({ noServer: true });
+  const fromProxy = [];
+  let mockSocket = null;
+  wss.on('connection', (ws) => {
+    mockSocket = ws;
+    ws.on('message', (data, isBinary) => {
+      if (!isBinary) fromProxy.push(JSON.parse(data.toString()));
+    });
+  });
+  server.on('upgrade', (request, socket, head) => {
+    wss.handleUpgrade(request, socket, head, (ws) => wss.emit('connection', ws, request));
+  });
+  return new Promise((resolve) => {
+    server.listen(0, () => {
+      resolve({
+        fromProxy,
+        url: `ws://127.0.0.1:${server.address().port}/v1/agent/converse`,
+        sendFromDeepgram(message) {
+          if (mockSocket && mockSocket.readyState === WebSocket.OPEN) mockSocket.send(JSON.stringify(message));
+        },
+        close: () => new Promise((r) => { server.close(r); }),
+      });
+    });
+  });
+}
+
+function connectClient(proxyUrl) {
+  return new Promise((resolve, reject) => {
+    const ws = new WebSocket(proxyUrl, ['token', 'test-api-key']);
+    const received = [];
+    ws.on('message', (data, isBinary) => {
+      if (!isBinary) received.push(JSON.parse(data.toString()));
+    });
+    ws.on('open', () => resolve({ ws, received }));
+    ws.on('error', reject);
+  });
+}
+
+const wait = (ms) => new Promise((r) => setTimeout(r, ms));
+
+describe('Deepgram proxy functionExecutor', () => {
+  const handler = jest.fn(async ({ city }) => ({ city, temperature: 22 }));
+  let mockDeepgram;
+  let proxyServer;
+  let proxyShutdown;
+
+  beforeAll(async () => {
+    mockDeepgram = await createMockDeepgramServer();
+    proxyServer = http.createServer();
+    const { shutdown } = await attachVoiceAgentUpgrade(proxyServer, {
+      deepgram: {
+        path: DEEPGRAM_PATH,
+        apiKey: 'test-key',
+        agentUrl: mockDeepgram.url,
+        functionExecutor: createFunctionRegistry([
+          { name: 'get_weather', description: 'Current weather', handler },
+        ]),
+      },
+    });
+    proxyShutdown = shutdown;
+    await new Promise((resolve) => proxyServer.listen(0, resolve));
+  }, 15000);
+
+  afterAll(async () => {
+    if (proxyShutdown) await proxyShutdown();
+    if (proxyServer) await new Promise((r) => proxyServer.close(r));
+    if (mockDeepgram) await mockDeepgram.close();
+  });
+
+  beforeEach(() => {
+    handler.mockClear();
+    mockDeepgram.fromProxy.length = 0;
+  });
+
+  async function connectThroughProxy() {
+    const client = await connectClient(`ws://127.0.0.1:${proxyServer.address().port}${DEEPGRAM_PATH}?service=agent`);
+    await wait(200);
+    return client;
+  }
+
+  it('runs a registered function and answers Deepgram without the client', async () => {
+    const { ws, received } = await connectThroughProxy();
+
+    mockDeepgram.sendFromDeepgram({
+      type: 'FunctionCallRequest',
+      functions: [{ id: 'fc_1', name: 'get_weather', arguments: '{"city":"Paris"}', client_side: true }],
+    });
+    await wait(300);
+    ws.close();
+
+    const response = { type: 'FunctionCallResponse', id: 'fc_1', name: 'get_weather', content: '{"city":"Paris","temperature":22}' };
+    expect(handler).toHaveBeenCalledWith({ city: 'Paris' }, expect.objectContaining({ id: 'fc_1' }));
+    expect(mockDeepgram.fromProxy).toEqual([response]);
+    expect(received).toEqual([
+      {
+        type: 'FunctionCallRequest',
+        functions: [{ id: 'fc_1', name: 'get_weather', arguments: '{"city":"Paris"}', client_side: false, proxy_executed: true }],
+      },
+      response,
+    ]);
+  }, 5000);
+
+  it('forwards calls for other functions to the client unchanged', async () => {
+    const { ws, received } = await connectThroughProxy();
+    const request = {
+      type: 'FunctionCallRequest',
+      functions: [{ id: 'fc_2', name: 'open_tab', arguments: '{}', client_side: true }],
+    };
+
+    mockDeepgram.sendFromDeepgram(request);
+    await wait(300);
+    ws.close();
+
+    expect(received).toEqual([request]);
+    expect(mockDeepgram.fromProxy).toEqual([]);
+    expect(handler).not.toHaveBeenCalled();
+  }, 5000);
+});
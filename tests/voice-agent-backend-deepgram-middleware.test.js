@@ -0,0 +1,161 @@
+/**
+ * Deepgram proxy message middleware: hooks configured on attachVoiceAgentUpgrade rewrite client Settings before
+ * they reach Deepgram and see upstream frames before the proxy's own handling (AgentAudioDone, Issue #489).
+ *
+ * Runs a mock "Deepgram" server and a client connected through the proxy.
+ *
+ * @jest-environment node
+ */
+
+const http = require('http');
+const path = require('path');
+const WebSocket = require('ws');
+const WebSocketServer = WebSocket.Server;
+
+const attachUpgradePath = path.resolve(__dirname, '../packages/voice-agent-backend/src/attach-upgrade.js');
+const { attachVoiceAgentUpgrade } = require(attachUpgradePath);
+
+const DEEPGRAM_PATH = '/deepgram-proxy';
+
+function createMockDeepgramServer() {
+  const server = http.createServer();
+  const wss = new WebSocketServer({ noServer: true });
+  const fromProxy = [];
+  let mockSocket = null;
+  wss.on('connection', (ws) => {
+    mockSocket = ws;
+    ws.on('message', (data, isBinary) => {
+      fromProxy.push(isBinary ? 'binary' : JSON.parse(data.toString()));
+    });
+  });
+  server.on('upgrade', (request, socket, head) => {
+    wss.handleUpgrade(request, socket, head, (ws) => wss.emit('connection', ws, request));
+  });
+  return new Promise((resolve) => {
+    server.listen(0, () => {
+      resolve({
+        fromProxy,
+        url: `ws://127.0.0.1:${server.address().port}/v1/agent/converse`,
+        sendFromDeepgram(data, isBinary = false) {
+          if (mockSocket && mockSocket.readyState === WebSocket.OPEN) mockSocket.send(data, { binary: isBinary });
+        },
+        close: () => new Promise((r) => { server.close(r); }),
+      });
+    });
+  });
+}
+
+function connectClient(proxyUrl) {
+  return new Promise((resolve, reject) => {
+    const ws = new WebSocket(proxyUrl, ['token', 'test-api-key']);
+    const received = [];
+    ws.on('message', (data, isBinary) => {
+      received.push(isBinary ? 'binary' : JSON.parse(data.toString()));
+    });
+    ws.on('open', () => resolve({ ws, received }));
+    ws.on('error', reject);
+  });
+}
+
+const wait = (ms) => new Promise((r) => setTimeout(r, ms));
+
+describe('Deepgram proxy message middleware', () => {
+  const audited = [];
+  let mockDeepgram;
+  let proxyServer;
+  let proxyShutdown;
+
+  /** Server-side context for the prompt, and no client-chosen think provider */
+  const settingsMiddleware = (connection) => {
+    const tenant = new URL(connection.req.url, 'http://localhost').searchParams.get('tenant');
+    return {
+      onClientMessage(message) {
+        if (message?.type !== 'Settings') return undefined;
+        const { provider: _provider, ...think } = message.agent.think;
+        return { ...message, agent: { ...message.agent, think: { ...think, prompt: `${think.prompt}\nTenant: ${tenant}` } } };
+      },
+    };
+  };
+  const auditMiddleware = (connection) => ({
+    onUpstreamMessage(message) {
+      audited.push({ service: connection.service, type: Buffer.isBuffer(message) ? 'binary' : message.type });
+      return message?.type === 'Warning' ? null : undefined;
+    },
+  });
+
+  /** Setup that fails for some connections */
+  const tenantMiddleware = (connection) => {
+    if (connection.req.url.includes('tenant=unknown')) throw new Error('Unknown tenant');
+    return undefined;
+  };
+  const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() };
+
+  beforeAll(async () => {
+    mockDeepgram = await createMockDeepgramServer();
+    proxyServer = http.createServer();
+    const { shutdown } = await attachVoiceAgentUpgrade(proxyServer, {
+      deepgram: {
+        path: DEEPGRAM_PATH,
+        apiKey: 'test-key',
+        agentUrl: mockDeepgram.url,
+        middleware: [tenantMiddleware, settingsMiddleware, auditMiddleware],
+      },
+      logger,
+    });
+    proxyShutdown = shutdown;
+    await new Promise((resolve) => proxyServer.listen(0, resolve));
+  }, 15000);
+
+  afterAll(async () => {
+    if (proxyShutdown) await proxyShutdown();
+    if (proxyServer) await new Promise((r) => proxyServer.close(r));
+    if (mockDeepgram) await mockDeepgram.close();
+  });
+
+  it('rewrites client Settings before they reach Deepgram and forwards audio untouched', async () => {
+    const { ws } = await connectClient(`ws://127.0.0.1:${proxyServer.address().port}${DEEPGRAM_PATH}?service=agent&tenant=acme`);
+
+    ws.send(JSON.stringify({ type: 'Settings', agent: { think: { provider: { type: 'open_ai' }, prompt: 'Be brief.' } } }));
+    ws.send(Buffer.from([0, 1]), { binary: true });
+    await wait(300);
+    ws.close();
+
+    expect(mockDeepgram.fromProxy).toEqual([
+      { type: 'Settings', agent: { think: { prompt: 'Be brief.\nTenant: acme' } } },
+      'binary',
+    ]);
+  }, 5000);
+
+  it('runs upstream middleware before the proxy adds AgentAudioDone, and can drop frames', async () => {
+    audited.length = 0;
+    const { ws, received } = await connectClient(`ws://127.0.0.1:${proxyServer.address().port}${DEEPGRAM_PATH}?service=agent`);
+    await wait(200);
+
+    mockDeepgram.sendFromDeepgram(Buffer.from([0, 1, 2, 3]), true);
+    mockDeepgram.sendFromDeepgram(JSON.stringify({ type: 'Warning', description: 'slow' }));
+    mockDeepgram.sendFromDeepgram(JSON.stringify({ type: 'ConversationText', role: 'assistant', content: 'Hello!' }));
+    await wait(300);
+    ws.close();
+
+    expect(audited).toEqual([
+      { service: 'agent', type: 'binary' },
+      { service: 'agent', type: 'Warning' },
+      { service: 'agent', type: 'ConversationText' },
+    ]);
+    expect(received).toEqual([
+      'binary',
+      { type: 'ConversationText', role: 'assistant', content: 'Hello!' },
+      { type: 'AgentAudioDone' },
+    ]);
+  }, 5000);
+
+  it('closes the client with 1011 when a middleware function throws, and keeps serving other clients', async () => {
+    const { ws } = await connectClient(`ws://127.0.0.1:${proxyServer.address().port}${DEEPGRAM_PATH}?service=agent&tenant=unknown`);
+    const code = await new Promise((resolve) => ws.on('close', resolve));
+
+    expect(code).toBe(1011);
+    expect(logger.error).toHaveBeenCalledWith('[Proxy] Middleware setup failed', { message: 'Unknown tenant' });
+    const other = await connectClient(`ws://127.0.0.1:${proxyServer.address().port}${DEEPGRAM_PATH}?service=agent&tenant=acme`);
+    other.ws.close();
+  }, 5000);
+});
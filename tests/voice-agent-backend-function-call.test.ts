@@ -0,0 +1,143 @@
+/**
+ * voice-agent-backend function-call execution (src/function-call.js): async execute, per-function timeouts,
+ * AbortSignal, result serialization and request context.
+ *
+ * @jest-environment node
+ */
+
+import path from 'path';
+
+const functionCallPath = path.resolve(__dirname, '../packages/voice-agent-backend/src/function-call.js');
+const { runFunctionCall, responseCloseSignal, DEFAULT_FUNCTION_TIMEOUT_MS } = require(functionCallPath);
+
+type Execute = (name: string, args: Record<string, unknown>, context: Record<string, unknown>) => unknown;
+
+const payload = (name = 'get_weather', args = '{"city":"Boston"}') => ({ id: 'call_1', name, arguments: args });
+const req = { headers: { authorization: 'Bearer user-42' } };
+
+const run = (execute: Execute, options: object = {}, signal: AbortSignal = new AbortController().signal, body = payload()) =>
+  runFunctionCall(body, { execute, ...options }, req, signal);
+
+describe('voice-agent-backend runFunctionCall', () => {
+  it('awaits an async execute and serializes a structured result into content', async () => {
+    const result = await run(async (_name, args) => ({ temperature: 22, city: args.city }));
+
+    expect(result).toEqual({ status: 200, body: { content: '{"temperature":22,"city":"Boston"}' } });
+  });
+
+  it('passes { content } and { error } results and strings through', async () => {
+    expect(await run(() => ({ content: 'ok' }))).toEqual({ status: 200, body: { content: 'ok' } });
+    expect(await run(async () => ({ error: 'Unknown city' }))).toEqual({ status: 200, body: { error: 'Unknown city' } });
+    expect(await run(() => 'plain text')).toEqual({ status: 200, body: { content: 'plain text' } });
+    expect(await run(() => [1, 2])).toEqual({ status: 200, body: { content: '[1,2]' } });
+  });
+
+  it('answers 500 when execute rejects or returns nothing', async () => {
+    expect(await run(async () => Promise.reject(new Error('db down')))).toEqual({ status: 500, body: { error: 'db down' } });
+    expect(await run(() => undefined)).toEqual({ status: 500, body: { error: 'Handler did not return content or error' } });
+  });
+
+  it('answers 400 for a malformed body without calling execute', async () => {
+    const execute = jest.fn();
+
+    const result = await run(execute, {}, undefined, { id: 'call_1', name: 'get_weather' } as never);
+
+    expect(result.status).toBe(400);
+    expect(execute).not.toHaveBeenCalled();
+  });
+
+  it('gives the handler the call id, name, an AbortSignal and the request context', async () => {
+    const execute = jest.fn((): unknown => 'ok');
+
+    await run(execute, {
+      getRequestContext: async (request: typeof req) => ({
+        sessionId: 'session-7',
+        identity: request.headers.authorization.replace('Bearer ', ''),
+      }),
+    });
+
+    const context = execute.mock.calls[0][2] as Record<string, unknown>;
+    expect(context).toMatchObject({ id: 'call_1', name: 'get_weather', sessionId: 'session-7', identity: 'user-42', req });
+    expect(context.signal).toBeInstanceOf(AbortSignal);
+  });
+
+  it('answers 401 when getRequestContext throws', async () => {
+    const execute = jest.fn();
+
+    const result = await run(execute, {
+      getRequestContext: () => {
+        throw new Error('Invalid session');
+      },
+    });
+
+    expect(result).toEqual({ status: 401, body: { error: 'Invalid session' } });
+    expect(execute).not.toHaveBeenCalled();
+  });
+
+  describe('timeouts', () => {
+    beforeEach(() => jest.useFakeTimers());
+    afterEach(() => jest.useRealTimers());
+
+    it('answers 504 and aborts the signal after the per-function timeout', async () => {
+      let signal: AbortSignal | undefined;
+      const pending = run(
+        (_name, _args, context) => {
+          signal = context.signal as AbortSignal;
+          return new Promise(() => {});
+        },
+        { timeoutMs: 5000, timeouts: { get_weather: 200 } }
+      );
+
+      await jest.advanceTimersByTimeAsync(200);
+
+      expect(await pending).toEqual({ status: 504, body: { error: 'Function get_weather timed out after 200 ms' } });
+      expect(signal!.aborted).toBe(true);
+    });
+
+    it('uses timeoutMs for functions without their own timeout, and 10 s by default', async () => {
+      const never = () => new Promise(() => {});
+      const custom = run(never, { timeoutMs: 1000, timeouts: { other: 50 } });
+      const fallback = run(never);
+
+      await jest.advanceTimersByTimeAsync(1000);
+      expect((await custom).status).toBe(504);
+
+      await jest.advanceTimersByTimeAsync(DEFAULT_FUNCTION_TIMEOUT_MS - 1000);
+      expect((await fallback).body).toEqual({ error: 'Function get_weather timed out after 10000 ms' });
+    });
+  });
+
+  it('aborts the handler signal when the client goes away', async () => {
+    const client = new AbortController();
+    let signal: AbortSignal | undefined;
+    const pending = run(
+      (_name, _args, context) => {
+        signal = context.signal as AbortSignal;
+        return new Promise((_resolve, reject) => signal!.addEventListener('abort', () => reject(new Error('aborted'))));
+      },
+      {},
+      client.signal
+    );
+    await Promise.resolve();
+
+    client.abort();
+
+    expect((await pending).status).toBe(500);
+    expect(signal!.aborted).toBe(true);
+  });
+
+  it('responseCloseSignal aborts only when the response closes unfinished', () => {
+    const listeners: Record<string, () => void> = {};
+    const res = { writableEnded: false, once: (event: string, listener: () => void) => (listeners[event] = listener) };
+
+    const signal = responseCloseSignal(res);
+    listeners.close();
+
+    expect(signal.aborted).toBe(true);
+
+    const finished = { writableEnded: true, once: (event: string, listener: () => void) => (listeners[event] = listener) };
+    const finishedSignal = responseCloseSignal(finished);
+    listeners.close();
+    expect(finishedSignal.aborted).toBe(false);
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * voice-agent-backend function registry (src/function-registry.js): one declaration per function serves the agent
+ * definitions and validated execution.
+ *
+ * @jest-environment node
+ */
+
+import path from 'path';
+import { jsonSchemaCases } from './fixtures/json-schema-cases';
+
+const registryPath = path.resolve(__dirname, '../packages/voice-agent-backend/src/function-registry.js');
+const { createFunctionRegistry, validateArguments } = require(registryPath);
+
+const getWeather = {
+  name: 'get_weather',
+  description: 'Current weather for a city',
+  parameters: {
+    type: 'object',
+    properties: {
+      city: { type: 'string', minLength: 1 },
+      unit: { type: 'string', enum: ['celsius', 'fahrenheit'] },
+      days: { type: 'integer', minimum: 1, maximum: 7 },
+    },
+    required: ['city'],
+    additionalProperties: false,
+  },
+  handler: jest.fn(async (args: { city: string }) => ({ city: args.city, temperature: 22 })),
+};
+
+describe('voice-agent-backend createFunctionRegistry', () => {
+  beforeEach(() => getWeather.handler.mockClear());
+
+  it('serves AgentFunction definitions without the handlers', () => {
+    const registry = createFunctionRegistry([getWeather, { name: 'ping', description: 'Health check', handler: () => 'pong' }]);
+
+    expect(registry.definitions()).toEqual([
+      { name: 'get_weather', description: 'Current weather for a city', parameters: getWeather.parameters },
+      { name: 'ping', description: 'Health check', parameters: { type: 'object', properties: {} } },
+    ]);
+    expect(registry.has('ping')).toBe(true);
+    expect(registry.has('get_forecast')).toBe(false);
+  });
+
+  it('calls the handler with valid arguments and the context', async () => {
+    const registry = createFunctionRegistry([getWeather]);
+    const context = { id: 'call_1', sessionId: 'session-7' };
+
+    await expect(registry.execute('get_weather', { city: 'Boston', days: 3 }, context)).resolves.toEqual({
+      city: 'Boston',
+      temperature: 22,
+    });
+    expect(getWeather.handler).toHaveBeenCalledWith({ city: 'Boston', days: 3 }, context);
+  });
+
+  it('answers { error } for invalid arguments without calling the handler', async () => {
+    const registry = createFunctionRegistry([getWeather]);
+
+    const result = await registry.execute('get_weather', { unit: 'kelvin', days: 1.5, extra: true }, {});
+
+    expect(result).toEqual({
+      error:
+        'Invalid arguments for get_weather: arguments.city is required; arguments.unit must be one of "celsius", "fahrenheit"; ' +
+        'arguments.days must be integer; arguments.extra is not allowed',
+    });
+    expect(getWeather.handler).not.toHaveBeenCalled();
+  });
+
+  it('answers { error } for an unknown function', async () => {
+    await expect(createFunctionRegistry([getWeather]).execute('get_forecast', {}, {})).resolves.toEqual({
+      error: 'Unknown function: get_forecast',
+    });
+  });
+
+  it('rejects declarations without a name or handler, or declared twice', () => {
+    expect(() => createFunctionRegistry([{ description: 'x', handler: () => '' }])).toThrow('Function declaration needs a name');
+    expect(() => createFunctionRegistry([{ name: 'ping', description: 'x' }])).toThrow('Function ping needs a handler');
+    expect(() => createFunctionRegistry([getWeather, getWeather])).toThrow('Function get_weather is declared more than once');
+  });
+});
+
+describe('voice-agent-backend validateArguments', () => {
+  it('checks nested objects, arrays and string and number bounds', () => {
+    const schema = {
+      type: 'object',
+      properties: {
+        items: {
+          type: 'array',
+          minItems: 1,
+          items: {
+            type: 'object',
+            properties: { sku: { type: 'string', pattern: '^[A-Z]{3}-\\d+$' }, quantity: { type: 'number', exclusiveMinimum: 0 } },
+            required: ['sku'],
+          },
+        },
+        note: { type: ['string', 'null'], maxLength: 5 },
+      },
+    };
+
+    expect(validateArguments(schema, { items: [{ sku: 'ABC-1', quantity: 2 }], note: null })).toEqual([]);
+    expect(validateArguments(schema, { items: [{ sku: 'abc', quantity: 0 }, {}], note: 'too long' })).toEqual([
+      'arguments.items[0].sku must match ^[A-Z]{3}-\\d+$',
+      'arguments.items[0].quantity must be > 0',
+      'arguments.items[1].sku is required',
+      'arguments.note must be at most 5 characters',
+    ]);
+    expect(validateArguments(schema, { items: [] })).toEqual(['arguments.items must have at least 1 items']);
+    expect(validateArguments(schema, 'Boston')).toEqual(['arguments must be object']);
+  });
+
+  it.each(jsonSchemaCases)('supports $keyword as the component validator does', ({ schema, valid, invalid }) => {
+    for (const value of valid) expect(validateArguments(schema, value)).toEqual([]);
+    for (const value of invalid) expect(validateArguments(schema, value)).not.toEqual([]);
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * voice-agent-backend server-side function calls in the WebSocket proxies (src/proxy-function-calls.js): calls for
+ * functions the executor runs are answered upstream; the client sees them as server-side calls.
+ *
+ * @jest-environment node
+ */
+
+import path from 'path';
+
+const proxyFunctionCallsPath = path.resolve(__dirname, '../packages/voice-agent-backend/src/proxy-function-calls.js');
+const { createProxyFunctionCalls, executesFunction } = require(proxyFunctionCallsPath);
+const { createFunctionRegistry } = require(path.resolve(__dirname, '../packages/voice-agent-backend/src/function-registry.js'));
+
+const req = { url: '/deepgram-proxy?sessionId=s-1', headers: {} };
+
+const request = (...functions: Array<Record<string, unknown>>) => ({ type: 'FunctionCallRequest', functions });
+
+function setup(executor: object) {
+  const sendUpstream = jest.fn();
+  const sendClient = jest.fn();
+  const calls = createProxyFunctionCalls(executor, { req, sendUpstream, sendClient });
+  return { calls, sendUpstream, sendClient };
+}
+
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+describe('voice-agent-backend createProxyFunctionCalls', () => {
+  const registry = createFunctionRegistry([
+    { name: 'get_time', description: 'Current time', handler: () => ({ time: '09:30' }) },
+  ]);
+
+  it('runs registered functions and answers upstream and the client with FunctionCallResponse', async () => {
+    const { calls, sendUpstream, sendClient } = setup(registry);
+
+    const consumed = calls.handleUpstreamMessage(request({ id: 'fc_1', name: 'get_time', arguments: '{}', client_side: true }));
+    await flush();
+
+    expect(consumed).toBe(true);
+    const response = { type: 'FunctionCallResponse', id: 'fc_1', name: 'get_time', content: '{"time":"09:30"}' };
+    expect(sendClient.mock.calls).toEqual([
+      [request({ id: 'fc_1', name: 'get_time', arguments: '{}', client_side: false, proxy_executed: true })],
+      [response],
+    ]);
+    expect(sendUpstream.mock.calls).toEqual([[response]]);
+  });
+
+  it('leaves other messages, unregistered functions and upstream server-side calls alone', () => {
+    const { calls, sendClient } = setup(registry);
+
+    expect(calls.handleUpstreamMessage({ type: 'ConversationText', role: 'assistant', content: 'Hi' })).toBe(false);
+    expect(calls.handleUpstreamMessage(request({ id: 'fc_1', name: 'get_weather', client_side: true }))).toBe(false);
+    expect(calls.handleUpstreamMessage(request({ id: 'fc_2', name: 'get_time', client_side: false }))).toBe(false);
+    expect(sendClient).not.toHaveBeenCalled();
+  });
+
+  it('keeps client-side functions of a mixed request for the client', async () => {
+    const { calls, sendUpstream, sendClient } = setup(registry);
+
+    calls.handleUpstreamMessage(
+      request({ id: 'fc_1', name: 'get_time', arguments: '{}', client_side: true }, { id: 'fc_2', name: 'open_tab', client_side: true })
+    );
+    await flush();
+
+    expect(sendClient.mock.calls[0][0].functions).toEqual([
+      { id: 'fc_1', name: 'get_time', arguments: '{}', client_side: false, proxy_executed: true },
+      { id: 'fc_2', name: 'open_tab', client_side: true },
+    ]);
+    expect(sendUpstream.mock.calls.map(([message]) => message.id)).toEqual(['fc_1']);
+  });
+
+  it('answers { error } content when the handler fails, and passes the upgrade request context', async () => {
+    const execute = jest.fn(async () => {
+      throw new Error('db down');
+    });
+    const { calls, sendUpstream } = setup({
+      execute,
+      getRequestContext: (upgrade: typeof req) => ({ sessionId: new URL(upgrade.url, 'http://localhost').searchParams.get('sessionId') }),
+    });
+
+    calls.handleUpstreamMessage(request({ id: 'fc_1', name: 'get_time', arguments: '{"tz":"UTC"}' }));
+    await flush();
+
+    expect(execute).toHaveBeenCalledWith('get_time', { tz: 'UTC' }, expect.objectContaining({ id: 'fc_1', sessionId: 's-1', req }));
+    expect(sendUpstream).toHaveBeenCalledWith({
+      type: 'FunctionCallResponse',
+      id: 'fc_1',
+      name: 'get_time',
+      content: '{"error":"db down"}',
+    });
+  });
+
+  it('aborts running handlers on close and sends nothing afterwards', async () => {
+    let signal: AbortSignal | undefined;
+    const { calls, sendUpstream } = setup({
+      execute: (_name: string, _args: object, context: { signal: AbortSignal }) => {
+        signal = context.signal;
+        return new Promise((resolve) => setTimeout(() => resolve('late'), 20));
+      },
+    });
+
+    calls.handleUpstreamMessage(request({ id: 'fc_1', name: 'get_time', arguments: '{}' }));
+    await flush();
+    calls.close();
+    await new Promise((resolve) => setTimeout(resolve, 30));
+
+    expect(signal!.aborted).toBe(true);
+    expect(sendUpstream).not.toHaveBeenCalled();
+  });
+});
+
+describe('voice-agent-backend executesFunction', () => {
+  it('needs execute and defers to has when given', () => {
+    expect(executesFunction(undefined, 'get_time')).toBe(false);
+    expect(executesFunction({ has: () => true }, 'get_time')).toBe(false);
+    expect(executesFunction({ execute: () => 'ok' }, 'get_time')).toBe(true);
+    expect(executesFunction({ execute: () => 'ok', has: (name: string) => name === 'ping' }, 'get_time')).toBe(false);
+  });
+});
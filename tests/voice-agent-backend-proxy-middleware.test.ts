@@ -0,0 +1,177 @@
+/**
+ * voice-agent-backend proxy message middleware (src/proxy-middleware.js): per-connection hooks that inspect,
+ * rewrite, drop or inject frames in both directions.
+ *
+ * @jest-environment node
+ */
+
+import path from 'path';
+
+const middlewarePath = path.resolve(__dirname, '../packages/voice-agent-backend/src/proxy-middleware.js');
+const { createMessagePipeline } = require(middlewarePath);
+
+type Middleware = (connection: Record<string, unknown>) => Record<string, unknown> | void;
+
+const req = { url: '/deepgram-proxy?service=agent', headers: {} };
+
+function setup(middleware: Middleware[]) {
+  const toClient: Array<{ data: unknown; isBinary: boolean }> = [];
+  const toUpstream: Array<{ data: unknown; isBinary: boolean }> = [];
+  const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() };
+  const pipeline = createMessagePipeline(middleware, {
+    proxy: 'deepgram',
+    service: 'agent',
+    req,
+    forwardToClient: (data: unknown, isBinary: boolean) => toClient.push({ data, isBinary }),
+    forwardToUpstream: (data: unknown, isBinary: boolean) => toUpstream.push({ data, isBinary }),
+    logger,
+  });
+  return { pipeline, toClient, toUpstream, logger };
+}
+
+const text = (message: object) => Buffer.from(JSON.stringify(message));
+const json = (frames: Array<{ data: unknown }>) => frames.map(({ data }) => JSON.parse(String(data)));
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+describe('voice-agent-backend createMessagePipeline', () => {
+  it('forwards frames synchronously and untouched without hooks for that direction', () => {
+    const { pipeline, toClient, toUpstream } = setup([() => ({ onClientMessage: () => undefined })]);
+    const audio = Buffer.from([1, 2, 3]);
+    const frame = text({ type: 'ConversationText', role: 'assistant', content: 'Hi' });
+
+    pipeline.fromUpstream(audio, true);
+    pipeline.fromUpstream(frame, false);
+
+    expect(toClient).toEqual([
+      { data: audio, isBinary: true },
+      { data: frame, isBinary: false },
+    ]);
+    expect(toUpstream).toEqual([]);
+  });
+
+  it('rewrites, drops and replaces frames, running the middleware in order', async () => {
+    const { pipeline, toUpstream } = setup([
+      () => ({
+        onClientMessage: (message: { type?: string; agent?: Record<string, unknown> }) => {
+          if (message.type === 'Settings') return { ...message, agent: { ...message.agent, context: { tenant: 't-1' } } };
+          if (message.type === 'KeepAlive') return null;
+          return undefined;
+        },
+      }),
+      () => ({
+        onClientMessage: (message: { type?: string }) =>
+          message.type === 'InjectUserMessage' ? [{ type: 'Audit', of: message.type }, message] : undefined,
+      }),
+    ]);
+
+    pipeline.fromClient(text({ type: 'Settings', agent: { language: 'en' } }), false);
+    pipeline.fromClient(text({ type: 'KeepAlive' }), false);
+    pipeline.fromClient(text({ type: 'InjectUserMessage', content: 'Hi' }), false);
+    await flush();
+
+    expect(json(toUpstream)).toEqual([
+      { type: 'Settings', agent: { language: 'en', context: { tenant: 't-1' } } },
+      { type: 'Audit', of: 'InjectUserMessage' },
+      { type: 'InjectUserMessage', content: 'Hi' },
+    ]);
+    expect(toUpstream.every(({ isBinary }) => !isBinary)).toBe(true);
+  });
+
+  it('passes binary frames as Buffers and keeps order across async hooks', async () => {
+    const seen: unknown[] = [];
+    const { pipeline, toClient } = setup([
+      () => ({
+        onUpstreamMessage: async (message: unknown) => {
+          seen.push(Buffer.isBuffer(message) ? 'binary' : message);
+          if (Buffer.isBuffer(message)) await new Promise((resolve) => setTimeout(resolve, 10));
+          return undefined;
+        },
+      }),
+    ]);
+    const audio = Buffer.from([1, 2]);
+
+    pipeline.fromUpstream(audio, true);
+    pipeline.fromUpstream(text({ type: 'AgentAudioDone' }), false);
+    await new Promise((resolve) => setTimeout(resolve, 30));
+
+    expect(seen).toEqual(['binary', { type: 'AgentAudioDone' }]);
+    expect(toClient.map(({ isBinary }) => isBinary)).toEqual([true, false]);
+    expect(toClient[0].data).toBe(audio);
+  });
+
+  it('creates hooks per connection with the connection, and lets them inject frames', async () => {
+    const connections: Array<Record<string, unknown>> = [];
+    const auditMiddleware: Middleware = (connection) => {
+      connections.push(connection);
+      let count = 0;
+      return {
+        onUpstreamMessage: () => {
+          count += 1;
+          (connection.sendToClient as (message: object) => void)({ type: 'Audit', count });
+          return undefined;
+        },
+      };
+    };
+    const first = setup([auditMiddleware]);
+    const second = setup([auditMiddleware]);
+
+    first.pipeline.fromUpstream(text({ type: 'Welcome' }), false);
+    first.pipeline.fromUpstream(text({ type: 'SettingsApplied' }), false);
+    second.pipeline.fromUpstream(text({ type: 'Welcome' }), false);
+    await flush();
+
+    expect(connections[0]).toMatchObject({ proxy: 'deepgram', service: 'agent', req });
+    expect(json(first.toClient)).toEqual([
+      { type: 'Audit', count: 1 },
+      { type: 'Welcome' },
+      { type: 'Audit', count: 2 },
+      { type: 'SettingsApplied' },
+    ]);
+    expect(json(second.toClient)).toEqual([{ type: 'Audit', count: 1 }, { type: 'Welcome' }]);
+  });
+
+  it('drops and logs a frame whose hook throws, then carries on', async () => {
+    const { pipeline, toUpstream, logger } = setup([
+      () => ({
+        onClientMessage: (message: { type?: string }) => {
+          if (message.type === 'Settings') throw new Error('Field agent.think.prompt is not allowed');
+          return undefined;
+        },
+      }),
+    ]);
+
+    pipeline.fromClient(text({ type: 'Settings' }), false);
+    pipeline.fromClient(text({ type: 'KeepAlive' }), false);
+    await flush();
+
+    expect(json(toUpstream)).toEqual([{ type: 'KeepAlive' }]);
+    expect(logger.error).toHaveBeenCalledWith('[Proxy] onClientMessage middleware failed; frame dropped', {
+      message: 'Field agent.think.prompt is not allowed',
+    });
+  });
+
+  it('logs and rethrows when a middleware function throws, so the proxy can close that connection', () => {
+    const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() };
+    const create = () =>
+      createMessagePipeline(
+        [
+          () => {
+            throw new Error('Unknown tenant');
+          },
+        ],
+        { proxy: 'openai', service: 'agent', req, forwardToClient: jest.fn(), forwardToUpstream: jest.fn(), logger }
+      );
+
+    expect(create).toThrow('Unknown tenant');
+    expect(logger.error).toHaveBeenCalledWith('[Proxy] Middleware setup failed', { message: 'Unknown tenant' });
+  });
+
+  it('calls onClose for each connection hook set', () => {
+    const onClose = jest.fn();
+    const { pipeline } = setup([() => ({ onClose }), () => undefined]);
+
+    pipeline.close();
+
+    expect(onClose).toHaveBeenCalledWith(expect.objectContaining({ proxy: 'deepgram' }));
+  });
+});
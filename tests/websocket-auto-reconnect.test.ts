@@ -0,0 +1,197 @@
+/**
+ * @jest-environment jsdom
+ * @eslint-env jest
+ */
+
+/**
+ * WebSocketManager automatic reconnection (reconnect option)
+ *
+ * Verifies that:
+ * 1. computeReconnectDelay grows exponentially, is capped at maxDelayMs and stays within the jitter band
+ * 2. A retryable close code (1006) on a live connection emits 'reconnecting' and reopens the socket
+ * 3. The 'closed' state event carries willReconnect while a retry is pending
+ * 4. Normal closure (1000) and client close() never reconnect
+ * 5. Without reconnect.enabled the manager keeps lazy reconnection
+ * 6. 'reconnect_failed' is emitted once maxAttempts consecutive attempts have failed
+ */
+
+import { WebSocketManager, WebSocketEvent, computeReconnectDelay } from '../src/utils/websocket/WebSocketManager';
+
+class MockWebSocket {
+  static CONNECTING = 0;
+  static OPEN = 1;
+  static CLOSING = 2;
+  static CLOSED = 3;
+  static instances: MockWebSocket[] = [];
+  /** When true, newly created sockets fail to open (error + close 1006) */
+  static failToOpen = false;
+
+  readyState = MockWebSocket.CONNECTING;
+  binaryType: 'blob' | 'arraybuffer' = 'arraybuffer';
+  onopen: ((event: Event) => void) | null = null;
+  onclose: ((event: CloseEvent) => void) | null = null;
+  onerror: ((event: Event) => void) | null = null;
+  onmessage: ((event: MessageEvent) => void) | null = null;
+
+  constructor(public url: string) {
+    MockWebSocket.instances.push(this);
+    const fail = MockWebSocket.failToOpen;
+    setTimeout(() => {
+      if (this.readyState !== MockWebSocket.CONNECTING) return;
+      if (fail) {
+        this.onerror?.(new Event('error'));
+        this.drop(1006, '');
+      } else {
+        this.readyState = MockWebSocket.OPEN;
+        this.onopen?.(new Event('open'));
+      }
+    }, 5);
+  }
+
+  send(): void {}
+
+  close(code = 1000, reason = ''): void {
+    this.drop(code, reason);
+  }
+
+  /** Simulate the server or network ending the connection */
+  drop(code: number, reason = ''): void {
+    if (this.readyState === MockWebSocket.CLOSED) return;
+    this.readyState = MockWebSocket.CLOSED;
+    this.onclose?.(new CloseEvent('close', { code, reason, wasClean: code === 1000 }));
+  }
+}
+
+global.WebSocket = MockWebSocket as any;
+
+const wait = (ms: number) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('computeReconnectDelay', () => {
+  const noJitter = { initialDelayMs: 100, backoffMultiplier: 2, maxDelayMs: 1000, jitterRatio: 0 };
+
+  it('backs off exponentially from initialDelayMs and caps at maxDelayMs', () => {
+    expect([1, 2, 3, 4, 5, 6].map((n) => computeReconnectDelay(n, noJitter))).toEqual([100, 200, 400, 800, 1000, 1000]);
+  });
+
+  it('spreads the delay by at most jitterRatio in either direction', () => {
+    const options = { ...noJitter, jitterRatio: 0.5 };
+    expect(computeReconnectDelay(2, options, () => 0)).toBe(100);
+    expect(computeReconnectDelay(2, options, () => 0.5)).toBe(200);
+    expect(computeReconnectDelay(2, options, () => 0.9999)).toBe(300);
+  });
+
+  it('never exceeds maxDelayMs after jitter', () => {
+    expect(computeReconnectDelay(10, { ...noJitter, jitterRatio: 0.5 }, () => 0.9999)).toBe(1000);
+  });
+});
+
+describe('WebSocketManager automatic reconnection', () => {
+  let manager: WebSocketManager;
+  let events: WebSocketEvent[];
+
+  const create = (reconnect?: ConstructorParameters<typeof WebSocketManager>[0]['reconnect']) => {
+    manager = new WebSocketManager({
+      url: 'wss://agent.deepgram.com/v1/agent/converse',
+      apiKey: 'test-api-key',
+      service: 'agent',
+      reconnect,
+    });
+    manager.addEventListener((event) => events.push(event));
+    return manager;
+  };
+
+  const fastRetry = { enabled: true, initialDelayMs: 10, maxDelayMs: 50, jitterRatio: 0, maxAttempts: 3 };
+  const current = () => MockWebSocket.instances[MockWebSocket.instances.length - 1];
+  const ofType = <T extends WebSocketEvent['type']>(type: T) =>
+    events.filter((e): e is Extract<WebSocketEvent, { type: T }> => e.type === type);
+
+  beforeEach(() => {
+    MockWebSocket.instances = [];
+    MockWebSocket.failToOpen = false;
+    events = [];
+  });
+
+  afterEach(() => {
+    manager?.close();
+  });
+
+  it('reconnects after an abnormal close and reports the attempt', async () => {
+    create(fastRetry);
+    await manager.connect();
+
+    current().drop(1006);
+
+    const closed = ofType('state').filter((e) => e.state === 'closed');
+    expect(closed[closed.length - 1].willReconnect).toBe(true);
+    expect(ofType('reconnecting')).toEqual([
+      { type: 'reconnecting', info: { service: 'agent', attempt: 1, maxAttempts: 3, nextDelayMs: 10, closeCode: 1006 } },
+    ]);
+    expect(manager.isReconnecting()).toBe(true);
+
+    await wait(40);
+
+    expect(MockWebSocket.instances).toHaveLength(2);
+    expect(manager.getState()).toBe('connected');
+    expect(manager.isReconnecting()).toBe(false);
+    const connected = ofType('state').filter((e) => e.state === 'connected');
+    expect(connected[connected.length - 1].isReconnection).toBe(true);
+  });
+
+  it('does not reconnect after a normal closure', async () => {
+    create(fastRetry);
+    await manager.connect();
+
+    current().drop(1000, 'bye');
+    await wait(40);
+
+    expect(ofType('reconnecting')).toHaveLength(0);
+    expect(MockWebSocket.instances).toHaveLength(1);
+    expect(ofType('state').pop()).toEqual({ type: 'state', state: 'closed', isReconnection: undefined });
+  });
+
+  it('does not reconnect after close() and cancels a pending retry', async () => {
+    create(fastRetry);
+    await manager.connect();
+
+    manager.close();
+    expect(ofType('reconnecting')).toHaveLength(0);
+
+    await manager.connect();
+    current().drop(1006);
+    expect(ofType('reconnecting')).toHaveLength(1);
+    manager.close();
+    await wait(40);
+
+    expect(MockWebSocket.instances).toHaveLength(2);
+    expect(manager.isReconnecting()).toBe(false);
+  });
+
+  it('keeps lazy reconnection when reconnect is not enabled', async () => {
+    create();
+    await manager.connect();
+
+    current().drop(1006);
+    await wait(40);
+
+    expect(ofType('reconnecting')).toHaveLength(0);
+    expect(MockWebSocket.instances).toHaveLength(1);
+  });
+
+  it('gives up with reconnect_failed after maxAttempts failed attempts', async () => {
+    create(fastRetry);
+    await manager.connect();
+
+    MockWebSocket.failToOpen = true;
+    current().drop(1011, 'server error');
+    await wait(300);
+
+    expect(ofType('reconnecting').map((e) => e.info.attempt)).toEqual([1, 2, 3]);
+    expect(ofType('reconnect_failed')).toEqual([
+      { type: 'reconnect_failed', info: { service: 'agent', attempts: 3, closeCode: 1006 } },
+    ]);
+    expect(MockWebSocket.instances).toHaveLength(4);
+    expect(manager.isReconnecting()).toBe(false);
+    expect(ofType('state').pop()).toMatchObject({ state: 'closed' });
+    expect(ofType('state').pop()?.willReconnect).toBeUndefined();
+  });
+});